@@ -11,6 +11,13 @@
 (function () {
   "use strict";
 
+  // The combat / grade engine and the balance data it reads (zones, built-in skills, sim tuning) live in
+  // roster-engine.js — pure, so it also runs under Node for the fixture suite. The sim workers run this
+  // file on its own, so they load the engine from next to it.
+  if (typeof RosterEngine === "undefined" && typeof importScripts === "function") importScripts(self.location.href.replace(/roster-builder\.js/, "roster-engine.js"));
+  var RE = RosterEngine;
+  var hashStr = RE.hashStr, mulberry32 = RE.mulberry32, effAtkOf = RE.effAtkOf, skillFold = RE.skillFold, skillSaves = RE.skillSaves, simUnitFromStats = RE.simUnitFromStats;
+
   /* ---------------- semantic data colors (tuned for purple cards) ---------------- */
   var EL_COLOR = {
     none: "#C9AEBC", air: "#22D3EE", dark: "#A78BFA", earth: "#4ADE80",
@@ -35,12 +42,22 @@
     resilient: { label: "Resilient", breadth: true,  floor: 3, softCap: 4, desc: "Max diversity + barrier coverage — survives zone / gear changes." }
   };
   var DEFAULT_OBJECTIVE = "balanced";
-  var BARRIER_POWER_TARGET = 320;                       // border turns green when a barrier hits this
   var MAX_PARTIES = 12;                                 // party-slot cap
   var DEFAULT_MAX_ROSTER = 32;                          // default roster capacity
   var MAX_ROSTER_CAP = 36;                              // hard ceiling for roster capacity
 
-  var CATALOG = [
+  /* ---------------- zones (quest zone × difficulty) ---------------- */
+  // Zone registry: the presets and the per-zone combat keys live with the engine (roster-engine.js, where
+  // each key is documented). Built-ins are read-only; the player can add custom zones (state.zones,
+  // persisted in JSON + share links) by duplicating one and editing it.
+  var ZONE_KEYS = RE.ZONE_KEYS, ZONE_PRESETS = RE.ZONE_PRESETS, MONSTER_KEYS = RE.MONSTER_KEYS, RULE_KEYS = RE.RULE_KEYS;
+  var DEFAULT_ZONE = "mze";
+  // MZE = the ACTIVE zone's live combat numbers (name kept from the single-zone days). `useZone` copies
+  // the selected zone's fields onto it, so every `MZE.x` reader — here and in the engine — follows the
+  // zone picker. It starts as the zone-independent house rules (RE.HOUSE_RULES).
+  var MZE = RE.zoneState();
+
+  var BUILTIN_CATALOG = [
     { name: "Mercenary", group: "Fighter", role: "Tank", element: "earth" },
     { name: "Chieftain", group: "Fighter", role: "Tank", element: "fire" },
     { name: "Lord", group: "Fighter", role: "Tank", element: "light" },
@@ -63,51 +80,175 @@
     { name: "Fateweaver", group: "Spellcaster", role: "DPS", element: "air" },
     { name: "Trickster", group: "Rogue", role: "EVA/DPS", element: "air" }
   ];
+  // Live class catalog = the built-ins merged with the player's edits (state.catalog.classes, by name:
+  // an entry named like a built-in overrides it in place, a new name is appended). applyCatalog
+  // rebuilds CATALOG / CLASS IN PLACE, so every reader (elOf, isTank, the panels, the optimizer pools)
+  // follows the edits. A retired class stays resolvable — existing heroes keep their element and
+  // stats — but every build path treats it as excluded (fExclude) and Add Hero no longer offers it.
+  var CATALOG = [];
   var CLASS = {};
-  CATALOG.forEach(function (c) { CLASS[c.name] = c; });
+  var CLASS_GROUPS = ["Fighter", "Rogue", "Spellcaster"];
+  var CLASS_ROLES = ["Tank", "Tank/EVA", "EVA/DPS", "DPS"];
+  function builtinClass(cn) { for (var i = 0; i < BUILTIN_CATALOG.length; i++) if (BUILTIN_CATALOG[i].name === cn) return BUILTIN_CATALOG[i]; return null; }
+  function applyCatalog(edits) {
+    var byName = {};
+    (edits || []).forEach(function (c) { byName[c.name] = c; });
+    CATALOG.length = 0;
+    BUILTIN_CATALOG.forEach(function (c) { CATALOG.push(byName[c.name] || c); });
+    (edits || []).forEach(function (c) { if (!builtinClass(c.name)) CATALOG.push(c); });
+    Object.keys(CLASS).forEach(function (k) { delete CLASS[k]; });
+    CATALOG.forEach(function (c) { CLASS[c.name] = c; });
+  }
+  applyCatalog([]);
+  // One catalog entry, sanitized (a built-in's fields fill anything missing). Icon = an http(s) URL,
+  // a site-relative path or an uploaded image data: URL.
+  function normCatalogClass(c) {
+    if (!c || typeof c !== "object") return null;
+    var name = String(c.name || "").trim().slice(0, 30);
+    if (!name) return null;
+    var b = builtinClass(name) || {}, o = { name: name };
+    o.group = CLASS_GROUPS.indexOf(c.group) >= 0 ? c.group : (b.group || "Fighter");
+    o.role = CLASS_ROLES.indexOf(c.role) >= 0 ? c.role : (b.role || (o.group === "Fighter" ? "Tank" : o.group === "Rogue" ? "EVA/DPS" : "DPS"));
+    o.element = COVERAGE_ELS.indexOf(c.element) >= 0 || c.element === "all" ? c.element : (b.element || "fire");
+    if (b.note) o.note = b.note;
+    var icon = normIcon(c.icon);
+    if (icon) o.icon = icon;
+    if (c.retired) o.retired = true;
+    return o;
+  }
+  function normIcon(v) {
+    var t = typeof v === "string" ? v.trim() : "";
+    if (!t || t.length > 300000) return "";
+    return /^(https?:\/\/|data:image\/(png|jpe?g|gif|webp);base64,|[\w.\/-]+\.(png|jpe?g|gif|webp|svg)$)/i.test(t) ? t : "";
+  }
+  function normCatalog(raw) {
+    var seen = {}, out = { classes: [] };
+    (raw && Array.isArray(raw.classes) ? raw.classes : []).forEach(function (c) {
+      var o = normCatalogClass(c);
+      if (o && !seen[o.name]) { seen[o.name] = true; out.classes.push(o); }
+    });
+    return out;
+  }
   // Tank = a high-THREAT class (its class-average threat clears the cutoff), not the hand-set role tag.
   // 75 matches the threat ≥ 75 "Tank" stat badge, so a class that shows that badge IS treated as a tank.
   // Currently this is the 7 Fighters plus Praetorian (threat 80, the reworked high-DEF/dodge wall).
   function isTank(cn) { return classAvg(cn, "threat") >= 75; }
   function elOf(cn) { return CLASS[cn] ? CLASS[cn].element : "none"; }
 
-  // Per-class skills. Foldable fields feed the grade now; `sim`-flagged effects are
-  // captured for the Phase-2 sim and don't yet move the face. `text` = display.
-  //   evaCap       : overrides the default 75% dodge cap
-  //   protectAlly  : party negates one lethal hit (once/battle)
-  //   surviveFatal : the hero ignores one lethal hit to itself (once/battle)
-  // (Crit damage is now a per-class DATA stat — classStats.critDmg — not a skill bonus.)
-  var CLASS_SKILLS = {
-    "Lord":         { protectAlly: true,                  text: "Protect an ally from a lethal attack once per battle." },
-    "Jarl":         { sim: true,                          text: "+50% ATK & +10% EVA below 80% HP (doubled <55%, tripled <30%)." },
-    "Death Knight": { sim: true,                          text: "Instantly defeats weakened monsters; +1% per kill." },
-    "Daimyo":       { sim: true,                          text: "Guaranteed dodge & crit on round 1; +100% crit damage." },
-    "Conquistador": { sim: true,                          text: "+150% crit damage; +25% per consecutive crit (stacks 4)." },
-    "Pathfinder":   { evaCap: 78,                         text: "+3% max evasion cap (78%)." },
-    "Sensei":       { sim: true,                          text: "+50% crit & +25% EVA until damaged; regained after 2 rounds." },
-    "Acrobat":      { sim: true,                          text: "Guaranteed crit after dodging; +150% crit damage." },
-    "Bishop":       { surviveFatal: true, sim: true,      text: "+10 HP regen/turn; survive one fatal blow." }
-  };
+  // Built-in class skills + champion auras (fields documented in roster-engine.js). A class added in the
+  // Catalog has no built-in skill; a custom definition (below) stands in for one.
+  var CLASS_SKILLS = RE.CLASS_SKILLS, CHAMPION_SKILLS = RE.CHAMPION_SKILLS;
 
-  // Per-champion party auras (apply to the whole party at grade time). Foldable fields:
-  //   atkPct/defPct/hpPct : ×(1+pct/100) on that stat   · barrierPct : ×(1+pct/100) on barrier power
-  //   critAdd/evaAdd      : additive points to crit chance / evasion (user-confirmed)
-  //   critDmgAdd          : added to the crit multiplier (base 2.0)
-  //   perGroup            : composition-scaled (per spellcaster/fighter/rogue in the party)
-  // `sim`-flagged conditional/heal parts are captured but don't yet move the face.
-  var CHAMPION_SKILLS = {
-    "Argon":   { atkPct: 40, defPct: 40,                       text: "+40% ATK & DEF to the party." },
-    "Ashley":  { atkPct: 25, defPct: 25,                       text: "+25% ATK & DEF to the party." },
-    "Rudo":    { barrierPct: 50, sim: true,                    text: "+50% crit chance for 4 rounds; +50% element power vs barriers." },
-    "Malady":  { atkPct: 30, evaAdd: 15, critAdd: 10,          text: "+30% ATK, +15% EVA, +10% crit to the party." },
-    "Yami":    { critAdd: 20, evaAdd: 20,                      text: "+20% crit & +20% EVA to the party." },
-    "Sia":     { atkPct: 25,                                   text: "+25% ATK to the party." },
-    "Hemma":   { hpPct: 25, sim: true,                         text: "Drains 7% ally HP/turn (heals self, +35% ATK/drain); +25% party HP." },
-    "Polonia": { defPct: 25, evaAdd: 10,                       text: "+25% DEF & +10% EVA to the party." },
-    "Donovan": { perGroup: { spellcasterAtk: 14, fighterHp: 10, rogueCrit: 7, rogueEva: 7 }, text: "+14% ATK/spellcaster, +10% HP/fighter, +7% crit & EVA/rogue." },
-    "Lilu":    { hpPct: 25, sim: true,                         text: "+25% party HP; party heals 20 HP/turn." },
-    "Bjorn":   { atkPct: 30, hpPct: 20, critDmgAdd: 0.5,       text: "+30% ATK, +20% HP, +50% crit damage to the party." }
-  };
+  // Custom skill definitions (state.skills, loaded from the roster JSON / the Default Stats panel) —
+  // a declarative stand-in for a class's or champion's hard-coded skill, so a new class or a reworked
+  // skill doesn't need a code change. A definition REPLACES that name's built-in entry above and its
+  // name-switched sim logic. { classes: { "<class>": def }, champions: { "<champion>": def } }, where
+  // def = { text?, effects: [effect, …] } (a bare array = effects). One effect:
+  //   trigger  : always | round (rounds from..to) | belowHp (hp = fraction of max) | untilDamaged (back
+  //              after `duration` clean rounds) | afterDodge | onCrit | onKill (any party kill) | perTurn
+  //   effect   : stat (`stat` += `value`) | heal (`value` HP) | drain (`value` = fraction of the healthiest
+  //              ally's HP, healed to self) | save (one lethal hit: self = itself, party = any ally) |
+  //              execute (instantly defeats a target at ≤ `value` of its HP; trigger ignored)
+  //   stat     : atk / def / hp / barrier (percent) · crit / eva / evaCap (points) · critDmg (crit
+  //              multiplier) · dodge (minimum dodge %, 100 = guaranteed)
+  //   target   : self (default) | party
+  //   stacks   : event triggers (afterDodge / onCrit / onKill / perTurn) add a stack each time, up to
+  //              `stacks` (default 1); the stat bonus is value × stacks. Without a `duration`, onCrit
+  //              stacks reset on a non-crit (consecutive) and afterDodge lasts the round of the dodge.
+  //   duration : rounds an event-triggered bonus lasts after its last trigger (0 = the defaults above)
+  // Folded like the built-ins: a champion's `always` party stat effects are its aura (partyBuff) and a
+  // class's `always` evaCap / saves feed the closed form; everything else moves the sim grade only.
+  // HP / barrier are applied before the fight only, so they must be `always`: HP on self (any unit) or
+  // the party (a champion's aura), barrier power on the party (a champion's aura).
+  var SKILL_TRIGGERS = ["always", "round", "belowHp", "untilDamaged", "afterDodge", "onCrit", "onKill", "perTurn"];
+  var SKILL_EFFECTS = ["stat", "heal", "drain", "save", "execute"];
+  var SKILL_STATS = ["atk", "def", "hp", "barrier", "crit", "eva", "evaCap", "critDmg", "dodge"];
+  var SKILL_EVENTS = RE.SKILL_EVENTS;
+  function emptySkillDefs() { return { classes: {}, champions: {} }; }
+  // One effect of a `kind` ("classes" | "champions") def, normalized → null when unusable (unknown
+  // trigger/effect/stat or a non-numeric value), false when it's an HP / barrier effect the sim can't apply.
+  function normSkillEffect(e, kind) {
+    if (!e || typeof e !== "object") return null;
+    var o = { trigger: e.trigger == null ? "always" : String(e.trigger), effect: e.effect == null ? "stat" : String(e.effect), target: e.target === "party" ? "party" : "self" };
+    if (SKILL_TRIGGERS.indexOf(o.trigger) < 0 || SKILL_EFFECTS.indexOf(o.effect) < 0) return null;
+    if (o.effect === "stat") { o.stat = String(e.stat || ""); if (SKILL_STATS.indexOf(o.stat) < 0) return null; }
+    if ((o.stat === "hp" || o.stat === "barrier") && (o.trigger !== "always" || (o.target === "party" ? kind !== "champions" : o.stat === "barrier"))) return false;
+    var v = e.value == null && o.effect === "save" ? 1 : Number(e.value);
+    if (!isFinite(v)) return null;
+    o.value = v;
+    if (o.effect === "execute" && (v <= 0 || v >= 1)) return null;
+    if (o.trigger === "round") {
+      o.from = Math.max(1, Math.round(Number(e.from != null ? e.from : e.round) || 1));
+      o.to = Math.max(o.from, Math.round(Number(e.to) || o.from));
+    }
+    if (o.trigger === "belowHp") {
+      var hp = Number(e.hp);
+      if (!(hp > 0)) return null;
+      o.hp = hp > 1 ? Math.min(1, hp / 100) : hp; // 80 or 0.8
+    }
+    o.stacks = Math.max(1, Math.round(Number(e.stacks) || 1));
+    o.duration = Math.max(0, Math.round(Number(e.duration) || 0));
+    if (o.trigger === "untilDamaged" && e.duration == null) o.duration = 2;
+    return o;
+  }
+  // Whole skills block: { classes, champions } of defs; `bad` (optional {n, fold}) counts dropped effects —
+  // `fold` the HP / barrier ones normSkillEffect can't apply.
+  function normSkillDefs(raw, bad) {
+    var out = emptySkillDefs();
+    if (!raw || typeof raw !== "object") return out;
+    ["classes", "champions"].forEach(function (kind) {
+      var src = raw[kind];
+      if (!src || typeof src !== "object") return;
+      Object.keys(src).forEach(function (name) {
+        var d = src[name], list = Array.isArray(d) ? d : (d && Array.isArray(d.effects) ? d.effects : []);
+        var fx = [];
+        list.forEach(function (e) {
+          var ne = normSkillEffect(e, kind);
+          if (ne) fx.push(ne); else if (bad) bad[ne === false ? "fold" : "n"]++;
+        });
+        var text = d && !Array.isArray(d) && d.text ? String(d.text).slice(0, 200) : "";
+        var nm = String(name).trim();
+        if (nm && (fx.length || text)) out[kind][nm] = text ? { text: text, effects: fx } : { effects: fx };
+      });
+    });
+    return out;
+  }
+  function skillDefCount() { return Object.keys(state.skills.classes).length + Object.keys(state.skills.champions).length; }
+  // kind = "classes" | "champions". The custom definition for a name, or null (→ the built-in applies).
+  function customSkill(kind, name) {
+    var d = state.skills[kind];
+    return name && d && Object.prototype.hasOwnProperty.call(d, name) ? d[name] : null;
+  }
+  // Tooltip wording for one effect, e.g. "+50% ATK below 80% HP" / "Heals the party 20 HP per turn".
+  var SKILL_STAT_TXT = { atk: ["%", "ATK"], def: ["%", "DEF"], hp: ["%", "HP"], barrier: ["%", "element power vs barriers"], crit: ["", "crit"], eva: ["", "EVA"], evaCap: ["", "max evasion"], critDmg: ["×", "crit damage"] };
+  function skillEffectText(e) {
+    var sg = e.value >= 0 ? "+" : "", party = e.target === "party", t;
+    if (e.effect === "stat") {
+      if (e.stat === "dodge") t = e.value >= 100 ? "Guaranteed dodge" : e.value + "% minimum dodge";
+      else { var st = SKILL_STAT_TXT[e.stat]; t = st[0] === "×" ? sg + e.value + "× " + st[1] : sg + e.value + st[0] + " " + st[1]; }
+      if (party) t += " to the party";
+    } else if (e.effect === "heal") t = (party ? "Heals the party " : "Heals ") + e.value + " HP";
+    else if (e.effect === "drain") t = "Drains " + Math.round(e.value * 100) + "% of the healthiest ally's HP to heal itself";
+    else if (e.effect === "save") return party ? "Protects an ally from a lethal attack once per battle" : "Survives one fatal blow";
+    else return "Instantly defeats a target at ≤" + Math.round(e.value * 100) + "% HP";
+    var w = e.trigger === "round" ? (e.from === e.to ? " in round " + e.from : " in rounds " + e.from + "–" + e.to)
+      : e.trigger === "belowHp" ? " below " + Math.round(e.hp * 100) + "% HP"
+      : e.trigger === "untilDamaged" ? " until damaged" + (e.duration ? " (back after " + e.duration + " clean round" + (e.duration === 1 ? "" : "s") + ")" : "")
+      : e.trigger === "afterDodge" ? " after a dodge"
+      : e.trigger === "onCrit" ? (e.duration ? " per crit" : " per consecutive crit")
+      : e.trigger === "onKill" ? " per kill"
+      : e.trigger === "perTurn" ? " per turn" : "";
+    if (SKILL_EVENTS[e.trigger] && e.stacks > 1) w += " (stacks " + e.stacks + ")";
+    if (SKILL_EVENTS[e.trigger] && e.duration) w += " for " + e.duration + " round" + (e.duration === 1 ? "" : "s");
+    return t + w;
+  }
+  // (i) text for a class / champion: the custom definition (its `text`, then each effect) or the built-in.
+  function skillInfoText(kind, name) {
+    var d = customSkill(kind, name);
+    if (d) return (d.text ? d.text + "  —  " : "") + (d.effects.length ? d.effects.map(skillEffectText).join("; ") + "." : "") + "  (custom)";
+    var s = (kind === "classes" ? CLASS_SKILLS : CHAMPION_SKILLS)[name];
+    return s ? s.text : "";
+  }
 
   var CHAMPION_POOL = [
     { name: "Argon",   el: "light", power: 200 },
@@ -178,10 +319,19 @@
     //   exclude{cn:true} never use the class · max{cn:N} cap roster count · min{cn:N} require roster count
     filters: { exclude: {}, max: {}, min: {} },
     // Active barrier elements (player-configurable in Filters). Each party must break ONE of these
-    // (≥ BARRIER_POWER_TARGET). Empty = no barrier requirement this zone.
+    // (≥ MZE.barrier). Empty = no barrier requirement this zone.
     barriers: DEFAULT_BARRIER_ELS.slice(),
     // How Recommended optimizes (balanced | resilient). See OBJECTIVES.
-    objective: DEFAULT_OBJECTIVE
+    objective: DEFAULT_OBJECTIVE,
+    // Active quest zone (id into ZONE_PRESETS or state.zones) + the player's custom zones.
+    zone: DEFAULT_ZONE,
+    zones: [],
+    // Imported gear catalog (items / spirits / class bases) that heroes' `gear` pieces name. See heroStat.
+    gear: { items: [], spirits: [], bases: {} },
+    // Custom (declarative) class / champion skills that replace the built-ins by name. See normSkillDefs.
+    skills: emptySkillDefs(),
+    // Class catalog edits / additions on top of BUILTIN_CATALOG (see applyCatalog).
+    catalog: { classes: [] }
   };
   QUALITIES.forEach(function (q) { state.classStatsByQuality[q] = emptyClassTable(); });
   // Point the active table at the selected tier. classAvg/panel/paste all read & write state.classStats,
@@ -194,14 +344,75 @@
   }
   useQuality(state.quality);
 
+  // Zone registry = built-in presets + the player's custom zones. useZone copies the zone's combat
+  // numbers onto MZE (the live active-zone object), so the grade / sim / optimizer all follow it.
+  function allZones() { return ZONE_PRESETS.concat(state.zones); }
+  function zoneById(id) { var z = allZones(); for (var i = 0; i < z.length; i++) if (z[i].id === id) return z[i]; return null; }
+  function activeZone() { return zoneById(state.zone) || ZONE_PRESETS[0]; }
+  function isPresetZone(id) { return ZONE_PRESETS.some(function (z) { return z.id === id; }); }
+  function compactNum(n) { return n >= 1e6 ? Math.round(n / 1e5) / 10 + "M" : n >= 1e3 ? Math.round(n / 100) / 10 + "k" : String(n); }
+  function zoneLabel(z) { return z.name + (z.difficulty ? " (" + z.difficulty + ")" : ""); }
+  function useZone(id) {
+    var z = zoneById(id) || ZONE_PRESETS[0];
+    state.zone = z.id;
+    RE.applyZone(MZE, z);
+  }
+  useZone(state.zone);
+  // A custom zone, sanitized: every combat key numeric (falling back to the built-in MZE value) and the
+  // DEF breakpoints strictly increasing. Used by loadJSON and the zone editor.
+  function sanitizeZone(z, id) {
+    var base = ZONE_PRESETS[0], out = { id: id, name: String(z && z.name || "Custom zone").slice(0, 40), difficulty: String(z && z.difficulty || "").slice(0, 20) };
+    ZONE_KEYS.forEach(function (k) { var v = Number(z && z[k]); out[k] = isFinite(v) && v >= 0 ? v : base[k]; });
+    out.bossHP = Math.max(1, out.bossHP); out.roundCap = Math.max(1, Math.round(out.roundCap));
+    out.aoeChance = Math.min(1, out.aoeChance); out.critChance = Math.min(1, out.critChance);
+    // House-rule overrides (calibration / the editor) only when set; `from` = the zone this one was copied
+    // from, so it inherits that zone's logged results (see Calibrate).
+    RULE_KEYS.forEach(function (k) { var v = z && z[k] != null ? Number(z[k]) : NaN; if (isFinite(v) && v >= 0) out[k] = k === "allBarrierFactor" ? Math.min(1, v) : Math.min(0.05, v); });
+    if (z && z.from) out.from = String(z.from).slice(0, 40);
+    var dc = Array.isArray(z && z.defCaps) ? z.defCaps.map(Number) : [];
+    out.defCaps = (dc.length === 3 && dc[0] > 0 && dc[1] > dc[0] && dc[2] > dc[1]) ? dc : base.defCaps.slice();
+    var w = sanitizeWaves(z && z.waves, out);
+    if (w) { out.waves = w; out.bossHP = w.reduce(function (a, wv) { return wv.reduce(function (b, m) { return b + m.hp; }, a); }, 0); }
+    return out;
+  }
+  // Encounter waves, sanitized: non-empty waves of monsters, each key numeric (falling back to the zone's
+  // own hit numbers; hp to its bossHP). Anything unusable → null (the zone stays a single boss).
+  function sanitizeWaves(waves, zone) {
+    if (!Array.isArray(waves)) return null;
+    var n = 0, out = waves.filter(Array.isArray).slice(0, 20).map(function (wv) {
+      return wv.filter(function (m) { return m && typeof m === "object"; }).slice(0, 8).map(function (m) {
+        var o = { name: String(m.name || "Monster " + (++n)).slice(0, 30) };
+        MONSTER_KEYS.forEach(function (k) { var v = Number(m[k]); o[k] = isFinite(v) && v >= 0 ? v : (k === "hp" ? zone.bossHP : zone[k]); });
+        o.hp = Math.max(1, o.hp); o.aoeChance = Math.min(1, o.aoeChance); o.critChance = Math.min(1, o.critChance);
+        return o;
+      });
+    }).filter(function (wv) { return wv.length; });
+    return out.length ? out : null;
+  }
+  function zoneMonsterCount(z) { return z.waves ? z.waves.reduce(function (a, wv) { return a + wv.length; }, 0) : 1; }
+  // Cache-key part for the custom skills ("" when there are none, so built-in-only keys are unchanged).
+  function skillSig() { return skillDefCount() ? hashStr(JSON.stringify(state.skills)).toString(36) : ""; }
+  // Cache-key part for the active zone — the sim + optimizer memo keys fold it in, so a zone switch or edit never reads stale wins.
+  // House-rule overrides join the signature only when set, so the sim seeds of plain zones don't move.
+  function zoneSig() {
+    var z = activeZone(), rules = RULE_KEYS.filter(function (k) { return z[k] !== undefined; }).map(function (k) { return k + "=" + z[k]; }).join(",");
+    return z.id + ":" + ZONE_KEYS.map(function (k) { return z[k]; }).join(",") + ":" + z.defCaps.join(",") + (z.waves ? ":" + JSON.stringify(z.waves) : "") + (rules ? ":" + rules : "");
+  }
+
   // Filter helpers (whole-roster). fExclude = never use; fMax = cap (Infinity if unset); fMin = require.
-  function fExclude(cn) { return !!state.filters.exclude[cn]; }
+  function fExclude(cn) { return !!state.filters.exclude[cn] || !!(CLASS[cn] && CLASS[cn].retired); }
   function fMax(cn) { var m = state.filters.max[cn]; return (typeof m === "number" && m >= 0) ? m : Infinity; }
   function fMin(cn) { var m = state.filters.min[cn]; return (typeof m === "number" && m > 0) ? m : 0; }
   function classBlocked(cn, count) { return fExclude(cn) || (count || 0) >= fMax(cn); } // can't add another
 
   /* ---------------- state ops ---------------- */
-  function setHero(id, field, v) { state.heroes.forEach(function (h) { if (h.id === id) h[field] = v; }); }
+  function setHero(id, field, v) {
+    state.heroes.forEach(function (h) {
+      if (h.id !== id) return;
+      if (field === "partyId" && h.partyId !== v) h.locked = false; // moved or benched by hand → the pin goes
+      h[field] = v;
+    });
+  }
   function setParty(id, field, v) { state.parties.forEach(function (p) { if (p.id === id) p[field] = v; }); }
   function addHero(className) {
     var max = 0;
@@ -220,16 +431,138 @@
   function partyChampEl(p) { var c = getChampion(p.champName); return c ? c.el : "none"; }
   function partyChampPower(p) { var c = getChampion(p.champName); return c ? (Number(c.power) || 0) : 0; }
   function partyCap(p) { return p.champName ? 3 : 4; } // no champion -> the 4th hero seat opens up
+  // Locks: a locked party is "done" and a locked hero is pinned to its party — Auto Sort, Top-up and
+  // Recommended work around both. A hero lock only means something while the hero sits in a party.
+  function partyOf(id) { for (var i = 0; i < state.parties.length; i++) if (state.parties[i].id === id) return state.parties[i]; return null; }
+  function heroFixed(h) { if (!h.partyId) return false; if (h.locked) return true; var p = partyOf(h.partyId); return !!(p && p.locked); }
+  // Schedule: a party or hero can carry busy windows (`busy: [{from, until, note}]`, epoch ms) — a party
+  // still out on a quest, a hero injured or away. Only a window covering `t` counts; finished ones are
+  // ignored until cleared. A hero seated in a busy party is away with it. t = null → nobody is busy
+  // (the optimizers plan the roster itself, not what's free right now).
+  function busyAt(o, t) {
+    var ws = o && o.busy;
+    if (!ws || t == null) return null;
+    for (var i = 0; i < ws.length; i++) if (ws[i].from <= t && t < ws[i].until) return ws[i];
+    return null;
+  }
+  function freeFrom(o, t) { var w; while ((w = busyAt(o, t))) t = w.until; return t; } // windows may chain
+  function hasSchedule() { return state.parties.concat(state.heroes).some(function (o) { return o.busy && o.busy.length; }); }
+  function partyFull(p) { return state.heroes.filter(function (h) { return h.partyId === p.id; }).length === partyCap(p); }
+  // Sendable at `t`: full, and neither the party nor any of its heroes is busy.
+  function partyReadyAt(p, t) {
+    return partyFull(p) && !busyAt(p, t) && !state.heroes.some(function (h) { return h.partyId === p.id && busyAt(h, t); });
+  }
+  // When the whole roster can go out together: now, or the first window end after which every party is
+  // ready. null when a party has an empty seat — waiting won't fill it.
+  function nextFullRoster(now) {
+    if (!state.parties.length || !state.parties.every(partyFull)) return null;
+    var ts = [now];
+    state.parties.concat(state.heroes).forEach(function (o) { (o.busy || []).forEach(function (w) { if (w.until > now) ts.push(w.until); }); });
+    ts.sort(function (a, b) { return a - b; });
+    for (var i = 0; i < ts.length; i++) if (state.parties.every(function (p) { return partyReadyAt(p, ts[i]); })) return ts[i];
+    return null;
+  }
+  // Auto Sort only moves who's here: heroes in a locked party or a party that's away keep their seats.
+  function sortFixed(h, t) { return heroFixed(h) || !!(h.partyId && busyAt(partyOf(h.partyId), t)); }
 
-  // Stat resolution: a hero uses its own override when set, else the class average.
-  // null/undefined/"" means "inherit"; a number (including 0) is an override.
+  // Stat resolution: a hero uses its own override when set, else its gear roll-up (if it wears any
+  // catalog items), else the class average. null/undefined/"" means "inherit"; a number (including 0)
+  // is an override.
   var PLANNING = false; // when true, heroStat ignores overrides & uses class averages (for suggestions)
   function classAvg(name, key) { var cs = state.classStats[name]; return cs ? (Number(cs[key]) || 0) : 0; }
   function heroStat(h, key) {
     if (PLANNING) return classAvg(h.className, key);
     var v = h[key];
-    return (v === null || v === undefined || v === "") ? classAvg(h.className, key) : (Number(v) || 0);
+    if (v !== null && v !== undefined && v !== "") return Number(v) || 0;
+    var g = gearStat(h, key);
+    return g === null ? classAvg(h.className, key) : g;
+  }
+
+  // Gear layer. `state.gear` is the imported item catalog: { items: [{ name, slot, hp, atk, def, eva,
+  // crit, el, elPower }], spirits: [{ name, hp, atk, def, eva, crit }], bases: { className: { hp, … } } }.
+  // A hero's `gear` is up to GEAR_SLOTS pieces { item, quality, el, elPower, spirit } naming catalog
+  // entries. Roll-up = the class's ungeared base + Σ item stats × quality multiplier + spirit bonuses.
+  // Base rows are optional: a class without one starts from its class average instead (per stat), so a
+  // hero wearing a single piece isn't rolled up from that piece alone and left far below the average.
+  // THREAT / crit damage aren't gear stats and keep the class average.
+  // Elemental power = innate item element + enchant, counted only in the hero's class element (an
+  // "all" class counts every element; heroContrib still applies allBarrierFactor), so the barrier
+  // badges follow the gear. Pieces naming items the catalog doesn't have are ignored; a hero with no
+  // known piece falls back to the class average (e.g. a shared link opened without the catalog).
+  var GEAR_SLOTS = 6;
+  // Quality multipliers are ESTIMATES — the game's real per-quality scaling isn't in our data. The Gear
+  // panel shows them as such; replace them here once confirmed.
+  var GEAR_QUALITY = { Common: 1, Superior: 1.25, Flawless: 1.5, Epic: 2, Legendary: 3 };
+  var GEAR_QUALITIES = ["Common", "Superior", "Flawless", "Epic", "Legendary"];
+  var GEAR_STATS = ["hp", "atk", "def", "eva", "crit"];
+  var _gearIdx = null; // name (lower-case) → item / spirit; reset whenever state.gear is replaced
+  function emptyGearCatalog() { return { items: [], spirits: [], bases: {} }; }
+  function gearIndex() {
+    if (_gearIdx && _gearIdx.cat === state.gear) return _gearIdx;
+    var ix = { cat: state.gear, items: {}, spirits: {} };
+    state.gear.items.forEach(function (it) { ix.items[it.name.toLowerCase()] = it; });
+    state.gear.spirits.forEach(function (sp) { ix.spirits[sp.name.toLowerCase()] = sp; });
+    return (_gearIdx = ix);
+  }
+  function gearItem(name) { return name ? gearIndex().items[String(name).toLowerCase()] || null : null; }
+  function gearSpirit(name) { return name ? gearIndex().spirits[String(name).toLowerCase()] || null : null; }
+  // The hero's pieces that resolve against the catalog (null = not geared → class averages).
+  function heroGear(h) {
+    if (!h.gear || !h.gear.length || !state.gear.items.length) return null;
+    var out = h.gear.filter(function (g) { return g && gearItem(g.item); });
+    return out.length ? out : null;
+  }
+  function gearPieceStat(g, key) {
+    var it = gearItem(g.item), sp = gearSpirit(g.spirit);
+    return (Number(it[key]) || 0) * (GEAR_QUALITY[g.quality] || 1) + (sp ? Number(sp[key]) || 0 : 0);
+  }
+  function gearPiecePower(g, el) {
+    var it = gearItem(g.item), p = 0;
+    if (it.el && (el === "all" || it.el === el)) p += Number(it.elPower) || 0;
+    if (g.el && (el === "all" || g.el === el)) p += Number(g.elPower) || 0;
+    return p;
+  }
+  function gearStat(h, key) {
+    if (key !== "power" && GEAR_STATS.indexOf(key) < 0) return null;
+    var pieces = heroGear(h);
+    if (!pieces) return null;
+    var base = state.gear.bases[h.className], from = base ? Number(base[key]) || 0 : classAvg(h.className, key);
+    if (key === "power") { var el = elOf(h.className); return pieces.reduce(function (a, g) { return a + gearPiecePower(g, el); }, from); }
+    return pieces.reduce(function (a, g) { return a + gearPieceStat(g, key); }, from);
+  }
+  // What a blank override resolves to (the faint placeholder in Party Stats).
+  function heroInherited(h, key) { var g = gearStat(h, key); return g === null ? classAvg(h.className, key) : g; }
+  function normGearStats(src, o) { GEAR_STATS.forEach(function (k) { o[k] = Number(src[k]) || 0; }); return o; }
+  function normGearEl(e) { e = String(e == null ? "" : e).trim().toLowerCase(); return COVERAGE_ELS.indexOf(e) >= 0 ? e : ""; }
+  function normGearQuality(q) {
+    var s = String(q == null ? "" : q).trim().toLowerCase();
+    for (var i = 0; i < GEAR_QUALITIES.length; i++) if (GEAR_QUALITIES[i].toLowerCase() === s) return GEAR_QUALITIES[i];
+    return "Common";
+  }
+  function normGearCatalog(c) {
+    var cat = emptyGearCatalog();
+    if (!c || typeof c !== "object") return cat;
+    (Array.isArray(c.items) ? c.items : []).forEach(function (it) {
+      if (!it || !String(it.name || "").trim()) return;
+      cat.items.push(normGearStats(it, { name: String(it.name).trim(), slot: String(it.slot || "").trim(), el: normGearEl(it.el), elPower: Number(it.elPower) || 0 }));
+    });
+    (Array.isArray(c.spirits) ? c.spirits : []).forEach(function (sp) {
+      if (sp && String(sp.name || "").trim()) cat.spirits.push(normGearStats(sp, { name: String(sp.name).trim() }));
+    });
+    if (c.bases && typeof c.bases === "object") Object.keys(c.bases).forEach(function (cn) {
+      if (CLASS[cn] && c.bases[cn]) cat.bases[cn] = normGearStats(c.bases[cn], {});
+    });
+    return cat;
+  }
+  function normHeroGear(list) {
+    if (!Array.isArray(list)) return null;
+    var out = list.slice(0, GEAR_SLOTS).map(function (g) {
+      if (!g || !String(g.item || "").trim()) return null;
+      return { item: String(g.item).trim(), quality: normGearQuality(g.quality), el: normGearEl(g.el), elPower: Number(g.elPower) || 0, spirit: g.spirit ? String(g.spirit) : "" };
+    });
+    return out.some(function (g) { return g; }) ? out : null;
   }
+  function gearCatalogSize() { return state.gear.items.length + state.gear.spirits.length + Object.keys(state.gear.bases).length; }
   function moveClass(name, dir) {
     var i = state.classOrder.indexOf(name), j = i + dir;
     if (i < 0 || j < 0 || j >= state.classOrder.length) return;
@@ -249,28 +582,30 @@
   // Tries all three barriers and keeps the build with the best face. Ties break by
   // matching the champion's element, then more ATK, then barrier margin — deterministic.
   // Fills party seats up to the roster cap, replacing all heroes.
-  function buildSuggestedRoster() {
-    var heroes = [], id = 1;
+  // onProgress(frac 0..1, label) is called between passes — the worker streams it to the progress bar.
+  function buildSuggestedRoster(onProgress, knobs) {
+    // Locks: heroes in locked parties and pinned heroes survive the rebuild untouched (their ids too);
+    // locked parties aren't built at all, and a pinned hero is a fixed leading slot of its party.
+    var kept = state.heroes.filter(heroFixed);
+    var heroes = kept.slice(), id = 1;
+    kept.forEach(function (h) { if (h.id >= id) id = h.id + 1; });
+    var openParties = state.parties.filter(function (p) { return !p.locked; });
+    var pinCls = {};
+    openParties.forEach(function (p) { pinCls[p.id] = kept.filter(function (h) { return h.partyId === p.id; }).map(function (h) { return h.className; }); });
+    function pinsOf(p) { return pinCls[p.id] || []; }
+    // Slot index the party's tank goes in, or -1 when a pinned hero already tanks for it.
+    function tankSlotOf(p) { var pins = pinsOf(p); return pins.some(isTank) ? -1 : pins.length; }
     var allClasses = CATALOG.map(function (c) { return c.name; });
     var topAny = state.classOrder[0] || CATALOG[0].name;
-
-    // Soft feasibility check: if the sum of all required class minimums can't fit in the roster
-    // cap, the minimums are mathematically unsatisfiable. Warn (don't block) — the greedy fill is
-    // best-effort, so the user understands why some minimums may go unmet in the result.
-    var minSum = allClasses.reduce(function (a, cn) { return a + fMin(cn); }, 0);
-    if (minSum > state.maxRoster) {
-      showAlert("Filter minimums require " + minSum + " heroes, but the roster cap (Max Roster) is " +
-        state.maxRoster + ". Those minimums can't all be met — raise Max Roster or lower the minimums. " +
-        "Building the best roster possible anyway.");
-    }
+    var prog = onProgress || function () {};
 
     var counts = {}; // running roster class counts (for filter caps/min as the build commits)
-    // Roster Objective knobs (Balanced / Resilient) — see OBJECTIVES.
-    var OBJ = OBJECTIVES[state.objective] || OBJECTIVES[DEFAULT_OBJECTIVE];
+    // Roster Objective knobs (Balanced / Resilient) — see OBJECTIVES. The Pareto explorer passes its own.
+    var OBJ = knobs || OBJECTIVES[state.objective] || OBJECTIVES[DEFAULT_OBJECTIVE];
     // Cache-key stat signature: _simScoreCache keys used to omit the stat VALUES the sim runs on, so
     // editing Default Stats (or champion stats) and re-running Recommended ranked builds on stale
-    // cached wins. Hash the active tier's class table + champion stats once per build and fold it in.
-    var statsSig = hashStr(JSON.stringify(state.classStats) + "|" + JSON.stringify(state.champions)).toString(36);
+    // cached wins. Hash the active tier's class table + champion stats + zone once per build and fold it in.
+    var statsSig = hashStr(JSON.stringify(state.classStats) + "|" + JSON.stringify(state.champions) + "|" + zoneSig() + "|" + skillSig()).toString(36);
     var BREADTH_ON = OBJ.breadth; // spread across barriers + run the diversify pass
     // Soft per-class diversity cap: the breadth (`diversify`) and survivability (`flexRefine`) passes
     // won't pile a single class past this, so one standout (e.g. Acrobat once air is a barrier) can't
@@ -299,6 +634,7 @@
 
     var tanksByAtk = byAtk(function (cn) { return isTank(cn); });
     var dpsByAtk = byAtk(function (cn) { return !isTank(cn); });
+    function tankChoices(p) { return tankSlotOf(p) < 0 ? [null] : tanksByAtk; }
 
     // Best slot list for party p targeting barrier element `el` with a given tank. Respects
     // filters: never an excluded class, never over a class's cap (live count = roster + this
@@ -311,11 +647,14 @@
       function softOK(cn) { return (local[cn] || 0) < Math.max(SOFT_CLASS_CAP, fMin(cn)); } // under the diversity cap (soft)
       function add(cn) { slots.push(cn); local[cn] = (local[cn] || 0) + 1; }
       function barPow() { var s = champCovers(p, el); for (var i = 0; i < slots.length; i++) s += contrib(slots[i], el); return s; }
-      // Exactly one tank (slot 0): the caller's pick if it has room, else the best tank that does.
-      if (tankCn && room(tankCn)) add(tankCn);
-      else { var t = tanksByAtk.filter(room)[0]; if (t) add(t); }
+      pinsOf(p).forEach(add); // pinned heroes lead, whatever the filters say
+      // Exactly one tank (after the pins): the caller's pick if it has room, else the best tank that does.
+      if (tankSlotOf(p) >= 0) {
+        if (tankCn && room(tankCn)) add(tankCn);
+        else { var t = tanksByAtk.filter(room)[0]; if (t) add(t); }
+      }
       // Cover the barrier with the highest-ATK matching DPS that has room (prefer under the soft cap).
-      while (barPow() < BARRIER_POWER_TARGET && slots.length < cap) {
+      while (barPow() < MZE.barrier && slots.length < cap) {
         var md = dpsByAtk.filter(function (cn) { return contrib(cn, el) > 0 && room(cn); });
         if (!md.length) break;
         var mdPref = md.filter(softOK);
@@ -349,7 +688,7 @@
         (champ ? buffedEffAtk(Number(champ.atk) || 0, Number(champ.crit) || 0, MZE.critDmgMod, buff) : 0);
       var tier, win = 0;
       var rounds = atk > 0 ? Math.ceil(MZE.bossHP / atk) : Infinity;
-      var barrierFail = state.barriers.length > 0 && bestBar < BARRIER_POWER_TARGET; // no active barriers = no requirement
+      var barrierFail = state.barriers.length > 0 && bestBar < MZE.barrier; // no active barriers = no requirement
       if (slots.length !== cap || barrierFail || rounds >= MZE.roundCap) {
         tier = 4; // hard fail (D): undermanned, barrier unbroken, or can't kill before the 500-round cap
       } else {
@@ -372,7 +711,7 @@
           if (champ) sunits.push(simUnitFromStats(null, true, champ.name, (Number(champ.hp) || 0) * buff.hpMult,
             (Number(champ.def) || 0) * buff.defMult, (Number(champ.eva) || 0) + buff.evaAdd, Number(champ.threat) || 0,
             MZE.evaCapDefault, (Number(champ.atk) || 0) * buff.atkMult, (Number(champ.crit) || 0) + buff.critAdd, MZE.critDmgMod + buff.critDmgAdd));
-          win = simWinChance(sunits, SIM.optimizerTrials, hashStr(key), { saves: saves, champName: champ ? champ.name : null });
+          win = simWinChance(sunits, SIM.optimizerTrials, hashStr(key), { saves: saves, champName: champ ? champ.name : null }).win;
           _simScoreCache[key] = win;
         }
         tier = winTier(win);
@@ -389,6 +728,12 @@
     // Running element tally across the roster as it's built (for breadth).
     var elemCount = {};
     CATALOG.forEach(function (c) { elemCount[c.element] = 0; });
+    // Locked parties are final, so their heroes count from the start; pins count once their party is built.
+    kept.forEach(function (h) {
+      if (pinCls[h.partyId]) return;
+      counts[h.className] = (counts[h.className] || 0) + 1;
+      var e = CLASS[h.className] && CLASS[h.className].element; if (e) elemCount[e]++;
+    });
 
     // "Free" breadth: swap each slot toward an under-represented element WITHOUT dropping
     // the party's tier (re-scoring guards barrier / kill-speed / fragility). Slot 0 stays a
@@ -413,7 +758,7 @@
     function diversify(p, el, slots, tier) {
       var out = slots.slice();
       var curWin = scoreOf(p, el, out).win; // protect the actual win %, not just the tier bucket
-      for (var i = 0; i < out.length; i++) {
+      for (var i = pinsOf(p).length; i < out.length; i++) {
         var curEl = CLASS[out[i]] ? CLASS[out[i]].element : null;
         // An "all" slot (Spellknight) may still swap out toward an under-represented single
         // element — the candidate filter (no "all" in) + the tier+win guard below keep it safe.
@@ -423,7 +768,7 @@
         Object.keys(elemCount).forEach(function (k) { local[k] = elemCount[k]; });
         out.forEach(function (cn, j) { if (j !== i) { var e = CLASS[cn] && CLASS[cn].element; if (e) local[e] = (local[e] || 0) + 1; } });
         var curPref = slotPref(out[i], local);
-        var pool = (i === 0) ? tanksByAtk : dpsByAtk; // keep exactly one tank (slot 0)
+        var pool = (i === tankSlotOf(p)) ? tanksByAtk : dpsByAtk; // keep exactly one tank
         var cands = pool.filter(function (cn) {
           return CLASS[cn].element !== "all" && !fExclude(cn) && (counts[cn] || 0) + inSlots(out, cn, i) < fMax(cn) && !softCapBlocks(cn, out) && prefLess(slotPref(cn, local), curPref);
         }).sort(function (a, b) { var pa = slotPref(a, local), pb = slotPref(b, local); return prefLess(pa, pb) ? -1 : (prefLess(pb, pa) ? 1 : 0); });
@@ -460,7 +805,8 @@
     function flexRefine(p, el, slots) {
       var out = slots.slice();
       var cur = scoreOf(p, el, out).win;
-      for (var i = 1; i < out.length; i++) {                 // slot 0 = tank, leave it
+      for (var i = pinsOf(p).length; i < out.length; i++) {
+        if (i === tankSlotOf(p)) continue;                   // the tank slot, leave it
         if (fMin(out[i]) > (counts[out[i]] || 0)) continue;  // don't drop a still-required class
         var bestCn = out[i], bestWin = cur;
         for (var c = 0; c < flexPool.length; c++) {
@@ -489,7 +835,7 @@
     // repeated re-scores are mostly cache hits.
     function rebalanceRoster() {
       var groups = [];
-      state.parties.forEach(function (p) {
+      openParties.forEach(function (p) {
         var hs = heroes.filter(function (h) { return h.partyId === p.id; });
         if (hs.length === partyCap(p)) groups.push({ p: p, hs: hs }); // only full, scorable parties
       });
@@ -512,9 +858,9 @@
           for (var gj = gi + 1; gj < groups.length; gj++) {
             var A = groups[gi], B = groups[gj], sA0 = slotsOf(A), sB0 = slotsOf(B);
             for (var hi = 0; hi < A.hs.length; hi++) {
-              if (isTank(A.hs[hi].className)) continue;                       // keep exactly one tank per party
+              if (isTank(A.hs[hi].className) || A.hs[hi].locked) continue;    // keep exactly one tank per party; pins stay
               for (var hj = 0; hj < B.hs.length; hj++) {
-                if (isTank(B.hs[hj].className)) continue;
+                if (isTank(B.hs[hj].className) || B.hs[hj].locked) continue;
                 if (A.hs[hi].className === B.hs[hj].className) continue;
                 var sA = sA0.slice(); sA[hi] = B.hs[hj].className;
                 var sB = sB0.slice(); sB[hj] = A.hs[hi].className;
@@ -558,7 +904,7 @@
     var REFINE_EPS = 0.02, MAX_REFINE_SWEEPS = 3, PAIR_WEAK_MAX = 3, PAIR_PARTNER_MAX = 8;
     function globalRefine() {
       var groups = [], seenPid = {};
-      state.parties.forEach(function (p) {
+      openParties.forEach(function (p) {
         if (seenPid[p.id]) return; // imported JSON can carry duplicate party ids — aliased groups would double-release the same heroes
         seenPid[p.id] = true;
         var hs = heroes.filter(function (h) { return h.partyId === p.id; });
@@ -593,22 +939,25 @@
       }
       // Hard guard: required-class minimums (Filters) may never get FURTHER from satisfied.
       function minDeficit() { return allClasses.reduce(function (s, cn) { return s + Math.max(0, fMin(cn) - (counts[cn] || 0)); }, 0); }
+      // Pinned heroes stay in `heroes` across a release but leave the tallies, since rebuildBest re-adds them.
       function releaseParty(g) { // pull g's heroes out of the build + all bookkeeping
         g.hs.forEach(function (h) {
           var i = heroes.indexOf(h);
           if (i < 0) return; // stale ref (defensive) — never decrement tallies for a hero we didn't remove
-          heroes.splice(i, 1);
+          if (!h.locked) heroes.splice(i, 1);
           if (counts[h.className]) counts[h.className]--;
           var e = CLASS[h.className] && CLASS[h.className].element;
           if (e && elemCount[e]) elemCount[e]--;
         });
-        g.hs = [];
+        g.hs = g.hs.filter(function (h) { return h.locked; });
       }
-      function commitParty(g, slots) { // add heroes for `slots` + all bookkeeping
-        var hs = [];
-        slots.forEach(function (cn) {
-          if (!mk(cn, g.p.id)) return;
-          hs.push(heroes[heroes.length - 1]);
+      function commitParty(g, slots) { // add heroes for `slots` (pins first, already seated) + all bookkeeping
+        var hs = g.hs.slice();
+        slots.forEach(function (cn, si) {
+          if (si >= pinsOf(g.p).length) {
+            if (!mk(cn, g.p.id)) return;
+            hs.push(heroes[heroes.length - 1]);
+          }
           counts[cn] = (counts[cn] || 0) + 1;
           var e = CLASS[cn] && CLASS[cn].element; if (e) elemCount[e] = (elemCount[e] || 0) + 1;
         });
@@ -620,7 +969,7 @@
       function rebuildBest(p) {
         var best = null;
         barrierChoices.forEach(function (el) {
-          tanksByAtk.forEach(function (tankCn) {
+          tankChoices(p).forEach(function (tankCn) {
             var slots = buildFor(p, el, tankCn);
             var s2 = scoreOf(p, el, slots);
             var better;
@@ -646,6 +995,7 @@
       if (objMin(sc) >= WIN_BANDS.S) return; // weakest full party already S — same early-out as rebalance
       // Rebuild ONE party in place; keep only a guarded global improvement. Returns true if kept.
       function trySingle(gi) {
+        step();
         var g = groups[gi], oldSlots = slotsOf(g);
         var bBefore = breadthScore(), dBefore = minDeficit();
         releaseParty(g);
@@ -667,6 +1017,7 @@
       // than settle for the first acceptable one (first-improvement once traded the roster's best
       // party down 43 points to rescue a weak one when a far better partner existed).
       function evalPair(wi, pi) {
+        step();
         var W = groups[wi], P = groups[pi];
         var wOld = slotsOf(W), pOld = slotsOf(P);
         var bBefore = breadthScore(), dBefore = minDeficit();
@@ -717,6 +1068,10 @@
       // vs 27% purely by which local optimum the one-shot sequence happened to land in). Bounded
       // (cycles × sweeps × pair budget are all constants) and deterministic.
       var REFINE_CYCLES = 2;
+      // Progress = rebuilds tried vs the worst-case budget (cycles × sweeps × parties + pair evals); the
+      // early-outs just jump the bar to the next pass.
+      var steps = 0, stepBudget = REFINE_CYCLES * (MAX_REFINE_SWEEPS * groups.length + PAIR_WEAK_MAX * PAIR_PARTNER_MAX);
+      function step() { steps++; prog(0.6 + 0.35 * Math.min(1, steps / stepBudget), "Refining the roster"); }
       for (var cycle = 0; cycle < REFINE_CYCLES; cycle++) {
         // Single-party rebuilds, weakest first, until a sweep finds nothing (≤ MAX_REFINE_SWEEPS).
         for (var sweep = 0; sweep < MAX_REFINE_SWEEPS; sweep++) {
@@ -760,17 +1115,18 @@
     // LEAST valuable party. Rank: win% (SELECT_WIN_EPS-collapsed, since it saturates at strong gear),
     // then party effective ATK (which folds the champion's ATK/crit/crit-dmg auras — the differentiator
     // when everyone survives), then array order (stable sort). No shortage → array order, as before.
-    var seatTotal = state.parties.reduce(function (s, p) { return s + partyCap(p); }, 0);
-    var buildOrder = state.parties;
+    var seatTotal = openParties.reduce(function (s, p) { return s + partyCap(p) - pinsOf(p).length; }, kept.length);
+    var buildOrder = openParties;
     if (seatTotal > state.maxRoster) {
       var iso = {};
-      state.parties.forEach(function (p) {
+      openParties.forEach(function (p, pi) {
+        prog(0.1 * pi / openParties.length, "Ranking parties");
         // Collect every (el × tank) isolated build, then reduce order-independently: best win, and the
         // best ATK among the near-best-win builds (so the ATK tiebreak describes a build the party
         // would actually use, not a high-ATK build with a much worse win).
         var builds = [];
         barrierChoices.forEach(function (el) {
-          tanksByAtk.forEach(function (tankCn) {
+          tankChoices(p).forEach(function (tankCn) {
             var s2 = scoreOf(p, el, buildFor(p, el, tankCn));
             builds.push({ win: s2.win, atk: s2.atk }); // hard fails carry win 0 from scoreOf
           });
@@ -785,16 +1141,17 @@
         // EPS-wide bands, then ATK inside a band. Stable sort keeps array order on full ties.
         iso[p.id] = { band: Math.round(bw / SELECT_WIN_EPS), atk: ba };
       });
-      buildOrder = state.parties.slice().sort(function (a, b) {
+      buildOrder = openParties.slice().sort(function (a, b) {
         var d = iso[b.id].band - iso[a.id].band;
         return d !== 0 ? d : iso[b.id].atk - iso[a.id].atk;
       });
     }
-    buildOrder.forEach(function (p) {
+    buildOrder.forEach(function (p, bi) {
+      prog(0.1 + 0.45 * bi / buildOrder.length, "Building parties");
       if (heroes.length >= state.maxRoster) return;
       var best = null;
       barrierChoices.forEach(function (el) {
-        tanksByAtk.forEach(function (tankCn) {                                                   // try each tank — bulk/threat can beat raw ATK
+        tankChoices(p).forEach(function (tankCn) {                                               // try each tank — bulk/threat can beat raw ATK
           var slots = buildFor(p, el, tankCn);
           var sc = scoreOf(p, el, slots);
           // Selection priority: tier → champion alignment → (breadth: least-used barrier) → est. win% → ATK → margin.
@@ -815,17 +1172,31 @@
       var chosen = best ? (BREADTH_ON ? diversify(p, best.el, best.slots, best.sc.tier) : best.slots.slice()) : [];
       if (chosen.length) chosen = flexRefine(p, best.el, chosen); // sim pulls in bulky/flex picks; soft cap per objective
       for (var i = 0; i < chosen.length; i++) {
-        if (!mk(chosen[i], p.id)) break;
+        if (i >= pinsOf(p).length && !mk(chosen[i], p.id)) break; // pins are already seated
         var e = CLASS[chosen[i]] && CLASS[chosen[i]].element;
         if (e) elemCount[e] = (elemCount[e] || 0) + 1;
         counts[chosen[i]] = (counts[chosen[i]] || 0) + 1; // track for filter caps/min
       }
     });
+    prog(0.55, "Rebalancing parties");
     rebalanceRoster(); // second pass: redistribute strength across parties (lift the weakest), barrier-safe
+    prog(0.6, "Refining the roster");
     globalRefine();    // third pass: release-and-rebuild — new classes / tank changes / barrier re-assignment
+    prog(0.95, "Final polish");
     rebalanceRoster(); // final polish: pure swaps on the refined roster (cheap — memoized sim + early-out)
+    prog(1, "Done");
     state.heroes = heroes;
   }
+  // Soft feasibility check for Recommended: if the sum of all required class minimums can't fit in the
+  // roster cap, the minimums are mathematically unsatisfiable. Warn (don't block) — the greedy fill is
+  // best-effort, so the user understands why some minimums may go unmet in the result. "" = feasible.
+  function recommendMinWarning() {
+    var minSum = CATALOG.reduce(function (a, c) { return a + fMin(c.name); }, 0);
+    if (minSum <= state.maxRoster) return "";
+    return "Filter minimums require " + minSum + " heroes, but the roster cap (Max Roster) is " +
+      state.maxRoster + ". Those minimums can't all be met — raise Max Roster or lower the minimums. " +
+      "Building the best roster possible anyway.";
+  }
   // Class-average effective ATK (crit-boosted) — the figure the build optimizes on.
   function effClassAtk(cn) { return effAtkOf(classAvg(cn, "atk"), classAvg(cn, "crit"), critMultOf(cn)); }
   function addParty() {
@@ -834,68 +1205,229 @@
     state.parties.push({ id: max + 1, name: "Party " + (max + 1), champName: "" });
   }
   function delParty(id) {
-    state.heroes.forEach(function (h) { if (h.partyId === id) h.partyId = null; });
+    state.heroes.forEach(function (h) { if (h.partyId === id) { h.partyId = null; h.locked = false; } });
     state.parties = state.parties.filter(function (p) { return p.id !== id; });
   }
   function enforcePartyCap(id) {
     var p = null; state.parties.forEach(function (q) { if (q.id === id) p = q; });
     if (!p) return;
     var cap = partyCap(p), members = state.heroes.filter(function (h) { return h.partyId === id; });
-    for (var i = cap; i < members.length; i++) members[i].partyId = null; // bump overflow back to roster
+    members = members.filter(function (h) { return h.locked; }).concat(members.filter(function (h) { return !h.locked; })); // pinned heroes keep their seats
+    for (var i = cap; i < members.length; i++) { members[i].partyId = null; members[i].locked = false; } // bump overflow back to roster
   }
 
   /* ---------------- JSON (full party + hero state) ---------------- */
   function statOut(v) { return (v === null || v === undefined || v === "") ? null : (Number(v) || 0); }
   function toJSON() {
-    return JSON.stringify({
+    var o = {
+      schemaVersion: SCHEMA_VERSION,
       maxRoster: state.maxRoster,
-      champions: state.champions.map(function (c) { return { name: c.name, el: c.el, power: Number(c.power) || 0, hp: Number(c.hp) || 0, atk: Number(c.atk) || 0, def: Number(c.def) || 0, eva: Number(c.eva) || 0, crit: Number(c.crit) || 0, threat: Number(c.threat) || 0 }; }),
+      champions: state.champions.map(function (c) {
+        var oc = { name: c.name, el: c.el, power: Number(c.power) || 0, hp: Number(c.hp) || 0, atk: Number(c.atk) || 0, def: Number(c.def) || 0, eva: Number(c.eva) || 0, crit: Number(c.crit) || 0, threat: Number(c.threat) || 0 };
+        if (c.icon) oc.icon = c.icon;
+        return oc;
+      }),
       quality: state.quality,
       classStatsByQuality: state.classStatsByQuality,
       classOrder: state.classOrder,
       filters: state.filters,
       barriers: state.barriers.slice(),
       objective: state.objective,
+      zone: state.zone,
+      zones: state.zones,
       parties: state.parties.map(function (p) {
-        return { id: p.id, name: p.name, champName: p.champName || "" };
+        var op = { id: p.id, name: p.name, champName: p.champName || "" };
+        if (p.locked) op.locked = true;
+        if (p.busy && p.busy.length) op.busy = p.busy;
+        return op;
       }),
       heroes: state.heroes.map(function (h) {
-        return { id: h.id, name: h.name, className: h.className, partyId: h.partyId, roleOverride: h.roleOverride || null,
+        var o2 = { id: h.id, name: h.name, className: h.className, partyId: h.partyId, roleOverride: h.roleOverride || null,
           power: statOut(h.power), hp: statOut(h.hp), atk: statOut(h.atk), def: statOut(h.def), eva: statOut(h.eva), crit: statOut(h.crit), threat: statOut(h.threat), critDmg: statOut(h.critDmg) };
+        if (h.gear) o2.gear = h.gear;
+        if (h.locked && h.partyId) o2.locked = true;
+        if (h.busy && h.busy.length) o2.busy = h.busy;
+        return o2;
       })
-    }, null, 2);
+    };
+    // Gear keys only when used, so gear-less rosters (and their links / exports) look exactly as before.
+    if (gearCatalogSize()) o.gear = state.gear;
+    if (skillDefCount()) o.skills = state.skills;
+    if (state.catalog.classes.length) o.catalog = state.catalog;
+    return JSON.stringify(o, null, 2);
+  }
+  // Busy windows: finite times with until > from, oldest first; notes are short free text.
+  function normBusy(list) {
+    if (!Array.isArray(list)) return [];
+    return list.filter(function (w) {
+      return w && isFinite(Number(w.from)) && isFinite(Number(w.until)) && Number(w.until) > Number(w.from);
+    }).map(function (w) {
+      return { from: Number(w.from), until: Number(w.until), note: w.note == null ? "" : String(w.note).slice(0, 60) };
+    }).sort(function (a, b) { return a.from - b.from; });
+  }
+  // Saved-roster schema. toJSON stamps `schemaVersion`; loadJSON brings an older save up to date through
+  // MIGRATIONS (entry i takes version i → i+1, each touching only the legacy shape it names), checks it
+  // with validateRoster, and only then writes `state`. Saves from before versioning count as version 0:
+  // they run every step, and a step that finds the current shape already there changes nothing.
+  var SCHEMA_VERSION = 5;
+  var MIGRATIONS = [
+    // 0 → 1: one flat `classStats` table (= best gear) → per-tier tables, each tier seeded with it as a
+    // baseline so no tier reads empty (real per-tier numbers overwrite when quality-tagged data is pasted).
+    function (d) {
+      if (!d.classStatsByQuality && d.classStats && typeof d.classStats === "object") {
+        d.classStatsByQuality = {};
+        QUALITIES.forEach(function (q) { d.classStatsByQuality[q] = d.classStats; });
+      }
+      delete d.classStats;
+    },
+    // 1 → 2: champions lived on their party (`champEl` / `power`) → the champion pool. A save that names
+    // no champion at all gets the built-in pool.
+    function (d) {
+      if (!Array.isArray(d.champions)) {
+        var pool = [];
+        d.parties.forEach(function (p) {
+          if (p && p.champName && !pool.some(function (c) { return c.name === String(p.champName); })) {
+            pool.push({ name: String(p.champName), el: p.champEl ? String(p.champEl) : "none", power: Number(p.power) || 0, hp: 1000, atk: 10000, def: 10000, eva: 0, crit: 0, threat: 0 });
+          }
+        });
+        d.champions = pool.length ? pool : CHAMPION_POOL.map(function (c) { return { name: c.name, el: c.el, power: c.power, hp: 1000, atk: 10000, def: 10000, eva: 0, crit: 0, threat: 0 }; });
+      }
+      d.parties.forEach(function (p) { if (p) { delete p.champEl; delete p.power; } });
+    },
+    // 2 → 3: active barriers became player-set; before that every roster was T16 MZE (dark/light/earth).
+    function (d) { if (!Array.isArray(d.barriers)) d.barriers = DEFAULT_BARRIER_ELS.slice(); },
+    // 3 → 4: the "maxwin" objective was retired (Jun 2026) — those saves plan as Balanced.
+    function (d) { if (d.objective === "maxwin") d.objective = DEFAULT_OBJECTIVE; },
+    // 4 → 5: zones. A roster from before the zone picker is Meteor Zone Extreme.
+    function (d) { if (d.zone == null) d.zone = DEFAULT_ZONE; }
+  ];
+  // A load failure carrying every problem found: `problems` = readable lines, `message` = a one-line summary.
+  function rosterError(problems) {
+    var e = new Error(problems.length === 1 ? problems[0] : problems.length + " problems — " + problems.slice(0, 3).join("; ") + (problems.length > 3 ? "; …" : ""));
+    e.problems = problems;
+    return e;
+  }
+  // The readable report for a failed load (alerts use whitespace-pre-line, so one problem per line).
+  function loadErrorText(e, what) {
+    return (what || "That roster") + " couldn't be loaded" + (e.problems ? ":\n• " + e.problems.join("\n• ") : " — " + e.message) + "\n\nNothing was changed.";
+  }
+  // Parsed save → the same object at SCHEMA_VERSION. Throws on a non-roster or a save from a newer page.
+  function migrateRoster(d) {
+    if (!d || typeof d !== "object" || !Array.isArray(d.parties) || !Array.isArray(d.heroes)) throw rosterError(["Not a roster — the JSON needs 'parties' and 'heroes' lists"]);
+    var v = d.schemaVersion == null ? 0 : Number(d.schemaVersion);
+    if (!(v >= 0 && v % 1 === 0)) throw rosterError(["schemaVersion " + JSON.stringify(d.schemaVersion) + " isn't a version number"]);
+    if (v > SCHEMA_VERSION) throw rosterError(["Saved by a newer version of the builder (schema " + v + "; this page reads up to " + SCHEMA_VERSION + ") — reload the page to update"]);
+    for (; v < SCHEMA_VERSION; v++) MIGRATIONS[v](d);
+    d.schemaVersion = SCHEMA_VERSION;
+    return d;
+  }
+  // Current-schema save → the list of problems that would leave the roster inconsistent ([] = loadable):
+  // unknown classes, duplicate ids, heroes in a party that isn't there, parties over their cap, champions
+  // missing from the pool or leading two parties, non-numeric stats.
+  var HERO_STAT_KEYS = ["power", "hp", "atk", "def", "eva", "crit", "threat", "critDmg"];
+  function validateRoster(d) {
+    var out = [], classes = {}, champs = {}, leader = {}, parties = {}, heroes = {};
+    var isNum = function (v) { return (typeof v === "number" || (typeof v === "string" && v.trim() !== "")) && isFinite(Number(v)); };
+    BUILTIN_CATALOG.forEach(function (c) { classes[c.name] = true; });
+    normCatalog(d.catalog).classes.forEach(function (c) { classes[c.name] = true; });
+    if (d.champions != null && !Array.isArray(d.champions)) out.push("'champions' must be a list");
+    (Array.isArray(d.champions) ? d.champions : []).forEach(function (c, i) {
+      var n = c && c.name != null ? String(c.name) : "";
+      if (!n) out.push("Champion #" + (i + 1) + " has no name");
+      else if (champs[n]) out.push("Champion " + n + " is in the champion pool twice");
+      else champs[n] = true;
+    });
+    if (d.parties.length > MAX_PARTIES) out.push(d.parties.length + " parties — the builder holds " + MAX_PARTIES + " at most");
+    d.parties.forEach(function (p, i) {
+      if (!p || typeof p !== "object" || !isNum(p.id)) { out.push("Party #" + (i + 1) + " has no numeric id"); return; }
+      var id = Number(p.id), label = 'Party "' + (p.name || id) + '"';
+      if (parties[id]) { out.push("Two parties share id " + id + " (" + parties[id].label + " and " + label + ")"); return; }
+      parties[id] = { label: label, cap: partyCap(p), n: 0 };
+      if (!p.champName) return;
+      var cn = String(p.champName);
+      if (!champs[cn]) out.push(label + " is led by " + cn + ", who isn't in the champion pool");
+      else if (leader[cn]) out.push("Champion " + cn + " leads two parties (" + leader[cn] + " and " + label + ")");
+      else leader[cn] = label;
+    });
+    d.heroes.forEach(function (h, i) {
+      if (!h || typeof h !== "object" || !isNum(h.id)) { out.push("Hero #" + (i + 1) + " has no numeric id"); return; }
+      var id = Number(h.id), label = "Hero " + id + ' ("' + (h.name || h.className || "?") + '")';
+      if (heroes[id]) out.push("Two heroes share id " + id + " (" + heroes[id] + " and " + label + ")");
+      else heroes[id] = label;
+      if (!h.className) out.push(label + " has no class");
+      else if (!classes[h.className]) out.push(label + ' has unknown class "' + h.className + '"');
+      HERO_STAT_KEYS.forEach(function (k) {
+        if (h[k] != null && h[k] !== "" && !isNum(h[k])) out.push(label + ": " + k + " " + JSON.stringify(h[k]) + " isn't a number");
+      });
+      if (h.partyId == null) return;
+      var p = parties[Number(h.partyId)];
+      if (!p) out.push(label + " is in party " + h.partyId + ", which doesn't exist");
+      else p.n++;
+    });
+    Object.keys(parties).forEach(function (id) {
+      var p = parties[id];
+      if (p.n > p.cap) out.push(p.label + " has " + p.n + " heroes — its cap is " + p.cap + (p.cap === 3 ? " (the champion takes the 4th seat)" : ""));
+    });
+    return out;
   }
+  // Parse → migrate → validate, then apply. A parse error, a failed check or a throw mid-apply leaves the
+  // current roster exactly as it was.
   function loadJSON(str) {
-    var data = JSON.parse(str); // throws on malformed JSON
-    if (!data || !Array.isArray(data.parties) || !Array.isArray(data.heroes)) {
-      throw new Error("JSON must have 'parties' and 'heroes' arrays");
+    var data = checkedRoster(str);
+    // applyRoster replaces each state field wholesale, so a shallow copy is a full restore point.
+    var prev = {};
+    Object.keys(state).forEach(function (k) { prev[k] = state[k]; });
+    try { applyRoster(data); }
+    catch (e) {
+      Object.keys(prev).forEach(function (k) { state[k] = prev[k]; });
+      applyCatalog(state.catalog.classes); useQuality(state.quality); useZone(state.zone);
+      throw e;
     }
+  }
+  // Roster JSON text → the migrated roster object, or a throw (malformed JSON / rosterError).
+  function checkedRoster(str) {
+    var data = migrateRoster(JSON.parse(str)); // JSON.parse throws on malformed JSON
+    var problems = validateRoster(data);
+    if (problems.length) throw rosterError(problems);
+    return data;
+  }
+  // fn() run against a throwaway state built from `data` (a checkedRoster result) → its return value.
+  // The live `state` object is never written to: applyRoster fills a fresh one, and afterwards — throw or
+  // not — `state` and the globals applyRoster retargets (CATALOG / CLASS, MZE) point back at the live
+  // roster. Nothing here records history or touches the autosave.
+  function withRoster(data, fn) {
+    var live = state;
+    state = {};
+    try { applyRoster(data); return fn(); }
+    finally { state = live; applyCatalog(state.catalog.classes); useZone(state.zone); }
+  }
+  function applyRoster(data) {
     state.maxRoster = Math.min(MAX_ROSTER_CAP, Number(data.maxRoster) || DEFAULT_MAX_ROSTER);
-    // Champions: explicit pool if present, else migrate from legacy per-party champEl/power.
+    // Class catalog first — the class tables, order, filters and gear bases below are keyed by it.
+    state.catalog = normCatalog(data.catalog);
+    applyCatalog(state.catalog.classes);
+    // Champions (a pre-pool save was given one by MIGRATIONS).
     var cStat = function (v, def) { return (v === null || v === undefined || v === "") ? def : (Number(v) || 0); };
-    if (Array.isArray(data.champions)) {
-      state.champions = data.champions.map(function (c) {
-        return { name: String(c.name || ""), el: c.el ? String(c.el) : "none", power: Number(c.power) || 0,
-          hp: cStat(c.hp, 1000), atk: cStat(c.atk, 10000), def: cStat(c.def, 10000), eva: cStat(c.eva, 0), crit: cStat(c.crit, 0), threat: cStat(c.threat, 0) };
-      });
-    } else {
-      var pool = [];
-      data.parties.forEach(function (p) {
-        if (p.champName && !pool.some(function (c) { return c.name === p.champName; })) {
-          pool.push({ name: String(p.champName), el: p.champEl ? String(p.champEl) : "none", power: Number(p.power) || 0, hp: 1000, atk: 10000, def: 10000, eva: 0, crit: 0, threat: 0 });
-        }
-      });
-      state.champions = pool.length ? pool : CHAMPION_POOL.map(function (c) { return { name: c.name, el: c.el, power: c.power, hp: 1000, atk: 10000, def: 10000, eva: 0, crit: 0, threat: 0 }; });
-    }
+    state.champions = (data.champions || []).map(function (c) {
+      var oc = { name: String(c.name || ""), el: c.el ? String(c.el) : "none", power: Number(c.power) || 0,
+        hp: cStat(c.hp, 1000), atk: cStat(c.atk, 10000), def: cStat(c.def, 10000), eva: cStat(c.eva, 0), crit: cStat(c.crit, 0), threat: cStat(c.threat, 0) };
+      var ic = normIcon(c.icon);
+      if (ic) oc.icon = ic;
+      return oc;
+    });
     state.parties = data.parties.map(function (p) {
-      return {
+      var op = {
         id: Number(p.id),
         name: p.name == null ? "" : String(p.name),
         champName: p.champName == null ? "" : String(p.champName)
       };
+      if (p.locked === true) op.locked = true;
+      var pb = normBusy(p.busy);
+      if (pb.length) op.busy = pb;
+      return op;
     });
-    // classStats: build per-quality tables. New saves carry classStatsByQuality; legacy saves have a
-    // single flat classStats (= best gear) which we migrate into the Legendary tier.
+    // classStats: build per-quality tables from classStatsByQuality (a flat legacy table was spread over
+    // the tiers by MIGRATIONS); a class missing from a tier keeps the empty row.
     var byQ = {};
     QUALITIES.forEach(function (q) { byQ[q] = emptyClassTable(); });
     function fillTier(tier, src) {
@@ -911,10 +1443,6 @@
     }
     if (data.classStatsByQuality && typeof data.classStatsByQuality === "object") {
       QUALITIES.forEach(function (q) { fillTier(q, data.classStatsByQuality[q]); });
-    } else if (data.classStats && typeof data.classStats === "object") {
-      // Legacy flat defaults (= best gear). Seed every tier as a baseline so no tier reads empty;
-      // real per-tier numbers overwrite when quality-tagged data is pasted/uploaded.
-      QUALITIES.forEach(function (q) { fillTier(q, data.classStats); });
     }
     state.classStatsByQuality = byQ;
     useQuality(normalizeQuality(data.quality) || DEFAULT_QUALITY);
@@ -934,20 +1462,36 @@
       });
     }
     state.filters = f;
-    // Active barriers: keep only valid elements; default to dark/light/earth for older saves (no `barriers`).
+    // Active barriers: keep only valid elements (a file without the key gets the T16 default).
     state.barriers = Array.isArray(data.barriers)
       ? data.barriers.filter(function (e) { return COVERAGE_ELS.indexOf(e) >= 0; })
       : DEFAULT_BARRIER_ELS.slice();
     state.objective = OBJECTIVES[data.objective] ? data.objective : DEFAULT_OBJECTIVE;
+    // Zones: custom zones (ids must not shadow a preset or repeat), then the active zone (an unknown id
+    // falls back to Meteor Zone Extreme).
+    var seenZ = {};
+    state.zones = (Array.isArray(data.zones) ? data.zones : []).filter(function (z) {
+      var zid = z && z.id != null ? String(z.id) : "";
+      if (!zid || isPresetZone(zid) || seenZ[zid]) return false;
+      seenZ[zid] = true; return true;
+    }).map(function (z) { return sanitizeZone(z, String(z.id)); });
+    useZone(zoneById(String(data.zone)) ? String(data.zone) : DEFAULT_ZONE);
+    state.gear = normGearCatalog(data.gear);
+    state.skills = normSkillDefs(data.skills);
     state.heroes = data.heroes.map(function (h) {
-      return {
+      var oh = {
         id: Number(h.id),
         name: h.name == null ? "" : String(h.name),
-        className: h.className ? String(h.className) : CATALOG[0].name,
+        className: String(h.className),
         partyId: h.partyId == null ? null : Number(h.partyId),
         roleOverride: (h.roleOverride === "tank" || h.roleOverride === "dps") ? h.roleOverride : null,
-        power: statOut(h.power), hp: statOut(h.hp), atk: statOut(h.atk), def: statOut(h.def), eva: statOut(h.eva), crit: statOut(h.crit), threat: statOut(h.threat), critDmg: statOut(h.critDmg)
+        power: statOut(h.power), hp: statOut(h.hp), atk: statOut(h.atk), def: statOut(h.def), eva: statOut(h.eva), crit: statOut(h.crit), threat: statOut(h.threat), critDmg: statOut(h.critDmg),
+        gear: normHeroGear(h.gear),
+        locked: h.locked === true && h.partyId != null
       };
+      var hb = normBusy(h.busy);
+      if (hb.length) oh.busy = hb;
+      return oh;
     });
   }
 
@@ -1010,10 +1554,10 @@
     missing.forEach(function (e) { issues.push("no " + e); });
     if (tanks.length === 0) issues.push("no tank");
     // Border: bright green when any barrier (dark/light/earth) hits the target, else default gold.
-    var ready = bar.some(function (b) { return b.power >= BARRIER_POWER_TARGET; });
+    var ready = bar.some(function (b) { return b.power >= MZE.barrier; });
     var color = ready ? "#27E056" : "#C49415";
     var verdict = !issues.length
-      ? (onlyViaAll ? "Ready — a barrier rides on a half-power All cover" : "Ready for Meteor Zone")
+      ? (onlyViaAll ? "Ready — a barrier rides on a half-power All cover" : "Ready for " + activeZone().name)
       : issues.join(" · ") + (tanks.length === 0 && !missing.length ? " (champion may anchor)" : "");
     return { members: members, bar: bar, elements: elements, color: color, verdict: verdict };
   }
@@ -1039,10 +1583,11 @@
     Donovan: "donovan.webp", Rudo: "rudo.webp", Polonia: "polonia.webp",
     Ashley: "ashley.webp"
   };
+  function champImgSrc(name) { var c = getChampion(name); return c && c.icon ? c.icon : CHAMP_IMG[name] ? IMG_DIR + CHAMP_IMG[name] : ""; }
   function champIcon(name) {
-    var f = CHAMP_IMG[name];
+    var f = champImgSrc(name);
     return f
-      ? '<img src="' + escA(IMG_DIR + f) + '" alt="' + escA(name) + '" class="w-7 h-7 rounded-md object-cover shrink-0" onerror="this.style.display=\'none\'">'
+      ? '<img src="' + escA(f) + '" alt="' + escA(name) + '" class="w-7 h-7 rounded-md object-cover shrink-0" onerror="this.style.display=\'none\'">'
       : '<span class="text-base shrink-0">★</span>';
   }
   // Champion <select> options for a party: "None" + champions not used by other parties.
@@ -1059,15 +1604,18 @@
   // Class name -> icon file: icon_global_class_<lowercased, no spaces>_128.webp,
   // with overrides for classes whose icon filename differs from the name.
   var CLASS_ICON = { Grandmaster: "mastermonk", Fateweaver: "timekeeper" };
-  function classIcon(cn, sizeClass) {
+  function classImgSrc(cn) {
     var slug = CLASS_ICON[cn] || String(cn).toLowerCase().replace(/\s+/g, "");
-    var file = IMG_DIR + "icon_global_class_" + slug + "_128.webp";
+    return CLASS[cn] && CLASS[cn].icon ? CLASS[cn].icon : IMG_DIR + "icon_global_class_" + slug + "_128.webp";
+  }
+  function classIcon(cn, sizeClass) {
+    var file = classImgSrc(cn);
     return '<img src="' + escA(file) + '" alt="' + escA(cn) + '" class="' + (sizeClass || "w-5 h-5") + ' shrink-0 object-contain" onerror="this.style.display=\'none\'">';
   }
   // Barrier element -> icon file: icon_global_barrier_<element>.png (6 elements); "all" → any.png.
+  function barrierImgSrc(el) { return IMG_DIR + (el === "all" ? "any.png" : "icon_global_barrier_" + el + ".png"); }
   function barrierIcon(el, sizeClass) {
-    var file = el === "all" ? "any.png" : "icon_global_barrier_" + el + ".png";
-    return '<img src="' + IMG_DIR + file + '" alt="' + escA(el) + '" class="' + (sizeClass || "w-4 h-4") + ' shrink-0 object-contain inline-block align-middle" onerror="this.style.display=\'none\'">';
+    return '<img src="' + barrierImgSrc(el) + '" alt="' + escA(el) + '" class="' + (sizeClass || "w-4 h-4") + ' shrink-0 object-contain inline-block align-middle" onerror="this.style.display=\'none\'">';
   }
   // Yellow ⓘ info marker — click opens a popover with `text` (delegated handler below).
   function infoBadge(text) {
@@ -1113,13 +1661,52 @@
   var GHOST_X = "bg-transparent border-none text-textSecondary hover:text-textPrimary cursor-pointer text-base leading-none";
 
   /* ---------------- view ---------------- */
+  // Zone picker. Built-in zones show read-only numbers; custom zones (New = copy of the active one)
+  // get an editor — fields commit on change (not per keystroke) so half-typed numbers don't re-grade.
+  var ZONE_FIELDS = [
+    ["bossHP", "Boss HP", 1], ["roundCap", "Round cap", 1], ["baseHit", "Hit", 1], ["aoeHit", "AoE hit", 1],
+    ["critHit", "Crit hit", 1], ["critChance", "Crit %", 100], ["aoeChance", "AoE %", 100], ["barrier", "Barrier", 1],
+    ["evaPenalty", "Evade debuff", 1], ["evaCapDefault", "Dodge cap %", 1],
+    ["critPerNegEva", "Crit %/neg EVA", 100], ["allBarrierFactor", "All-elem barrier ×", 1]
+  ];
   function viewZone() {
+    var z = activeZone(), custom = !isPresetZone(z.id);
+    var inp = "w-full bg-hoverBg border border-borderc rounded px-1.5 py-0.5 text-textPrimary text-xs outline-none focus:border-accent";
+    var body;
+    if (custom) {
+      body = '<div class="grid grid-cols-2 gap-x-3 gap-y-1 w-full text-left">' +
+        '<label class="col-span-2 text-[10px] uppercase tracking-wider text-textSecondary">Name<input data-action="zone-field" data-field="name" data-k="zone-name" value="' + escA(z.name) + '" class="' + inp + '"></label>' +
+        '<label class="col-span-2 text-[10px] uppercase tracking-wider text-textSecondary">Difficulty<input data-action="zone-field" data-field="difficulty" data-k="zone-difficulty" value="' + escA(z.difficulty) + '" class="' + inp + '"></label>' +
+        ZONE_FIELDS.map(function (f) {
+          return '<label class="text-[10px] uppercase tracking-wider text-textSecondary">' + f[1] +
+            '<input data-action="zone-field" data-field="' + f[0] + '" data-k="zone-' + f[0] + '" inputmode="decimal" value="' + Math.round(MZE[f[0]] * f[2] * 10000) / 10000 + '" class="' + inp + ' text-right"></label>';
+        }).join("") +
+        '<label class="col-span-2 text-[10px] uppercase tracking-wider text-textSecondary" title="DEF where the damage multiplier reaches 0.5x / 0.3x / 0.25x">DEF caps' +
+          '<span class="flex gap-1">' + z.defCaps.map(function (c, i) {
+            return '<input data-action="zone-field" data-field="defCaps" data-i="' + i + '" data-k="zone-def-' + i + '" inputmode="numeric" value="' + c + '" class="' + inp + ' text-right">';
+          }).join("") + '</span></label>' +
+        '<label class="col-span-2 text-[10px] uppercase tracking-wider text-textSecondary" title="Optional: [[{name, hp, baseHit, aoeHit, aoeChance, critHit, critChance}, …], …] — one array per wave. Blank = one boss from the numbers above.">Waves (JSON)' +
+          '<textarea data-action="zone-field" data-field="waves" data-k="zone-waves" rows="3" spellcheck="false" placeholder="blank = single boss" class="' + inp + ' font-mono normal-case tracking-normal">' + escH(z.waves ? JSON.stringify(z.waves) : "") + '</textarea></label>' +
+      '</div>';
+    } else {
+      body = (z.id === "mze" ? '<img src="' + IMG_DIR + '{0A2CFD1F-2672-41FB-BEE7-C86C7810327B}.png" alt="Meteor Zone stats" class="max-w-[200px] w-full h-auto" onerror="this.style.display=\'none\'">' : "") +
+        '<div class="text-[11px] text-textSecondary leading-relaxed">' + compactNum(z.bossHP) + ' HP · hit ' + z.baseHit + ' / AoE ' + z.aoeHit + ' (' + Math.round(z.aoeChance * 1000) / 10 + '%) · crit ' + z.critHit +
+          '<br>barrier ' + z.barrier + ' · evade −' + z.evaPenalty + ' · dodge cap ' + z.evaCapDefault + '% · ' + z.roundCap + '-round cap' +
+          '<br>house rules: crit +' + Math.round(MZE.critPerNegEva * 10000) / 100 + '%/neg EVA · all-element barrier ×' + MZE.allBarrierFactor +
+          (z.waves ? '<br>' + z.waves.length + ' wave' + (z.waves.length === 1 ? "" : "s") + ': ' + escH(z.waves.map(function (wv) { return wv.map(function (m) { return m.name + " " + compactNum(m.hp); }).join(" + "); }).join(" → ")) : "") + '</div>';
+    }
     return '<section class="bg-surface border-2 border-[#FFC11B] rounded-2xl p-6 flex flex-col items-center gap-2 text-center">' +
-      '<div class="flex items-center gap-2">' +
-        '<img src="' + IMG_DIR + 'icon_global_questarea_space_small.png" alt="Meteor Zone" class="w-8 h-8 object-contain">' +
-        '<span class="font-bold text-sm">Meteor Zone</span>' +
+      '<div class="flex items-center gap-2 w-full justify-center">' +
+        '<img src="' + IMG_DIR + 'icon_global_questarea_space_small.png" alt="Zone" class="w-8 h-8 object-contain">' +
+        '<select data-action="select-zone" title="Quest zone — the grade, the sim and the optimizers use its boss numbers" class="bg-hoverBg border border-borderc rounded px-1.5 py-0.5 text-textPrimary text-sm font-bold outline-none focus:border-accent max-w-[200px]">' +
+          allZones().map(function (o) { return '<option value="' + escA(o.id) + '"' + (o.id === z.id ? " selected" : "") + '>' + escH(zoneLabel(o)) + '</option>'; }).join("") +
+        '</select>' +
+      '</div>' +
+      body +
+      '<div class="flex gap-2">' +
+        '<button type="button" data-action="zone-new" class="btn-white text-xs px-2 py-1" title="Copy the active zone into a new, editable custom zone">New</button>' +
+        (custom ? '<button type="button" data-action="zone-del" class="btn-red text-xs px-2 py-1" title="Delete this custom zone">Delete</button>' : "") +
       '</div>' +
-      '<img src="' + IMG_DIR + '{0A2CFD1F-2672-41FB-BEE7-C86C7810327B}.png" alt="Meteor Zone stats" class="max-w-[200px] w-full h-auto" onerror="this.style.display=\'none\'">' +
     '</section>';
   }
   function viewAddRoster() {
@@ -1137,9 +1724,9 @@
             '<input data-action="max-roster" data-k="max-roster" value="' + state.maxRoster + '" inputmode="numeric" title="Roster capacity (max ' + MAX_ROSTER_CAP + ')" class="w-12 bg-hoverBg border border-borderc rounded px-1 py-0.5 text-textPrimary text-xs text-right outline-none focus:border-accent"></div>' +
         '</div>' +
       '</div>' +
-      ["Fighter", "Rogue", "Spellcaster"].map(function (grp) {
+      CLASS_GROUPS.map(function (grp) {
         return '<div class="flex flex-wrap gap-2">' +
-          CATALOG.filter(function (c) { return c.group === grp; }).map(function (c) {
+          CATALOG.filter(function (c) { return c.group === grp && !c.retired; }).map(function (c) {
             return '<button type="button" data-action="add-hero" data-class="' + escA(c.name) + '" title="Add ' + escA(c.name) + ' to roster" ' +
               'class="flex flex-col items-center gap-0.5 w-24 p-1 rounded-lg border border-borderc bg-surface hover:bg-hoverBg hover:border-accent transition">' +
               classIcon(c.name, "w-8 h-8") +
@@ -1151,8 +1738,39 @@
     '</section>';
   }
 
+  // Padlock toggle for a party header or a party slot (unlocked ones stay faint until hovered).
+  function lockBtn(action, id, on, title) {
+    return '<button class="bg-transparent border-none cursor-pointer p-0 leading-none shrink-0 text-sm transition ' + (on ? "opacity-100" : "opacity-30 hover:opacity-80") + '" data-action="' + action + '" data-id="' + id + '" title="' + escA(title) + '" aria-pressed="' + (on ? "true" : "false") + '">' + (on ? "🔒" : "🔓") + '</button>';
+  }
+  // Schedule readouts. `data-until` spans count down in place (see the schedule ticker), so a waiting
+  // party doesn't need a re-render every minute.
+  function fmtIn(ms) {
+    var m = Math.max(0, Math.ceil(ms / 60000));
+    if (m < 60) return m + "m";
+    var h = Math.floor(m / 60);
+    return h < 48 ? h + "h " + (m % 60 < 10 ? "0" : "") + (m % 60) + "m" : Math.floor(h / 24) + "d " + (h % 24) + "h";
+  }
+  function untilSpan(t, now) { return '<span data-until="' + t + '" title="' + escA(fmtWhen(t)) + '">' + (t > now ? "in " + fmtIn(t - now) : "now") + '</span>'; }
+  function busyMark(h, now) {
+    var w = busyAt(h, now);
+    return w ? '<span class="shrink-0 text-xs" title="' + escA("Busy until " + fmtWhen(freeFrom(h, now)) + (w.note ? " — " + w.note : "")) + '">⏳</span>' : "";
+  }
+  function partySchedLine(p, now) {
+    var w = busyAt(p, now), txt, col;
+    if (w) { txt = "⏳ Away" + (w.note ? " (" + escH(w.note) + ")" : "") + " — back " + untilSpan(freeFrom(p, now), now); col = COL.amber; }
+    else {
+      var waits = state.heroes.filter(function (h) { return h.partyId === p.id && busyAt(h, now); });
+      if (waits.length) {
+        var t = Math.max.apply(null, waits.map(function (h) { return freeFrom(h, now); }));
+        txt = "⏳ Waiting on " + escH(waits.map(function (h) { return h.name || h.className; }).join(", ")) + " — ready " + untilSpan(t, now); col = COL.amber;
+      }
+      else if (!partyFull(p)) { txt = "Empty seat — can't be sent yet"; col = COL.muted; }
+      else { txt = "✓ Ready to send"; col = COL.emerald; }
+    }
+    return '<div class="text-xs font-semibold mb-2" style="color:' + col + '">' + txt + '</div>';
+  }
   function viewParty(p) {
-    var r = evalParty(p);
+    var r = evalParty(p), now = Date.now(), sched = hasSchedule();
     var badges = r.elements.map(function (b) {
       var col = b.barrier
         ? (!b.ok ? COL.rose : (b.power > 0 ? COL.emerald : COL.amber))
@@ -1167,9 +1785,10 @@
       if (!h) { slots += '<div class="text-xs text-textSecondary italic py-1 pl-1">empty slot</div>'; continue; }
       var slotLabel = (h.name ? escH(h.name) + ' ' : '') + belowDefaultMark(h) + ' ' +
         '<span class="text-textSecondary">(' + escH(h.className) + ')</span>';
-      slots += '<div class="flex items-center gap-2 py-1">' + classIcon(h.className) + barrierIcon(elOf(h.className)) +
-        '<span class="flex-1 text-sm">' + slotLabel + '</span>' +
+      slots += '<div class="flex items-center gap-2 py-1' + (busyAt(h, now) ? " opacity-60" : "") + '">' + classIcon(h.className) + barrierIcon(elOf(h.className)) +
+        '<span class="flex-1 text-sm">' + slotLabel + '</span>' + busyMark(h, now) +
         statBadges(h) +
+        (p.locked ? "" : lockBtn("lock-hero", h.id, h.locked, h.locked ? "Pinned to this party — Auto Sort, Top-up and Recommended build around it. Click to unpin." : "Pin this hero to this party")) +
         '<button class="' + GHOST_X + '" data-action="unassign" data-id="' + h.id + '">×</button></div>';
     }
 
@@ -1177,14 +1796,18 @@
     return '<div data-party-id="' + p.id + '" class="bg-surface border-2 border-borderc rounded-xl p-3 transition" style="border-color:' + r.color + '">' +
       '<div class="flex items-center gap-2 mb-1">' + gradeImg(p) + gradePct(p) +
         '<input class="flex-1 min-w-0 bg-transparent border-none outline-none font-bold text-base text-textPrimary" value="' + escA(p.name) + '" data-action="text" data-target="party" data-id="' + p.id + '" data-field="name" data-k="party-' + p.id + '-name">' +
+        lockBtn("lock-party", p.id, p.locked, p.locked ? "Locked as done — Auto Sort, Top-up and Recommended leave this party as it is. Click to unlock." : "Lock this party as done") +
+        '<button class="bg-transparent border-none cursor-pointer p-0 leading-none shrink-0 text-sm transition ' + (busyAt(p, now) ? "opacity-100" : "opacity-30 hover:opacity-80") + '" data-action="sched-open" data-id="' + p.id + '" title="Schedule — mark this party away on a quest">🕒</button>' +
         '<button class="bg-transparent border-none cursor-pointer p-0 leading-none shrink-0 text-base opacity-70 hover:opacity-100 transition" data-sim-pid="' + p.id + '" title="Simulate combat — watch a sample fight">⚔️</button>' +
+        '<button class="bg-transparent border-none cursor-pointer p-0 leading-none shrink-0 text-base opacity-70 hover:opacity-100 transition" data-stats-pid="' + p.id + '" title="Fight stats — why this party wins or loses, over ' + SIM.statsTrials.toLocaleString() + ' fights">📊</button>' +
         '<button class="bg-transparent border-none cursor-pointer p-0 leading-none shrink-0 opacity-70 hover:opacity-100 transition" data-action="del-party" data-id="' + p.id + '" title="Delete party"><img src="' + IMG_DIR + 'cancel.png" alt="Delete party" class="w-5 h-5 object-contain" onerror="this.outerHTML=\'×\'"></button>' +
       '</div>' +
       '<div class="flex flex-wrap gap-1.5 mb-2">' + badges + '</div>' +
+      (sched ? partySchedLine(p, now) : "") +
       '<div class="flex gap-2 items-center bg-hoverBg rounded-lg px-2.5 py-2 mb-2">' + champIcon(p.champName) +
         '<select class="' + FIELD + ' flex-1 min-w-0 font-bold text-sm" data-action="select-champ" data-id="' + p.id + '">' + champOptions(p) + '</select>' +
-        (p.champName && CHAMPION_SKILLS[p.champName]
-          ? infoBadge(CHAMPION_SKILLS[p.champName].text + (CHAMPION_SKILLS[p.champName].sim ? "  —  conditional parts pending the sim" : ""))
+        (p.champName && skillInfoText("champions", p.champName)
+          ? infoBadge(skillInfoText("champions", p.champName))
           : '') +
         (p.champName
           ? '<span class="inline-flex items-center gap-1 text-xs font-bold capitalize shrink-0" style="color:' + EL_COLOR[champEl] + '">' + barrierIcon(champEl) + ' ' + champEl + '</span>'
@@ -1195,14 +1818,14 @@
   }
 
   function viewRoster() {
-    var pool = state.heroes.filter(function (h) { return !h.partyId; });
+    var pool = state.heroes.filter(function (h) { return !h.partyId; }), now = Date.now();
     var rows = pool.map(function (h) {
       var c = CLASS[h.className];
       return '<div draggable="true" data-hero-id="' + h.id + '" class="flex items-center gap-2 bg-[#5c2f46] border-2 border-borderc rounded-xl px-2.5 py-1.5 cursor-move">' +
         '<span class="text-white/60 select-none leading-none" title="Drag onto a party">⠿</span>' +
         classIcon(h.className) + barrierIcon(c ? c.element : "none") +
         '<input draggable="false" class="w-[170px] shrink-0 bg-[#814463] rounded px-2 py-1 border-none outline-none text-sm text-white placeholder:text-white/60" placeholder="' + escA(h.className) + '" value="' + escA(h.name) + '" data-action="text" data-target="hero" data-id="' + h.id + '" data-field="name" data-k="hero-' + h.id + '-name">' +
-        '<span class="text-xs font-bold whitespace-nowrap text-white">' + escH(h.className) + '</span>' + statBadges(h) +
+        '<span class="text-xs font-bold whitespace-nowrap text-white">' + escH(h.className) + '</span>' + statBadges(h) + busyMark(h, now) +
         '<button class="bg-transparent border-none text-white/70 hover:text-white cursor-pointer text-base leading-none" data-action="del-hero" data-id="' + h.id + '">×</button></div>';
     }).join("");
 
@@ -1212,11 +1835,27 @@
 
   // Persistent "what changed" message shown in the update bar above the party section.
   var lastUpdate = "";
-  function setUpdate(msg) { lastUpdate = msg; }
+  var _histOpen = false; // history list expanded under the update bar
+  function setUpdate(msg) { lastUpdate = msg; histRecord(msg); } // every labelled action is also an undo step
   function heroLabel(id) { var h = null; state.heroes.forEach(function (x) { if (x.id === id) h = x; }); return h ? (h.name || h.className) : "hero"; }
   function heroPartyId(id) { var pid = null; state.heroes.forEach(function (x) { if (x.id === id) pid = x.partyId; }); return pid; }
   function partyLabel(id) { var p = null; state.parties.forEach(function (q) { if (q.id === id) p = q; }); return p && p.name ? p.name : "party"; }
 
+  var HIST_BTN = "btn-white text-[10px] px-2 py-0.5 shrink-0 disabled:opacity-40 disabled:cursor-default";
+  // Newest first; steps past the current one are undone (Redo / click brings them back).
+  function viewHistory() {
+    var rows = [];
+    for (var i = _hist.length - 1; i >= 0; i--) {
+      var cur = i === _histAt, undone = i > _histAt;
+      rows.push('<button type="button" data-action="hist-go" data-i="' + i + '" class="w-full flex items-center gap-2 text-left px-2 py-1 rounded text-xs ' +
+        (cur ? "bg-hoverBg text-textPrimary font-semibold" : undone ? "text-textSecondary italic hover:bg-hoverBg" : "text-textPrimary hover:bg-hoverBg") + '">' +
+        '<span class="w-3 shrink-0 text-accent">' + (cur ? "●" : "") + '</span>' +
+        '<span class="flex-1 min-w-0 truncate">' + escH(_hist[i].label) + '</span>' +
+        '<span class="font-mono text-[10px] text-textSecondary shrink-0">' + new Date(_hist[i].at).toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit", second: "2-digit" }) + '</span></button>');
+    }
+    return '<div class="bg-surface border-2 border-borderc rounded-lg p-1 max-h-56 overflow-y-auto">' + rows.join("") + '</div>';
+  }
+
   function view() {
     var addCard = state.parties.length < MAX_PARTIES
       ? '<button type="button" data-action="add-party" class="flex items-center justify-center min-h-[90px] rounded-xl border-2 border-dashed border-borderc bg-surface/40 text-textSecondary hover:text-textPrimary hover:border-accent transition text-sm font-semibold">+ Add Party</button>'
@@ -1231,9 +1870,13 @@
       '<p class="text-[10px] text-textSecondary leading-snug"><b>Auto Sort</b> rearranges your current heroes. <b>Top-up Roster</b> fills your roster to capacity with the best complementary heroes (keeps current). <b>Recommended</b> builds the ideal aspirational roster from class averages (replaces everyone). <b>Clear</b> wipes all heroes.</p>' +
     '</div>';
     var updateBar = '<div class="bg-surface border-2 border-borderc rounded-lg px-3 py-1.5 flex items-center gap-2 text-xs">' +
-      '<span class="font-semibold uppercase tracking-wider text-[10px] text-textSecondary shrink-0">Latest</span>' +
+      guildBadge() + '<span class="font-semibold uppercase tracking-wider text-[10px] text-textSecondary shrink-0">Latest</span>' +
       '<span class="flex-1 min-w-0 truncate ' + (lastUpdate ? "text-textPrimary" : "text-textSecondary italic") + '">' +
-        escH(lastUpdate || "All Default heroes are pre-populated with assumed T15 BIS gear/skills.  Zone is set to T16 (Meteor Zone).") + '</span></div>';
+        escH(lastUpdate || "All Default heroes are pre-populated with assumed T15 BIS gear/skills.  Zone is set to " + zoneLabel(activeZone()) + ".") + '</span>' +
+      '<button type="button" data-action="undo" title="Undo' + (_histAt > 0 ? ": " + escA(_hist[_histAt].label) : "") + ' (Ctrl+Z)" class="' + HIST_BTN + '"' + (_histAt > 0 ? "" : " disabled") + '>↶ Undo</button>' +
+      '<button type="button" data-action="redo" title="Redo' + (_histAt < _hist.length - 1 ? ": " + escA(_hist[_histAt + 1].label) : "") + ' (Ctrl+Shift+Z)" class="' + HIST_BTN + '"' + (_histAt < _hist.length - 1 ? "" : " disabled") + '>↷ Redo</button>' +
+      '<button type="button" data-action="hist-toggle" class="' + HIST_BTN + '">History ' + (_histOpen ? "▴" : "▾") + '</button></div>' +
+      (_histOpen ? viewHistory() : "");
     return '' +
       '<div class="grid grid-cols-1 lg:grid-cols-[76fr_24fr] gap-4 items-start">' +
         '<div>' + viewRoster() + '</div>' + autoSortCol +
@@ -1248,7 +1891,27 @@
       '</div>';
   }
 
+  /* ---------------- sim engine constants ---------------- */
+  // Top-level engine state lives ABOVE the DOM guard below: the worker build (see "sim worker pool")
+  // stops at that guard, so anything simulateFight / scoreOf read must already be initialized.
+  // Sim tuning (SIM) + grade bands live with the engine; ENGINE is bound to the live zone table and the
+  // roster's custom skills, so the grade, the optimizer and the workers all fight the same fight.
+  var SIM = RE.SIM, WIN_BANDS = RE.WIN_BANDS, GRADE_LETTERS = RE.GRADE_LETTERS, winTier = RE.winTier;
+  var ENGINE = RE.create({ zone: MZE, customSkill: customSkill });
+  var mzeDefMult = ENGINE.mzeDefMult, survStats = ENGINE.survStats, poissonTailGE = ENGINE.poissonTailGE, winChance = ENGINE.winChance;
+  var simulateFight = ENGINE.simulateFight, simWinChance = ENGINE.simWinChance, fightStats = ENGINE.fightStats, simUnitLabels = ENGINE.simUnitLabels;
+  var _simCache = {};       // displayed-grade sim (per exact composition, partySig)
+  var _simScoreCache = {};  // optimizer sim (per champion + sorted slots + saves + tier, see scoreOf)
+  // Best use of my roster (bestUseOfRoster — a "bestuse" job): refine swaps must beat OWN_WIN_EPS;
+  // recruits must add RECRUIT_MIN_GAIN party-win points each, at most MAX_RECRUITS of them.
+  var OWN_WIN_EPS = 0.02, OWN_MAX_SWEEPS = 4, RECRUIT_MIN_GAIN = 0.03, MAX_RECRUITS = 8;
+  var PLAN_MIN_GAIN = 0.03, PLAN_MAX_BUDGET = 10; // planUpgrades ("plan" job): min gain = party-win points per budget step, as for recruits
+  var GUILD_CLEAR = ["S", "A", "B"]; // a party "clears" at B or better (guildSnapshot — a "guild" job)
+
   /* ---------------- render w/ caret restore ---------------- */
+  // No DOM = we're running as a sim worker (same file): serve jobs instead of building the UI.
+  if (typeof document === "undefined") { if (typeof importScripts === "function") workerMain(); return; }
+  var SELF_SRC = document.currentScript ? document.currentScript.src : ""; // this file's URL = the worker script
   var app = document.getElementById("app");
   if (!app) return;
 
@@ -1271,14 +1934,131 @@
     if (healthPanel && !healthPanel.classList.contains("translate-x-full")) buildRosterHealth();
     if (statsPanel && !statsPanel.classList.contains("translate-x-full")) buildStatsPanel();
     if (defaultsPanel && !defaultsPanel.classList.contains("translate-x-full")) buildDefaultsPanel();
+    if (fightPanel && !fightPanel.classList.contains("translate-x-full")) buildFightPanel();
+    if (gearPanel && !gearPanel.classList.contains("translate-x-full")) buildGearPanel();
+    if (catalogPanel && !catalogPanel.classList.contains("translate-x-full")) buildCatalogPanel();
+    if (importPanel && !importPanel.classList.contains("translate-x-full")) buildImportPanel();
+    if (schedPanel && !schedPanel.classList.contains("translate-x-full")) buildSchedPanel();
+    if (calibPanel && !calibPanel.classList.contains("translate-x-full")) buildCalibPanel();
   }
 
   /* ---------------- events (delegated) ---------------- */
+  // Recommended runs as a pool job (off the main thread when workers exist): the confirm overlay shows
+  // streamed progress, Cancel terminates the job, and the roster is only replaced when it finishes.
+  var _recoJob = null;
+  function runRecommended() {
+    var modeEl = document.querySelector('input[name="recoMode"]:checked');
+    if (modeEl && modeEl.value === "owned") { runBestUse(); return; }
+    var warn = recommendMinWarning();
+    confirmProgress(0, "Starting");
+    // Without workers the build blocks the page; yield a frame first so the overlay paints.
+    var t = setTimeout(function () {
+      var done = false;
+      var job = poolRun({ type: "recommend", json: toJSON() }, function (m) {
+        if (m.type === "progress") { confirmProgress(m.frac, m.label); return; }
+        done = true; _recoJob = null;
+        state.heroes = m.heroes;
+        closeConfirm();
+        // Roster cap < total party seats → one party is inevitably left short (graded D). The build
+        // now parks the shortage on the LEAST valuable party — tell the player how to fill every seat.
+        var seats = state.parties.reduce(function (s, p) { return s + partyCap(p); }, 0);
+        var capNote = "";
+        if (seats > state.maxRoster) {
+          capNote = seats <= MAX_ROSTER_CAP
+            ? " Note: " + state.parties.length + " parties need " + seats + " heroes but Max Roster is " + state.maxRoster + " — the least-valuable party was left short (raise Max Roster to " + seats + " to fill every party)."
+            : " Note: " + state.parties.length + " parties need " + seats + " heroes but the roster tops out at " + MAX_ROSTER_CAP + " — even at max capacity some parties stay short (remove a party to fill the rest).";
+        }
+        var kept = state.heroes.filter(heroFixed).length;
+        setUpdate("Recommended — built the ideal roster (" + state.heroes.length + " heroes" + (kept ? ", " + kept + " locked kept" : "") + ")." + capNote);
+        render();
+        if (warn) showAlert(warn);
+      });
+      if (!done) _recoJob = job;
+    }, 30);
+    _recoJob = { cancel: function () { clearTimeout(t); } };
+  }
+  // Best use of my roster: same job/progress/cancel flow, but the heroes come back rearranged (never
+  // replaced) and the suggested recruits open in a follow-up dialog that can hire them in one go.
+  function runBestUse() {
+    confirmProgress(0, "Starting");
+    var t = setTimeout(function () {
+      var done = false;
+      var job = poolRun({ type: "bestuse", json: toJSON() }, function (m) {
+        if (m.type === "progress") { confirmProgress(m.frac, m.label); return; }
+        done = true; _recoJob = null;
+        state.heroes = m.heroes;
+        closeConfirm();
+        setUpdate("Best use of my roster — rearranged your " + state.heroes.length + " heroes; composite ~" + Math.round(m.before * 100) + "% → ~" + Math.round(m.after * 100) + "%.");
+        render();
+        showRecruits(m.recruits, m.after);
+      });
+      if (!done) _recoJob = job;
+    }, 30);
+    _recoJob = { cancel: function () { clearTimeout(t); } };
+  }
+  function showRecruits(recruits, base) {
+    if (!recruits.length) { showAlert("Your heroes are already well used — no single recruit raises the composite by more than sim noise."); return; }
+    var room = state.maxRoster - state.heroes.length, total = base;
+    var rows = recruits.map(function (r, i) {
+      var p = partyOf(r.partyId);
+      total += r.gain;
+      return '<tr class="border-t border-borderc"><td class="py-1 pr-2 font-mono text-textSecondary">' + (i + 1) + '</td>' +
+        '<td class="py-1 pr-2"><span class="inline-flex items-center gap-1">' + classIcon(r.className) + escH(r.className) + '</span></td>' +
+        '<td class="py-1 pr-2">' + escH(p ? p.name : "?") + (r.replaces != null ? ' <span class="text-textSecondary">(benches ' + escH(heroLabel(r.replaces)) + ')</span>' : "") +
+          (r.together ? ' <span class="text-textSecondary" title="Only pays off together with the other recruits for this party — the gain is split between them">(together)</span>' : "") + '</td>' +
+        '<td class="py-1 pr-2 font-mono text-right">' + Math.round(r.from * 100) + '% → ' + Math.round(r.to * 100) + '%</td>' +
+        '<td class="py-1 font-mono text-right" style="color:' + COL.emerald + '">+' + (r.gain * 100).toFixed(1) + '</td></tr>';
+    }).join("");
+    var fits = recruits.length <= room;
+    showConfirm({
+      title: "Suggested recruits",
+      bodyHTML: "<p>The fewest new heroes that raise your composite the most, best first (predicted on class-average stats at " + escH(state.quality) + " gear):</p>" +
+        '<table class="w-full text-xs mt-2"><thead><tr class="text-textSecondary text-left"><th></th><th>Class</th><th>Seat</th><th class="text-right">Party win</th><th class="text-right">Composite</th></tr></thead><tbody>' + rows + '</tbody></table>' +
+        '<p class="mt-2">Composite ~' + Math.round(base * 100) + "% → ~" + Math.round(total * 100) + "% with all " + recruits.length + ".</p>" +
+        (fits ? "" : '<p class="mt-2" style="color:' + COL.rose + '">Your roster has room for ' + Math.max(0, room) + " more — free up space (or raise Max Roster) to recruit them all.</p>"),
+      confirmLabel: fits ? "Recruit " + (recruits.length === 1 ? "it" : "all " + recruits.length) : "OK",
+      onConfirm: fits ? function () { recruitAll(recruits); } : null
+    });
+  }
+  function recruitAll(recruits) {
+    var max = 0; state.heroes.forEach(function (h) { if (h.id > max) max = h.id; });
+    recruits.forEach(function (r) {
+      state.heroes.forEach(function (h) { if (h.id === r.replaces && h.partyId === r.partyId) { h.partyId = null; h.locked = false; } });
+      state.heroes.push({ id: ++max, name: "", className: r.className, partyId: partyOf(r.partyId) ? r.partyId : null, roleOverride: null, power: null, hp: null, atk: null, def: null, eva: null, crit: null, threat: null, critDmg: null });
+      enforcePartyCap(r.partyId); // a stale list can't seat more than the party holds
+    });
+    setUpdate("Recruited " + recruits.length + " hero" + (recruits.length === 1 ? "" : "es") + " — " + recruits.map(function (r) { return r.className; }).join(", ") + ".");
+    render();
+  }
   function applyEdit(el) {
     var t = el.dataset.target, id = Number(el.dataset.id), f = el.dataset.field, v = el.value;
     if (f === "partyId") v = (v === "Bench") ? null : Number(v);
     if (t === "hero") setHero(id, f, v); else setParty(id, f, v);
   }
+  // One custom-zone field from the zone editor (percent fields are shown ×100); re-sanitized + re-applied.
+  function editZoneField(el) {
+    var z = activeZone(), f = el.dataset.field, idx = -1;
+    if (isPresetZone(z.id)) return;
+    state.zones.forEach(function (o, i) { if (o.id === z.id) idx = i; });
+    var next = JSON.parse(JSON.stringify(z));
+    if (f === "name" || f === "difficulty") next[f] = el.value.trim() || (f === "name" ? "Custom zone" : "");
+    else if (f === "waves") {
+      var raw = el.value.trim();
+      if (!raw) delete next.waves;
+      else {
+        try { next.waves = JSON.parse(raw); } catch (err) { showAlert("Waves not saved — that isn't valid JSON: " + err.message); return; }
+        if (!sanitizeWaves(next.waves, next)) { showAlert("Waves not saved — expected an array of waves, each an array of monsters like {\"name\": \"Golem\", \"hp\": 2500000}."); return; }
+      }
+    } else {
+      var v = parseFloat(String(el.value).replace(/[^0-9.]/g, ""));
+      if (!isFinite(v)) return;
+      if (f === "defCaps") next.defCaps[Number(el.dataset.i)] = v;
+      else ZONE_FIELDS.forEach(function (zf) { if (zf[0] === f) next[f] = v / zf[2]; });
+    }
+    state.zones[idx] = sanitizeZone(next, z.id);
+    useZone(z.id);
+    setUpdate("Edited " + zoneLabel(state.zones[idx]) + " — " + f + ".");
+  }
   app.addEventListener("input", function (e) {
     var txt = e.target.closest('[data-action="text"]');
     if (txt) { applyEdit(txt); render(); return; }
@@ -1295,6 +2075,10 @@
       render();
       return;
     }
+    var zsel = e.target.closest('[data-action="select-zone"]');
+    if (zsel) { useZone(zsel.value); setUpdate("Zone set to " + zoneLabel(activeZone()) + " — grades, sims and optimizers now use its numbers."); render(); return; }
+    var zf = e.target.closest('[data-action="zone-field"]');
+    if (zf) { editZoneField(zf); render(); return; }
     var champ = e.target.closest('[data-action="select-champ"]');
     if (champ) {
       var pid = Number(champ.dataset.id);
@@ -1307,22 +2091,52 @@
   app.addEventListener("click", function (e) {
     var sim = e.target.closest("[data-sim-pid]");
     if (sim) { openCombatModal(Number(sim.dataset.simPid)); return; }
+    var fst = e.target.closest("[data-stats-pid]");
+    if (fst) { openFightPanel(Number(fst.dataset.statsPid)); return; }
     var el = e.target.closest('[data-action]'); if (!el) return;
     var a = el.dataset.action;
-    if (a === "add-hero") {
+    if (a === "undo") histUndo();
+    else if (a === "redo") histRedo();
+    else if (a === "hist-toggle") { _histOpen = !_histOpen; renderApp(); }
+    else if (a === "hist-go") histGo(Number(el.dataset.i));
+    else if (a === "add-hero") {
       if (state.heroes.length >= state.maxRoster) { showAlert("Roster is full (" + state.maxRoster + "). Increase capacity or retire a hero."); return; }
       addHero(el.dataset.class); setUpdate("Added " + el.dataset.class + " to the roster (" + state.heroes.length + "/" + state.maxRoster + ")."); render();
     }
     else if (a === "del-hero") { var di = Number(el.dataset.id), dl = heroLabel(di); delHero(di); setUpdate("Removed " + dl + " from the roster."); render(); }
     else if (a === "unassign") { var ui = Number(el.dataset.id), ul = heroLabel(ui); setHero(ui, "partyId", null); setUpdate("Benched " + ul + "."); render(); }
+    else if (a === "lock-party") {
+      var lp = partyOf(Number(el.dataset.id)); if (!lp) return;
+      lp.locked = !lp.locked;
+      setUpdate((lp.locked ? "Locked " : "Unlocked ") + partyLabel(lp.id) + (lp.locked ? " — the optimizers leave it as it is." : "."));
+      render();
+    }
+    else if (a === "lock-hero") {
+      var lh = null, lid = Number(el.dataset.id);
+      state.heroes.forEach(function (h) { if (h.id === lid) lh = h; });
+      if (!lh || !lh.partyId) return;
+      lh.locked = !lh.locked;
+      setUpdate((lh.locked ? "Pinned " + heroLabel(lid) + " to " : "Unpinned " + heroLabel(lid) + " from ") + partyLabel(lh.partyId) + ".");
+      render();
+    }
+    else if (a === "sched-open") openSched("p" + el.dataset.id);
     else if (a === "add-party") { addParty(); setUpdate("Added a party (" + state.parties.length + " total)."); render(); }
     else if (a === "del-party") { var dpi = Number(el.dataset.id), dp = partyLabel(dpi); delParty(dpi); setUpdate("Deleted " + dp + " — its heroes returned to the roster."); render(); }
     else if (a === "auto-sort") {
-      var tankCount = state.heroes.filter(function (h) { return heroRole(h) === "tank"; }).length;
-      if (tankCount < state.parties.length) { showAlert("Auto Sort can't give every party a tank: " + state.parties.length + " parties but only " + tankCount + " tanks."); return; }
+      var now = Date.now();
+      var open = state.parties.filter(function (p) { return !p.locked && !busyAt(p, now); });
+      if (!open.length) { showAlert("Every party is locked or away — unlock one (or wait for one to come back) for Auto Sort to arrange."); return; }
+      var needTanks = open.filter(function (p) { return !state.heroes.some(function (h) { return h.locked && h.partyId === p.id && heroRole(h) === "tank"; }); }).length;
+      var tankCount = state.heroes.filter(function (h) { return heroRole(h) === "tank" && !sortFixed(h, now) && !busyAt(h, now); }).length;
+      if (tankCount < needTanks) { showAlert("Auto Sort can't give every party a tank: " + needTanks + " open part" + (needTanks === 1 ? "y needs" : "ies need") + " one but only " + tankCount + " tank" + (tankCount === 1 ? " is" : "s are") + " free right now."); return; }
+      var busyN = state.heroes.filter(function (h) { return !sortFixed(h, now) && busyAt(h, now); }).length;
       var passers = autoSort();
-      if (passers === null) { showAlert("Auto Sort couldn't run — your Filters (excluded/capped tanks) leave fewer than " + state.parties.length + " usable tanks."); return; }
-      setUpdate("Auto Sort — " + passers + "/" + state.parties.length + " parties clear a barrier.");
+      if (passers === null) { showAlert("Auto Sort couldn't run — your Filters (excluded/capped tanks) leave fewer than " + needTanks + " usable tanks."); return; }
+      var lockedN = state.parties.filter(function (p) { return p.locked; }).length, awayN = state.parties.length - open.length - lockedN;
+      setUpdate("Auto Sort — " + passers + "/" + state.parties.length + " parties clear a barrier." +
+        (lockedN ? " " + lockedN + " locked part" + (lockedN === 1 ? "y" : "ies") + " left as " + (lockedN === 1 ? "it was." : "they were.") : "") +
+        (awayN ? " " + awayN + " part" + (awayN === 1 ? "y is" : "ies are") + " away." : "") +
+        (busyN ? " " + busyN + " busy hero" + (busyN === 1 ? "" : "es") + " left on the bench." : ""));
       render();
     }
     else if (a === "fill-gaps") {
@@ -1330,10 +2144,28 @@
       setUpdate(n ? "Top-up Roster — added " + n + " hero" + (n === 1 ? "" : "es") + " (" + state.heroes.length + "/" + state.maxRoster + ")." : "Top-up Roster — roster already at capacity (" + state.maxRoster + ").");
       render();
     }
+    else if (a === "zone-new") {
+      var src = activeZone(), zn = 1;
+      while (zoneById("custom-" + zn)) zn++;
+      var nz = sanitizeZone(JSON.parse(JSON.stringify(src)), "custom-" + zn);
+      nz.name = (src.name + " (copy)").slice(0, 40);
+      nz.from = src.id;
+      state.zones.push(nz); useZone(nz.id);
+      setUpdate("Created custom zone " + zoneLabel(nz) + " from " + zoneLabel(src) + ".");
+      render();
+    }
+    else if (a === "zone-del") {
+      var dz = activeZone();
+      if (isPresetZone(dz.id)) return;
+      state.zones = state.zones.filter(function (z) { return z.id !== dz.id; });
+      useZone(DEFAULT_ZONE);
+      setUpdate("Deleted custom zone " + zoneLabel(dz) + " — back to " + zoneLabel(activeZone()) + ".");
+      render();
+    }
     else if (a === "clear-roster") {
       showConfirm({
         title: "Clear roster",
-        bodyHTML: "Delete <b>ALL heroes</b> from the roster? This can't be undone.",
+        bodyHTML: "Delete <b>ALL heroes</b> from the roster? (Undo / Ctrl+Z brings them back.)",
         confirmLabel: "Clear All",
         confirmClass: "btn-red",
         onConfirm: function () { state.heroes = []; setUpdate("Cleared all heroes from the roster."); render(); }
@@ -1343,24 +2175,19 @@
       showConfirm({
         title: "Build a recommended roster",
         bodyHTML:
-          "<p>Builds an <b>aspirational</b> roster from class-average stats at your current gear tier: one tank per party, a cleared <b>320 barrier</b>, then the highest-damage classes for kill speed — spread across elements for breadth.</p>" +
-          "<p class=\"mt-2\"><b>This replaces ALL current heroes.</b></p>" +
+          '<div class="space-y-1 mb-3">' +
+            '<label class="flex items-start gap-2 cursor-pointer"><input type="radio" name="recoMode" value="ideal" checked class="mt-1 accent-accent"><span><b>Ideal roster</b> — the aspirational build below.</span></label>' +
+            '<label class="flex items-start gap-2 cursor-pointer"><input type="radio" name="recoMode" value="owned"' + (state.heroes.length ? "" : " disabled") + ' class="mt-1 accent-accent"><span><b>Best use of my roster</b> — keeps the heroes you own (with their real stats), arranges them for the best composite, then lists the fewest recruits worth hiring.</span></label>' +
+          '</div>' +
+          "<p>Builds an <b>aspirational</b> roster from class-average stats at your current gear tier: one tank per party, a cleared <b>" + MZE.barrier + " barrier</b>, then the highest-damage classes for kill speed — spread across elements for breadth.</p>" +
+          (state.heroes.some(heroFixed)
+            ? "<p class=\"mt-2\"><b>This replaces every hero that isn't locked</b> — locked parties and pinned heroes stay, and the build works around them (Undo / Ctrl+Z restores the rest).</p>"
+            : "<p class=\"mt-2\"><b>This replaces ALL current heroes</b> (Undo / Ctrl+Z restores them).</p>") +
           "<p class=\"mt-2 text-textSecondary\">Want it tailored? Set class <b>excludes, caps, or minimums</b> in the <b>Filters</b> tab first — Recommended honors them.</p>",
         confirmLabel: "Build Roster",
-        onConfirm: function () {
-          buildSuggestedRoster();
-          // Roster cap < total party seats → one party is inevitably left short (graded D). The build
-          // now parks the shortage on the LEAST valuable party — tell the player how to fill every seat.
-          var seats = state.parties.reduce(function (s, p) { return s + partyCap(p); }, 0);
-          var capNote = "";
-          if (seats > state.maxRoster) {
-            capNote = seats <= MAX_ROSTER_CAP
-              ? " Note: " + state.parties.length + " parties need " + seats + " heroes but Max Roster is " + state.maxRoster + " — the least-valuable party was left short (raise Max Roster to " + seats + " to fill every party)."
-              : " Note: " + state.parties.length + " parties need " + seats + " heroes but the roster tops out at " + MAX_ROSTER_CAP + " — even at max capacity some parties stay short (remove a party to fill the rest).";
-          }
-          setUpdate("Recommended — built the ideal roster (" + state.heroes.length + " heroes)." + capNote);
-          render();
-        }
+        keepOpen: true, // the overlay turns into the progress bar + Cancel while the build runs
+        onConfirm: runRecommended,
+        onCancel: function () { if (_recoJob) { _recoJob.cancel(); _recoJob = null; setUpdate("Recommended — cancelled; roster unchanged."); renderApp(); } }
       });
     }
   });
@@ -1419,6 +2246,8 @@
 
   /* ---------------- Suggestions (planning on class averages) ---------------- */
   var suggestionHTML = ""; // last Analyze result; persists across panel rebuilds
+  // Upgrade path (planUpgrades) — the last plan + the roster it was made for, so an edit marks it stale.
+  var _plan = { budget: 3, job: null, frac: 0, label: "", res: null, json: "" };
   function topTankClass() {
     for (var i = 0; i < state.classOrder.length; i++) { var c = CLASS[state.classOrder[i]]; if (c && c.role.indexOf("Tank") >= 0) return c.name; }
     return null;
@@ -1431,7 +2260,9 @@
     return '<div class="bg-surface border-2 rounded-lg px-3 py-2 text-xs leading-relaxed" style="border-color:' + color + '">' + html + '</div>';
   }
   // Best valid-party count on class AVERAGES, plus which parties fall short & on which barrier.
+  // No `now` for autoBuild: this plans on the whole roster, schedule aside. Locked parties keep theirs.
   function analyzeRoster() {
+    function seated(res, p) { return res.assign[p.id] || state.heroes.filter(function (h) { return h.partyId === p.id; }); }
     PLANNING = true;
     var best = null, bestCov = -1;
     var enoughTanks = state.heroes.filter(function (h) { return heroRole(h) === "tank"; }).length >= state.parties.length;
@@ -1441,8 +2272,8 @@
         if (!res) break;
         var cov = 0;
         state.parties.forEach(function (p) {
-          var hs = res.assign[p.id];
-          if (hs.length === partyCap(p) && partyBestBarrier(p, hs) >= BARRIER_POWER_TARGET) cov++;
+          var hs = seated(res, p);
+          if (hs.length === partyCap(p) && partyBestBarrier(p, hs) >= MZE.barrier) cov++;
         });
         if (cov > bestCov) { bestCov = cov; best = res; }
       }
@@ -1450,11 +2281,11 @@
     var deficits = [];
     if (best) {
       state.parties.forEach(function (p) {
-        var hs = best.assign[p.id];
+        var hs = seated(best, p);
         var full = hs.length === partyCap(p);
-        if (full && partyBestBarrier(p, hs) >= BARRIER_POWER_TARGET) return;
+        if (full && partyBestBarrier(p, hs) >= MZE.barrier) return;
         var bestEl = null, bestDef = Infinity;
-        state.barriers.forEach(function (el) { var def = BARRIER_POWER_TARGET - barrierSum(p, hs, el); if (def < bestDef) { bestDef = def; bestEl = el; } });
+        state.barriers.forEach(function (el) { var def = MZE.barrier - barrierSum(p, hs, el); if (def < bestDef) { bestDef = def; bestEl = el; } });
         deficits.push({ party: p.name, el: bestEl, deficit: Math.max(0, Math.round(bestDef)), full: full });
       });
     }
@@ -1547,7 +2378,7 @@
         '<span class="bg-surface border-2 border-borderc rounded-lg px-2 py-1">Spellcasters <b style="color:' + GROUP_COLOR.Spellcaster + '">' + groups.Spellcaster + '</b></span>' +
       '</div>';
 
-    var suggPlaceholder = '<div class="text-xs text-textSecondary italic">Click <b>Analyze</b> to evaluate your roster against the 320 barrier on class-average stats — recruit picks follow your class priority.</div>';
+    var suggPlaceholder = '<div class="text-xs text-textSecondary italic">Click <b>Analyze</b> to evaluate your roster against the ' + MZE.barrier + ' barrier on class-average stats — recruit picks follow your class priority.</div>';
     healthBody.innerHTML =
       POWER_HEADER + 'Element depth (target 3+)</div>' + elRows + flexNote +
       '<div class="mt-4 pt-3 border-t border-borderc space-y-2">' + POWER_HEADER + 'Roster overview</div>' + overview + '</div>' +
@@ -1557,15 +2388,62 @@
           '<button id="analyzeBtn" class="btn-white text-xs px-3 py-1">Analyze</button>' +
         '</div>' +
         '<div class="space-y-1.5">' + (suggestionHTML || suggPlaceholder) + '</div>' +
+      '</div>' +
+      '<div class="mt-4 pt-3 border-t border-borderc">' +
+        '<div class="flex items-center justify-between gap-2 mb-2">' +
+          '<div class="text-xs font-semibold uppercase tracking-wider text-textSecondary">Upgrade path</div>' +
+          '<label class="flex items-center gap-1 text-xs text-textSecondary ml-auto" title="How many recruits / moves / retires the path may take">Steps' +
+            '<input id="planBudget" type="number" min="1" max="' + PLAN_MAX_BUDGET + '" value="' + _plan.budget + '" class="' + STATFIELD + ' w-12"></label>' +
+          '<button id="planBtn" class="btn-white text-xs px-3 py-1"' + (_plan.job ? " disabled" : "") + '>Plan</button>' +
+        '</div>' +
+        planHTML() +
       '</div>';
   }
+  var PLAN_ICON = { recruit: "➕", move: "↔", retire: "✖" };
+  function planHTML() {
+    if (_plan.job) {
+      var pct = Math.round(_plan.frac * 100);
+      return '<div class="flex justify-between text-xs text-textSecondary mb-1"><span>' + escH(_plan.label || "Planning") + '…</span><span class="font-mono">' + pct + '%</span></div>' +
+        '<div class="w-full h-2 bg-hoverBg rounded-full overflow-hidden"><div class="h-full bg-accent transition-all" style="width:' + pct + '%"></div></div>';
+    }
+    var r = _plan.res;
+    if (!r) return '<div class="text-xs text-textSecondary italic">Plan the best next steps for the heroes you have — recruits, moves between parties and retires, each scored on the sim against the roster-wide win. Honors your Filters, locks and Max Roster.</div>';
+    var stale = _plan.json !== toJSON() ? '<div class="text-xs italic mb-1" style="color:' + COL.amber + '">The roster changed since this plan — Plan again for an up-to-date path.</div>' : "";
+    if (!r.steps.length) return stale + suggCard(COL.emerald, "No step raises the roster-wide win by more than sim noise (~" + Math.round(r.before * 100) + "% now).");
+    var last = r.steps[r.steps.length - 1].total;
+    return stale + '<div class="text-sm font-bold mb-1">Roster-wide win ~' + Math.round(r.before * 100) + '% → <span style="color:' + COL.emerald + '">~' + Math.round(last * 100) + '%</span></div>' +
+      '<ol class="space-y-1">' + r.steps.map(function (st, i) {
+        return '<li class="flex items-start gap-2 bg-surface border-2 border-borderc rounded-lg px-2 py-1 text-xs">' +
+          '<span class="font-mono text-textSecondary w-4 text-right shrink-0">' + (i + 1) + '</span><span class="shrink-0">' + PLAN_ICON[st.kind] + '</span>' +
+          '<span class="flex-1 min-w-0">' + escH(st.text) + '</span>' +
+          '<span class="font-mono shrink-0 text-right" style="color:' + (st.gain > 0 ? COL.emerald : COL.muted) + '">' + (st.gain > 0 ? "+" + (st.gain * 100).toFixed(1) : "±0") + ' → ' + Math.round(st.total * 100) + '%</span></li>';
+      }).join("") + '</ol>';
+  }
+  function runPlan() {
+    if (_plan.job) return;
+    var json = toJSON(), done = false;
+    _plan.frac = 0; _plan.label = "Starting";
+    var job = poolRun({ type: "plan", json: json, budget: _plan.budget }, function (m) {
+      if (m.type === "progress") { _plan.frac = m.frac; _plan.label = m.label; }
+      else { done = true; _plan.job = null; _plan.res = { steps: m.steps, before: m.before }; _plan.json = json; }
+      if (healthPanel && !healthPanel.classList.contains("translate-x-full")) buildRosterHealth();
+    });
+    if (!done) _plan.job = job;
+    buildRosterHealth();
+  }
 
   if (healthBody) {
     healthBody.addEventListener("click", function (e) {
+      if (e.target.closest("#planBtn")) { runPlan(); return; }
       if (!e.target.closest("#analyzeBtn")) return;
       suggestionHTML = buildSuggestions();
       buildRosterHealth();
     });
+    healthBody.addEventListener("change", function (e) {
+      if (e.target.id !== "planBudget") return;
+      _plan.budget = Math.max(1, Math.min(PLAN_MAX_BUDGET, parseInt(e.target.value, 10) || 1));
+      e.target.value = _plan.budget;
+    });
   }
 
   var openHealthBtn = document.getElementById("openHealthBtn");
@@ -1611,74 +2489,9 @@
   if (priorityBackdrop) priorityBackdrop.addEventListener("click", function () { closePanel(priorityPanel, priorityBackdrop); });
 
   /* ---------------- Hero Stats & MZE survivability ---------------- */
-  // Meteor Zone Extreme combat numbers. bossHP / baseHit / AoE / DEF caps confirmed
-  // against st-central Quest Data (source of truth): single hit 410, AoE 280, DEF caps
-  // 50%/70%/75% @ 26,600 / 53,200 / 159,600. baseHit drives the DEF curve; enemy crit
-  // is a flat baseHit×1.5 (615) ignoring DEF (Combat Compendium: enemy crit ~10%).
-  // evaPenalty (Extreme −20 evade debuff) + evaCapDefault (75% dodge cap, Pathfinder 78)
-  // are user-confirmed. critPerNegEva (+0.25%/neg-eva to enemy crit) is the one remaining
-  // unconfirmed house rule. aoeHit not modeled yet (Phase-2 sim). Tweak here if values change.
-  // critDmgMod = base HERO crit-damage multiplier (a normal crit = ATK × 2.0, user-confirmed);
-  // class crit-damage skills add to it via CLASS_SKILLS.critDmgBonus.
-  // allBarrierFactor = fraction of elemental power an "all"-element unit (Spellknight) contributes
-  // to a barrier (st-central roster guide ≈ 50%; exact value unconfirmed — tune here when known).
-  // roundCap = the quest hard-terminates (auto-fail) at round 500, so a party that can't
-  // kill the boss before then simply loses, regardless of survivability.
-  var MZE = { bossHP: 10000000, baseHit: 410, aoeHit: 280, aoeChance: 0.225, critHit: 615, critChance: 0.10, critPerNegEva: 0.0025, evaPenalty: 20, evaCapDefault: 75, critDmgMod: 2.0, allBarrierFactor: 0.5, roundCap: 500 };
-  // aoeChance = per-round chance the boss uses an AoE that hits EVERY unit (~20-25% observed;
-  // 0.225 midpoint, tunable). aoeHit (280) is DEF-reduced like a normal hit (~68% of baseHit).
-
-  // ---- Phase-2 Monte Carlo sim tuning (conditional / `sim`-flagged skills) ----
-  // The engine (simulateFight) switches on class/champion NAME and pulls magnitudes from here, so
-  // every conditional-skill number lives in ONE place (like MZE). The CLASS_SKILLS / CHAMPION_SKILLS
-  // `text` is the player-facing wording of these same effects. Tune freely.
-  //   jarl    : below 80%/55%/30% HP → +50%/100%/150% ATK & +10/20/30 EVA (1×/2×/3× the tier values).
-  //   conq    : +0.25 crit-MULT per consecutive crit, up to 4 stacks (resets on a non-crit).
-  //   sensei  : +50 crit chance & +25 EVA while undamaged; lost when hit, regained after 2 clean rounds.
-  //   acrobat : guaranteed crit the round after it dodges. daimyo: guaranteed dodge + crit on round 1.
-  //   bishop  : +10 HP/round self-heal AND survives one fatal blow — BOTH self-only (the individual
-  //             Bishop), not the party. (Lord's save is the party-wide one.) See the save logic below.
-  //   dk      : execute — when the boss is at ≤10% HP and the Death Knight attacks, the boss is
-  //             instantly defeated (the fight is won). Otherwise the DK just deals its normal hit.
-  //   rudo    : party-wide +50 crit chance for the first 4 rounds. lilu: party +20 HP/round.
-  //   hemma   : drains 7% of the highest-HP ally/round → self-heal + a stacking +35% ATK (cap 12).
-  var SIM = {
-    trials: 400,            // trials per DISPLAYED party grade (seeded → the % is stable, not flickery)
-    optimizerTrials: 400,   // trials per Recommended/scoreOf eval (cached; ~±2% noise so the refine can trust ~3% gaps)
-    jarl:   { t1: 0.80, t2: 0.55, t3: 0.30, atkPerTier: 0.50, evaPerTier: 10 },
-    conq:   { perStack: 0.25, maxStacks: 4 },
-    sensei: { crit: 50, eva: 25, regainRounds: 2 },
-    bishop: { regen: 10 },
-    dk:     { executeFrac: 0.10 }, // boss at ≤10% HP when the DK attacks → instantly defeated
-    rudo:   { crit: 50, rounds: 4 },
-    lilu:   { heal: 20 },
-    hemma:  { drainFrac: 0.07, atkPerStack: 0.35, maxStacks: 12 }
-  };
-  // FNV-1a string hash → a stable 32-bit seed (so the same roster always shows the same sim %).
-  function hashStr(s) { var h = 2166136261; for (var i = 0; i < s.length; i++) { h ^= s.charCodeAt(i); h = Math.imul(h, 16777619); } return h >>> 0; }
   var STATFIELD = "bg-hoverBg border border-borderc rounded text-textPrimary px-1 py-1 outline-none text-xs font-mono text-right focus:border-accent";
   function statNum(x) { return Number(String(x).replace(/[^0-9.\-]/g, "")) || 0; }
 
-  function mzeDefMult(def) {
-    def = Number(def) || 0;
-    if (def <= 0) return 1.5;
-    if (def <= 26600) return 1.5 - def / 26600;                       // 1.5x -> 0.5x
-    if (def <= 53200) return 0.5 - 0.2 * (def - 26600) / 26600;       // 0.5x -> 0.3x
-    if (def <= 159600) return 0.3 - 0.05 * (def - 53200) / 106400;    // 0.3x -> 0.25x
-    return 0.25;
-  }
-  function survStats(hp, def, eva, evaCap) {
-    var normal = Math.round(MZE.baseHit * mzeDefMult(def));
-    var crit = MZE.critHit;
-    var effEva = eva - MZE.evaPenalty; // EXTREME applies -20 evade debuff
-    // st-central: chance to evade = EVA%; capped at 75% (Pathfinder 78%) after the debuff.
-    var cap = (evaCap || MZE.evaCapDefault) / 100;
-    var dodge = Math.max(0, Math.min(cap, effEva / 100));
-    var critChance = MZE.critChance + Math.max(0, -effEva) * MZE.critPerNegEva;
-    var hitsToDie = normal > 0 ? Math.ceil(hp / normal) : 0;
-    var flag = hp <= 0 ? "none" : hp <= crit ? "risk" : hp <= 2 * normal ? "two" : "safe";
-    return { normal: normal, crit: crit, critChance: critChance, hitsToDie: hitsToDie, flag: flag, effEva: effEva, dodge: dodge };
-  }
   function survivability(h) { return survStats(heroStat(h, "hp"), heroStat(h, "def"), heroStat(h, "eva"), evaCapOf(h.className)); }
   function champSurv(c) { return survStats(Number(c.hp) || 0, Number(c.def) || 0, Number(c.eva) || 0); }
   function survColor(f) { return f === "risk" ? COL.rose : f === "two" ? COL.amber : f === "safe" ? COL.emerald : COL.muted; }
@@ -1686,13 +2499,13 @@
     var s = survivability(h);
     var label = heroStat(h, "hp") <= 0 ? "—" : (s.flag === "risk" ? "1-shot" : s.hitsToDie + " hits");
     return '<span data-surv-id="' + h.id + '" class="w-20 shrink-0 text-right text-xs font-bold font-mono" style="color:' + survColor(s.flag) + '" ' +
-      'title="normal ' + s.normal + '/hit · crit ' + s.crit + ' (ignores DEF) · crit chance ' + Math.round(s.critChance * 100) + '% · dodge ' + Math.round(s.dodge * 100) + '% (after −20 MZE)">' + label + '</span>';
+      'title="normal ' + s.normal + '/hit · crit ' + s.crit + ' (ignores DEF) · crit chance ' + Math.round(s.critChance * 100) + '% · dodge ' + Math.round(s.dodge * 100) + '% (after −' + MZE.evaPenalty + ' zone evade debuff)">' + label + '</span>';
   }
   // Per-hero OVERRIDE field: blank = inherit (placeholder shows the class average).
   function overrideField(h, stat, w) {
     var ov = h[stat];
     var val = (ov === null || ov === undefined || ov === "") ? "" : ov;
-    return '<input type="text" inputmode="numeric" value="' + val + '" placeholder="' + classAvg(h.className, stat) + '" data-stat-id="' + h.id + '" data-stat="' + stat + '" class="' + STATFIELD + ' ' + w + '">';
+    return '<input type="text" inputmode="numeric" value="' + val + '" placeholder="' + Math.round(heroInherited(h, stat) * 100) / 100 + '" data-stat-id="' + h.id + '" data-stat="' + stat + '" class="' + STATFIELD + ' ' + w + '">';
   }
   // Class-average field.
   function classField(name, stat, w) {
@@ -1704,12 +2517,19 @@
     return '<input type="text" inputmode="numeric" value="' + (Number(c[stat]) || 0) + '" data-champ="' + escA(name) + '" data-stat="' + stat + '" class="' + STATFIELD + ' ' + w + '">';
   }
 
-  // Class-skill lookups (foldable parts only — see CLASS_SKILLS).
-  function classSkill(cn) { return CLASS_SKILLS[cn] || null; }
+  // Class-skill lookups (foldable parts only — see CLASS_SKILLS). A custom definition replaces the
+  // built-in entry; its folded parts are the `always` stat effects (skillFold) and its save effects.
+  function classSkill(cn) { return customSkill("classes", cn) ? null : CLASS_SKILLS[cn] || null; }
   function critMultOf(cn) { var cd = classAvg(cn, "critDmg"); return cd > 0 ? cd : MZE.critDmgMod; } // per-class crit-damage multiplier (data)
   function heroCritMult(h) { var cd = heroStat(h, "critDmg"); return cd > 0 ? cd : MZE.critDmgMod; } // per-hero crit damage: override if set, else the class default
-  function evaCapOf(cn) { var s = CLASS_SKILLS[cn]; return s && s.evaCap ? s.evaCap : MZE.evaCapDefault; }
-  function classSaves(cn) { var s = CLASS_SKILLS[cn]; return (s && (s.protectAlly || s.surviveFatal)) ? 1 : 0; }
+  function evaCapOf(cn) {
+    var d = customSkill("classes", cn), s = classSkill(cn);
+    return MZE.evaCapDefault + (d ? skillFold(d, "evaCap", "self") : (s && s.evaCapAdd ? s.evaCapAdd : 0));
+  }
+  function classSaves(cn) {
+    var d = customSkill("classes", cn), s = classSkill(cn);
+    return (d ? skillSaves(d, "self") + skillSaves(d, "party") : (s && (s.protectAlly || s.surviveFatal))) ? 1 : 0;
+  }
 
   // Champion party-aura buff bundle (foldable parts of CHAMPION_SKILLS). `classNames`
   // = the party's hero classes, for composition-scaled auras (Donovan). Multipliers
@@ -1717,6 +2537,17 @@
   // crit multiplier for crit damage. Neutral (all 1×/0) when there's no champion/skill.
   function partyBuff(champ, classNames) {
     var b = { atkMult: 1, defMult: 1, hpMult: 1, critAdd: 0, evaAdd: 0, critDmgAdd: 0, barrierMult: 1 };
+    var d = champ ? customSkill("champions", champ.name) : null;
+    if (d) {
+      b.atkMult *= 1 + skillFold(d, "atk", "party") / 100;
+      b.defMult *= 1 + skillFold(d, "def", "party") / 100;
+      b.hpMult *= 1 + skillFold(d, "hp", "party") / 100;
+      b.barrierMult *= 1 + skillFold(d, "barrier", "party") / 100;
+      b.critAdd += skillFold(d, "crit", "party");
+      b.evaAdd += skillFold(d, "eva", "party");
+      b.critDmgAdd += skillFold(d, "critDmg", "party");
+      return b;
+    }
     var s = champ ? CHAMPION_SKILLS[champ.name] : null;
     if (!s) return b;
     if (s.atkPct) b.atkMult *= 1 + s.atkPct / 100;
@@ -1741,91 +2572,7 @@
     return effAtkOf((Number(atk) || 0) * buff.atkMult, (Number(crit) || 0) + buff.critAdd, critMult + buff.critDmgAdd);
   }
 
-  // Hero damage-per-round including crit. st-central: CR is the effective crit chance
-  // per swing (capped at 100% here), crit hit = ATK × crit multiplier (base 2.0 + the
-  // class's crit-damage skill bonus). Effective ATK = chance-weighted normal/crit swings.
-  function effAtkOf(atk, crit, critMult) {
-    var cc = Math.max(0, Math.min(1, (Number(crit) || 0) / 100));
-    return (Number(atk) || 0) * (1 + cc * (critMult - 1));
-  }
-
-  // P(N >= k) for N ~ Poisson(lambda): chance of taking at least k landed hits.
-  function poissonTailGE(lambda, k) {
-    if (!isFinite(k)) return 0;
-    if (lambda <= 0) return 0;
-    if (k <= 0) return 1;
-    var term = Math.exp(-lambda), cdf = term; // P(N=0)
-    for (var i = 1; i < k; i++) { term *= lambda / i; cdf += term; }
-    return Math.max(0, Math.min(1, 1 - cdf));
-  }
-
-  // Expected unit deaths over the fight (raw float). The boss makes ~1 single-target hit per
-  // round (AoE not modeled yet), targeting a unit by THREAT share (st-central: target chance =
-  // threat / total threat); the unit may DODGE (EVA%, capped). A unit dies once its ACCUMULATED
-  // hits reach its kill count (HP ÷ avg hit) — capturing both one-shots (frail, 1 hit) and
-  // attrition (wear-down). Landed hits are Poisson, so death stays unlikely until expected hits
-  // approach the kill count. **More rounds = more exposure = more expected deaths** — this is the
-  // only channel through which kill speed matters (fights auto-skip, so raw duration is free).
-  // `saves` = lethal negations (Lord protect / Bishop survive-fatal). Per-hit average and the
-  // 1-hit/round assumption are tunable; a calibrated value is the deferred Phase-2 sim.
-  // Per-unit death probability over the fight (independent across units). Two damage streams:
-  // single-target (threat-gated → the tank soaks it) + AoE (hits EVERY unit, NOT threat-gated → the
-  // tank can't shield squishies). A unit dies once accumulated landed hits reach its kill count
-  // (HP ÷ avg hit); landed hits are Poisson (`poissonTailGE`). AoE is converted to single-hit-damage
-  // equivalents so the same killHits applies — this is what gives a low-threat glass cannon real risk.
-  function unitDeathModel(units, rounds) { // per-unit { lambda: expected single-hit-equiv landed hits, killHits: hits to die }
-    var totalThreat = units.reduce(function (s, u) { return s + (Number(u.threat) || 0); }, 0);
-    var n = units.length || 1;
-    var r = (isFinite(rounds) && rounds > 0) ? rounds : 60;
-    return units.map(function (u) {
-      if (u.hp <= 0) return { lambda: 0, killHits: Infinity };
-      var share = totalThreat > 0 ? (Number(u.threat) || 0) / totalThreat : 1 / n;
-      var s = survStats(u.hp, u.def, u.eva, u.evaCap);
-      var avgDmg = s.normal * (1 - s.critChance) + s.crit * s.critChance; // crit ignores DEF
-      var killHits = avgDmg > 0 ? Math.max(1, Math.ceil(u.hp / avgDmg)) : Infinity;
-      var aoeDmg = MZE.aoeHit * mzeDefMult(u.def);                        // DEF-reduced AoE hit
-      var aoeEquivHits = avgDmg > 0 ? r * MZE.aoeChance * (1 - s.dodge) * (aoeDmg / avgDmg) : 0;
-      var lambda = r * share * (1 - s.dodge) + aoeEquivHits;             // single-hit-equiv landed hits
-      return { lambda: lambda, killHits: killHits };
-    });
-  }
-  // Estimated win chance (0..1) = P(the party CLEARS the quest) — "not wiped", not "no losses".
-  // A casualty only matters if it costs enough DPS that the survivors can't kill the 10M boss before
-  // the 500-round cap. So losing a squishy is fine when the rest still kill in time; losing your
-  // damage core (or the whole party) is a loss. Enumerates the 2^n survivor subsets from independent
-  // per-unit death probs (n ≤ ~5). A faster kill = more DPS headroom to absorb losses; a near-cap
-  // party can't afford to lose a carry. `saves` (Lord/Bishop) shield the highest-risk allies.
-  // Calibrated probability is the deferred Phase-2 Monte Carlo; this is a closed-form estimate.
-  function winChance(units, rounds, saves) {
-    var n = units.length;
-    if (!n) return 0;
-    var m = unitDeathModel(units, rounds);
-    var p = m.map(function (d) { return poissonTailGE(d.lambda, d.killHits); });
-    // A save (Lord protect / Bishop survive-fatal) revives its ally to 1 HP on the first lethal hit,
-    // so it dies only after ONE MORE landed hit → killHits + 1 (NOT full immunity). One save per
-    // Lord/Bishop, applied to the current highest-risk unit(s).
-    var order = p.map(function (v, i) { return i; }).sort(function (a, b) { return p[b] - p[a]; });
-    for (var k = 0; k < Math.floor(Number(saves) || 0) && k < order.length; k++) {
-      var si = order[k];
-      p[si] = poissonTailGE(m[si].lambda, m[si].killHits + 1);
-    }
-    var minAtk = MZE.bossHP / MZE.roundCap; // ATK floor to kill before the round cap
-    var win = 0;
-    for (var mask = 0; mask < (1 << n); mask++) {          // bit set = unit SURVIVES
-      var prob = 1, survAtk = 0, alive = 0;
-      for (var i = 0; i < n; i++) {
-        if (mask & (1 << i)) { prob *= (1 - p[i]); survAtk += (Number(units[i].atk) || 0); alive++; }
-        else { prob *= p[i]; }
-      }
-      if (prob <= 0) continue;
-      if (alive > 0 && survAtk > minAtk) win += prob; // survivors retain enough DPS to clear in time
-    }
-    return Math.max(0, Math.min(1, win));
-  }
-  // est. win-chance thresholds for the face (tune freely). D = "almost certainly a loss" (≤20%).
-  var WIN_BANDS = { S: 0.95, A: 0.75, B: 0.65, D: 0.20 };
-  function winTier(w) { return w >= WIN_BANDS.S ? 0 : w >= WIN_BANDS.A ? 1 : w >= WIN_BANDS.B ? 2 : w > WIN_BANDS.D ? 3 : 4; }
-  var GRADE_LETTERS = ["S", "A", "B", "C", "D"];
+
   function partyUnits(hs, champ, buff) {
     buff = buff || partyBuff(null, []);
     var units = hs.map(function (h) {
@@ -1835,34 +2582,6 @@
     return units;
   }
 
-  /* ---------------- Phase-2 Monte Carlo combat sim ----------------
-   * A per-round fight simulator that resolves a SINGLE trial of the MZE fight, then averages many
-   * seeded trials into a win %. Unlike the closed-form `winChance` (a static expectation), the sim
-   * tracks boss HP draining round-by-round from the ALIVE units, so STATE-DEPENDENT skills can move
-   * the grade: Jarl's HP-threshold rage, Conq/Acrobat/Daimyo/Sensei crit states, DK execute/stacking,
-   * Rudo's timed crit, and Lilu/Hemma/Bishop healing all read the live fight state each round.
-   *
-   * Damage model: the boss's attacks (who's targeted, dodge, crit, AoE) are the Monte Carlo dice —
-   * they decide who dies and when, which drives party DPS over time. Each unit's OWN attack rolls a
-   * discrete crit too (so "consecutive crit" / "guaranteed crit" skills are real events); a discrete
-   * crit averages to exactly `effAtkOf` (atk·(1+cc·(critMult−1))), so with conditionals OFF the sim's
-   * mean DPS matches the closed-form's folded ATK — see the bare-mode sanity check in the NOTES.
-   *
-   * Performance tradeoff (documented): the OPTIMIZER (`scoreOf`/Recommended) keeps the fast closed-form
-   * `winChance` for its thousands of inner-loop evals; the sim runs ONLY for the displayed party grade
-   * (`partyOutcome`), memoized per exact composition (`_simCache`) so re-renders are free.
-   */
-  var _simBare = false; // when true, conditional skills are skipped (engine-vs-closed-form sanity check)
-
-  // One sim unit: combat stats + the runtime fields the conditional skills mutate during a trial.
-  // critMult already includes the champion crit-damage aura (buff.critDmgAdd), mirroring buffedEffAtk.
-  function simUnitFromStats(cn, isChamp, champName, hp, def, eva, threat, evaCap, atk, crit, critMult) {
-    return {
-      cn: cn, isChamp: !!isChamp, champName: champName || null,
-      maxHp: hp, def: def, evaBase: eva, threat: threat, evaCap: evaCap,
-      baseAtk: Number(atk) || 0, critChance: Number(crit) || 0, critMult: critMult
-    };
-  }
   // Build the sim unit list for a party — same buffed stats as `partyUnits`, plus the raw crit
   // chance / crit multiplier the sim needs to roll discrete crits (partyUnits pre-folds them into atk).
   function simUnits(hs, champ, buff) {
@@ -1881,188 +2600,16 @@
       MZE.critDmgMod + buff.critDmgAdd));
     return units;
   }
-  function jarlTier(frac) { return frac < SIM.jarl.t3 ? 3 : frac < SIM.jarl.t2 ? 2 : frac < SIM.jarl.t1 ? 1 : 0; }
-  // Conditional-adjusted EVA (Jarl rage, Sensei untouched buff) — used for both dodge and enemy-crit chance.
-  function condEva(x) {
-    var eva = x.evaBase;
-    if (!_simBare) {
-      if (x.cn === "Jarl") { var t = jarlTier(x.hp / x.maxHp); if (t) eva += SIM.jarl.evaPerTier * t; }
-      else if (x.cn === "Sensei" && x.sensClean) eva += SIM.sensei.eva;
-    }
-    return eva;
-  }
-  function dodgeProbOf(x, r) {
-    if (!_simBare && x.cn === "Daimyo" && r === 1) return 1; // guaranteed round-1 dodge
-    var effEva = condEva(x) - MZE.evaPenalty;
-    var cap = (x.evaCap || MZE.evaCapDefault) / 100;
-    return Math.max(0, Math.min(cap, effEva / 100));
-  }
-  // Apply one boss attack to a unit (single-target can crit; AoE is a flat DEF-reduced hit). Mutates hp.
-  // Returns a { dodged, dmg, crit } info object ONLY when `wantInfo` (the combat-replay log) — the hot
-  // grade/optimizer path passes wantInfo=false so it allocates nothing per hit (avoids heavy GC churn).
-  function applyBossHit(x, r, rng, isAoe, wantInfo) {
-    if (rng() < dodgeProbOf(x, r)) { x.dodgedThisRound = true; return wantInfo ? { dodged: true, dmg: 0, crit: false } : null; }
-    var dmg, crit = false;
-    if (isAoe) {
-      dmg = MZE.aoeHit * mzeDefMult(x.def);
-    } else {
-      var effEva = condEva(x) - MZE.evaPenalty;
-      var bossCrit = MZE.critChance + Math.max(0, -effEva) * MZE.critPerNegEva; // crit ignores DEF
-      crit = rng() < bossCrit;
-      dmg = crit ? MZE.critHit : MZE.baseHit * mzeDefMult(x.def);
-    }
-    x.hp -= dmg;
-    x.damagedThisRound = true;
-    return wantInfo ? { dodged: false, dmg: dmg, crit: crit } : null;
-  }
-  // Resolve ONE fight → true (boss dead before the round cap) / false (wiped or hit the cap).
-  // `rng` is a mulberry32 stream (advanced across trials); `opts` = { saves, champName }.
-  function simulateFight(units, rng, opts, log) {
-    opts = opts || {};
-    var n = units.length;
-    if (!n) return false;
-    var u = new Array(n);
-    for (var i = 0; i < n; i++) { var s = units[i];
-      u[i] = { cn: s.cn, isChamp: s.isChamp, champName: s.champName, maxHp: s.maxHp, hp: s.maxHp,
-        def: s.def, evaBase: s.evaBase, threat: s.threat, evaCap: s.evaCap, baseAtk: s.baseAtk,
-        critChance: s.critChance, critMult: s.critMult, alive: true, consec: 0,
-        hemmaStack: 0, sensClean: true, sensCnt: 0, dodgedThisRound: false,
-        damagedThisRound: false,
-        // Bishop survive-fatal is SELF-only (the individual Bishop). Lord's is the party-wide pool below.
-        selfSave: !_simBare && !!(CLASS_SKILLS[s.cn] && CLASS_SKILLS[s.cn].surviveFatal), usedSelfSave: false };
-    }
-    // Combat-replay logging (only when `log` is passed — the grade/optimizer path skips all of this).
-    var LOG = !!log;
-    function LG(rd, k, t) { if (LOG) log.push({ r: rd, k: k, t: t }); }
-    function num(v) { return Math.round(v).toLocaleString(); }
-    if (LOG) { // unique display labels (dedupe same-class heroes)
-      var seenL = {}; u.forEach(function (z) { var b = z.isChamp ? z.champName + " (champ)" : z.cn; seenL[b] = (seenL[b] || 0) + 1; });
-      var cntL = {}; u.forEach(function (z) { var b = z.isChamp ? z.champName + " (champ)" : z.cn; if (seenL[b] > 1) { cntL[b] = (cntL[b] || 0) + 1; z.label = b + " #" + cntL[b]; } else z.label = b; });
-    }
-    function lab(z) { return z.label || (z.isChamp ? z.champName : z.cn); }
-    // Party-wide saves = Lord's "protect an ally" (one per Lord). Bishop's save is per-unit (selfSave), NOT here.
-    var allySaves = 0;
-    if (!_simBare) for (var i = 0; i < n; i++) { if (CLASS_SKILLS[u[i].cn] && CLASS_SKILLS[u[i].cn].protectAlly) allySaves++; }
-    var rudo = !_simBare && opts.champName === "Rudo";
-    var lilu = !_simBare && opts.champName === "Lilu";
-    var bossHp = MZE.bossHP, cap = MZE.roundCap;
-    for (var r = 1; r <= cap; r++) {
-      // ---- boss attacks FIRST (boss-first ordering, confirmed against the live game) ----
-      // The boss strikes before the party deals damage each round, so a unit the boss kills this round
-      // contributes NO damage that round — about-to-die units are removed before they can act. Round 1
-      // is the boss's opening volley.
-      var totT = 0, aliveCnt = 0;
-      for (var i = 0; i < n; i++) { u[i].dodgedThisRound = false; u[i].damagedThisRound = false; if (u[i].alive) { totT += Number(u[i].threat) || 0; aliveCnt++; } }
-      if (!aliveCnt) { LG(r, "loss", "Party wiped — LOSS (round " + r + ")"); return false; }
-      // single-target by threat share
-      var roll = rng() * (totT > 0 ? totT : aliveCnt), acc = 0, tgt = null;
-      for (var i = 0; i < n; i++) {
-        if (!u[i].alive) continue;
-        acc += totT > 0 ? (Number(u[i].threat) || 0) : 1;
-        if (roll <= acc) { tgt = u[i]; break; }
-      }
-      if (!tgt) { for (var i = n - 1; i >= 0; i--) if (u[i].alive) { tgt = u[i]; break; } }
-      var sres = applyBossHit(tgt, r, rng, false, LOG);
-      if (LOG) LG(r, sres.dodged ? "dodge" : (sres.crit ? "bosscrit" : "hit"), "Boss strikes " + lab(tgt) + ": " + (sres.dodged ? "DODGED" : (sres.crit ? "CRIT " + num(sres.dmg) : num(sres.dmg))));
-      // AoE: hits every alive unit (per-unit dodge), no threat gate
-      if (rng() < MZE.aoeChance) {
-        var aoeParts = LOG ? [] : null;
-        for (var i = 0; i < n; i++) if (u[i].alive) { var ares = applyBossHit(u[i], r, rng, true, LOG); if (LOG) aoeParts.push(lab(u[i]) + ": " + (ares.dodged ? "dodged" : num(ares.dmg))); }
-        if (LOG) LG(r, "aoe", "Boss AoE → " + (aoeParts ? aoeParts.join(" · ") : ""));
-      }
-      // deaths — a Bishop spends its OWN survive-fatal first; otherwise a Lord's party-wide save covers
-      // the ally; else the unit dies. Each save revives to 1 HP, once. Resolved BEFORE party damage so a
-      // killed unit can't deal its share this round (the whole point of boss-first).
-      for (var i = 0; i < n; i++) { var x = u[i]; if (x.alive && x.hp <= 0) {
-        if (x.selfSave && !x.usedSelfSave) { x.usedSelfSave = true; x.hp = 1; LG(r, "save", lab(x) + " survives a fatal blow → 1 HP"); }
-        else if (allySaves > 0) { allySaves--; x.hp = 1; LG(r, "save", lab(x) + " shielded by a Lord → 1 HP"); }
-        else { x.alive = false; LG(r, "death", lab(x) + " is defeated"); }
-      } }
-      // Sensei loses "+crit/+eva until damaged" the instant it's hit — now BEFORE it attacks, since the
-      // boss strikes first (the opening volley can knock it out of its untouched state). The "regain after
-      // N clean rounds" half stays in end-of-round upkeep below.
-      if (!_simBare) for (var i = 0; i < n; i++) { var x = u[i]; if (x.alive && x.cn === "Sensei" && x.damagedThisRound) { x.sensClean = false; x.sensCnt = 0; } }
-
-      // ---- party damage (alive units, with this round's conditional state) ----
-      var dmg = 0, procs = LOG ? [] : null, critN = 0;
-      for (var i = 0; i < n; i++) {
-        var x = u[i]; if (!x.alive) continue;
-        // Death Knight execute: if the boss is at ≤10% HP when the DK attacks, it's instantly defeated.
-        if (!_simBare && x.cn === "Death Knight" && (bossHp - dmg) <= MZE.bossHP * SIM.dk.executeFrac) {
-          LG(r, "win", lab(x) + " EXECUTES the boss (≤" + Math.round(SIM.dk.executeFrac * 100) + "% HP) — WIN");
-          return true;
-        }
-        var cc = x.critChance, cm = x.critMult, atkMul = 1, forced = false;
-        if (!_simBare) {
-          if (x.cn === "Jarl") { var t = jarlTier(x.hp / x.maxHp); if (t) { atkMul *= 1 + SIM.jarl.atkPerTier * t; if (LOG) procs.push(lab(x) + " rage×" + t); } }
-          else if (x.cn === "Sensei") { if (x.sensClean) { cc += SIM.sensei.crit; if (LOG) procs.push(lab(x) + " +crit (untouched)"); } }
-          else if (x.cn === "Daimyo") { if (r === 1) { forced = true; if (LOG) procs.push(lab(x) + " round-1 crit"); } }
-          // Acrobat: guaranteed crit after dodging. Boss-first means the dodge already happened THIS round
-          // (boss phase above), so the reward lands on this round's attack → read dodgedThisRound.
-          else if (x.cn === "Acrobat") { if (x.dodgedThisRound) { forced = true; if (LOG) procs.push(lab(x) + " crit (post-dodge)"); } }
-          else if (x.cn === "Conquistador") { if (x.consec > 0) { cm += SIM.conq.perStack * Math.min(x.consec, SIM.conq.maxStacks); if (LOG) procs.push(lab(x) + " crit-stack×" + Math.min(x.consec, SIM.conq.maxStacks)); } }
-          if (rudo && r <= SIM.rudo.rounds) cc += SIM.rudo.crit;
-          if (x.isChamp && x.champName === "Hemma" && x.hemmaStack > 0) { atkMul *= 1 + SIM.hemma.atkPerStack * x.hemmaStack; if (LOG) procs.push(lab(x) + " ATK-stack×" + x.hemmaStack); }
-        }
-        var isCrit = forced || (rng() < Math.max(0, Math.min(1, cc / 100)));
-        if (isCrit) critN++;
-        dmg += x.baseAtk * atkMul * (isCrit ? cm : 1);
-        if (!_simBare && x.cn === "Conquistador") x.consec = isCrit ? x.consec + 1 : 0;
-      }
-      bossHp -= dmg;
-      if (LOG) {
-        if (rudo && r <= SIM.rudo.rounds) procs.unshift("Rudo +crit (party)");
-        LG(r, "dmg", "Party deals " + num(dmg) + (critN ? " (" + critN + " crit" + (critN > 1 ? "s" : "") + ")" : "") +
-          " → Boss " + num(Math.max(0, bossHp)) + " (" + Math.max(0, Math.round(bossHp / MZE.bossHP * 100)) + "%)" +
-          (procs.length ? " · " + procs.join(", ") : ""));
-      }
-      if (bossHp <= 0) { LG(r, "win", "Boss defeated — WIN (round " + r + ")"); return true; }
-      // ---- end-of-round upkeep (healing, Hemma drain, Sensei regain) ----
-      if (!_simBare) {
-        for (var i = 0; i < n; i++) { var x = u[i]; if (!x.alive) continue;
-          if (lilu) x.hp = Math.min(x.maxHp, x.hp + SIM.lilu.heal);
-          if (x.cn === "Bishop") x.hp = Math.min(x.maxHp, x.hp + SIM.bishop.regen);
-        }
-        var hemma = null;
-        for (var i = 0; i < n; i++) if (u[i].alive && u[i].isChamp && u[i].champName === "Hemma") { hemma = u[i]; break; }
-        if (hemma) {
-          var victim = null;
-          for (var i = 0; i < n; i++) { var x = u[i]; if (x.alive && x !== hemma && (!victim || x.hp > victim.hp)) victim = x; }
-          if (victim) { var drain = victim.hp * SIM.hemma.drainFrac; victim.hp -= drain;
-            hemma.hp = Math.min(hemma.maxHp, hemma.hp + drain); if (hemma.hemmaStack < SIM.hemma.maxStacks) hemma.hemmaStack++;
-            LG(r, "heal", lab(hemma) + " drains " + lab(victim) + " (" + num(drain) + " HP) → self-heal + ATK stack"); }
-        }
-        // Sensei regains its untouched buff after N clean (undamaged) rounds. The "lost when damaged"
-        // half ran above, before the party attacked.
-        for (var i = 0; i < n; i++) { var x = u[i]; if (!x.alive) continue;
-          if (x.cn === "Sensei" && !x.damagedThisRound && !x.sensClean) { x.sensCnt++; if (x.sensCnt >= SIM.sensei.regainRounds) x.sensClean = true; }
-        }
-      }
-    }
-    LG(cap, "loss", "Boss not killed before the " + cap + "-round cap — LOSS");
-    return bossHp <= 0; // round cap reached → loss
-  }
-  // Average N seeded trials → win chance (0..1). Deterministic given the seed.
-  function simWinChance(units, N, seed, opts) {
-    N = N || SIM.trials;
-    _simBare = !!(opts && opts.bare);
-    var rng = mulberry32(seed >>> 0), wins = 0;
-    for (var t = 0; t < N; t++) if (simulateFight(units, rng, opts)) wins++;
-    _simBare = false;
-    return wins / N;
-  }
   // Composition signature → memo key + stable seed source. Encodes everything that changes the sim
-  // (classes, every resolved stat, champion, saves, gear tier, sim version) so the cache never goes stale.
+  // (classes, every resolved stat, champion, saves, gear tier, zone, sim version) so the cache never goes stale.
   function partySig(hs, champ, saves) {
     var hero = hs.map(function (h) {
       return h.className + "," + heroStat(h, "hp") + "," + heroStat(h, "atk") + "," + heroStat(h, "def") +
         "," + heroStat(h, "eva") + "," + heroStat(h, "crit") + "," + heroStat(h, "threat") + "," + heroStat(h, "critDmg");
     }).join(";");
     var ch = champ ? [champ.name, champ.hp, champ.atk, champ.def, champ.eva, champ.crit, champ.threat].join(",") : "";
-    return "sim2|" + state.quality + "|" + saves + "|" + hero + "|" + ch;
+    return "sim3|" + zoneSig() + "|" + skillSig() + "|" + state.quality + "|" + saves + "|" + hero + "|" + ch;
   }
-  var _simCache = {};       // displayed-grade sim (per exact composition, partySig)
-  var _simScoreCache = {};  // optimizer sim (per champion + sorted slots + saves + tier, see scoreOf)
 
   // Full party outcome → the face icon. The grade is the ESTIMATED WIN CHANCE, not raw speed:
   //   • Hard fails (win 0%): undermanned, barrier not broken (≥320), or can't kill the 10M boss
@@ -2070,7 +2617,8 @@
   //   • Otherwise grade by est. win % = P(no losses over the kill duration) → S/A/B/C (WIN_BANDS).
   // Kill speed (rounds) only matters via exposure: more rounds = more boss hits = lower win%.
   // So a slow-but-unkillable party rightly grades high, and a fast-but-fragile one rightly drops.
-  function partyOutcome(p) {
+  // sync = resolve the sim right here, never "pending" on the worker pool (e.g. a slot's saved grade).
+  function partyOutcome(p, sync) {
     var hs = state.heroes.filter(function (h) { return h.partyId === p.id; });
     var champ = getChampion(p.champName);
     var buff = partyBuff(champ, hs.map(function (h) { return h.className; }));
@@ -2078,19 +2626,26 @@
       (champ ? buffedEffAtk(Number(champ.atk) || 0, Number(champ.crit) || 0, MZE.critDmgMod, buff) : 0);
     var rounds = atk > 0 ? Math.ceil(MZE.bossHP / atk) : Infinity;
     if (hs.length !== partyCap(p)) return { grade: "D", winPct: 0, fail: true, reason: "undermanned", rounds: rounds };
-    if (state.barriers.length > 0 && partyBestBarrier(p, hs) * buff.barrierMult < BARRIER_POWER_TARGET) return { grade: "D", winPct: 0, fail: true, reason: "barrier", rounds: rounds };
+    if (state.barriers.length > 0 && partyBestBarrier(p, hs) * buff.barrierMult < MZE.barrier) return { grade: "D", winPct: 0, fail: true, reason: "barrier", rounds: rounds };
     if (rounds >= MZE.roundCap) return { grade: "D", winPct: 0, fail: true, reason: "roundcap", rounds: rounds };
     var saves = hs.reduce(function (a, h) { return a + classSaves(h.className); }, 0);
     // Phase-2: the DISPLAYED grade comes from the Monte Carlo sim (models the conditional skills),
     // seeded + memoized per composition so the % is stable and re-renders are free. The closed-form
     // `winChance` stays as the fast fallback the optimizer (scoreOf) uses in its inner loop.
     var sig = partySig(hs, champ, saves);
-    var w = _simCache[sig];
-    if (w === undefined) {
-      w = simWinChance(simUnits(hs, champ, buff), SIM.trials, hashStr(sig), { saves: saves, champName: champ ? champ.name : null });
-      _simCache[sig] = w;
+    var r = _simCache[sig];
+    if (r === undefined) {
+      var units = simUnits(hs, champ, buff), sopts = { saves: saves, champName: champ ? champ.name : null, adaptive: true };
+      // Off the main thread when a worker pool is available — `pending` until the result lands.
+      if (!sync && poolReady()) {
+        simRequest(sig, units, hashStr(sig), sopts);
+        return { grade: null, winPct: null, fail: false, pending: true, reason: null, rounds: rounds };
+      }
+      r = simWinChance(units, SIM.trials, hashStr(sig), sopts);
+      _simCache[sig] = r;
     }
-    return { grade: GRADE_LETTERS[winTier(w)], winPct: Math.round(w * 100), fail: false, reason: null, rounds: rounds };
+    return { grade: GRADE_LETTERS[winTier(r.win)], winPct: Math.round(r.win * 100), winLo: Math.round(r.lo * 100), winHi: Math.round(r.hi * 100), trials: r.trials,
+      fail: false, reason: null, rounds: rounds };
   }
   function partyGrade(p) { return partyOutcome(p).grade; }
   // One seeded sample fight for the "Simulate combat" replay → { win, log[] }. Pure combat (the barrier /
@@ -2104,11 +2659,154 @@
     var win = units.length ? simulateFight(units, mulberry32(seed >>> 0), { champName: champ ? champ.name : null }, log) : false;
     return { win: win, log: log, units: units.length };
   }
+
+  /* ---------------- sim worker pool ----------------
+   * The displayed-grade sims and the Recommended search run in Web Workers so the page never freezes
+   * (a cold Recommended is several seconds of sim). The worker script is THIS file: with no `document`
+   * it stops at the DOM guard and calls workerMain, so the engine can't drift from the page's copy.
+   * Jobs are plain messages; `handleJob` serves them in the worker and, when workers are unavailable
+   * (file://, old browsers, a worker that fails to load), on the main thread — same seed, same
+   * result, so the grade never depends on where it ran.
+   *   { type: "sim", units, N, seed, opts }  → { type: "sim", res: { win, lo, hi, trials } }
+   *   { type: "stats", units, N, seed, opts } → { type: "stats", stats } (see newFightStats)
+   *   { type: "recommend", json }            → { type: "progress", frac, label }* then { type: "done", heroes }
+   *   { type: "bestuse", json }              → progress* then { type: "done", heroes, recruits, before, after }
+   *   { type: "plan", json, budget }         → progress* then { type: "done", steps, before }
+   *   { type: "pareto", json, knobs }        → { type: "done", heroes, avg, min, breadth } (see rosterMetrics)
+   *   { type: "calibrate", results }         → progress* then { type: "done", fit } (see RosterEngine.calibrate)
+   *   { type: "snapshot", json, barriers }   → { type: "done", snap, error } (rosterSnapshot of a second roster)
+   *   { type: "guild", json, barriers, sets } → { type: "done", snap, error } (guildSnapshot of a guild player)
+   * Every message carries the zone (`zones` + `zone`) so the worker fights the same boss. */
+  function handleJob(msg, post, local) {
+    if (!local && msg.zones) { state.zones = msg.zones; useZone(msg.zone); }
+    if (!local && msg.skills) state.skills = msg.skills;
+    if (msg.type === "sim") {
+      post({ id: msg.id, type: "sim", res: simWinChance(msg.units, msg.N, msg.seed, msg.opts) });
+    } else if (msg.type === "stats") {
+      post({ id: msg.id, type: "stats", stats: fightStats(msg.units, msg.N, msg.seed, msg.opts) });
+    } else if (msg.type === "recommend") {
+      if (!local) loadJSON(msg.json);
+      buildSuggestedRoster(function (frac, label) { post({ id: msg.id, type: "progress", frac: frac, label: label }); });
+      post({ id: msg.id, type: "done", heroes: state.heroes });
+    } else if (msg.type === "bestuse") {
+      if (!local) loadJSON(msg.json);
+      var bu = bestUseOfRoster(function (frac, label) { post({ id: msg.id, type: "progress", frac: frac, label: label }); });
+      post({ id: msg.id, type: "done", heroes: bu.heroes, recruits: bu.recruits, before: bu.before, after: bu.after });
+    } else if (msg.type === "plan") {
+      if (!local) loadJSON(msg.json);
+      var pl = planUpgrades(msg.budget, function (frac, label) { post({ id: msg.id, type: "progress", frac: frac, label: label }); });
+      post({ id: msg.id, type: "done", steps: pl.steps, before: pl.before });
+    } else if (msg.type === "pareto") {
+      var own = state.heroes, built, mt; // on the main thread the build must not replace the live roster
+      if (!local) loadJSON(msg.json);
+      try {
+        buildSuggestedRoster(null, msg.knobs);
+        built = state.heroes; mt = rosterMetrics();
+      } finally { if (local) state.heroes = own; }
+      post({ id: msg.id, type: "done", heroes: built, avg: mt.avg, min: mt.min, breadth: mt.breadth });
+    } else if (msg.type === "calibrate") {
+      var fit = RE.calibrate({ zone: activeZone(), customSkill: customSkill, results: msg.results,
+        onProgress: function (frac, label) { post({ id: msg.id, type: "progress", frac: frac, label: label }); } });
+      post({ id: msg.id, type: "done", fit: fit });
+    } else if (msg.type === "snapshot" || msg.type === "guild") {
+      // A second roster read on a throwaway state (withRoster), in the sender's zone + barriers — so on
+      // the main thread the live roster is never swapped out. A bad roster comes back as `error`.
+      var snap = null, err = null;
+      try {
+        snap = withRoster(checkedRoster(msg.json), function () {
+          state.zones = msg.zones; useZone(msg.zone); state.barriers = msg.barriers.slice();
+          return msg.type === "guild" ? guildSnapshot(msg.sets) : rosterSnapshot();
+        });
+      } catch (e) { err = e.message || String(e); }
+      post({ id: msg.id, type: "done", snap: snap, error: err });
+    }
+  }
+  function workerMain() {
+    self.onmessage = function (e) { handleJob(e.data, function (m) { self.postMessage(m); }, false); };
+  }
+
+  var POOL_MAX = 4;
+  var _pool = null;      // [{ w, job }] once started; [] = no workers here → everything runs on the main thread
+  var _poolQueue = [];   // jobs waiting for a free worker
+  var _poolSeq = 0;
+  function poolStart() {
+    if (_pool) return _pool;
+    _pool = [];
+    if (typeof Worker === "undefined" || !SELF_SRC) return _pool;
+    var n = Math.max(1, Math.min(POOL_MAX, (navigator.hardwareConcurrency || 2) - 1));
+    for (var i = 0; i < n; i++) { var slot = poolSpawn(); if (!slot) break; _pool.push(slot); }
+    return _pool;
+  }
+  function poolSpawn() {
+    var w;
+    try { w = new Worker(SELF_SRC); } catch (e) { return null; } // e.g. Chrome blocks workers on file://
+    var slot = { w: w, job: null };
+    w.onmessage = function (e) {
+      var job = slot.job, m = e.data;
+      if (!job || m.id !== job.id) return;
+      if (m.type !== "progress") slot.job = null;
+      job.onMsg(m);
+      if (!slot.job) poolPump();
+    };
+    w.onerror = function (e) { if (e && e.preventDefault) e.preventDefault(); poolFail(); };
+    return slot;
+  }
+  function poolPump() {
+    (_pool || []).forEach(function (slot) {
+      if (slot.job || !_poolQueue.length) return;
+      slot.job = _poolQueue.shift();
+      slot.w.postMessage(slot.job.msg);
+    });
+  }
+  // A worker died or failed to load: drop the pool and finish every in-flight + queued job locally.
+  function poolFail() {
+    var jobs = (_pool || []).map(function (slot) { slot.w.terminate(); return slot.job; }).filter(Boolean).concat(_poolQueue);
+    _pool = []; _poolQueue = [];
+    jobs.forEach(function (job) { handleJob(job.msg, job.onMsg, true); });
+  }
+  function poolReady() { return poolStart().length > 0; }
+  // Queue a job → handle { cancel() }. onMsg gets every reply (progress + the final one).
+  function poolRun(msg, onMsg) {
+    msg.id = ++_poolSeq; msg.zones = state.zones; msg.zone = state.zone; msg.skills = state.skills;
+    var job = { id: msg.id, msg: msg, onMsg: onMsg };
+    if (!poolReady()) { handleJob(msg, onMsg, true); return { cancel: function () {} }; }
+    _poolQueue.push(job);
+    poolPump();
+    return {
+      cancel: function () {
+        var qi = _poolQueue.indexOf(job);
+        if (qi >= 0) { _poolQueue.splice(qi, 1); return; }
+        // A busy worker is mid-loop and can't read messages — replace it (losing its warm sim cache).
+        (_pool || []).forEach(function (slot, i) {
+          if (slot.job !== job) return;
+          slot.w.terminate();
+          var fresh = poolSpawn();
+          if (fresh) _pool[i] = fresh; else _pool.splice(i, 1);
+        });
+        poolPump();
+      }
+    };
+  }
+  // Displayed-grade sims: one job per composition; the grade shows "pending" until it lands, then a
+  // single re-render once the batch drains (not per party — keeps drags / typing undisturbed).
+  var _simPending = {}, _simPendingN = 0;
+  function simRequest(sig, units, seed, opts) {
+    if (_simPending[sig]) return;
+    _simPending[sig] = true; _simPendingN++;
+    poolRun({ type: "sim", units: units, N: SIM.trials, seed: seed, opts: opts }, function (m) {
+      _simCache[sig] = m.res;
+      delete _simPending[sig]; _simPendingN--;
+      if (!_simPendingN) render();
+    });
+  }
+  // "95% (93–97)": the win % with its 95% interval (hard fails have none).
+  function winPctCI(o) { return o.winPct + "%" + (o.winLo === undefined ? "" : " (" + o.winLo + "–" + o.winHi + ")"); }
   function gradeImg(p) {
     var o = partyOutcome(p);
+    if (o.pending) return '<span class="shrink-0 w-8 h-8 flex items-center justify-center text-textSecondary animate-pulse" title="Simulating…">…</span>';
     var tip = o.fail
-      ? "Estimated win chance: 0% — " + (o.reason === "barrier" ? "barrier not broken" : o.reason === "roundcap" ? "can't kill before the 500-round cap" : "party not full")
-      : "Estimated win chance: " + o.winPct + "%";
+      ? "Estimated win chance: 0% — " + (o.reason === "barrier" ? "barrier not broken" : o.reason === "roundcap" ? "can't kill before the " + MZE.roundCap + "-round cap" : "party not full")
+      : "Estimated win chance: " + winPctCI(o) + " — 95% interval over " + o.trials + " simulated fights";
     var t = escA(tip);
     // data-info routes the click through the same popover the ⓘ markers use (delegated handler below).
     // If the image is missing, fall back to a clickable letter that keeps the same data-info popover.
@@ -2119,8 +2817,9 @@
   // Estimated success % shown next to the face. Green S/A · amber B · rose C/D (incl. 0% fails).
   function gradePct(p) {
     var o = partyOutcome(p);
+    if (o.pending) return '<span class="text-sm font-bold font-mono shrink-0 text-textSecondary" title="simulating…">…%</span>';
     var col = (o.grade === "S" || o.grade === "A") ? COL.emerald : (o.grade === "B" ? COL.amber : COL.rose);
-    return '<span class="text-sm font-bold font-mono shrink-0" style="color:' + col + '" title="estimated success chance">' + o.winPct + '%</span>';
+    return '<span class="text-sm font-bold font-mono shrink-0" style="color:' + col + '" title="estimated success chance ' + escA(winPctCI(o)) + '">' + o.winPct + '%</span>';
   }
 
   var statsPanel = document.getElementById("statsPanel");
@@ -2186,8 +2885,8 @@
       var est = ESTIMATED_CLASSES[c.name];
       var nameCls = "truncate text-sm" + (est ? " text-textSecondary italic" : "");
       var nameTitle = est ? ' title="Estimated — group-average placeholder. Update with real stats."' : "";
-      var sk = CLASS_SKILLS[c.name];
-      var mark = sk ? infoBadge(sk.text + (sk.sim ? "  —  conditional parts pending the sim" : "")) : "";
+      var skt = skillInfoText("classes", c.name);
+      var mark = skt ? infoBadge(skt) : "";
       return '<div class="flex items-center gap-2 bg-surface border-2 border-borderc rounded-lg px-3 py-1.5">' +
         classIcon(c.name) + '<span class="flex-1 min-w-0 flex items-center gap-1"><span class="' + nameCls + '"' + nameTitle + '>' + escH(c.name) + '</span>' + mark + '</span>' +
         classField(c.name, "hp", "w-14") + classField(c.name, "atk", "w-16") + classField(c.name, "def", "w-16") +
@@ -2197,7 +2896,37 @@
     }).join("");
 
     defaultsBody.innerHTML =
-      POWER_HEADER + 'Class averages (defaults)</div>' + clsPaste + clsHeader + clsRows;
+      POWER_HEADER + 'Class averages (defaults)</div>' + clsPaste + clsHeader + clsRows + skillDefsSection();
+  }
+  // Custom skill definitions (see normSkillDefs): the whole block as editable JSON. Apply replaces it
+  // (blank = back to the built-ins); it also rides along in the roster JSON next to the class stats.
+  function skillDefsSection() {
+    var names = Object.keys(state.skills.classes).concat(Object.keys(state.skills.champions));
+    var example = '{"classes": {"Jarl": [{"trigger": "belowHp", "hp": 0.5, "effect": "stat", "stat": "atk", "value": 80}]},\n "champions": {"Lilu": [{"trigger": "perTurn", "effect": "heal", "target": "party", "value": 30}]}}';
+    return '<div class="mt-5 pt-3 border-t border-borderc space-y-2">' + POWER_HEADER + 'Custom skills</div>' +
+      '<div class="text-xs text-textSecondary leading-relaxed">Replace a class\'s or champion\'s built-in skill without a code change. Each effect has a <b>trigger</b> (' + SKILL_TRIGGERS.join(", ") + '), ' +
+        'an <b>effect</b> (' + SKILL_EFFECTS.join(", ") + '), a <b>stat</b> for stat effects (' + SKILL_STATS.join(", ") + '), a <b>value</b>, and optional <b>target</b> (self / party), <b>from</b>/<b>to</b> (round), <b>hp</b>, <b>stacks</b>, <b>duration</b>. ' +
+        'The sim runs them; the ⓘ shows them. ' + (names.length ? 'Active: <b>' + escH(names.join(", ")) + '</b>.' : 'None yet — the built-ins apply.') + '</div>' +
+      '<textarea id="skillDefs" spellcheck="false" class="w-full h-28 p-2 rounded-lg bg-hoverBg border border-borderc text-textPrimary font-mono text-xs resize-y focus:outline-none focus:ring-1 focus:ring-accent" placeholder="' + escA(example) + '">' +
+        escH(names.length ? JSON.stringify(state.skills, null, 1) : "") + '</textarea>' +
+      '<div class="flex items-center gap-2"><button id="skillDefsApply" class="btn-white text-xs px-3 py-1">Apply Skills</button>' +
+        '<button id="skillDefsJson" class="btn-white text-xs px-3 py-1"' + (names.length ? "" : " disabled") + '>Download JSON</button>' +
+        '<span id="skillDefsStatus" class="text-xs text-textSecondary"></span></div>' +
+    '</div>';
+  }
+  // Apply the Custom skills textarea → state.skills. Returns a status line, or null when nothing changed (bad JSON).
+  function applySkillDefs(text) {
+    var raw = String(text || "").trim(), data = {}, bad = { n: 0, fold: 0 };
+    if (raw) { try { data = JSON.parse(raw); } catch (e) { return { ok: false, msg: "Not valid JSON — " + e.message }; } }
+    if (data && data.skills && !data.classes && !data.champions) data = data.skills; // a whole roster JSON
+    state.skills = normSkillDefs(data, bad);
+    var cls = Object.keys(state.skills.classes), ch = Object.keys(state.skills.champions);
+    var unknown = cls.filter(function (n) { return !CLASS[n]; }).concat(ch.filter(function (n) { return !CHAMPION_SKILLS[n] && !CHAMPION_POOL.some(function (c) { return c.name === n; }); }));
+    var msg = cls.length + " class" + (cls.length === 1 ? "" : "es") + ", " + ch.length + " champion" + (ch.length === 1 ? "" : "s") +
+      (bad.n ? " · " + bad.n + " effect" + (bad.n === 1 ? "" : "s") + " dropped (unknown trigger/effect/stat or bad value)" : "") +
+      (bad.fold ? " · " + bad.fold + " HP/barrier effect" + (bad.fold === 1 ? "" : "s") + " dropped (they only apply as always: HP on self or a champion's party, barrier on a champion's party)" : "") +
+      (unknown.length ? " · unknown name" + (unknown.length === 1 ? "" : "s") + ": " + unknown.join(", ") : "");
+    return { ok: true, msg: msg };
   }
 
   if (defaultsBody) {
@@ -2215,6 +2944,16 @@
       }
     });
     defaultsBody.addEventListener("click", function (e) {
+      if (e.target.closest("#skillDefsApply")) {
+        var sta = document.getElementById("skillDefs");
+        var res = applySkillDefs(sta ? sta.value : "");
+        if (!res.ok) { flashStatus(document.getElementById("skillDefsStatus"), res.msg, 4000); return; }
+        setUpdate(skillDefCount() ? "Applied custom skills — " + res.msg + "." : "Cleared custom skills — built-in skills apply.");
+        buildDefaultsPanel(); render();
+        flashStatus(document.getElementById("skillDefsStatus"), res.msg, 4000);
+        return;
+      }
+      if (e.target.closest("#skillDefsJson")) { downloadFile("skills.json", JSON.stringify(state.skills, null, 2), "application/json"); return; }
       if (e.target.closest("#clsPasteApply")) {
         var cta = document.getElementById("clsPaste");
         var cn = applyClassPaste(cta ? cta.value : "");
@@ -2274,14 +3013,14 @@
       var rounds = isFinite(o.rounds) ? o.rounds : 0;
       var risky = hs.filter(function (x) { return survivability(x).flag === "risk"; }).length + (champ && champSurv(champ).flag === "risk" ? 1 : 0);
       // win/grade is the headline; rounds-to-kill stays as info (matters only via exposure + the 500 cap).
-      var winColor = o.fail ? COL.rose : (o.winPct >= 75 ? COL.emerald : o.winPct >= 55 ? COL.amber : COL.rose);
-      var winLabel = o.fail
-        ? (o.reason === "barrier" ? "✗ barrier" : o.reason === "roundcap" ? "✗ 500-cap" : "incomplete")
-        : "~" + o.winPct + "% win · " + o.grade;
+      var winColor = o.pending ? COL.muted : o.fail ? COL.rose : (o.winPct >= 75 ? COL.emerald : o.winPct >= 55 ? COL.amber : COL.rose);
+      var winLabel = o.pending ? "simulating…" : o.fail
+        ? (o.reason === "barrier" ? "✗ barrier" : o.reason === "roundcap" ? "✗ " + MZE.roundCap + "-cap" : "incomplete")
+        : winPctCI(o) + " win · " + o.grade;
       return '<div class="flex items-center gap-2 bg-surface border-2 border-borderc rounded-lg px-3 py-1.5 text-xs">' +
         '<span class="flex-1 min-w-0 truncate">' + escH(p.name) + '</span>' +
         '<span class="font-bold" style="color:' + winColor + '">' + winLabel + '</span>' +
-        '<span class="font-mono text-textSecondary" title="rounds to kill the 10M boss (info only — fights auto-skip)">' + (rounds <= 0 ? "no ATK" : (rounds >= MZE.roundCap ? "✗ " + rounds + " rds" : "~" + rounds + " rds")) + '</span>' +
+        '<span class="font-mono text-textSecondary" title="rounds to kill the ' + compactNum(MZE.bossHP) + ' boss (info only — fights auto-skip)">' + (rounds <= 0 ? "no ATK" : (rounds >= MZE.roundCap ? "✗ " + rounds + " rds" : "~" + rounds + " rds")) + '</span>' +
         (risky ? '<span class="font-bold" style="color:' + COL.rose + '">⚠ ' + risky + ' 1-shot</span>' : '<span style="color:' + COL.emerald + '">✓ tanky</span>') +
       '</div>';
     }).join("");
@@ -2289,7 +3028,123 @@
     statsBody.innerHTML =
       POWER_HEADER + 'Heroes — overrides (blank = class average)</div>' + heroPaste + heroHeader + heroRows +
       '<div class="mt-4 pt-3 border-t border-borderc space-y-1.5">' + POWER_HEADER + 'Champion stats</div>' + champHeader + champRows + '</div>' +
-      '<div class="mt-4 pt-3 border-t border-borderc space-y-2">' + POWER_HEADER + 'Per-party clear speed (vs 10M HP)</div>' + summary + '</div>';
+      '<div class="mt-4 pt-3 border-t border-borderc space-y-2">' + POWER_HEADER + 'Per-party clear speed (vs ' + compactNum(MZE.bossHP) + ' HP)</div>' + summary + '</div>' +
+      sensSection();
+  }
+
+  // ---- Upgrade sensitivity: which single stat bump raises this party's win % most ----
+  // Bumps one resolved stat (`heroStat`) on one hero by its step and re-runs the party sim on the
+  // SAME seed as the unbumped baseline (common random numbers), so the Δ is the bump, not reseed noise.
+  // One "sim" pool job per bump (they fan out across the workers). Steps persist in localStorage.
+  var SENS_STATS = [["hp", "HP", 500], ["atk", "ATK", 1000], ["def", "DEF", 2000], ["eva", "EVA", 5], ["crit", "CRIT", 5], ["critDmg", "CRIT✕", 0.25]];
+  var _sensPid = null;
+  var _sens = null; // { pid, sig, base, rows: [{ label, cn, stat, step, win, d }], left } — survives panel rebuilds
+  var _sensJobs = [];
+  function sensSteps() {
+    var saved = storeGet("sensSteps") || {}, out = {};
+    SENS_STATS.forEach(function (d) { var v = Number(saved[d[0]]); out[d[0]] = isFinite(v) && v > 0 ? v : d[2]; });
+    return out;
+  }
+  function sensParty() {
+    var p = null; state.parties.forEach(function (q) { if (q.id === _sensPid) p = q; });
+    if (!p && state.parties.length) { p = state.parties[0]; _sensPid = p.id; }
+    return p;
+  }
+  function sensContext(p) {
+    var hs = state.heroes.filter(function (h) { return h.partyId === p.id; });
+    var champ = getChampion(p.champName), buff = partyBuff(champ, hs.map(function (h) { return h.className; }));
+    var saves = hs.reduce(function (a, h) { return a + classSaves(h.className); }, 0);
+    var psig = partySig(hs, champ, saves);
+    return { hs: hs, champ: champ, buff: buff, psig: psig, sig: psig + "|" + JSON.stringify(sensSteps()), opts: { saves: saves, champName: champ ? champ.name : null } };
+  }
+  function sensCancel() { _sensJobs.forEach(function (j) { j.cancel(); }); _sensJobs = []; }
+  function runSensitivity(p) {
+    sensCancel();
+    var cx = sensContext(p), steps = sensSteps(), seed = hashStr("sens|" + cx.psig);
+    var labels = simUnitLabels(simUnits(cx.hs, cx.champ, cx.buff));
+    var bumps = [null];
+    cx.hs.forEach(function (h, i) { SENS_STATS.forEach(function (d) { bumps.push({ hi: i, key: d[0], name: d[1], step: steps[d[0]] }); }); });
+    var run = _sens = { pid: p.id, sig: cx.sig, base: null, rows: [], left: bumps.length };
+    bumps.forEach(function (b) {
+      var hs = !b ? cx.hs : cx.hs.map(function (h, i) {
+        if (i !== b.hi) return h;
+        var c = {}; for (var k in h) c[k] = h[k];
+        // critDmg: a blank/0 override means "the zone default", so bump from the multiplier the sim actually uses.
+        c[b.key] = (b.key === "critDmg" ? heroCritMult(h) : heroStat(h, b.key)) + b.step;
+        return c;
+      });
+      var done = false; // the local (no-worker) path calls back synchronously
+      _sensJobs.push(poolRun({ type: "sim", units: simUnits(hs, cx.champ, cx.buff), N: SIM.sensTrials, seed: seed, opts: cx.opts }, function (m) {
+        if (done || _sens !== run) return;
+        done = true;
+        if (!b) run.base = m.res.win;
+        else run.rows.push({ label: labels[b.hi], cn: cx.hs[b.hi].className, stat: b.name, step: b.step, win: m.res.win });
+        if (--run.left === 0) {
+          _sensJobs = [];
+          run.rows.forEach(function (r) { r.d = r.win - run.base; });
+          run.rows.sort(function (a, c) { return c.d - a.d || a.label.localeCompare(c.label); });
+        }
+        var box = statsBody && statsBody.querySelector("#sensResult");
+        if (box) box.innerHTML = sensResultHTML();
+      }));
+    });
+  }
+  function sensStepTxt(r) { return "+" + r.step + " " + r.stat; }
+  function sensDeltaTxt(d) { var v = Math.round(d * 1000) / 10; return (v > 0 ? "+" : v < 0 ? "−" : "±") + Math.abs(v).toFixed(1) + "%"; }
+  function sensResultHTML() {
+    var p = sensParty();
+    if (!p) return "";
+    if (!_sens || _sens.pid !== p.id) return '<div class="text-xs text-textSecondary italic">Pick a party and press Analyze.</div>';
+    var total = state.heroes.filter(function (h) { return h.partyId === p.id; }).length * SENS_STATS.length + 1;
+    if (_sens.left > 0) return '<div class="text-xs text-textSecondary animate-pulse">Simulating… ' + (total - _sens.left) + ' / ' + total + ' runs</div>';
+    var stale = _sens.sig !== sensContext(p).sig
+      ? '<div class="text-xs mb-1" style="color:' + COL.amber + '">The party or the steps changed since this run — Analyze again.</div>' : "";
+    if (!_sens.rows.length) return stale + '<div class="text-xs text-textSecondary italic">This party has no heroes.</div>';
+    var top = _sens.rows[0];
+    var lead = top.d >= 0.01
+      ? 'Best single upgrade: <b>' + escH(sensStepTxt(top)) + ' on the ' + escH(top.label) + '</b> = <b style="color:' + COL.emerald + '">' + sensDeltaTxt(top.d) + '</b> win.'
+      : 'No single bump moves the win % by more than noise' + (_sens.base >= WIN_BANDS.S ? ' — the party is already at ' + Math.round(_sens.base * 100) + '%.' : '. Try bigger steps.');
+    var TH = '<th class="text-left font-semibold text-textSecondary uppercase tracking-wider text-[10px] px-2 py-1">';
+    var table = '<table class="w-full text-sm mt-2"><thead><tr>' + TH + 'Hero</th>' + TH + 'Upgrade</th>' + TH + 'Win</th>' + TH + 'Δ win</th></tr></thead><tbody>' +
+      _sens.rows.map(function (r) {
+        return '<tr class="border-t border-borderc"><td class="px-2 py-1 whitespace-nowrap">' + classIcon(r.cn) + ' ' + escH(r.label) + '</td>' +
+          '<td class="px-2 py-1 font-mono">' + escH(sensStepTxt(r)) + '</td>' +
+          '<td class="px-2 py-1 font-mono">' + Math.round(r.win * 1000) / 10 + '%</td>' +
+          '<td class="px-2 py-1 font-mono font-bold" style="color:' + (r.d > 0.005 ? COL.emerald : r.d < -0.005 ? COL.rose : COL.muted) + '">' + sensDeltaTxt(r.d) + '</td></tr>';
+      }).join("") + '</tbody></table>';
+    return stale + '<p class="text-xs text-textPrimary">' + lead + ' Baseline ' + (Math.round(_sens.base * 1000) / 10) + '% over ' + SIM.sensTrials.toLocaleString() +
+      ' fights per run; gaps under ~1 pt are noise.</p>' + sensTornado(_sens.rows) + table;
+  }
+  // Tornado: the 12 largest |Δ| bumps, centred on 0 (gains right, losses left), biggest on top.
+  function sensTornado(rows) {
+    var top = rows.slice().sort(function (a, b) { return Math.abs(b.d) - Math.abs(a.d); }).slice(0, 12);
+    var max = top.reduce(function (a, r) { return Math.max(a, Math.abs(r.d)); }, 0.01);
+    var W = 700, LW = 230, RH = 18, H = top.length * RH + 16, mid = LW + (W - LW) / 2, half = (W - LW) / 2 - 46;
+    return '<svg viewBox="0 0 ' + W + ' ' + H + '" class="w-full h-auto bg-hoverBg rounded-lg mt-2">' +
+      '<line x1="' + mid + '" y1="2" x2="' + mid + '" y2="' + (H - 12) + '" stroke="' + COL.border + '"/>' +
+      top.map(function (r, i) {
+        var y = i * RH + 4, w = Math.abs(r.d) / max * half, x = r.d >= 0 ? mid : mid - w;
+        var col = r.d >= 0 ? COL.emerald : COL.rose, tip = sensStepTxt(r) + " on " + r.label + " = " + sensDeltaTxt(r.d) + " win";
+        return '<g><title>' + escH(tip) + '</title>' +
+          '<text x="' + (LW - 6) + '" y="' + (y + 12) + '" text-anchor="end" font-size="10" fill="' + COL.text + '">' + escH(r.label + " · " + sensStepTxt(r)) + '</text>' +
+          '<rect x="' + x.toFixed(1) + '" y="' + (y + 2) + '" width="' + Math.max(1, w).toFixed(1) + '" height="' + (RH - 6) + '" rx="2" fill="' + col + '" fill-opacity="0.85"/>' +
+          '<text x="' + (r.d >= 0 ? mid + w + 4 : mid - w - 4).toFixed(1) + '" y="' + (y + 12) + '" text-anchor="' + (r.d >= 0 ? "start" : "end") + '" font-size="10" font-family="monospace" fill="' + col + '">' + sensDeltaTxt(r.d) + '</text></g>';
+      }).join("") +
+      '<text x="' + mid + '" y="' + (H - 2) + '" text-anchor="middle" font-size="9" fill="' + COL.muted + '">Δ win % vs baseline</text></svg>';
+  }
+  function sensSection() {
+    var p = sensParty(), steps = sensSteps();
+    if (!p) return "";
+    var pick = '<select data-action="sens-party" class="' + FIELD + '">' + state.parties.map(function (q) {
+      return '<option value="' + q.id + '"' + (q.id === p.id ? " selected" : "") + '>' + escH(q.name || "party") + '</option>';
+    }).join("") + '</select>';
+    var stepInputs = SENS_STATS.map(function (d) {
+      return '<label class="flex items-center gap-1 text-[10px] uppercase tracking-wider text-textSecondary">+<input type="number" min="0" step="any" data-sens-step="' + d[0] + '" value="' + steps[d[0]] + '" class="' + STATFIELD + ' w-16">' + d[1] + '</label>';
+    }).join("");
+    return '<div class="mt-4 pt-3 border-t border-borderc space-y-2">' + POWER_HEADER + 'Upgrade sensitivity — which stat bump raises win % most</div>' +
+      '<div class="flex items-center gap-2">' + pick + '<button id="sensRun" class="btn-white text-xs px-3 py-1">Analyze</button></div>' +
+      '<div class="flex flex-wrap items-center gap-3">' + stepInputs + '</div>' +
+      '<div id="sensResult">' + sensResultHTML() + '</div></div>';
   }
 
   if (statsBody) {
@@ -2312,8 +3167,27 @@
         renderApp();
         return;
       }
+      var step = e.target.closest("[data-sens-step]");
+      if (step) {
+        var saved = storeGet("sensSteps") || {};
+        saved[step.dataset.sensStep] = Number(step.value) || null;
+        storeSet("sensSteps", saved);
+        var box = statsBody.querySelector("#sensResult"); if (box) box.innerHTML = sensResultHTML();
+      }
+    });
+    statsBody.addEventListener("change", function (e) {
+      var sel = e.target.closest('[data-action="sens-party"]');
+      if (!sel) return;
+      _sensPid = Number(sel.value);
+      var box = statsBody.querySelector("#sensResult"); if (box) box.innerHTML = sensResultHTML();
     });
     statsBody.addEventListener("click", function (e) {
+      if (e.target.closest("#sensRun")) {
+        var sp = sensParty(); if (!sp) return;
+        runSensitivity(sp);
+        var box = statsBody.querySelector("#sensResult"); if (box && _sens && _sens.left > 0) box.innerHTML = sensResultHTML();
+        return;
+      }
       if (e.target.closest("#statsPasteApply")) {
         var ta = document.getElementById("statsPaste");
         var n = applyStatsPaste(ta ? ta.value : "");
@@ -2329,47 +3203,761 @@
   if (statsCloseBtn) statsCloseBtn.addEventListener("click", function () { closePanel(statsPanel, statsBackdrop); });
   if (statsBackdrop) statsBackdrop.addEventListener("click", function () { closePanel(statsPanel, statsBackdrop); });
 
-  /* ---------------- Share / Download / Upload ---------------- */
-  var CLASS_STAT_KEYS = ["hp", "atk", "def", "eva", "power", "crit", "threat", "critDmg"];
-
-  // Share link codec: full toJSON() -> deflate-raw (native CompressionStream) -> base64url, carried
-  // in the URL #r= hash. Self-contained (roster + gear tiers + champions), no server. ~4KB link.
-  var SHARE_SUPPORTED = typeof CompressionStream !== "undefined" && typeof DecompressionStream !== "undefined";
-  function bytesToB64url(bytes) {
-    var bin = ""; for (var i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
-    return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  /* ---------------- Gear panel (item catalog + per-hero equipment) ---------------- */
+  // Catalog import merges by name (a re-import updates items in place); heroes name catalog entries, so
+  // the roll-up (heroStat → gearStat) follows any later catalog change. Edits re-render the roster only
+  // and refresh the hero's resolved-stats line, so typing in a slot keeps focus.
+  var gearPanel = document.getElementById("gearPanel");
+  var gearBackdrop = document.getElementById("gearBackdrop");
+  var gearBody = document.getElementById("gearPanelBody");
+  var _gearHeroId = null;
+  var GEAR_CSV_HEADER = "Type,Name,Slot,HP,ATK,DEF,EVA,CRIT,Element,ElementPower";
+  function gearColKey(cell) {
+    var n = String(cell == null ? "" : cell).trim().toLowerCase().replace(/[^a-z0-9]/g, "");
+    if (n === "type" || n === "kind") return "type";
+    if (n === "name" || n === "item") return "name";
+    if (n === "slot") return "slot";
+    if (n === "hp" || n === "health") return "hp";
+    if (n === "atk" || n === "attack") return "atk";
+    if (n === "def" || n === "defense" || n === "defence") return "def";
+    if (n === "eva" || n === "evasion") return "eva";
+    if (n === "crit" || n === "critchance") return "crit";
+    if (n === "element" || n === "el") return "el";
+    if (n === "elementpower" || n === "elpower" || n === "power") return "elPower";
+    return null;
   }
-  function b64urlToBytes(s) {
-    s = String(s).replace(/-/g, "+").replace(/_/g, "/"); while (s.length % 4) s += "=";
-    var bin = atob(s), bytes = new Uint8Array(bin.length);
-    for (var i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
-    return bytes;
+  // Delimited text → rows of cells, reading the quoting csvCell writes: a cell that starts with " runs
+  // to the closing quote (separators and line breaks inside are kept, "" is a literal quote). Blank rows dropped.
+  function csvRows(text, sep) {
+    var rows = [], row = [], cell = "", q = false;
+    for (var i = 0; i < text.length; i++) {
+      var c = text.charAt(i);
+      if (q) {
+        if (c !== '"') cell += c;
+        else if (text.charAt(i + 1) === '"') { cell += '"'; i++; }
+        else q = false;
+      }
+      else if (c === '"' && cell === "") q = true;
+      else if (c === sep) { row.push(cell); cell = ""; }
+      else if (c === "\n" || c === "\r") {
+        if (c === "\r" && text.charAt(i + 1) === "\n") i++;
+        row.push(cell); rows.push(row); row = []; cell = "";
+      }
+      else cell += c;
+    }
+    row.push(cell); rows.push(row);
+    return rows.filter(function (r) { return r.join("").trim() !== ""; });
   }
-  function deflateRaw(str) { // -> Promise<Uint8Array>
-    var cs = new CompressionStream("deflate-raw"), w = cs.writable.getWriter();
-    w.write(new TextEncoder().encode(str)); w.close();
-    return new Response(cs.readable).arrayBuffer().then(function (ab) { return new Uint8Array(ab); });
+  // CSV / TSV rows (header required): Type = item | spirit | base (blank = item); a base row's Name is
+  // a class and holds its ungeared stats. Returns a raw catalog for normGearCatalog, or null without a Name column.
+  function parseGearCSV(text) {
+    text = String(text || "");
+    var sep = /\t/.test(text.split(/\r?\n/)[0]) ? "\t" : ",", rows = csvRows(text, sep), col = {};
+    if (!rows.length) return null;
+    rows[0].forEach(function (cell, i) { var k = gearColKey(cell); if (k && col[k] === undefined) col[k] = i; });
+    if (col.name === undefined) return null;
+    var norm = function (s) { return String(s == null ? "" : s).toLowerCase().replace(/[^a-z0-9]/g, ""); };
+    var classByNorm = {}; CATALOG.forEach(function (c) { classByNorm[norm(c.name)] = c.name; });
+    var cat = { items: [], spirits: [], bases: {} };
+    for (var r = 1; r < rows.length; r++) {
+      var parts = rows[r], o = {};
+      Object.keys(col).forEach(function (k) { o[k] = String(parts[col[k]] == null ? "" : parts[col[k]]).trim(); });
+      ["hp", "atk", "def", "eva", "crit", "elPower"].forEach(function (k) { if (o[k] !== undefined) o[k] = statNum(o[k]); });
+      var type = String(o.type || "item").toLowerCase();
+      if (type === "spirit") cat.spirits.push(o);
+      else if (type === "base") { var cn = classByNorm[norm(o.name)]; if (cn) cat.bases[cn] = o; }
+      else cat.items.push(o);
+    }
+    return cat;
   }
-  function inflateRaw(bytes) { // -> Promise<string>
-    var ds = new DecompressionStream("deflate-raw"), w = ds.writable.getWriter();
-    w.write(bytes); w.close();
-    return new Response(ds.readable).arrayBuffer().then(function (ab) { return new TextDecoder().decode(ab); });
+  // Merge a raw catalog (JSON object or parsed CSV) into state.gear. Returns the counts it brought in.
+  function importGearCatalog(raw) {
+    var add = normGearCatalog(raw), cur = state.gear, next = emptyGearCatalog();
+    function merge(a, b) {
+      var seen = {}, out = [];
+      b.forEach(function (x) { seen[x.name.toLowerCase()] = x; });
+      a.forEach(function (x) { var k = x.name.toLowerCase(); out.push(seen[k] || x); delete seen[k]; });
+      b.forEach(function (x) { if (seen[x.name.toLowerCase()]) out.push(x); });
+      return out;
+    }
+    next.items = merge(cur.items, add.items);
+    next.spirits = merge(cur.spirits, add.spirits);
+    Object.keys(cur.bases).forEach(function (cn) { next.bases[cn] = cur.bases[cn]; });
+    Object.keys(add.bases).forEach(function (cn) { next.bases[cn] = add.bases[cn]; });
+    state.gear = next;
+    return { items: add.items.length, spirits: add.spirits.length, bases: Object.keys(add.bases).length };
   }
-  function encodeShareLink(compact) { // -> Promise<string> full URL with #r= hash
-    // Always drop the per-quality stat TABLES (≈80% of the payload) — identical on the recipient's
-    // page (baked into roster-data.js), so they're supplied locally on load.
-    var o = JSON.parse(toJSON());
-    delete o.classStatsByQuality;
-    // Compact ("Discord") link: also drop each hero's override stats → composition only. Heroes
-    // load with null stats and inherit class averages at the viewer's gear tier (~1.3KB total).
-    if (compact) o.heroes = o.heroes.map(function (h) { return { id: h.id, name: h.name, className: h.className, partyId: h.partyId }; });
-    return deflateRaw(JSON.stringify(o)).then(function (bytes) { return location.origin + location.pathname + "#r=" + bytesToB64url(bytes); });
+  function gearCatalogCSV() {
+    var lines = [GEAR_CSV_HEADER], g = state.gear;
+    var row = function (type, name, slot, s, el, ep) { return [type, csvCell(name), csvCell(slot || "")].concat(GEAR_STATS.map(function (k) { return Number(s[k]) || 0; })).concat([el || "", ep || ""]).join(","); };
+    g.items.forEach(function (it) { lines.push(row("item", it.name, it.slot, it, it.el, it.elPower)); });
+    g.spirits.forEach(function (sp) { lines.push(row("spirit", sp.name, "", sp)); });
+    Object.keys(g.bases).forEach(function (cn) { lines.push(row("base", cn, "", g.bases[cn])); });
+    if (lines.length === 1) lines.push("item,Example Sword,weapon,0,1200,0,0,5,fire,25", "spirit,Example Spirit,,150,80,0,0,0,,", "base,Knight,,900,300,900,0,5,,");
+    return lines.join("\n") + "\n";
   }
-
-  // Share: centered overlay (opacity-toggled, not a slide panel). Generates a self-contained link
-  // that encodes the full roster into the #r= hash (falls back to the bare URL if unsupported).
-  var shareModal = document.getElementById("shareModal");
-  var shareBackdrop = document.getElementById("shareBackdrop");
+  function gearHero() {
+    var h = null; state.heroes.forEach(function (x) { if (x.id === _gearHeroId) h = x; });
+    if (!h && state.heroes.length) { h = state.heroes[0]; _gearHeroId = h.id; }
+    return h;
+  }
+  function gearResolvedHTML(h) {
+    var pieces = heroGear(h), known = pieces ? pieces.length : 0;
+    var named = (h.gear || []).filter(function (g) { return g; }).length;
+    var src = function (k) {
+      var v = h[k];
+      if (v !== null && v !== undefined && v !== "") return ["override", COL.amber];
+      return gearStat(h, k) !== null ? ["gear", COL.emerald] : ["class avg", COL.muted];
+    };
+    var cells = [["hp", "HP"], ["atk", "ATK"], ["def", "DEF"], ["eva", "EVA"], ["crit", "CRIT"], ["power", "Element"]].map(function (d) {
+      var s = src(d[0]);
+      return '<div class="bg-hoverBg rounded px-2 py-1 text-center"><div class="text-[10px] uppercase tracking-wider text-textSecondary">' + d[1] + '</div>' +
+        '<div class="font-mono font-bold">' + compactNum(Math.round(heroStat(h, d[0]) * 10) / 10) + '</div><div class="text-[10px]" style="color:' + s[1] + '">' + s[0] + '</div></div>';
+    }).join("");
+    var el = elOf(h.className);
+    var note = named && !known ? "None of these items are in the catalog — this hero still uses class averages." :
+      named > known ? (named - known) + " piece" + (named - known === 1 ? " isn't" : "s aren't") + " in the catalog and " + (named - known === 1 ? "is" : "are") + " ignored." : "";
+    return '<div class="grid grid-cols-6 gap-1.5">' + cells + '</div>' +
+      '<div class="text-xs text-textSecondary mt-1">Element power counts ' + (el === "all" ? "every enchant element (then ×" + MZE.allBarrierFactor + " toward each barrier)" : "<b class=\"capitalize\">" + escH(el) + "</b> enchants only (the class element)") +
+      (state.gear.bases[h.className] ? "" : " · no ungeared base for " + escH(h.className) + " in the catalog — its class averages stand in") + '.</div>' +
+      (note ? '<div class="text-xs mt-1" style="color:' + COL.amber + '">' + escH(note) + '</div>' : "");
+  }
+  function buildGearPanel() {
+    if (!gearBody) return;
+    var g = state.gear, h = gearHero();
+    var catalog = '<div class="space-y-2">' + POWER_HEADER + 'Item catalog</div>' +
+      '<div class="text-xs text-textSecondary leading-relaxed">' + [[g.items.length, "item"], [g.spirits.length, "spirit"], [Object.keys(g.bases).length, "class base"]].map(function (c) {
+        return '<b class="text-textPrimary">' + c[0] + '</b> ' + c[1] + (c[0] === 1 ? "" : "s");
+      }).join(" · ") + '. ' +
+        'Paste or load CSV (<span class="font-mono">' + GEAR_CSV_HEADER + '</span>; Type = item / spirit / base) or JSON (<span class="font-mono">{ items, spirits, bases }</span>). Same-named entries are replaced.</div>' +
+      '<textarea id="gearCatText" spellcheck="false" class="w-full h-20 p-2 rounded-lg bg-hoverBg border border-borderc text-textPrimary font-mono text-xs resize-y focus:outline-none focus:ring-1 focus:ring-accent"></textarea>' +
+      '<div class="flex flex-wrap items-center gap-2"><input id="gearCatFile" type="file" accept=".csv,.tsv,.txt,.json" class="text-xs text-textSecondary max-w-[220px]">' +
+        '<button id="gearCatApply" class="btn-white text-xs px-3 py-1">Import</button>' +
+        '<button id="gearCatCsv" class="btn-white text-xs px-3 py-1">' + (g.items.length ? "Download CSV" : "CSV Template") + '</button>' +
+        (gearCatalogSize() ? '<button id="gearCatJson" class="btn-white text-xs px-3 py-1">Download JSON</button><button id="gearCatClear" class="btn-red text-xs px-3 py-1">Clear Catalog</button>' : "") +
+        '<span id="gearCatStatus" class="text-xs text-textSecondary"></span></div></div>';
+    if (!h) { gearBody.innerHTML = catalog + '<div class="text-xs text-textSecondary italic mt-4">No heroes yet.</div>'; return; }
+    var pick = '<select data-action="gear-hero" class="' + FIELD + ' flex-1 min-w-0">' + state.heroes.map(function (x) {
+      return '<option value="' + x.id + '"' + (x.id === h.id ? " selected" : "") + '>' + escH((x.name || x.className) + (x.name ? " (" + x.className + ")" : "")) + (x.gear ? " ⚙" : "") + '</option>';
+    }).join("") + '</select>';
+    var opt = function (v, cur, label) { return '<option value="' + escA(v) + '"' + (v === cur ? " selected" : "") + '>' + escH(label == null ? v : label) + '</option>'; };
+    var slots = "";
+    for (var i = 0; i < GEAR_SLOTS; i++) {
+      var p = (h.gear && h.gear[i]) || { item: "", quality: "Common", el: "", elPower: 0, spirit: "" };
+      var it = gearItem(p.item);
+      slots += '<div class="flex items-center gap-1.5 bg-surface border-2 border-borderc rounded-lg px-2 py-1.5" data-gear-slot="' + i + '">' +
+        '<span class="w-4 text-[10px] text-textSecondary shrink-0">' + (i + 1) + '</span>' +
+        '<input type="text" list="gearItemList" data-gear-k="item" value="' + escA(p.item) + '" placeholder="item" class="' + STATFIELD + ' !text-left flex-1 min-w-0"' + (p.item && !it ? ' style="border-color:' + COL.amber + '" title="Not in the catalog"' : (it ? ' title="' + escA((it.slot ? it.slot + " · " : "") + GEAR_STATS.map(function (k) { return k.toUpperCase() + " " + it[k]; }).join(" · ") + (it.el ? " · " + it.el + " " + it.elPower : "")) + '"' : "")) + '>' +
+        '<select data-gear-k="quality" class="' + STATFIELD + ' w-24">' + GEAR_QUALITIES.map(function (q) { return opt(q, p.quality); }).join("") + '</select>' +
+        '<select data-gear-k="el" class="' + STATFIELD + ' w-20" title="Element enchant">' + opt("", p.el, "no enchant") + COVERAGE_ELS.map(function (e) { return opt(e, p.el); }).join("") + '</select>' +
+        '<input type="text" inputmode="numeric" data-gear-k="elPower" value="' + (p.elPower || "") + '" placeholder="power" class="' + STATFIELD + ' w-14" title="Enchant element power">' +
+        '<select data-gear-k="spirit" class="' + STATFIELD + ' w-28" title="Spirit enchant">' + opt("", p.spirit, "no spirit") + g.spirits.map(function (s) { return opt(s.name, p.spirit); }).join("") + '</select>' +
+      '</div>';
+    }
+    gearBody.innerHTML = catalog +
+      '<div class="mt-4 pt-3 border-t border-borderc space-y-2">' + POWER_HEADER + 'Hero equipment</div>' +
+        '<div class="flex items-center gap-2">' + pick + '<button id="gearHeroClear" class="btn-white text-xs px-3 py-1"' + (h.gear ? "" : " disabled") + '>Unequip All</button></div>' +
+        '<datalist id="gearItemList">' + g.items.map(function (x) { return '<option value="' + escA(x.name) + '">' + escH(x.slot) + '</option>'; }).join("") + '</datalist>' +
+        slots +
+        '<div id="gearResolved">' + gearResolvedHTML(h) + '</div>' +
+        '<div class="text-xs text-textSecondary">Quality multiplies the item\'s base stats (estimated: ' + GEAR_QUALITIES.map(function (q) { return q + " ×" + GEAR_QUALITY[q]; }).join(", ") + ' — not confirmed game values); spirits and enchants add flat. A Party Stats override still wins over the gear.</div>' +
+      '</div>';
+  }
+  function openGearPanel(heroId) { if (heroId != null) _gearHeroId = heroId; buildGearPanel(); openPanel(gearPanel, gearBackdrop); }
+  if (gearBody) {
+    gearBody.addEventListener("input", function (e) {
+      var row = e.target.closest("[data-gear-slot]"), h = gearHero();
+      if (!row || !h) return;
+      var i = Number(row.dataset.gearSlot), k = e.target.dataset.gearK;
+      var list = (h.gear || []).slice();
+      while (list.length < GEAR_SLOTS) list.push(null);
+      var p = list[i] || { item: "", quality: "Common", el: "", elPower: 0, spirit: "" };
+      p = { item: p.item, quality: p.quality, el: p.el, elPower: p.elPower, spirit: p.spirit };
+      p[k] = k === "elPower" ? statNum(e.target.value) : String(e.target.value);
+      list[i] = p;
+      h.gear = normHeroGear(list);
+      var box = gearBody.querySelector("#gearResolved"); if (box) box.innerHTML = gearResolvedHTML(h);
+      var clr = gearBody.querySelector("#gearHeroClear"); if (clr) clr.disabled = !h.gear;
+      renderApp(); // grades / barrier badges may shift
+    });
+    gearBody.addEventListener("change", function (e) {
+      if (e.target.closest('[data-action="gear-hero"]')) { _gearHeroId = Number(e.target.value); buildGearPanel(); return; }
+      if (e.target.id === "gearCatFile") {
+        var f = e.target.files && e.target.files[0]; if (!f) return;
+        var reader = new FileReader();
+        reader.onload = function () { var ta = document.getElementById("gearCatText"); if (ta) ta.value = String(reader.result || ""); flashStatus(document.getElementById("gearCatStatus"), "Loaded " + f.name + " — click Import", 3000); };
+        reader.readAsText(f);
+      }
+    });
+    gearBody.addEventListener("click", function (e) {
+      var status = document.getElementById("gearCatStatus");
+      if (e.target.closest("#gearCatApply")) {
+        var text = (document.getElementById("gearCatText") || {}).value || "", raw;
+        text = text.trim();
+        if (!text) { flashStatus(status, "Nothing to import", 2500); return; }
+        if (text.charAt(0) === "{" || text.charAt(0) === "[") {
+          try { raw = JSON.parse(text); } catch (err) { flashStatus(status, "Invalid JSON — " + err.message, 3500); return; }
+          if (Array.isArray(raw)) raw = { items: raw.filter(function (x) { return !x.type || x.type === "item"; }), spirits: raw.filter(function (x) { return x.type === "spirit"; }) };
+        } else {
+          raw = parseGearCSV(text);
+          if (!raw) { flashStatus(status, "CSV needs a header row with a Name column", 3500); return; }
+        }
+        var n = importGearCatalog(raw);
+        if (!n.items && !n.spirits && !n.bases) { flashStatus(status, "No items, spirits or class bases found", 3500); return; }
+        var msg = n.items + " item" + (n.items === 1 ? "" : "s") + ", " + n.spirits + " spirit" + (n.spirits === 1 ? "" : "s") + ", " + n.bases + " base" + (n.bases === 1 ? "" : "s");
+        setUpdate("Imported gear catalog (" + msg + ").");
+        render(); buildGearPanel();
+        flashStatus(document.getElementById("gearCatStatus"), msg + " imported ✓", 3000);
+        return;
+      }
+      if (e.target.closest("#gearCatCsv")) { downloadFile(state.gear.items.length ? "t16-gear-catalog.csv" : "t16-gear-template.csv", gearCatalogCSV(), "text/csv"); return; }
+      if (e.target.closest("#gearCatJson")) { downloadFile("t16-gear-catalog.json", JSON.stringify(state.gear, null, 2), "application/json"); return; }
+      if (e.target.closest("#gearCatClear")) {
+        showConfirm({
+          title: "Clear the gear catalog?",
+          bodyHTML: '<p class="text-sm text-textSecondary">Heroes keep their equipped item names, but with no catalog they fall back to class averages. (Undo / Ctrl+Z brings it back.)</p>',
+          confirmLabel: "Clear Catalog", confirmClass: "btn-red",
+          onConfirm: function () { state.gear = emptyGearCatalog(); setUpdate("Cleared the gear catalog."); render(); buildGearPanel(); }
+        });
+        return;
+      }
+      if (e.target.closest("#gearHeroClear")) {
+        var h = gearHero(); if (!h || !h.gear) return;
+        h.gear = null;
+        setUpdate("Unequipped " + (h.name || h.className) + ".");
+        render(); buildGearPanel();
+      }
+    });
+  }
+  var openGearBtn = document.getElementById("openGearBtn");
+  if (openGearBtn) openGearBtn.addEventListener("click", function () { openGearPanel(); });
+  var gearCloseBtn = document.getElementById("gearClose");
+  if (gearCloseBtn) gearCloseBtn.addEventListener("click", function () { closePanel(gearPanel, gearBackdrop); });
+  if (gearBackdrop) gearBackdrop.addEventListener("click", function () { closePanel(gearPanel, gearBackdrop); });
+
+  /* ---------------- Catalog panel (classes + champions) ---------------- */
+  // Class edits live in state.catalog.classes (an entry per added or changed class — one that matches its
+  // built-in again is dropped, so "edited" always means "differs"); champions are edited on
+  // state.champions directly. Every edit re-derives the live catalog (syncCatalog) and re-renders.
+  var catalogPanel = document.getElementById("catalogPanel");
+  var catalogBackdrop = document.getElementById("catalogBackdrop");
+  var catalogBody = document.getElementById("catalogPanelBody");
+  var _catClass = null; // class whose icon + per-tier default stats are expanded
+  var CAT_STATS = [["hp", "HP"], ["atk", "ATK"], ["def", "DEF"], ["eva", "EVA"], ["power", "Element"], ["crit", "CRIT"], ["threat", "THREAT"], ["critDmg", "CRIT✕"]];
+  var CAT_ELS = COVERAGE_ELS.concat(["all"]);
+  var ICON_MAX_BYTES = 200 * 1024;
+  // Re-derive CATALOG / CLASS and give any new class a row in every tier table + a Class Priority slot.
+  function syncCatalog() {
+    applyCatalog(state.catalog.classes);
+    CATALOG.forEach(function (c) {
+      QUALITIES.forEach(function (q) {
+        var t = state.classStatsByQuality[q];
+        if (!t[c.name]) t[c.name] = { hp: 0, atk: 0, def: 0, eva: 0, power: 0, crit: 0, threat: 0, critDmg: 2 };
+      });
+      if (state.classOrder.indexOf(c.name) < 0) state.classOrder.push(c.name);
+    });
+  }
+  function catalogIndex(cn) { for (var i = 0; i < state.catalog.classes.length; i++) if (state.catalog.classes[i].name === cn) return i; return -1; }
+  function sameAsBuiltin(c) {
+    var b = builtinClass(c.name);
+    return !!b && c.group === b.group && c.role === b.role && c.element === b.element && !c.icon && !c.retired;
+  }
+  function setCatalogClass(cn, k, v) {
+    var i = catalogIndex(cn), e = JSON.parse(JSON.stringify(i >= 0 ? state.catalog.classes[i] : CLASS[cn]));
+    e[k] = v;
+    if (k === "icon" && !v) delete e.icon;
+    if (k === "retired" && !v) delete e.retired;
+    var n = normCatalogClass(e);
+    if (!n) return;
+    var list = state.catalog.classes.slice();
+    if (sameAsBuiltin(n)) { if (i >= 0) list.splice(i, 1); }
+    else if (i >= 0) list[i] = n; else list.push(n);
+    state.catalog = { classes: list };
+    syncCatalog();
+  }
+  function nameTaken(name) {
+    var l = name.toLowerCase();
+    return CATALOG.some(function (c) { return c.name.toLowerCase() === l; }) || state.champions.some(function (c) { return c.name.toLowerCase() === l; });
+  }
+  function addCatalogClass(name, group, role, element) {
+    var n = normCatalogClass({ name: name, group: group, role: role, element: element });
+    if (!n) return "Give the class a name.";
+    if (nameTaken(n.name)) return n.name + " already exists.";
+    state.catalog = { classes: state.catalog.classes.concat([n]) };
+    syncCatalog();
+    return "";
+  }
+  // Only an added class nobody plays can be deleted (built-ins retire instead).
+  function removeCatalogClass(cn) {
+    if (builtinClass(cn) || state.heroes.some(function (h) { return h.className === cn; })) return false;
+    state.catalog = { classes: state.catalog.classes.filter(function (c) { return c.name !== cn; }) };
+    QUALITIES.forEach(function (q) { delete state.classStatsByQuality[q][cn]; });
+    state.classOrder = state.classOrder.filter(function (n) { return n !== cn; });
+    ["exclude", "max", "min"].forEach(function (k) { delete state.filters[k][cn]; });
+    if (_catClass === cn) _catClass = null;
+    syncCatalog();
+    return true;
+  }
+  function addCatalogChamp(name, el) {
+    name = String(name || "").trim().slice(0, 30);
+    if (!name) return "Give the champion a name.";
+    if (nameTaken(name)) return name + " already exists.";
+    state.champions.push({ name: name, el: CAT_ELS.indexOf(el) >= 0 ? el : "fire", power: 200, hp: 1000, atk: 10000, def: 10000, eva: 0, crit: 0, threat: 0 });
+    return "";
+  }
+  function catSelect(attrs, opts, cur) {
+    return '<select ' + attrs + ' class="bg-hoverBg border border-borderc rounded px-1 py-0.5 text-textPrimary text-xs outline-none focus:border-accent shrink-0">' +
+      opts.map(function (o) { return '<option value="' + escA(o) + '"' + (o === cur ? " selected" : "") + '>' + escH(o) + '</option>'; }).join("") + '</select>';
+  }
+  function catIconControls(attrs, cur) {
+    var inp = "flex-1 min-w-0 bg-hoverBg border border-borderc rounded px-1.5 py-0.5 text-textPrimary text-xs outline-none focus:border-accent";
+    return '<span class="flex items-center gap-1 flex-1 min-w-0">' +
+      '<input ' + attrs + ' data-cat-k="icon" value="' + escA(cur && cur.indexOf("data:") !== 0 ? cur : "") + '" placeholder="' + (cur && cur.indexOf("data:") === 0 ? "uploaded image" : "icon URL") + '" class="' + inp + '">' +
+      '<label class="btn-white text-[10px] px-2 py-0.5 cursor-pointer shrink-0">Upload<input type="file" accept="image/*" ' + attrs + ' data-cat-upload="1" class="hidden"></label>' +
+      (cur ? '<button type="button" ' + attrs + ' data-cat-clear-icon="1" class="btn-white text-[10px] px-2 py-0.5 shrink-0">Clear</button>' : "") +
+    '</span>';
+  }
+  function buildCatalogPanel() {
+    if (!catalogBody) return;
+    var head = '<div class="flex items-center gap-2 px-3 text-[10px] uppercase tracking-wider text-textSecondary">';
+    var clsRows = CATALOG.map(function (c) {
+      var custom = !builtinClass(c.name), edited = !custom && catalogIndex(c.name) >= 0, a = 'data-cat-cls="' + escA(c.name) + '"';
+      var used = state.heroes.filter(function (h) { return h.className === c.name; }).length;
+      var row = '<div class="flex items-center gap-2 bg-surface border-2 border-borderc rounded-lg px-3 py-1.5' + (c.retired ? " opacity-60" : "") + '">' +
+        classIcon(c.name) +
+        '<span class="flex-1 min-w-0 truncate text-sm' + (c.retired ? " line-through" : "") + '">' + escH(c.name) +
+          (custom ? ' <span class="text-[10px] uppercase" style="color:' + COL.emerald + '">added</span>' : edited ? ' <span class="text-[10px] uppercase" style="color:' + COL.amber + '">edited</span>' : "") + '</span>' +
+        catSelect(a + ' data-cat-k="group"', CLASS_GROUPS, c.group) + catSelect(a + ' data-cat-k="role"', CLASS_ROLES, c.role) + catSelect(a + ' data-cat-k="element"', CAT_ELS, c.element) +
+        '<button type="button" ' + a + ' data-cat-more="1" class="btn-white text-[10px] px-2 py-0.5 shrink-0">' + (_catClass === c.name ? "Hide" : "Stats") + '</button>' +
+        (custom
+          ? '<button type="button" ' + a + ' data-cat-del="1" class="btn-red text-[10px] px-2 py-0.5 shrink-0"' + (used ? ' disabled title="' + used + ' hero' + (used === 1 ? "" : "es") + ' still use this class"' : "") + '>Delete</button>'
+          : '<label class="flex items-center gap-1 text-[10px] text-textSecondary shrink-0" title="A retired class is never picked by Auto Sort / Fill Gaps / Recommended and leaves the Add Hero picker; existing heroes keep it."><input type="checkbox" ' + a + ' data-cat-k="retired"' + (c.retired ? " checked" : "") + ' class="w-3.5 h-3.5 accent-accent">Retired</label>') +
+      '</div>';
+      if (_catClass === c.name) {
+        row += '<div class="ml-6 mb-1 p-2 rounded-lg bg-hoverBg space-y-1.5">' +
+          '<div class="flex items-center gap-2 text-xs"><span class="w-16 shrink-0 text-textSecondary">Icon</span>' + catIconControls(a, c.icon) + '</div>' +
+          '<div class="flex items-center gap-1 text-[10px] uppercase tracking-wider text-textSecondary"><span class="w-16 shrink-0">Tier</span>' +
+            CAT_STATS.map(function (st) { return '<span class="w-14 text-center shrink-0">' + st[1] + '</span>'; }).join("") + '</div>' +
+          QUALITIES.map(function (q) {
+            var t = state.classStatsByQuality[q][c.name] || {};
+            return '<div class="flex items-center gap-1"><span class="w-16 shrink-0 text-xs' + (q === state.quality ? " font-bold" : " text-textSecondary") + '">' + q + '</span>' +
+              CAT_STATS.map(function (st) {
+                return '<input type="text" inputmode="decimal" value="' + (Number(t[st[0]]) || 0) + '" ' + a + ' data-cat-tier="' + q + '" data-stat="' + st[0] + '" class="' + STATFIELD + ' w-14">';
+              }).join("") + '</div>';
+          }).join("") +
+        '</div>';
+      }
+      return row;
+    }).join("");
+    var inp = "bg-hoverBg border border-borderc rounded px-1.5 py-0.5 text-textPrimary text-xs outline-none focus:border-accent";
+    var addCls = '<div class="flex items-center gap-2 px-3 py-1.5 rounded-lg border-2 border-dashed border-borderc">' +
+      '<input id="catNewClass" placeholder="New class name" class="flex-1 min-w-0 ' + inp + '">' +
+      catSelect('id="catNewGroup"', CLASS_GROUPS, "Fighter") + catSelect('id="catNewRole"', CLASS_ROLES, "Tank") + catSelect('id="catNewEl"', CAT_ELS, "fire") +
+      '<button type="button" id="catAddClass" class="btn-white text-xs px-3 py-1 shrink-0">Add class</button></div>';
+    var usedChamp = {};
+    state.parties.forEach(function (p) { if (p.champName) usedChamp[p.champName] = true; });
+    var champRows = state.champions.map(function (c) {
+      var a = 'data-cat-champ="' + escA(c.name) + '"';
+      return '<div class="flex items-center gap-2 bg-surface border-2 border-borderc rounded-lg px-3 py-1.5">' + champIcon(c.name) +
+        '<span class="w-24 shrink-0 truncate text-sm">' + escH(c.name) + '</span>' +
+        catSelect(a + ' data-cat-k="el"', CAT_ELS, c.el) +
+        '<input type="text" inputmode="numeric" value="' + (Number(c.power) || 0) + '" ' + a + ' data-cat-k="power" title="Element power" class="' + STATFIELD + ' w-14">' +
+        catIconControls(a, c.icon) +
+        '<button type="button" ' + a + ' data-cat-champ-del="1" class="btn-red text-[10px] px-2 py-0.5 shrink-0"' + (usedChamp[c.name] ? ' disabled title="Leads a party"' : "") + '>Remove</button>' +
+      '</div>';
+    }).join("");
+    var addChamp = '<div class="flex items-center gap-2 px-3 py-1.5 rounded-lg border-2 border-dashed border-borderc">' +
+      '<input id="catNewChamp" placeholder="New champion name" class="flex-1 min-w-0 ' + inp + '">' + catSelect('id="catNewChampEl"', CAT_ELS, "fire") +
+      '<button type="button" id="catAddChamp" class="btn-white text-xs px-3 py-1 shrink-0">Add champion</button></div>';
+    catalogBody.innerHTML =
+      POWER_HEADER + 'Classes</div>' +
+      '<div class="text-xs text-textSecondary leading-relaxed">Group, role and element feed the grade, barriers and the optimizers; <b>Stats</b> opens the icon and the class-average defaults for every gear tier. ' +
+        'An added class has no skill until you give it one (Default Stats → Custom skills). <span id="catStatus"></span></div>' +
+      head + '<span class="w-5 shrink-0"></span><span class="flex-1">Class</span><span>Group · role · element</span></div>' + clsRows + addCls +
+      '<div class="mt-5">' + POWER_HEADER + 'Champions</div></div>' +
+      '<div class="text-xs text-textSecondary leading-relaxed">Element + power break barriers; combat stats are in Party Stats. A new champion has no aura until you define one under Custom skills.</div>' +
+      champRows + addChamp;
+  }
+  function openCatalogPanel() { buildCatalogPanel(); openPanel(catalogPanel, catalogBackdrop); }
+  function catalogChanged(msg) { setUpdate(msg); render(); }
+  if (catalogBody) {
+    catalogBody.addEventListener("change", function (e) {
+      var t = e.target, cn = t.dataset.catCls, ch = t.dataset.catChamp, k = t.dataset.catK;
+      if (t.dataset.catUpload) {
+        var file = t.files && t.files[0];
+        if (!file) return;
+        if (file.size > ICON_MAX_BYTES) { flashStatus(document.getElementById("catStatus"), "Icon too large (max " + Math.round(ICON_MAX_BYTES / 1024) + " KB).", 3000); return; }
+        var rd = new FileReader();
+        rd.onload = function () {
+          var url = normIcon(String(rd.result || ""));
+          if (!url) { flashStatus(document.getElementById("catStatus"), "That file isn't a PNG / JPEG / GIF / WebP image.", 3000); return; }
+          if (cn) setCatalogClass(cn, "icon", url); else { var c = getChampion(ch); if (c) c.icon = url; }
+          catalogChanged("Set the " + (cn || ch) + " icon.");
+        };
+        rd.readAsDataURL(file);
+        return;
+      }
+      if (t.dataset.catTier) {
+        var row = state.classStatsByQuality[t.dataset.catTier][cn];
+        if (row) row[t.dataset.stat] = statNum(t.value);
+        catalogChanged("Set " + cn + " " + t.dataset.stat + " (" + t.dataset.catTier + ").");
+        return;
+      }
+      if (cn && k) {
+        var v = k === "retired" ? t.checked : k === "icon" ? normIcon(t.value) : t.value;
+        if (k === "icon" && t.value.trim() && !v) { flashStatus(document.getElementById("catStatus"), "Icon must be an http(s) URL or an image path.", 3000); return; }
+        setCatalogClass(cn, k, v);
+        catalogChanged(k === "retired" ? (v ? "Retired " : "Restored ") + cn + "." : "Set " + cn + " " + k + (k === "icon" ? "." : " to " + v + "."));
+        return;
+      }
+      if (ch && k) {
+        var c = getChampion(ch);
+        if (!c) return;
+        if (k === "el") c.el = CAT_ELS.indexOf(t.value) >= 0 ? t.value : c.el;
+        else if (k === "power") c.power = statNum(t.value) || 0;
+        else if (k === "icon") { var ic = normIcon(t.value); if (ic) c.icon = ic; else delete c.icon; }
+        catalogChanged("Set " + ch + " " + (k === "el" ? "element" : k) + ".");
+      }
+    });
+    catalogBody.addEventListener("click", function (e) {
+      var b = e.target.closest("button");
+      if (!b || b.disabled) return;
+      var cn = b.dataset.catCls, ch = b.dataset.catChamp, st = document.getElementById("catStatus"), err;
+      if (b.dataset.catMore) { _catClass = _catClass === cn ? null : cn; buildCatalogPanel(); return; }
+      if (b.dataset.catClearIcon) {
+        if (cn) setCatalogClass(cn, "icon", ""); else { var c = getChampion(ch); if (c) delete c.icon; }
+        catalogChanged("Cleared the " + (cn || ch) + " icon.");
+        return;
+      }
+      if (b.dataset.catDel) { if (removeCatalogClass(cn)) catalogChanged("Deleted class " + cn + "."); return; }
+      if (b.dataset.catChampDel) {
+        state.champions = state.champions.filter(function (c) { return c.name !== ch; });
+        catalogChanged("Removed champion " + ch + ".");
+        return;
+      }
+      if (b.id === "catAddClass") {
+        var nm = document.getElementById("catNewClass").value;
+        err = addCatalogClass(nm, document.getElementById("catNewGroup").value, document.getElementById("catNewRole").value, document.getElementById("catNewEl").value);
+        if (err) { flashStatus(st, err, 3000); return; }
+        _catClass = nm.trim().slice(0, 30);
+        catalogChanged("Added class " + _catClass + ".");
+        return;
+      }
+      if (b.id === "catAddChamp") {
+        var cnm = document.getElementById("catNewChamp").value;
+        err = addCatalogChamp(cnm, document.getElementById("catNewChampEl").value);
+        if (err) { flashStatus(st, err, 3000); return; }
+        catalogChanged("Added champion " + cnm.trim().slice(0, 30) + ".");
+      }
+    });
+  }
+  var openCatalogBtn = document.getElementById("openCatalogBtn");
+  if (openCatalogBtn) openCatalogBtn.addEventListener("click", openCatalogPanel);
+  var catalogCloseBtn = document.getElementById("catalogClose");
+  if (catalogCloseBtn) catalogCloseBtn.addEventListener("click", function () { closePanel(catalogPanel, catalogBackdrop); });
+  if (catalogBackdrop) catalogBackdrop.addEventListener("click", function () { closePanel(catalogPanel, catalogBackdrop); });
+
+  /* ---------------- Share / Download / Upload ---------------- */
+  var CLASS_STAT_KEYS = ["hp", "atk", "def", "eva", "power", "crit", "threat", "critDmg"];
+
+  // Share links: the roster -> deflate-raw (native CompressionStream) -> base64url in the URL hash.
+  // Self-contained (roster + champions + any added classes' stat rows), no server. New links are the
+  // binary #r2= codec below; the original #r= (deflated toJSON() text) still decodes.
+  var SHARE_SUPPORTED = typeof CompressionStream !== "undefined" && typeof DecompressionStream !== "undefined";
+  function bytesToB64url(bytes) {
+    var bin = ""; for (var i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+    return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
+  function b64urlToBytes(s) {
+    s = String(s).replace(/-/g, "+").replace(/_/g, "/"); while (s.length % 4) s += "=";
+    var bin = atob(s), bytes = new Uint8Array(bin.length);
+    for (var i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+  }
+  function deflateRaw(data) { // string or Uint8Array -> Promise<Uint8Array>
+    var cs = new CompressionStream("deflate-raw"), w = cs.writable.getWriter();
+    w.write(typeof data === "string" ? new TextEncoder().encode(data) : data); w.close();
+    return new Response(cs.readable).arrayBuffer().then(function (ab) { return new Uint8Array(ab); });
+  }
+  function inflateRawBytes(bytes) { // -> Promise<Uint8Array>
+    var ds = new DecompressionStream("deflate-raw"), w = ds.writable.getWriter(), quiet = function () {};
+    w.write(bytes).catch(quiet); w.close().catch(quiet); // garbled input rejects these too — the read below reports it
+    return new Response(ds.readable).arrayBuffer().then(function (ab) { return new Uint8Array(ab); });
+  }
+  // A decoded link carries at most its added classes' rows: lay them over this page's own tables.
+  function withLocalClassStats(data) {
+    var own = data.classStatsByQuality, tbl = JSON.parse(JSON.stringify(state.classStatsByQuality));
+    if (own && typeof own === "object") QUALITIES.forEach(function (q) {
+      if (own[q] && typeof own[q] === "object") Object.keys(own[q]).forEach(function (cn) { tbl[q][cn] = own[q][cn]; });
+    });
+    data.classStatsByQuality = tbl;
+  }
+  // Binary share codec (#r2=): the roster packed field by field instead of its JSON text. Classes and
+  // champions are indices into BUILTIN_CATALOG / CHAMPION_POOL (append-only, like QUALITIES, OBJECTIVES
+  // and COVERAGE_ELS — their order is part of the link format), numbers are varints, party seats and
+  // flags are bitfields; the bytes then go through deflate-raw → base64url like #r=. Anything rare —
+  // custom zones, gear, skills, catalog edits, filters, busy windows, icons — rides in one small JSON
+  // "extras" tail, so the link still carries the whole roster. packRoster / unpackRoster convert between
+  // bytes and the share object (toJSON() minus the stat tables); a decoded object goes through
+  // loadJSON's checks like any other.
+  var SHARE_CODEC = 1; // first byte of every #r2= payload; bump when the layout changes
+  var SHARE_ELS = ["none", "air", "dark", "earth", "fire", "light", "water", "all", "gold"];
+  var CHAMP_STAT_KEYS = ["power", "hp", "atk", "def", "eva", "crit", "threat"];
+  var CHAMP_STAT_DEF = { power: 0, hp: 1000, atk: 10000, def: 10000, eva: 0, crit: 0, threat: 0 };
+  var ROLE_CODES = [null, "tank", "dps"];
+  function bitsFor(n) { var b = 1; while ((1 << b) < n) b++; return b; }
+  function byteWriter() {
+    var buf = [];
+    var w = {
+      u8: function (v) { buf.push(v & 255); },
+      uint: function (v) { // unsigned LEB128, in plain arithmetic so values past 2^31 survive
+        v = Math.floor(v);
+        while (v >= 128) { buf.push(v % 128 + 128); v = Math.floor(v / 128); }
+        buf.push(v);
+      },
+      // Any number: low 2 bits tag it — 0 whole ≥ 0, 1 whole < 0, 2 hundredths ≥ 0 (×4.5 crit damage), 3 float64.
+      num: function (v) {
+        var c = Math.round(v * 100);
+        if (v % 1 === 0 && Math.abs(v) < 1e15) w.uint(Math.abs(v) * 4 + (v < 0 ? 1 : 0));
+        else if (v > 0 && c / 100 === v && c < 1e15) w.uint(c * 4 + 2);
+        else {
+          var dv = new DataView(new ArrayBuffer(8));
+          dv.setFloat64(0, v); w.uint(3);
+          for (var i = 0; i < 8; i++) buf.push(dv.getUint8(i));
+        }
+      },
+      str: function (s) { var b = new TextEncoder().encode(String(s)); w.uint(b.length); for (var i = 0; i < b.length; i++) buf.push(b[i]); },
+      bits: function (vals, width) { // each value in `width` bits, LSB first, padded to a byte
+        var acc = 0, n = 0;
+        vals.forEach(function (v) {
+          for (var b = 0; b < width; b++) {
+            if (Math.floor(v / Math.pow(2, b)) % 2) acc |= 1 << n;
+            if (++n === 8) { buf.push(acc); acc = 0; n = 0; }
+          }
+        });
+        if (n) buf.push(acc);
+      },
+      bytes: function () { return new Uint8Array(buf); }
+    };
+    return w;
+  }
+  function byteReader(bytes) {
+    var pos = 0;
+    var need = function (n) { if (pos + n > bytes.length) throw rosterError(["The link is cut short — was the whole link copied?"]); };
+    var r = {
+      u8: function () { need(1); return bytes[pos++]; },
+      uint: function () {
+        var v = 0, mul = 1, b;
+        do { b = r.u8(); v += (b % 128) * mul; mul *= 128; } while (b >= 128 && mul < 1e16);
+        return v;
+      },
+      num: function () {
+        var t = r.uint(), tag = t % 4, mag = Math.floor(t / 4);
+        if (tag === 0) return mag;
+        if (tag === 1) return -mag;
+        if (tag === 2) return mag / 100;
+        need(8);
+        var dv = new DataView(bytes.buffer, bytes.byteOffset + pos, 8); pos += 8;
+        return dv.getFloat64(0);
+      },
+      str: function () { var n = r.uint(); need(n); var s = new TextDecoder().decode(bytes.subarray(pos, pos + n)); pos += n; return s; },
+      bits: function (count, width) {
+        var out = [], nbytes = Math.ceil(count * width / 8), n = 0;
+        need(nbytes);
+        for (var i = 0; i < count; i++) {
+          var v = 0;
+          for (var b = 0; b < width; b++, n++) if (bytes[pos + (n >> 3)] & (1 << (n & 7))) v += Math.pow(2, b);
+          out.push(v);
+        }
+        pos += nbytes;
+        return out;
+      },
+      done: function () { return pos >= bytes.length; }
+    };
+    return r;
+  }
+  function poolIndex(name) { for (var i = 0; i < CHAMPION_POOL.length; i++) if (CHAMPION_POOL[i].name === name) return i; return -1; }
+  // The class list a payload's indices point into: built-ins, then the payload's own added classes.
+  function shareClassNames(catalog, nBuiltin) {
+    return BUILTIN_CATALOG.slice(0, nBuiltin).map(function (c) { return c.name; })
+      .concat((catalog && catalog.classes || []).filter(function (c) { return !builtinClass(c.name); }).map(function (c) { return c.name; }));
+  }
+  function packRoster(o, compact) { // share object -> Uint8Array
+    var w = byteWriter(), x = {};
+    var names = shareClassNames(o.catalog, BUILTIN_CATALOG.length);
+    var zi = -1; ZONE_PRESETS.forEach(function (z, i) { if (z.id === o.zone) zi = i; });
+    if (zi < 0) x.zone = o.zone;
+    if (o.zones && o.zones.length) x.zones = o.zones;
+    var f = o.filters || {};
+    if (["exclude", "max", "min"].some(function (k) { return f[k] && Object.keys(f[k]).length; })) x.filters = f;
+    ["gear", "skills", "catalog", "classStatsByQuality"].forEach(function (k) { if (o[k]) x[k] = o[k]; });
+    w.u8(SHARE_CODEC);
+    w.u8(compact ? 1 : 0);
+    w.uint(o.maxRoster);
+    w.u8(Math.max(0, QUALITIES.indexOf(o.quality)));
+    w.u8(Math.max(0, Object.keys(OBJECTIVES).indexOf(o.objective)));
+    w.uint(zi + 1);
+    w.uint(o.barriers.length); o.barriers.forEach(function (el) { w.u8(COVERAGE_ELS.indexOf(el)); });
+    w.uint(BUILTIN_CATALOG.length);
+    // Champions: pool index (+1; 0 = a custom one, named inline), element, then only the stats off default.
+    var ci = {};
+    w.uint(o.champions.length);
+    o.champions.forEach(function (c) {
+      var pi = poolIndex(c.name), ei = SHARE_ELS.indexOf(c.el), mask = 0, def = pi >= 0 ? CHAMPION_POOL[pi].power : 0;
+      w.uint(pi + 1); if (pi < 0) w.str(c.name);
+      w.u8(ei < 0 ? 255 : ei); if (ei < 0) w.str(c.el);
+      CHAMP_STAT_KEYS.forEach(function (k, b) { if (c[k] !== (k === "power" ? def : CHAMP_STAT_DEF[k])) mask |= 1 << b; });
+      w.u8(mask);
+      CHAMP_STAT_KEYS.forEach(function (k, b) { if (mask & (1 << b)) w.num(c[k]); });
+      if (c.icon) ci[c.name] = c.icon;
+    });
+    if (Object.keys(ci).length) x.ci = ci;
+    // Parties: id deltas, champion (index into the list above, +1), then [default name, locked] bits.
+    var champAt = {}, prev = 0, px = {};
+    o.champions.forEach(function (c, i) { champAt[c.name] = i + 1; });
+    var defName = function (p) { return p.champName ? p.champName + "'s Party" : "Party " + p.id; };
+    w.uint(o.parties.length);
+    o.parties.forEach(function (p, i) {
+      w.num(p.id - prev); prev = p.id;
+      w.uint(p.champName ? champAt[p.champName] || 0 : 0);
+      if (p.busy) px[i] = { busy: p.busy };
+    });
+    w.bits(o.parties.map(function (p) { return (p.name === defName(p) ? 1 : 0) + (p.locked ? 2 : 0); }), 2);
+    o.parties.forEach(function (p) { if (p.name !== defName(p)) w.str(p.name); });
+    if (Object.keys(px).length) x.px = px;
+    // Heroes: id deltas + class indices, then seats (0 = bench, else party index + 1) and [named, locked,
+    // role×2] as bitfields, the names, and — unless compact — a stat mask + the overridden stats.
+    var seat = {}, hx = {};
+    o.parties.forEach(function (p, i) { seat[p.id] = i + 1; });
+    prev = 0;
+    w.uint(o.heroes.length);
+    o.heroes.forEach(function (h, i) {
+      w.num(h.id - prev); prev = h.id;
+      w.uint(names.indexOf(h.className));
+      if (h.gear || h.busy) { hx[i] = {}; if (h.gear) hx[i].gear = h.gear; if (h.busy) hx[i].busy = h.busy; }
+    });
+    w.bits(o.heroes.map(function (h) { return h.partyId == null ? 0 : seat[h.partyId] || 0; }), bitsFor(o.parties.length + 1));
+    w.bits(o.heroes.map(function (h) { return (h.name ? 1 : 0) + (h.locked ? 2 : 0) + Math.max(0, ROLE_CODES.indexOf(h.roleOverride || null)) * 4; }), 4);
+    o.heroes.forEach(function (h) { if (h.name) w.str(h.name); });
+    if (!compact) o.heroes.forEach(function (h) {
+      var mask = 0;
+      HERO_STAT_KEYS.forEach(function (k, b) { if (h[k] != null) mask |= 1 << b; });
+      w.u8(mask);
+      HERO_STAT_KEYS.forEach(function (k, b) { if (mask & (1 << b)) w.num(h[k]); });
+    });
+    if (Object.keys(hx).length) x.hx = hx;
+    var order = o.classOrder.map(function (cn) { return names.indexOf(cn); }).filter(function (k) { return k >= 0; });
+    w.uint(order.length); order.forEach(function (k) { w.uint(k); });
+    w.str(Object.keys(x).length ? JSON.stringify(x) : "");
+    return w.bytes();
+  }
+  var NEWER_LINK = "The link was made by a newer version of the builder — reload the page to update";
+  function unpackRoster(bytes) { // Uint8Array -> share object (throws a rosterError on a garbled payload)
+    var r = byteReader(bytes), v = r.u8();
+    if (v !== SHARE_CODEC) throw rosterError([v > SHARE_CODEC ? NEWER_LINK : "Not a roster link (unknown format " + v + ")"]);
+    var compact = r.u8() & 1, o = { schemaVersion: SCHEMA_VERSION };
+    o.maxRoster = r.uint();
+    o.quality = QUALITIES[r.u8()] || DEFAULT_QUALITY;
+    o.objective = Object.keys(OBJECTIVES)[r.u8()] || DEFAULT_OBJECTIVE;
+    var zi = r.uint(), i, n;
+    o.barriers = [];
+    for (i = 0, n = r.uint(); i < n; i++) o.barriers.push(COVERAGE_ELS[r.u8()]);
+    var nBuiltin = r.uint();
+    if (nBuiltin > BUILTIN_CATALOG.length) throw rosterError([NEWER_LINK]);
+    o.champions = [];
+    for (i = 0, n = r.uint(); i < n; i++) {
+      var pi = r.uint() - 1, c = { name: pi >= 0 ? (CHAMPION_POOL[pi] || {}).name : r.str() }, ei = r.u8(), mask;
+      if (!c.name) throw rosterError([NEWER_LINK]);
+      c.el = ei === 255 ? r.str() : SHARE_ELS[ei];
+      mask = r.u8();
+      CHAMP_STAT_KEYS.forEach(function (k, b) { c[k] = mask & (1 << b) ? r.num() : k === "power" ? (pi >= 0 ? CHAMPION_POOL[pi].power : 0) : CHAMP_STAT_DEF[k]; });
+      o.champions.push(c);
+    }
+    var prev = 0, cref = [];
+    o.parties = [];
+    for (i = 0, n = r.uint(); i < n; i++) {
+      prev += r.num(); cref.push(r.uint());
+      o.parties.push({ id: prev, name: "", champName: cref[i] ? (o.champions[cref[i] - 1] || {}).name || "" : "" });
+    }
+    r.bits(o.parties.length, 2).forEach(function (b, k) {
+      var p = o.parties[k];
+      p.name = b & 1 ? (p.champName ? p.champName + "'s Party" : "Party " + p.id) : null;
+      if (b & 2) p.locked = true;
+    });
+    o.parties.forEach(function (p) { if (p.name === null) p.name = r.str(); });
+    var heroes = [], cls = [];
+    prev = 0;
+    for (i = 0, n = r.uint(); i < n; i++) { prev += r.num(); heroes.push({ id: prev }); cls.push(r.uint()); }
+    var seats = r.bits(heroes.length, bitsFor(o.parties.length + 1)), flags = r.bits(heroes.length, 4);
+    heroes.forEach(function (h, k) {
+      h.name = flags[k] & 1 ? r.str() : "";
+      h.partyId = seats[k] ? (o.parties[seats[k] - 1] || {}).id : null;
+      h.roleOverride = ROLE_CODES[flags[k] >> 2] || null;
+      if (flags[k] & 2) h.locked = true;
+    });
+    heroes.forEach(function (h) {
+      var mask = compact ? 0 : r.u8();
+      HERO_STAT_KEYS.forEach(function (k, b) { h[k] = mask & (1 << b) ? r.num() : null; });
+    });
+    var order = [];
+    for (i = 0, n = r.uint(); i < n; i++) order.push(r.uint());
+    var xs = r.str(), x = xs ? JSON.parse(xs) : {};
+    ["gear", "skills", "catalog", "classStatsByQuality", "filters"].forEach(function (k) { if (x[k]) o[k] = x[k]; });
+    var names = shareClassNames(o.catalog, nBuiltin);
+    heroes.forEach(function (h, k) {
+      var hx = x.hx && x.hx[k] || {};
+      h.className = names[cls[k]] || "#" + cls[k]; // an index past the list fails validation as an unknown class
+      if (hx.gear) h.gear = hx.gear;
+      if (hx.busy) h.busy = hx.busy;
+    });
+    o.parties.forEach(function (p, k) { if (x.px && x.px[k]) p.busy = x.px[k].busy; });
+    o.champions.forEach(function (c) { if (x.ci && x.ci[c.name]) c.icon = x.ci[c.name]; });
+    o.heroes = heroes;
+    o.zone = zi ? (ZONE_PRESETS[zi - 1] || ZONE_PRESETS[0]).id : x.zone;
+    o.zones = x.zones || [];
+    o.classOrder = order.map(function (k) { return names[k]; }).filter(Boolean);
+    if (!r.done()) throw rosterError(["The link has unexpected data at the end"]);
+    return o;
+  }
+  // Link text (a whole URL or just its hash), either codec → Promise<roster object> with this page's stat
+  // tables filled in (links omit them). A codec problem rejects with a rosterError; a payload that won't
+  // inflate or parse rejects with the raw error (treat it as corrupt).
+  var SHARE_LINK_RE = /(?:^|[#&])(r2?)=([A-Za-z0-9_-]+)/;
+  var CORRUPT_LINK = "The shared link couldn't be loaded — it's corrupt or cut short (was the whole link copied?).\n\nNothing was changed.";
+  function decodeShareLink(text) {
+    var m = String(text).match(SHARE_LINK_RE);
+    if (!m) return Promise.reject(new Error("no roster in that link"));
+    if (!SHARE_SUPPORTED) return Promise.reject(new Error("this browser can't decode share links"));
+    return inflateRawBytes(b64urlToBytes(m[2])).then(function (bytes) {
+      var data = m[1] === "r2" ? unpackRoster(bytes) : JSON.parse(new TextDecoder().decode(bytes));
+      withLocalClassStats(data);
+      return data;
+    });
+  }
+  function encodeShareLink(compact) { // -> Promise<string> full URL with #r2= hash
+    // Always drop the per-quality stat TABLES (≈80% of the payload) — identical on the recipient's
+    // page (baked into roster-data.js), so they're supplied locally on load.
+    var o = JSON.parse(toJSON());
+    delete o.classStatsByQuality;
+    // …except the rows of classes added in the Catalog panel, which the recipient's page doesn't have.
+    var added = state.catalog.classes.filter(function (c) { return !builtinClass(c.name); });
+    if (added.length) {
+      o.classStatsByQuality = {};
+      QUALITIES.forEach(function (q) { o.classStatsByQuality[q] = {}; added.forEach(function (c) { o.classStatsByQuality[q][c.name] = state.classStatsByQuality[q][c.name]; }); });
+    }
+    // Uploaded (data:) icons stay in this browser's saves — up to 200 KB each would swamp the link;
+    // the recipient sees the class's / champion's default image instead.
+    (o.catalog ? o.catalog.classes : []).concat(o.champions).forEach(function (c) { if (c.icon && c.icon.indexOf("data:") === 0) delete c.icon; });
+    // Compact ("Discord") link: also drop each hero's override stats → composition only. Heroes
+    // load with null stats and inherit class averages at the viewer's gear tier (~250 chars for 32 heroes).
+    if (compact) o.heroes = o.heroes.map(function (h) { return { id: h.id, name: h.name, className: h.className, partyId: h.partyId }; });
+    return deflateRaw(packRoster(o, compact)).then(function (bytes) { return location.origin + location.pathname + "#r2=" + bytesToB64url(bytes); });
+  }
+
+  // Share: centered overlay (opacity-toggled, not a slide panel). Generates a self-contained link
+  // that encodes the full roster into the #r2= hash (falls back to the bare URL if unsupported).
+  var shareModal = document.getElementById("shareModal");
+  var shareBackdrop = document.getElementById("shareBackdrop");
   var shareText = document.getElementById("shareText");
   var bareUrl = function () { return location.origin + location.pathname; };
   var _compactLink = ""; // pre-generated composition-only link for the Discord button
@@ -2398,15 +3986,164 @@
   // Discord button copies the pre-generated compact (composition-only) link; falls back to the full link.
   wireCopyButton(document.getElementById("shareDiscordBtn"), function () { return _compactLink || (shareText ? shareText.value : bareUrl()); });
 
+  // Party report: the whole layout as something a guildmate can read without opening the tool —
+  // a Markdown table (Copy report), a PNG "roster card" for Discord and one CSV row per party.
+  // Grades are forced synchronous (partyOutcome(p, true)) so an export never carries a "…" pending face.
+  function outcomeTxt(o) {
+    return o.fail
+      ? (o.reason === "barrier" ? "barrier not broken" : o.reason === "roundcap" ? "can't kill before the " + MZE.roundCap + "-round cap" : "party not full")
+      : winPctCI(o);
+  }
+  function partyReport() {
+    return state.parties.map(function (p) {
+      var ev = evalParty(p), o = partyOutcome(p, true), byEl = {};
+      ev.bar.forEach(function (b) { byEl[b.el] = b; });
+      return {
+        name: p.name || "Party", champ: p.champName || "",
+        heroes: ev.members.map(function (h) { return { name: h.name || "", className: h.className }; }),
+        // In state.barriers order, like the report's column headers (evalParty lists COVERAGE_ELS order).
+        bar: state.barriers.map(function (el) { var b = byEl[el]; return { el: el, power: Math.round(b.power), ok: b.power >= MZE.barrier, viaAll: b.viaAll }; }),
+        out: o, verdict: ev.verdict
+      };
+    });
+  }
+  function heroTxt(h) { return h.name && h.name !== h.className ? h.name + " (" + h.className + ")" : h.className; }
+  function mdCell(v) { return String(v == null ? "" : v).replace(/\|/g, "\\|").replace(/\n/g, " "); }
+  function reportMarkdown() {
+    var rows = partyReport(), cg = compositeGrade();
+    var head = ["Party", "Champion", "Heroes"].concat(state.barriers.map(function (el) { return el.charAt(0).toUpperCase() + el.slice(1); })).concat(["Grade", "Win %", "Verdict"]);
+    var L = ["**" + zoneLabel(activeZone()) + " roster** · barrier " + MZE.barrier.toLocaleString() + " · overall **" + cg.grade + " " + cg.avg + "%**", ""];
+    L.push("| " + head.join(" | ") + " |", "|" + head.map(function () { return "---"; }).join("|") + "|");
+    rows.forEach(function (r) {
+      L.push("| " + [r.name, r.champ || "—", r.heroes.map(heroTxt).join(", ") || "—"]
+        .concat(r.bar.map(function (b) { return b.power.toLocaleString() + (b.ok ? " ✓" : "") + (b.viaAll ? " (all)" : ""); }))
+        .concat([r.out.grade, r.out.fail ? "0% — " + outcomeTxt(r.out) : outcomeTxt(r.out), r.verdict]).map(mdCell).join(" | ") + " |");
+    });
+    return L.join("\n");
+  }
+  function reportCSVStr() {
+    var lines = [["Party", "Champion", "Heroes"].concat(state.barriers.map(function (el) { return "Barrier " + el; })).concat(["Grade", "Win %", "Win Lo", "Win Hi", "Rounds", "Verdict"]).join(",")];
+    partyReport().forEach(function (r) {
+      lines.push([csvCell(r.name), csvCell(r.champ), csvCell(r.heroes.map(heroTxt).join("; "))]
+        .concat(r.bar.map(function (b) { return b.power; }))
+        .concat([r.out.grade, r.out.winPct, r.out.fail ? "" : r.out.winLo, r.out.fail ? "" : r.out.winHi,
+          isFinite(r.out.rounds) ? r.out.rounds : "", csvCell(r.verdict)]).join(","));
+    });
+    return lines.join("\n");
+  }
+  // Roster card: one canvas row per party — rank icon, name + verdict, champion, heroes, barrier power,
+  // win %. Icons are same-origin (images/), so the canvas stays exportable; a missing icon is skipped.
+  // -> Promise<Blob> (rejects where canvas isn't available).
+  function loadImg(src) { // -> Promise<Image|null>; null on error or after 3s, so one stuck icon can't hold the card
+    return new Promise(function (resolve) {
+      if (!src) { resolve(null); return; }
+      var im = new Image(), t = setTimeout(function () { resolve(null); }, 3000);
+      im.onload = function () { clearTimeout(t); resolve(im); };
+      im.onerror = function () { clearTimeout(t); resolve(null); };
+      im.src = src;
+    });
+  }
+  function reportCardPNG() {
+    var rows = partyReport(), cg = compositeGrade();
+    var cv = document.createElement("canvas"), ctx = cv.getContext && cv.getContext("2d");
+    if (!ctx || !cv.toBlob) return Promise.reject(new Error("Canvas isn't supported in this browser."));
+    var srcs = {};
+    rows.forEach(function (r) {
+      srcs["g" + r.out.grade] = IMG_DIR + r.out.grade + ".png";
+      if (r.champ) srcs["c" + r.champ] = champImgSrc(r.champ);
+      r.heroes.forEach(function (h) { srcs["h" + h.className] = classImgSrc(h.className); });
+      r.bar.forEach(function (b) { srcs["b" + b.el] = barrierImgSrc(b.el); });
+    });
+    var keys = Object.keys(srcs);
+    return Promise.all(keys.map(function (k) { return loadImg(srcs[k]); })).then(function (imgs) {
+      var img = {};
+      keys.forEach(function (k, i) { img[k] = imgs[i]; });
+      var BAR_X = 312 + 4 * 56 + 8, ROW = 76, TOP = 64, PAD = 16, W = BAR_X + Math.max(2, state.barriers.length) * 74 + 120;
+      cv.width = W; cv.height = TOP + Math.max(1, rows.length) * ROW + PAD;
+      var text = function (s, x, y, font, col, align) { ctx.font = font; ctx.fillStyle = col; ctx.textAlign = align || "left"; ctx.fillText(s, x, y); };
+      var icon = function (k, x, y, s) { if (img[k]) ctx.drawImage(img[k], x, y, s, s); };
+      var fit = function (s, w) { s = String(s); while (s.length > 1 && ctx.measureText(s).width > w) s = s.slice(0, -2) + "…"; return s; };
+      ctx.fillStyle = "#1E1A24"; ctx.fillRect(0, 0, W, cv.height);
+      text(zoneLabel(activeZone()) + " roster", PAD, 30, "bold 18px sans-serif", COL.text);
+      text("Overall " + cg.grade + " " + cg.avg + "% · barrier " + MZE.barrier.toLocaleString() + " · " + fmtWhen(Date.now()), PAD, 50, "12px sans-serif", COL.muted);
+      if (!rows.length) text("No parties yet.", PAD, TOP + 30, "13px sans-serif", COL.muted);
+      rows.forEach(function (r, i) {
+        var y = TOP + i * ROW, mid = y + ROW / 2;
+        ctx.fillStyle = i % 2 ? "#262130" : "#2C2637"; ctx.fillRect(PAD / 2, y + 2, W - PAD, ROW - 4);
+        if (img["g" + r.out.grade]) icon("g" + r.out.grade, PAD, mid - 24, 48);
+        else text(r.out.grade, PAD + 24, mid + 10, "bold 28px sans-serif", gradeCol(r.out.grade), "center");
+        ctx.font = "bold 14px sans-serif"; text(fit(r.name, 170), 76, mid - 6, "bold 14px sans-serif", COL.text);
+        ctx.font = "11px sans-serif"; text(fit(r.verdict, 170), 76, mid + 12, "11px sans-serif", COL.muted);
+        var x = 256;
+        if (r.champ) { icon("c" + r.champ, x, mid - 26, 40); ctx.font = "10px sans-serif"; text(fit(r.champ, 52), x + 20, mid + 28, "10px sans-serif", COL.amber, "center"); }
+        x += 56;
+        r.heroes.forEach(function (h) {
+          icon("h" + h.className, x, mid - 26, 40);
+          ctx.font = "10px sans-serif"; text(fit(h.name || h.className, 52), x + 20, mid + 28, "10px sans-serif", COL.text, "center");
+          x += 56;
+        });
+        x = BAR_X;
+        r.bar.forEach(function (b) {
+          icon("b" + b.el, x, mid - 9, 18);
+          text(b.power.toLocaleString(), x + 22, mid + 5, "bold 12px sans-serif", b.ok ? COL.emerald : COL.rose);
+          x += 74;
+        });
+        var col = r.out.fail ? COL.rose : gradeCol(r.out.grade);
+        text(r.out.winPct + "%", W - PAD - 4, mid + 2, "bold 22px sans-serif", col, "right");
+        if (!r.out.fail) text("(" + r.out.winLo + "–" + r.out.winHi + ")", W - PAD - 4, mid + 18, "10px sans-serif", COL.muted, "right");
+        else { ctx.font = "10px sans-serif"; text(fit(outcomeTxt(r.out), 130), W - PAD - 4, mid + 18, "10px sans-serif", COL.muted, "right"); }
+      });
+      return new Promise(function (resolve, reject) {
+        cv.toBlob(function (blob) { if (blob) resolve(blob); else reject(new Error("Couldn't render the card.")); }, "image/png");
+      });
+    });
+  }
+  var shareStatus = document.getElementById("shareStatus");
+  wireCopyButton(document.getElementById("shareReportBtn"), reportMarkdown);
+  var shareCardBtn = document.getElementById("shareCardBtn");
+  if (shareCardBtn) shareCardBtn.addEventListener("click", function () {
+    flashStatus(shareStatus, "Rendering card…", 4000);
+    reportCardPNG().then(function (blob) {
+      flashStatus(shareStatus, downloadFile("t16-roster-card.png", blob, "image/png") ? "Downloaded t16-roster-card.png" : "Download failed", 2500);
+    }).catch(function (e) { flashStatus(shareStatus, e.message || "Couldn't render the card.", 3500); });
+  });
+  var shareCsvBtn = document.getElementById("shareCsvBtn");
+  if (shareCsvBtn) shareCsvBtn.addEventListener("click", function () {
+    flashStatus(shareStatus, downloadFile("t16-party-report.csv", reportCSVStr(), "text/csv") ? "Downloaded t16-party-report.csv" : "Download failed", 2500);
+  });
+
   /* ---------------- Combat replay modal (Simulate combat) ---------------- */
   var combatModal = document.getElementById("combatModal");
   var combatTitle = document.getElementById("combatTitle");
   var combatSummary = document.getElementById("combatSummary");
   var combatBody = document.getElementById("combatBody");
   var _combatPid = null, _combatSeed = 0;
-  var COMBAT_KCOL = { dmg: COL.emerald, hit: COL.muted, bosscrit: COL.rose, dodge: COL.amber, aoe: COL.amber, save: COL.amber, death: COL.rose, heal: "#7DD3FC", win: COL.emerald, loss: COL.rose };
+  var COMBAT_KCOL = { dmg: COL.emerald, hit: COL.muted, bosscrit: COL.rose, dodge: COL.amber, aoe: COL.amber, save: COL.amber, death: COL.rose, heal: "#7DD3FC", exec: COL.emerald, kill: COL.emerald, wave: COL.text, win: COL.emerald, loss: COL.rose };
+  var combatChart = document.getElementById("combatChart");
+  var combatReadout = document.getElementById("combatReadout");
+  var combatScrub = document.getElementById("combatScrub");
+  var combatRoundEl = document.getElementById("combatRound");
+  var combatPlayBtn = document.getElementById("combatPlay");
+  var _combatRep = null, _combatAt = 0, _combatTimer = null;
+  var COMBAT_UNIT_COL = ["#60A5FA", "#34D399", "#FBBF24", "#C084FC", "#F9A8D4"]; // boss line = COL.rose
+  var CC = { W: 780, H: 210, L: 34, R: 8, T: 8, B: 18 }; // combat chart box (viewBox units)
+  function combatX(r, last) { return (CC.L + r / Math.max(1, last) * (CC.W - CC.L - CC.R)).toFixed(1); }
+  // The replay log split into what the chart / export need: unit meta, per-round HP frames, events.
+  function combatTrace(rep) {
+    var t = { units: [], bossHp: MZE.bossHP, monsters: 1, frames: [], events: [], last: 0 };
+    rep.log.forEach(function (e) {
+      if (e.k === "units") { t.units = e.units; t.bossHp = e.bossHp; t.monsters = e.monsters || 1; }
+      else if (e.k === "state") t.frames[e.r] = e;
+      else t.events.push(e);
+      if (e.r > t.last) t.last = e.r;
+    });
+    // A wipe is logged at the start of the next round — carry the last frame forward so every round has one.
+    for (var r = 1; r <= t.last; r++) if (!t.frames[r]) t.frames[r] = t.frames[r - 1];
+    return t;
+  }
   function renderCombatReplay() {
     if (!combatBody) return;
+    stopCombatPlay();
     var p = null; for (var i = 0; i < state.parties.length; i++) if (state.parties[i].id === _combatPid) { p = state.parties[i]; break; }
     if (!p) return;
     if (combatTitle) combatTitle.textContent = "Combat replay — " + p.name;
@@ -2415,24 +4152,248 @@
     var col = rep.win ? COL.emerald : COL.rose;
     var failNote = o.fail ? (o.reason === "barrier" ? "barrier not broken" : o.reason === "undermanned" ? "party not full" : o.reason === "roundcap" ? "can't beat the round cap" : "") : "";
     combatSummary.innerHTML =
-      '<span style="color:' + col + '" class="font-bold">' + (rep.win ? "WIN" : "LOSS") + '</span> this sample · displayed grade <b>' + o.grade + '</b> (~' + o.winPct + '% over many fights)' +
+      '<span style="color:' + col + '" class="font-bold">' + (rep.win ? "WIN" : "LOSS") + '</span> this sample · displayed grade ' + (o.pending ? '<b>…</b> (still simulating)' : '<b>' + o.grade + '</b> (~' + o.winPct + '% over many fights)') +
       (failNote ? ' · <span style="color:' + COL.rose + '">' + escH(failNote) + '</span>' : '') +
       '<div class="text-textSecondary text-xs mt-0.5">This is ONE random fight; the grade % is the average of hundreds. Use Re-roll to see another.</div>';
+    _combatRep = { party: p.name, seed: _combatSeed, win: rep.win, trace: combatTrace(rep) };
     var rows = [], lastR = 0;
-    rep.log.forEach(function (e) {
-      if (e.r !== lastR) { rows.push('<div class="mt-2 mb-0.5 font-bold text-textSecondary uppercase tracking-wider text-[10px]">Round ' + e.r + '</div>'); lastR = e.r; }
-      rows.push('<div class="font-mono pl-2" style="color:' + (COMBAT_KCOL[e.k] || COL.text) + '">' + escH(e.t) + '</div>');
+    _combatRep.trace.events.forEach(function (e) {
+      if (e.r !== lastR) { rows.push('<div data-round="' + e.r + '" class="mt-2 mb-0.5 font-bold text-textSecondary uppercase tracking-wider text-[10px]">Round ' + e.r + '</div>'); lastR = e.r; }
+      rows.push('<div data-round-row="' + e.r + '" class="font-mono pl-2 rounded" style="color:' + (COMBAT_KCOL[e.k] || COL.text) + '">' + escH(e.t) + '</div>');
     });
     combatBody.innerHTML = rows.join("") || '<div class="text-textSecondary">No combat to show (empty party).</div>';
     combatBody.scrollTop = 0;
+    if (combatChart) combatChart.innerHTML = _combatRep.trace.events.length ? combatChartSVG(_combatRep.trace) : "";
+    if (combatScrub) { combatScrub.max = String(_combatRep.trace.last); combatScrub.value = "0"; }
+    setCombatRound(_combatRep.trace.last, true);
+  }
+  // SVG timeline: boss + per-unit HP (% of max, after each round) and event markers; hover for the log line.
+  function combatChartSVG(t) {
+    var W = CC.W, H = CC.H, L = CC.L, R = CC.R, T = CC.T, B = CC.B, last = Math.max(1, t.last);
+    var X = function (r) { return combatX(r, last); };
+    var Y = function (f) { return (T + (1 - Math.max(0, Math.min(1, f))) * (H - T - B)).toFixed(1); };
+    var g = [];
+    [0, 0.5, 1].forEach(function (f) {
+      g.push('<line x1="' + L + '" x2="' + (W - R) + '" y1="' + Y(f) + '" y2="' + Y(f) + '" stroke="' + COL.border + '" stroke-opacity="0.2"/>' +
+        '<text x="' + (L - 4) + '" y="' + (Number(Y(f)) + 3) + '" text-anchor="end" font-size="9" fill="' + COL.muted + '">' + Math.round(f * 100) + '%</text>');
+    });
+    g.push('<text x="' + X(0) + '" y="' + (H - 4) + '" font-size="9" fill="' + COL.muted + '">R0</text><text x="' + X(last) + '" y="' + (H - 4) + '" text-anchor="end" font-size="9" fill="' + COL.muted + '">R' + last + '</text>');
+    var line = function (fn, colr, w) {
+      var pts = [];
+      for (var r = 0; r <= t.last; r++) if (t.frames[r]) pts.push(X(r) + "," + Y(fn(t.frames[r])));
+      return '<polyline points="' + pts.join(" ") + '" fill="none" stroke="' + colr + '" stroke-width="' + w + '" stroke-linejoin="round"/>';
+    };
+    t.units.forEach(function (un, i) { g.push(line(function (f) { return f.hp[i] / (un.maxHp || 1); }, COMBAT_UNIT_COL[i % COMBAT_UNIT_COL.length], 1.5)); });
+    g.push(line(function (f) { return f.boss / t.bossHp; }, COL.rose, 2.5));
+    // Markers sit on the unit's (or boss's) line at the event's round.
+    var unitY = function (r, i) { var f = t.frames[r]; return Y(f && t.units[i] ? f.hp[i] / (t.units[i].maxHp || 1) : 0); };
+    var mark = function (r, y, k, tip) {
+      var c = COMBAT_KCOL[k] || COL.text, x = X(r), s = '<title>' + escH("R" + r + ": " + tip) + '</title>';
+      if (k === "death") return '<text x="' + x + '" y="' + (Number(y) + 4) + '" text-anchor="middle" font-size="12" font-weight="bold" fill="' + c + '">✕' + s + '</text>';
+      if (k === "save") return '<text x="' + x + '" y="' + (Number(y) + 4) + '" text-anchor="middle" font-size="11" fill="' + c + '">★' + s + '</text>';
+      if (k === "kill") return '<text x="' + x + '" y="' + (Number(y) + 4) + '" text-anchor="middle" font-size="11" font-weight="bold" fill="' + c + '">⚑' + s + '</text>';
+      if (k === "win" || k === "loss") return '<line x1="' + x + '" x2="' + x + '" y1="' + T + '" y2="' + (H - B) + '" stroke="' + c + '" stroke-width="2" stroke-dasharray="4 3">' + s + '</line>';
+      return '<circle cx="' + x + '" cy="' + y + '" r="' + (k === "dmg" ? 2 : 3) + '" fill="' + c + '">' + s + '</circle>';
+    };
+    t.events.forEach(function (e) {
+      if (e.k === "dodge" || e.k === "bosscrit" || e.k === "save" || e.k === "death" || e.k === "heal") g.push(mark(e.r, unitY(e.r, e.u), e.k, e.t));
+      else if (e.k === "aoe") (e.hits || []).forEach(function (h) { if (h.dodged) g.push(mark(e.r, unitY(e.r, h.u), "dodge", t.units[h.u].label + " dodges the AoE")); });
+      else if (e.k === "dmg" && e.crits) g.push(mark(e.r, Y((t.frames[e.r] || t.frames[0]).boss / t.bossHp), "dmg", e.t));
+      else if (e.k === "kill" || e.k === "exec") g.push(mark(e.r, Y((t.frames[e.r] || t.frames[0]).boss / t.bossHp), "kill", e.t));
+      else if (e.k === "win" || e.k === "loss") g.push(mark(e.r, 0, e.k, e.t));
+    });
+    g.push('<line id="combatCursor" x1="' + X(0) + '" x2="' + X(0) + '" y1="' + T + '" y2="' + (H - B) + '" stroke="' + COL.text + '" stroke-opacity="0.6"/>');
+    var legend = '<div class="flex flex-wrap gap-x-3 gap-y-0.5 text-[10px] text-textSecondary mt-1">' +
+      '<span><span class="inline-block w-3 h-0.5 align-middle mr-1" style="background:' + COL.rose + '"></span>' + (t.monsters > 1 ? "Enemies (" + t.monsters + ")" : "Boss") + '</span>' +
+      t.units.map(function (un, i) { return '<span><span class="inline-block w-3 h-0.5 align-middle mr-1" style="background:' + COMBAT_UNIT_COL[i % COMBAT_UNIT_COL.length] + '"></span>' + escH(un.label) + '</span>'; }).join("") +
+      '<span style="color:' + COL.amber + '">● dodge</span><span style="color:' + COL.rose + '">● boss crit</span><span style="color:' + COL.emerald + '">● party crit</span>' +
+      '<span style="color:' + COL.amber + '">★ save</span><span style="color:' + COL.rose + '">✕ death</span><span style="color:' + COMBAT_KCOL.heal + '">● heal</span>' +
+      (t.monsters > 1 ? '<span style="color:' + COL.emerald + '">⚑ kill</span>' : "") + '</div>';
+    return '<svg viewBox="0 0 ' + W + ' ' + H + '" class="w-full h-auto bg-hoverBg rounded-lg">' + g.join("") + '</svg>' + legend;
+  }
+  // Move the scrub position: chart cursor, HP readout, and the log highlights + scrolls to that round.
+  function setCombatRound(r, noScroll) {
+    if (!_combatRep) return;
+    var t = _combatRep.trace;
+    _combatAt = Math.max(0, Math.min(t.last, r));
+    if (combatScrub) combatScrub.value = String(_combatAt);
+    if (combatRoundEl) combatRoundEl.textContent = "Round " + _combatAt + "/" + t.last;
+    var cur = combatChart && combatChart.querySelector("#combatCursor");
+    if (cur) { var x = combatX(_combatAt, t.last); cur.setAttribute("x1", x); cur.setAttribute("x2", x); }
+    var f = t.frames[_combatAt];
+    if (combatReadout) combatReadout.innerHTML = f ? '<span style="color:' + COL.rose + '"><b>Boss</b> ' + Math.round(f.boss / t.bossHp * 100) + '%</span>' +
+      t.units.map(function (un, i) {
+        return '<span style="color:' + COMBAT_UNIT_COL[i % COMBAT_UNIT_COL.length] + '"><b>' + escH(un.label) + '</b> ' + (f.hp[i] > 0 ? Math.round(f.hp[i]).toLocaleString() + " HP" : "✕") + '</span>';
+      }).join("") : "";
+    if (!combatBody) return;
+    Array.prototype.forEach.call(combatBody.querySelectorAll("[data-round-row]"), function (el) { el.classList.toggle("bg-hoverBg", Number(el.dataset.roundRow) === _combatAt); });
+    var head = combatBody.querySelector('[data-round="' + _combatAt + '"]');
+    if (head && !noScroll) combatBody.scrollTop = head.offsetTop - combatBody.offsetTop;
+  }
+  function stopCombatPlay() {
+    if (_combatTimer) { clearInterval(_combatTimer); _combatTimer = null; }
+    if (combatPlayBtn) combatPlayBtn.textContent = "▶ Play";
+  }
+  // Whole fight in ~8s however long it ran (500-round fights step several rounds per tick).
+  function toggleCombatPlay() {
+    if (_combatTimer) { stopCombatPlay(); return; }
+    if (!_combatRep) return;
+    var last = _combatRep.trace.last, step = Math.max(1, Math.ceil(last / 80));
+    if (_combatAt >= last) setCombatRound(0);
+    if (combatPlayBtn) combatPlayBtn.textContent = "⏸ Pause";
+    _combatTimer = setInterval(function () {
+      setCombatRound(_combatAt + step);
+      if (_combatAt >= last) stopCombatPlay();
+    }, 100);
+  }
+  function combatFileBase() { return "combat-" + String(_combatRep.party || "party").replace(/[^A-Za-z0-9]+/g, "-").replace(/^-|-$/g, "") + "-" + _combatRep.seed; }
+  function combatLogJSON() {
+    var t = _combatRep.trace;
+    return JSON.stringify({
+      party: _combatRep.party, seed: _combatRep.seed, zone: zoneLabel(activeZone()), win: _combatRep.win, rounds: t.last,
+      bossHp: t.bossHp, units: t.units,
+      events: t.events,
+      frames: t.frames.map(function (f, r) { return { r: r, boss: f.boss, hp: f.hp }; })
+    }, null, 2);
+  }
+  // One row per event; the HP columns are the state AFTER that round (what the chart plots).
+  function combatLogCSV() {
+    var t = _combatRep.trace, q = function (v) { v = String(v == null ? "" : v); return /[",\n]/.test(v) ? '"' + v.replace(/"/g, '""') + '"' : v; };
+    var head = ["round", "kind", "unit", "text", "boss_hp"].concat(t.units.map(function (un) { return un.label + "_hp"; }));
+    var rows = t.events.map(function (e) {
+      var f = t.frames[e.r] || t.frames[t.last];
+      return [e.r, e.k, e.u != null && t.units[e.u] ? t.units[e.u].label : "", e.t, Math.round(f.boss)].concat(f.hp).map(q).join(",");
+    });
+    return [head.map(q).join(",")].concat(rows).join("\n");
   }
   function openCombatModal(pid) { _combatPid = pid; _combatSeed = hashStr("rep" + pid) >>> 0; renderCombatReplay(); if (combatModal) combatModal.classList.remove("opacity-0", "pointer-events-none"); }
-  function closeCombatModal() { if (combatModal) combatModal.classList.add("opacity-0", "pointer-events-none"); }
+  function closeCombatModal() { stopCombatPlay(); if (combatModal) combatModal.classList.add("opacity-0", "pointer-events-none"); }
   var combatCloseBtn = document.getElementById("combatClose");
   if (combatCloseBtn) combatCloseBtn.addEventListener("click", closeCombatModal);
   var combatRerollBtn = document.getElementById("combatReroll");
   if (combatRerollBtn) combatRerollBtn.addEventListener("click", function () { _combatSeed = (_combatSeed + 0x9E3779B1) >>> 0; renderCombatReplay(); });
   if (combatModal) combatModal.addEventListener("click", function (e) { if (e.target === combatModal) closeCombatModal(); });
+  if (combatPlayBtn) combatPlayBtn.addEventListener("click", toggleCombatPlay);
+  var combatPrevBtn = document.getElementById("combatPrev");
+  if (combatPrevBtn) combatPrevBtn.addEventListener("click", function () { stopCombatPlay(); setCombatRound(_combatAt - 1); });
+  var combatNextBtn = document.getElementById("combatNext");
+  if (combatNextBtn) combatNextBtn.addEventListener("click", function () { stopCombatPlay(); setCombatRound(_combatAt + 1); });
+  if (combatScrub) combatScrub.addEventListener("input", function () { stopCombatPlay(); setCombatRound(Number(combatScrub.value)); });
+  var combatJsonBtn = document.getElementById("combatJson");
+  if (combatJsonBtn) combatJsonBtn.addEventListener("click", function () { if (_combatRep) downloadFile(combatFileBase() + ".json", combatLogJSON(), "application/json"); });
+  var combatCsvBtn = document.getElementById("combatCsv");
+  if (combatCsvBtn) combatCsvBtn.addEventListener("click", function () { if (_combatRep) downloadFile(combatFileBase() + ".csv", combatLogCSV(), "text/csv"); });
+
+  /* ---------------- Fight Stats panel (many fights, one party) ---------------- */
+  // The grade is one number; this breaks SIM.statsTrials fights of the same party down into why:
+  // rounds-to-kill, who dies (and first), saves, wipe vs round-cap losses, and who deals the damage.
+  // Runs as a "stats" pool job; results are cached per composition (partySig) like the grade.
+  var fightPanel = document.getElementById("fightPanel");
+  var fightBackdrop = document.getElementById("fightBackdrop");
+  var fightBody = document.getElementById("fightPanelBody");
+  var _fightPid = null, _fightCache = {}, _fightPending = {};
+  function openFightPanel(pid) { _fightPid = pid; openPanel(fightPanel, fightBackdrop); buildFightPanel(); }
+  function pctTxt(x, n, dp) { return n ? (x / n * 100).toFixed(dp || 0) + "%" : "—"; }
+  function buildFightPanel() {
+    if (!fightBody) return;
+    var p = null; state.parties.forEach(function (q) { if (q.id === _fightPid) p = q; });
+    if (!p && state.parties.length) { p = state.parties[0]; _fightPid = p.id; }
+    var pick = '<select data-action="fight-party" class="' + FIELD + ' w-full">' + state.parties.map(function (q) {
+      return '<option value="' + q.id + '"' + (p && q.id === p.id ? " selected" : "") + '>' + escH(q.name || "party") + '</option>';
+    }).join("") + '</select>';
+    if (!p) { fightBody.innerHTML = '<div class="text-xs text-textSecondary italic">No parties.</div>'; return; }
+    var hs = state.heroes.filter(function (h) { return h.partyId === p.id; });
+    var champ = getChampion(p.champName), buff = partyBuff(champ, hs.map(function (h) { return h.className; }));
+    var units = simUnits(hs, champ, buff);
+    if (!units.length) { fightBody.innerHTML = pick + '<div class="text-xs text-textSecondary italic mt-3">This party is empty.</div>'; return; }
+    var saves = hs.reduce(function (a, h) { return a + classSaves(h.className); }, 0);
+    var sig = partySig(hs, champ, saves), res = _fightCache[sig];
+    var o = partyOutcome(p);
+    var failNote = o.fail ? '<div class="text-xs mt-2" style="color:' + COL.rose + '">Graded D regardless: ' +
+      (o.reason === "barrier" ? "barrier not broken" : o.reason === "roundcap" ? "can't kill before the " + MZE.roundCap + "-round cap" : "party not full") + '. The fights below ignore that gate.</div>' : "";
+    if (!res) {
+      fightBody.innerHTML = pick + failNote + '<div class="text-xs text-textSecondary mt-3 animate-pulse">Simulating ' + SIM.statsTrials.toLocaleString() + ' fights…</div>';
+      if (!_fightPending[sig]) {
+        _fightPending[sig] = true;
+        var labels = simUnitLabels(units);
+        poolRun({ type: "stats", units: units, N: SIM.statsTrials, seed: hashStr("stats|" + sig), opts: { saves: saves, champName: champ ? champ.name : null } }, function (m) {
+          delete _fightPending[sig];
+          _fightCache[sig] = { st: m.stats, labels: labels };
+          if (fightPanel && !fightPanel.classList.contains("translate-x-full")) buildFightPanel();
+        });
+      }
+      return;
+    }
+    fightBody.innerHTML = pick + failNote + viewFightStats(res.st, res.labels, units);
+  }
+  function viewFightStats(st, labels, units) {
+    var n = st.fights, losses = n - st.wins, totDmg = st.dmg.reduce(function (a, b) { return a + b; }, 0);
+    var kr = st.winRounds.slice().sort(function (a, b) { return a - b; });
+    var q = function (f) { return kr.length ? kr[Math.min(kr.length - 1, Math.floor(f * kr.length))] : 0; };
+    // Reading: the biggest loss driver + the usual first casualty, in one line.
+    var firstIdx = 0; st.first.forEach(function (c, i) { if (c > st.first[firstIdx]) firstIdx = i; });
+    var reading = [];
+    if (losses) reading.push("Losses are " + (st.lossWipe >= st.lossCap ? "mostly wipes (" + pctTxt(st.lossWipe, losses) + ")" : "mostly the " + MZE.roundCap + "-round cap (" + pctTxt(st.lossCap, losses) + ") — the party is too slow") + ".");
+    if (st.first[firstIdx]) reading.push(labels[firstIdx] + " falls first in " + pctTxt(st.first[firstIdx], n) + " of fights.");
+    if (!losses) reading.push("No losses in " + n.toLocaleString() + " fights.");
+    var head = POWER_HEADER;
+    var h = '<div class="grid grid-cols-3 gap-2 mt-3">' +
+      fightTile("Win", pctTxt(st.wins, n, 1), st.wins / n >= WIN_BANDS.A ? COL.emerald : st.wins / n >= WIN_BANDS.B ? COL.amber : COL.rose, n.toLocaleString() + " fights") +
+      fightTile("Lost — wipe", pctTxt(st.lossWipe, n, 1), COL.rose, "everyone fell") +
+      fightTile("Lost — round cap", pctTxt(st.lossCap, n, 1), COL.amber, (MZE.enc.length > 1 || MZE.enc[0].length > 1 ? "enemies" : "boss") + " alive at " + MZE.roundCap) +
+      '</div>' +
+      '<p class="text-xs text-textPrimary mt-2">' + escH(reading.join(" ")) + '</p>';
+    h += '<div class="mt-4">' + head + 'Rounds to kill (wins)</div>' + (kr.length
+      ? '<div class="text-xs text-textSecondary mb-1">median <b class="text-textPrimary">' + q(0.5) + '</b> · 10–90%: ' + q(0.1) + '–' + q(0.9) + ' · fastest ' + kr[0] + ' · slowest ' + kr[kr.length - 1] + '</div>' + roundsHistogram(kr)
+      : '<div class="text-xs text-textSecondary italic">No wins to measure.</div>') + '</div>';
+    var TH = '<th class="text-left font-semibold text-textSecondary uppercase tracking-wider text-[10px] px-2 py-1">';
+    h += '<div class="mt-4">' + head + 'Per unit</div><table class="w-full text-sm"><thead><tr>' + TH + 'Unit</th>' + TH + 'Dies</th>' + TH + 'Falls first</th>' + TH + 'Boss damage share</th></tr></thead><tbody>' +
+      labels.map(function (lb, i) {
+        var share = totDmg ? st.dmg[i] / totDmg : 0, dies = st.deaths[i] / n;
+        return '<tr class="border-t border-borderc">' +
+          '<td class="px-2 py-1 whitespace-nowrap">' + (units[i].isChamp ? "" : classIcon(units[i].cn) + " ") + escH(lb) + '</td>' +
+          '<td class="px-2 py-1 font-mono font-bold" style="color:' + (dies >= 0.5 ? COL.rose : dies >= 0.2 ? COL.amber : COL.emerald) + '">' + pctTxt(st.deaths[i], n) + '</td>' +
+          '<td class="px-2 py-1 font-mono">' + pctTxt(st.first[i], n) + '</td>' +
+          '<td class="px-2 py-1"><div class="flex items-center gap-2"><div class="flex-1 h-2 bg-hoverBg rounded-full overflow-hidden"><div class="h-full bg-accent" style="width:' + (share * 100).toFixed(1) + '%"></div></div>' +
+            '<span class="font-mono text-xs w-10 text-right">' + Math.round(share * 100) + '%</span></div></td></tr>';
+      }).join("") + '</tbody></table>' +
+      '<div class="text-xs text-textSecondary mt-1">Nobody fell in ' + pctTxt(st.noDeath, n) + ' of fights.</div></div>';
+    var saveLines = [];
+    if (st.savesLord || st.savesBishop) saveLines.push("A save fired in " + pctTxt(st.fightsSaved, n) + " of fights.");
+    if (st.savesLord) saveLines.push("Lord shields: " + (st.savesLord / n).toFixed(2) + " per fight.");
+    if (st.savesBishop) saveLines.push("Bishop self-saves: " + (st.savesBishop / n).toFixed(2) + " per fight.");
+    if (st.executes) saveLines.push("Death Knight execute ended " + pctTxt(st.executes, st.wins) + " of wins.");
+    if (st.execs > st.executes) saveLines.push("Death Knight executed " + (Math.round(st.execs / st.fights * 100) / 100) + " monsters per fight on average.");
+    if (saveLines.length) h += '<div class="mt-4">' + head + 'Saves &amp; executes</div><div class="text-sm space-y-0.5">' + saveLines.map(function (l) { return '<div>' + escH(l) + '</div>'; }).join("") + '</div></div>';
+    return h;
+  }
+  function fightTile(label, val, col, sub) {
+    return '<div class="bg-surface border-2 border-borderc rounded-lg px-3 py-2">' +
+      '<div class="text-[10px] uppercase tracking-wider text-textSecondary">' + escH(label) + '</div>' +
+      '<div class="text-xl font-bold font-mono" style="color:' + col + '">' + val + '</div>' +
+      '<div class="text-[10px] text-textSecondary">' + escH(sub) + '</div></div>';
+  }
+  // Win rounds → ≤24 equal-width bins as an SVG bar chart.
+  function roundsHistogram(kr) {
+    var lo = kr[0], hi = kr[kr.length - 1], w = Math.max(1, Math.ceil((hi - lo + 1) / 24)), bins = [];
+    for (var b = lo; b <= hi; b += w) bins.push({ from: b, to: Math.min(hi, b + w - 1), c: 0 });
+    kr.forEach(function (r) { bins[Math.floor((r - lo) / w)].c++; });
+    var max = bins.reduce(function (a, x) { return Math.max(a, x.c); }, 1), W = 560, H = 110, bw = W / bins.length;
+    return '<svg viewBox="0 0 ' + W + ' ' + (H + 14) + '" class="w-full h-auto bg-hoverBg rounded-lg">' + bins.map(function (x, i) {
+      var bh = x.c / max * (H - 6);
+      return '<rect x="' + (i * bw + 1).toFixed(1) + '" y="' + (H - bh).toFixed(1) + '" width="' + Math.max(1, bw - 2).toFixed(1) + '" height="' + bh.toFixed(1) + '" fill="' + COL.emerald + '" fill-opacity="0.8">' +
+        '<title>' + (x.from === x.to ? "round " + x.from : "rounds " + x.from + "–" + x.to) + ': ' + x.c + ' wins</title></rect>';
+    }).join("") +
+      '<text x="2" y="' + (H + 11) + '" font-size="9" fill="' + COL.muted + '">R' + lo + '</text>' +
+      '<text x="' + (W - 2) + '" y="' + (H + 11) + '" text-anchor="end" font-size="9" fill="' + COL.muted + '">R' + hi + '</text></svg>';
+  }
+  if (fightBody) fightBody.addEventListener("change", function (e) {
+    var sel = e.target.closest('[data-action="fight-party"]'); if (!sel) return;
+    _fightPid = Number(sel.value); buildFightPanel();
+  });
+  var fightCloseBtn = document.getElementById("fightClose");
+  if (fightCloseBtn) fightCloseBtn.addEventListener("click", function () { closePanel(fightPanel, fightBackdrop); });
+  if (fightBackdrop) fightBackdrop.addEventListener("click", function () { closePanel(fightPanel, fightBackdrop); });
 
   // Generic alert/notice overlay (replaces native alert()).
   var alertModal = document.getElementById("alertModal");
@@ -2449,27 +4410,40 @@
   if (alertModal) alertModal.addEventListener("click", function (e) { if (e.target === alertModal) closeAlert(); });
 
   // Generic Confirm/Cancel overlay (replaces native confirm()). opts: {title, bodyHTML, confirmLabel,
-  // confirmClass, onConfirm}. bodyHTML is built from static strings only (no user input).
+  // confirmClass, onConfirm, keepOpen, onCancel}. bodyHTML is built from static strings only (no user
+  // input). keepOpen leaves the overlay up after Confirm (the callback closes it — e.g. a long job
+  // showing confirmProgress); onCancel fires only when the player dismisses it.
   var confirmModal = document.getElementById("confirmModal");
   var confirmBackdrop = document.getElementById("confirmBackdrop");
   var confirmTitle = document.getElementById("confirmTitle");
   var confirmBody = document.getElementById("confirmBody");
   var confirmOkBtn = document.getElementById("confirmOk");
   var confirmCancelBtn = document.getElementById("confirmCancel");
-  var _confirmCb = null;
+  var _confirmCb = null, _confirmKeep = false, _cancelCb = null;
   function showConfirm(opts) {
     opts = opts || {};
     if (confirmTitle) confirmTitle.textContent = opts.title || "Confirm";
     if (confirmBody) confirmBody.innerHTML = opts.bodyHTML || "";
     if (confirmOkBtn) { confirmOkBtn.textContent = opts.confirmLabel || "Confirm"; confirmOkBtn.className = (opts.confirmClass || "btn-primary") + " w-full"; }
     _confirmCb = typeof opts.onConfirm === "function" ? opts.onConfirm : null;
+    _confirmKeep = !!opts.keepOpen;
+    _cancelCb = typeof opts.onCancel === "function" ? opts.onCancel : null;
     [confirmModal, confirmBackdrop].forEach(function (el) { if (el) el.classList.remove("opacity-0", "pointer-events-none"); });
   }
-  function closeConfirm() { _confirmCb = null; [confirmModal, confirmBackdrop].forEach(function (el) { if (el) el.classList.add("opacity-0", "pointer-events-none"); }); }
-  if (confirmOkBtn) confirmOkBtn.addEventListener("click", function () { var cb = _confirmCb; closeConfirm(); if (cb) cb(); });
-  if (confirmCancelBtn) confirmCancelBtn.addEventListener("click", closeConfirm);
-  if (confirmBackdrop) confirmBackdrop.addEventListener("click", closeConfirm);
-  if (confirmModal) confirmModal.addEventListener("click", function (e) { if (e.target === confirmModal) closeConfirm(); });
+  function closeConfirm() { _confirmCb = null; _cancelCb = null; [confirmModal, confirmBackdrop].forEach(function (el) { if (el) el.classList.add("opacity-0", "pointer-events-none"); }); }
+  function cancelConfirm() { var cb = _cancelCb; closeConfirm(); if (cb) cb(); }
+  // Swap the open overlay's body for a progress bar (hides Confirm; Cancel stays live).
+  function confirmProgress(frac, label) {
+    if (confirmOkBtn) confirmOkBtn.className = "hidden";
+    if (!confirmBody) return;
+    var pct = Math.round(Math.max(0, Math.min(1, frac)) * 100);
+    confirmBody.innerHTML = '<div class="flex justify-between text-xs text-textSecondary mb-1"><span>' + escH(label || "Working") + '…</span><span class="font-mono">' + pct + '%</span></div>' +
+      '<div class="w-full h-2 bg-hoverBg rounded-full overflow-hidden"><div class="h-full bg-accent transition-all" style="width:' + pct + '%"></div></div>';
+  }
+  if (confirmOkBtn) confirmOkBtn.addEventListener("click", function () { var cb = _confirmCb; if (_confirmKeep) _confirmCb = null; else closeConfirm(); if (cb) cb(); });
+  if (confirmCancelBtn) confirmCancelBtn.addEventListener("click", cancelConfirm);
+  if (confirmBackdrop) confirmBackdrop.addEventListener("click", cancelConfirm);
+  if (confirmModal) confirmModal.addEventListener("click", function (e) { if (e.target === confirmModal) cancelConfirm(); });
 
   // Download: trigger a real file download from a Blob.
   function downloadFile(filename, text, mime) {
@@ -2623,6 +4597,22 @@
     }
     return count;
   }
+  // Roster-table header cell → hero field (shared by applyRosterCSV and the import wizard's auto-mapping).
+  function rosterColKey(cell) {
+    var n = String(cell == null ? "" : cell).trim().toLowerCase().replace(/[^a-z0-9]/g, "");
+    if (n === "name" || n === "hero" || n === "heroname") return "name";
+    if (n === "class" || n === "classname") return "className";
+    if (n === "party" || n === "team") return "party";
+    if (n === "power" || n === "element") return "power";
+    if (n === "hp" || n === "health") return "hp";
+    if (n === "atk" || n === "attack") return "atk";
+    if (n === "def" || n === "defense" || n === "defence") return "def";
+    if (n === "eva" || n === "evasion") return "eva";
+    if (n === "crit" || n === "critchance" || n === "critrate") return "crit";
+    if (n === "threat") return "threat";
+    if (n === "critdmg" || n === "critdamage" || n === "critx") return "critDmg";
+    return null;
+  }
   // Roster CSV (per-hero) importer — the counterpart to rosterCSVStr's export, so a downloaded roster
   // CSV round-trips back in. Header-aware (Name, Class, Party, Power, HP, ATK, DEF, EVA, CRIT, THREAT in
   // any order). REPLACES the roster: each row → a hero of the matched class, its CSV stats kept as
@@ -2635,20 +4625,7 @@
     var rows = (text || "").split(/\r?\n/).filter(function (l) { return l.trim() !== ""; });
     if (!rows.length) return null;
     var col = {};
-    rows[0].split(sep).forEach(function (cell, i) {
-      var n = String(cell).trim().toLowerCase().replace(/[^a-z0-9]/g, "");
-      if (n === "name" || n === "hero") col.name = i;
-      else if (n === "class" || n === "classname") col.className = i;
-      else if (n === "party") col.party = i;
-      else if (n === "power" || n === "element") col.power = i;
-      else if (n === "hp" || n === "health") col.hp = i;
-      else if (n === "atk" || n === "attack") col.atk = i;
-      else if (n === "def" || n === "defense" || n === "defence") col.def = i;
-      else if (n === "eva" || n === "evasion") col.eva = i;
-      else if (n === "crit" || n === "critchance" || n === "critrate") col.crit = i;
-      else if (n === "threat") col.threat = i;
-      else if (n === "critdmg" || n === "critdamage" || n === "critx") col.critDmg = i;
-    });
+    rows[0].split(sep).forEach(function (cell, i) { var k = rosterColKey(cell); if (k) col[k] = i; });
     if (col.className === undefined) return null; // not a roster CSV — let the class-defaults parser try
     var norm = function (s) { return String(s == null ? "" : s).toLowerCase().replace(/[^a-z0-9]/g, ""); };
     var partyByName = {};
@@ -2697,12 +4674,17 @@
     if (isJson) {
       var data;
       try { data = JSON.parse(text); } catch (e) { flashStatus(uploadStatus, "Invalid JSON — " + e.message, 3500); return; }
+      if (data && data.guildBundle) { applyGuildBundleText(text, uploadStatus); return; }
       var hasRoster = data && Array.isArray(data.parties) && Array.isArray(data.heroes);
       var statsObj = data && (data.classStatsByQuality || data.classStats);
       var hasStats = statsObj && typeof statsObj === "object";
       if (hasRoster) {
         if (!hasStats) data.classStatsByQuality = state.classStatsByQuality; // preserve current defaults (all tiers)
-        try { loadJSON(JSON.stringify(data)); } catch (e) { flashStatus(uploadStatus, "Load failed — " + e.message, 3500); return; }
+        try { loadJSON(JSON.stringify(data)); } catch (e) {
+          flashStatus(uploadStatus, "Load failed — " + e.message, 3500);
+          if (e.problems) showAlert(loadErrorText(e, "That upload"));
+          return;
+        }
         setUpdate(hasStats ? "Uploaded full data." : "Uploaded roster (kept default stats).");
         render();
         flashStatus(uploadStatus, hasStats ? "Loaded full data ✓" : "Loaded roster (kept default stats) ✓", 3000);
@@ -2748,6 +4730,1606 @@
   var uploadApplyBtn = document.getElementById("uploadApplyBtn");
   if (uploadApplyBtn) uploadApplyBtn.addEventListener("click", function () { applyUpload(uploadText ? uploadText.value : "", lastUploadName); });
 
+  /* ---------------- Roster import wizard ---------------- */
+  // Bulk hero import for a whole account: paste or pick a roster table, map its columns onto hero fields
+  // (auto-mapped from the header via rosterColKey), preview it against the current roster as new /
+  // changed / unchanged / removed heroes with per-row errors, then Merge by hero name or Replace the
+  // roster. Rows with errors are skipped; an unknown class offers fuzzy suggestions, and a fix applies to
+  // every row spelling the class the same way. Wizard state lives for the session only.
+  var importPanel = document.getElementById("importPanel");
+  var importBackdrop = document.getElementById("importBackdrop");
+  var importBody = document.getElementById("importPanelBody");
+  var importText = document.getElementById("importText");
+  var IMPORT_FIELDS = [["", "— ignore —"], ["name", "Name"], ["className", "Class"], ["party", "Party"], ["power", "Element"],
+    ["hp", "HP"], ["atk", "ATK"], ["def", "DEF"], ["eva", "EVA"], ["crit", "CRIT"], ["threat", "THREAT"], ["critDmg", "Crit dmg"]];
+  var IMPORT_STATS = ["power", "hp", "atk", "def", "eva", "crit", "threat", "critDmg"];
+  var IMPORT_MAX_ROWS = 500;
+  var _imp = { rows: [], hasHeader: true, map: [], mode: "merge", fixes: {}, showSame: false, truncated: false };
+
+  // One delimited line → trimmed cells; honors "quoted, cells" with "" escapes (what csvCell writes).
+  function splitDelimited(line, sep) {
+    var out = [], cur = "", q = false;
+    for (var i = 0; i < line.length; i++) {
+      var ch = line.charAt(i);
+      if (q) {
+        if (ch !== '"') cur += ch;
+        else if (line.charAt(i + 1) === '"') { cur += '"'; i++; }
+        else q = false;
+      } else if (ch === '"' && cur.trim() === "") { q = true; cur = ""; }
+      else if (ch === sep) { out.push(cur.trim()); cur = ""; }
+      else cur += ch;
+    }
+    out.push(cur.trim());
+    return out;
+  }
+  function normKey(s) { return String(s == null ? "" : s).toLowerCase().replace(/[^a-z0-9]/g, ""); }
+  // Same delimiter rule as Upload (a tab → spreadsheet paste), plus ";" for locales that save CSV that way.
+  function readImportText(text) {
+    var lines = String(text || "").split(/\r?\n/).filter(function (l) { return l.trim() !== ""; });
+    var first = lines[0] || "";
+    var sep = /\t/.test(first) ? "\t" : first.split(";").length > first.split(",").length ? ";" : ",";
+    _imp.rows = lines.slice(0, IMPORT_MAX_ROWS + 1).map(function (l) { return splitDelimited(l, sep); });
+    _imp.truncated = lines.length > IMPORT_MAX_ROWS + 1;
+    _imp.hasHeader = (_imp.rows[0] || []).some(function (c) { return rosterColKey(c); });
+    _imp.fixes = {};
+    autoMapImport();
+  }
+  // Header → field by name. Without a header, guess rosterCSVStr's Name,Class,Party,… order when the
+  // second column holds class names, or Class-first when the first one does.
+  function autoMapImport() {
+    var width = 0, seen = {};
+    _imp.rows.forEach(function (r) { width = Math.max(width, r.length); });
+    _imp.map = [];
+    for (var i = 0; i < width; i++) {
+      var k = _imp.hasHeader ? rosterColKey(_imp.rows[0][i]) : null;
+      if (k && seen[k]) k = null;
+      if (k) seen[k] = true;
+      _imp.map.push(k || "");
+    }
+    if (_imp.hasHeader) return;
+    var classy = function (c) {
+      var hits = 0;
+      _imp.rows.forEach(function (r) { if (importClassOf(r[c])) hits++; });
+      return hits * 2 >= _imp.rows.length;
+    };
+    var order = classy(1) ? ["name", "className", "party"].concat(IMPORT_STATS) : classy(0) ? ["className", "name", "party"].concat(IMPORT_STATS) : [];
+    _imp.map = _imp.map.map(function (k, i) { return order[i] || ""; });
+  }
+  function importClassOf(raw) {
+    var n = normKey(raw);
+    if (!n) return null;
+    if (_imp.fixes[n]) return _imp.fixes[n];
+    for (var i = 0; i < CATALOG.length; i++) if (normKey(CATALOG[i].name) === n) return CATALOG[i].name;
+    return null;
+  }
+  function editDistance(a, b) {
+    var prev = [], cur, i, j;
+    for (j = 0; j <= b.length; j++) prev.push(j);
+    for (i = 1; i <= a.length; i++) {
+      cur = [i];
+      for (j = 1; j <= b.length; j++) cur.push(Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1)));
+      prev = cur;
+    }
+    return prev[b.length];
+  }
+  // Up to 3 closest live classes: edit distance on the normalized names (within a third of the length,
+  // at least 2), with prefix / containment counted as a near miss ("arch" → Arch Druid, "Knigt" → Knight).
+  function classSuggestions(raw) {
+    var n = normKey(raw);
+    if (!n) return [];
+    var lim = Math.max(2, Math.floor(n.length / 3));
+    return CATALOG.filter(function (c) { return !c.retired; }).map(function (c) {
+      var cn = normKey(c.name), d = editDistance(n, cn);
+      if (cn.indexOf(n) === 0 || (n.length >= 4 && cn.indexOf(n) >= 0) || (cn.length >= 4 && n.indexOf(cn) >= 0)) d = Math.min(d, 1);
+      return { name: c.name, d: d };
+    }).filter(function (x) { return x.d <= lim; })
+      .sort(function (a, b) { return a.d - b.d || (a.name < b.name ? -1 : 1); })
+      .slice(0, 3).map(function (x) { return x.name; });
+  }
+  function importCell(cells, col, k) { return col[k] === undefined ? "" : String(cells[col[k]] == null ? "" : cells[col[k]]).trim(); }
+  function importStatVal(v) { return v === null || v === undefined || v === "" ? null : Number(v); }
+  // Rows → plan. Each row pairs with the first not-yet-matched hero of the same name (case-insensitive), so
+  // duplicate names pair up in roster order. Merge: a blank cell or an unmapped column keeps the hero's value.
+  // Replace: the table is the whole roster — a blank cell in a mapped column resets it (stats inherit the
+  // class average, party → bench), and every unmatched hero is removed. An error row changes nothing; in
+  // Replace its matched hero is kept as is rather than removed over a typo.
+  function importPlan() {
+    var col = {}, replace = _imp.mode === "replace";
+    _imp.map.forEach(function (k, i) { if (k && col[k] === undefined) col[k] = i; });
+    var plan = { col: col, rows: [], removed: [], counts: { "new": 0, changed: 0, same: 0, error: 0, removed: 0 } };
+    if (col.className === undefined) return plan;
+    var partyByName = {}, pool = {};
+    state.parties.forEach(function (p) { partyByName[String(p.name || "").trim().toLowerCase()] = p.id; });
+    state.heroes.forEach(function (h) { var k = String(h.name || "").trim().toLowerCase(); if (k) (pool[k] = pool[k] || []).push(h); });
+    for (var r = _imp.hasHeader ? 1 : 0; r < _imp.rows.length; r++) {
+      var cells = _imp.rows[r];
+      var row = { line: r + 1, name: importCell(cells, col, "name"), raw: importCell(cells, col, "className"), errors: [], warns: [], fix: null, changes: [], hero: null };
+      row.className = importClassOf(row.raw);
+      if (!row.raw) row.errors.push("No class");
+      else if (!row.className) { row.errors.push('Unknown class "' + row.raw + '"'); row.fix = row.raw; }
+      else if (CLASS[row.className] && CLASS[row.className].retired) row.warns.push(row.className + " is retired");
+      var vals = {};
+      IMPORT_STATS.forEach(function (k) {
+        var v = importCell(cells, col, k);
+        if (v === "") return;
+        if (/[0-9]/.test(v)) vals[k] = statNum(v);
+        else row.errors.push(importFieldLabel(k) + ' "' + v + '" isn\'t a number');
+      });
+      var key = row.name.toLowerCase(), h = key && pool[key] && pool[key].length ? pool[key].shift() : null;
+      row.hero = h;
+      var pid = h ? h.partyId : null;
+      if (col.party !== undefined) {
+        var pv = importCell(cells, col, "party"), pl = pv.toLowerCase();
+        if (pl === "bench" || (!pl && replace)) pid = null;
+        else if (pl && partyByName[pl] !== undefined) pid = partyByName[pl];
+        else if (pl) { pid = null; row.warns.push('No party named "' + pv + '" — goes to the bench'); }
+      }
+      row.next = { className: row.className, partyId: pid };
+      IMPORT_STATS.forEach(function (k) {
+        row.next[k] = vals[k] !== undefined ? vals[k] : h && (!replace || col[k] === undefined) ? importStatVal(h[k]) : null;
+      });
+      if (row.errors.length) row.status = "error";
+      else if (!h) row.status = "new";
+      else {
+        ["className", "partyId"].concat(IMPORT_STATS).forEach(function (k) {
+          var a = k === "className" || k === "partyId" ? h[k] : importStatVal(h[k]), b = row.next[k];
+          if ((a == null ? null : a) !== (b == null ? null : b)) row.changes.push({ k: k, from: a, to: b });
+        });
+        row.status = row.changes.length ? "changed" : "same";
+      }
+      plan.counts[row.status]++;
+      plan.rows.push(row);
+    }
+    if (replace) {
+      var kept = {};
+      plan.rows.forEach(function (row) { if (row.hero) kept[row.hero.id] = true; });
+      plan.removed = state.heroes.filter(function (h) { return !kept[h.id]; });
+      plan.counts.removed = plan.removed.length;
+    }
+    return plan;
+  }
+  function importFieldLabel(k) {
+    if (k === "partyId") return "Party";
+    for (var i = 0; i < IMPORT_FIELDS.length; i++) if (IMPORT_FIELDS[i][0] === k) return IMPORT_FIELDS[i][1];
+    return k;
+  }
+  function importValText(k, v) {
+    if (k === "partyId") return v ? partyLabel(v) : "Bench";
+    if (v === null || v === undefined) return "class avg";
+    return k === "className" ? v : compactNum(Number(v));
+  }
+  // Matched heroes keep their id, name, gear and role override; new heroes take fresh ids. Replace keeps
+  // the table's row order. Over-cap parties spill to the bench (enforcePartyCap), as in applyRosterCSV.
+  function applyImport() {
+    var plan = importPlan(), c = plan.counts, replace = _imp.mode === "replace";
+    if (!c["new"] && !c.changed && !c.removed) return;
+    var maxId = 0;
+    state.heroes.forEach(function (h) { if (h.id > maxId) maxId = h.id; });
+    var fill = function (h, row) {
+      h.className = row.next.className; h.partyId = row.next.partyId;
+      IMPORT_STATS.forEach(function (k) { h[k] = row.next[k]; });
+      return h;
+    };
+    var out = replace ? [] : state.heroes.slice();
+    plan.rows.forEach(function (row) {
+      if (row.status === "error") { if (replace && row.hero) out.push(row.hero); return; }
+      if (row.hero) { fill(row.hero, row); if (replace) out.push(row.hero); return; }
+      out.push(fill({ id: ++maxId, name: row.name.slice(0, 40), className: "", partyId: null, roleOverride: null }, row));
+    });
+    state.heroes = out;
+    state.parties.forEach(function (p) { enforcePartyCap(p.id); });
+    var parts = [c["new"] + " new", c.changed + " changed"];
+    if (replace) parts.push(c.removed + " removed");
+    if (c.error) parts.push(c.error + " row" + (c.error === 1 ? "" : "s") + " skipped");
+    setUpdate((replace ? "Replaced the roster from an import (" : "Merged an import into the roster (") + parts.join(", ") + ").");
+    closePanel(importPanel, importBackdrop);
+    render();
+  }
+  var IMPORT_CHIP = { "new": ["new", COL.emerald], changed: ["changed", COL.amber], same: ["unchanged", COL.muted], error: ["error", COL.rose], removed: ["removed", COL.rose] };
+  function importChip(st, n) {
+    return '<span class="text-[10px] uppercase font-semibold shrink-0" style="color:' + IMPORT_CHIP[st][1] + '">' + (n === undefined ? "" : n + " ") + IMPORT_CHIP[st][0] + '</span>';
+  }
+  function buildImportPanel() {
+    if (!importBody) return;
+    if (!_imp.rows.length) {
+      importBody.innerHTML = '<div class="text-xs text-textSecondary leading-relaxed">Paste a roster table above or choose a file, then <b>Read table</b> — e.g. the "Your Roster (CSV)" download, or a range copied from a spreadsheet. ' +
+        'One row per hero; only a Class column is required.</div>';
+      return;
+    }
+    var sel = "bg-hoverBg border border-borderc rounded px-1 py-0.5 text-textPrimary text-xs outline-none focus:border-accent shrink-0";
+    var hdr = _imp.rows[0], sample = _imp.rows[_imp.hasHeader ? 1 : 0] || [], firstCol = {};
+    var mapRows = _imp.map.map(function (k, i) {
+      var dup = k && firstCol[k] !== undefined;
+      if (k && !dup) firstCol[k] = i;
+      return '<div class="flex items-center gap-2 px-3 py-1 rounded-lg bg-hoverBg text-xs">' +
+        '<span class="w-36 shrink-0 truncate font-semibold">' + escH(_imp.hasHeader && hdr[i] ? hdr[i] : "Column " + (i + 1)) + '</span>' +
+        '<span class="flex-1 min-w-0 truncate text-textSecondary">' + escH(sample[i] || "") + '</span>' +
+        (dup ? '<span class="text-[10px] shrink-0" style="color:' + COL.amber + '">already mapped — ignored</span>' : "") +
+        '<select data-imp-col="' + i + '" class="' + sel + '">' + IMPORT_FIELDS.map(function (f) {
+          return '<option value="' + f[0] + '"' + (f[0] === k ? " selected" : "") + '>' + escH(f[1]) + '</option>';
+        }).join("") + '</select></div>';
+    }).join("");
+    var modeBtns = [["merge", "Merge by name", "Update heroes whose name matches a row, add the rest; heroes missing from the table stay."],
+      ["replace", "Replace roster", "The table becomes the roster: matched heroes are updated, new rows added, heroes missing from the table removed."]].map(function (m) {
+      var on = _imp.mode === m[0];
+      return '<button type="button" data-imp-mode="' + m[0] + '" title="' + escA(m[2]) + '" class="flex-1 px-2 py-1.5 rounded-lg border-2 text-sm font-semibold ' +
+        (on ? "border-accent text-textPrimary bg-hoverBg" : "border-borderc text-textSecondary") + '">' + m[1] + '</button>';
+    }).join("");
+    var plan = importPlan(), c = plan.counts, body;
+    if (plan.col.className === undefined) {
+      body = '<div class="text-xs" style="color:' + COL.rose + '">Map a column to <b>Class</b> to preview the import.</div>';
+    } else {
+      var classOpts = CATALOG.filter(function (x) { return !x.retired; }).map(function (x) { return '<option value="' + escA(x.name) + '">' + escH(x.name) + '</option>'; }).join("");
+      var shown = plan.rows.filter(function (row) { return _imp.showSame || row.status !== "same"; });
+      var rowsHTML = shown.map(function (row) {
+        var det = row.errors.map(function (e) { return '<span style="color:' + COL.rose + '">' + escH(e) + '</span>'; });
+        if (row.fix) {
+          det.push('<span class="inline-flex flex-wrap items-center gap-1">' + classSuggestions(row.fix).map(function (s) {
+            return '<button type="button" data-imp-fix="' + escA(row.fix) + '" data-cls="' + escA(s) + '" class="btn-white text-[10px] px-2 py-0.5">' + escH(s) + '?</button>';
+          }).join("") + '<select data-imp-fix-sel="' + escA(row.fix) + '" class="' + sel + '"><option value="">Pick class…</option>' + classOpts + '</select></span>');
+        }
+        row.changes.forEach(function (ch) { det.push(importFieldLabel(ch.k) + " " + escH(importValText(ch.k, ch.from)) + " → <b>" + escH(importValText(ch.k, ch.to)) + "</b>"); });
+        row.warns.forEach(function (w) { det.push('<span style="color:' + COL.amber + '">' + escH(w) + '</span>'); });
+        if (row.status === "error" && row.hero) det.push('<span class="text-textSecondary">skipped — ' + escH(row.hero.name) + ' kept as is</span>');
+        return '<div class="flex items-start gap-2 px-3 py-1 rounded-lg border border-borderc text-xs">' +
+          '<span class="w-8 shrink-0 text-textSecondary">' + row.line + '</span>' +
+          '<span class="w-28 shrink-0 truncate">' + (row.name ? escH(row.name) : '<span class="text-textSecondary">(no name)</span>') + '</span>' +
+          '<span class="w-24 shrink-0 truncate">' + escH(row.className || row.raw || "—") + '</span>' +
+          '<span class="w-16 shrink-0">' + importChip(row.status) + '</span>' +
+          '<span class="flex-1 min-w-0 flex flex-wrap gap-x-3 gap-y-1">' + det.join("") + '</span></div>';
+      }).join("");
+      var removedHTML = plan.removed.map(function (h) {
+        return '<div class="flex items-center gap-2 px-3 py-1 rounded-lg border border-borderc text-xs">' +
+          '<span class="w-8 shrink-0"></span><span class="w-28 shrink-0 truncate">' + escH(h.name || "(no name)") + '</span>' +
+          '<span class="w-24 shrink-0 truncate">' + escH(h.className) + '</span><span class="w-16 shrink-0">' + importChip("removed") + '</span>' +
+          '<span class="flex-1 text-textSecondary">' + escH(h.partyId ? partyLabel(h.partyId) : "Bench") + '</span></div>';
+      }).join("");
+      var n = c["new"] + c.changed + c.removed;
+      body = '<div class="flex flex-wrap items-center gap-3">' + importChip("new", c["new"]) + importChip("changed", c.changed) + importChip("same", c.same) +
+          (_imp.mode === "replace" ? importChip("removed", c.removed) : "") + (c.error ? importChip("error", c.error) : "") +
+          '<label class="flex items-center gap-1 text-xs text-textSecondary ml-auto"><input type="checkbox" data-imp-same="1"' + (_imp.showSame ? " checked" : "") + ' class="w-3.5 h-3.5 accent-accent">Show unchanged</label></div>' +
+        (plan.col.name === undefined ? '<div class="text-xs" style="color:' + COL.amber + '">No Name column — every row is added as a new hero.</div>' : "") +
+        (c.error ? '<div class="text-xs text-textSecondary">Rows with errors are skipped; fix a class spelling once and every row using it follows.</div>' : "") +
+        '<div class="space-y-1">' + (rowsHTML || '<div class="text-xs text-textSecondary px-3">Nothing to change.</div>') + removedHTML + '</div>' +
+        '<div class="flex items-center gap-2"><button type="button" id="importApplyBtn" class="btn-primary"' + (n ? "" : " disabled") + '>' +
+          (_imp.mode === "replace" ? "Replace roster" : "Merge into roster") + '</button>' +
+          '<span class="text-xs text-textSecondary">' + (n ? "Undo restores the previous roster." : "The roster already matches this table.") + '</span></div>';
+    }
+    importBody.innerHTML =
+      '<div class="flex gap-2">' + modeBtns + '</div>' +
+      POWER_HEADER + 'Columns</div>' +
+      '<label class="flex items-center gap-1 text-xs text-textSecondary"><input type="checkbox" data-imp-header="1"' + (_imp.hasHeader ? " checked" : "") + ' class="w-3.5 h-3.5 accent-accent">First row is a header</label>' +
+      (_imp.truncated ? '<div class="text-xs" style="color:' + COL.amber + '">Only the first ' + IMPORT_MAX_ROWS + ' rows are read.</div>' : "") +
+      '<div class="space-y-1">' + mapRows + '</div>' +
+      POWER_HEADER + 'Preview</div>' + body;
+  }
+  function openImportPanel(text) {
+    if (text !== undefined && importText) { importText.value = text; readImportText(text); }
+    buildImportPanel();
+    openPanel(importPanel, importBackdrop);
+  }
+  if (importBody) {
+    importBody.addEventListener("change", function (e) {
+      var t = e.target;
+      if (t.dataset.impCol !== undefined) _imp.map[Number(t.dataset.impCol)] = t.value;
+      else if (t.dataset.impHeader) { _imp.hasHeader = t.checked; autoMapImport(); }
+      else if (t.dataset.impSame) _imp.showSame = t.checked;
+      else if (t.dataset.impFixSel !== undefined) { if (!t.value) return; _imp.fixes[normKey(t.dataset.impFixSel)] = t.value; }
+      else return;
+      buildImportPanel();
+    });
+    importBody.addEventListener("click", function (e) {
+      var t = e.target.closest("button");
+      if (!t) return;
+      if (t.dataset.impMode) _imp.mode = t.dataset.impMode;
+      else if (t.dataset.impFix !== undefined) _imp.fixes[normKey(t.dataset.impFix)] = t.dataset.cls;
+      else if (t.id === "importApplyBtn") { applyImport(); return; }
+      else return;
+      buildImportPanel();
+    });
+  }
+  var importParseBtn = document.getElementById("importParseBtn");
+  if (importParseBtn) importParseBtn.addEventListener("click", function () { readImportText(importText ? importText.value : ""); buildImportPanel(); });
+  var importFileInput = document.getElementById("importFile");
+  if (importFileInput) importFileInput.addEventListener("change", function (e) {
+    var f = e.target.files && e.target.files[0]; if (!f) return;
+    var reader = new FileReader();
+    reader.onload = function () { openImportPanel(String(reader.result || "")); };
+    reader.readAsText(f);
+  });
+  var uploadWizardBtn = document.getElementById("uploadWizardBtn");
+  if (uploadWizardBtn) uploadWizardBtn.addEventListener("click", function () {
+    var text = uploadText ? uploadText.value.trim() : "";
+    closePanel(uploadPanel, uploadBackdrop);
+    openImportPanel(text ? text : undefined);
+  });
+  var importCloseBtn = document.getElementById("importClose");
+  if (importCloseBtn) importCloseBtn.addEventListener("click", function () { closePanel(importPanel, importBackdrop); });
+  if (importBackdrop) importBackdrop.addEventListener("click", function () { closePanel(importPanel, importBackdrop); });
+
+  /* ---------------- Autosave + saved roster slots ---------------- */
+  // The working roster (`toJSON()`) is autosaved to localStorage every few seconds when it changed, so a
+  // refresh never loses edits; named slots hold rosters the player keeps ("main", "event week", …).
+  // "Unsaved work" = the state differs from the last slot save/load, shared link, or the page default
+  // (`_committedJson`) — that's what the share-link conflict prompt protects.
+  var STORE_PREFIX = "stRosterBuilder.";
+  var AUTOSAVE_MS = 3000;
+  var _committedJson = null, _lastAutoJson = null, _storeOk = true, _autoHold = false; // _autoHold: an unreadable autosave we couldn't copy out
+  function storeGet(k) { try { var v = localStorage.getItem(STORE_PREFIX + k); return v ? JSON.parse(v) : null; } catch (e) { return null; } }
+  function storeSet(k, v) {
+    try { localStorage.setItem(STORE_PREFIX + k, JSON.stringify(v)); _storeOk = true; }
+    catch (e) { _storeOk = false; } // private mode / quota — autosave just reports itself off
+    return _storeOk;
+  }
+  function isDirty() { return toJSON() !== _committedJson; }
+  function markCommitted() { _committedJson = toJSON(); autosaveNow(); }
+  function autosaveNow() {
+    var json = toJSON();
+    guildSyncActive(json);
+    if (json === _lastAutoJson || _autoHold) return;
+    var rec = storeGet("autosave") || {};
+    if (storeSet("autosave", { savedAt: Date.now(), json: json, dirty: json !== _committedJson, linkHash: rec.linkHash || "" })) _lastAutoJson = json;
+  }
+  // Startup: continue from the autosave (falls back to the page default if it's missing or invalid).
+  // An autosave that no longer loads (e.g. stricter checks than the page that wrote it) is kept as a
+  // saved roster — or, if that can't be stored, autosave stays off — so it's never overwritten unseen.
+  function restoreAutosave() {
+    _committedJson = toJSON();
+    var rec = storeGet("autosave");
+    if (!rec || !rec.json) return null;
+    try { loadJSON(rec.json); } catch (e) {
+      var name = "Recovered session " + fmtWhen(rec.savedAt || Date.now()), list = getSlots();
+      list.push({ id: newSlotId(), name: name, savedAt: rec.savedAt || Date.now(), grade: "—", avg: 0, json: rec.json });
+      _autoHold = !putSlots(list);
+      showAlert(loadErrorText(e, "Your last session") + (_autoHold
+        ? "\n\nIt couldn't be copied to Saved Rosters either, so autosave is off until you reload — download the roster you build now."
+        : "\n\nIt's kept under Saved Rosters as \"" + name + "\" so nothing is lost."));
+      return null;
+    }
+    _lastAutoJson = rec.json;
+    _committedJson = rec.dirty ? null : rec.json;
+    return rec;
+  }
+  function fmtWhen(ms) {
+    var d = new Date(ms);
+    return d.toLocaleDateString(undefined, { month: "short", day: "numeric" }) + " " + d.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+  }
+  // Composite grade = mean est. win over all parties (hard fails count 0), bucketed like a party face.
+  function compositeGrade() {
+    if (!state.parties.length) return { grade: "—", avg: 0 };
+    var sum = state.parties.reduce(function (a, p) { return a + partyOutcome(p, true).winPct; }, 0), avg = sum / state.parties.length;
+    return { grade: GRADE_LETTERS[winTier(avg / 100)], avg: Math.round(avg) };
+  }
+
+  function getSlots() { var v = storeGet("slots"); return Array.isArray(v) ? v : []; }
+  function putSlots(list) { return storeSet("slots", list); }
+  function slotById(id) { var l = getSlots(); for (var i = 0; i < l.length; i++) if (l[i].id === id) return l[i]; return null; }
+  function newSlotId() { return "s" + Date.now().toString(36) + Math.floor(Math.random() * 1296).toString(36); }
+  function slotRecord(id, name) { var g = compositeGrade(); return { id: id, name: name, savedAt: Date.now(), grade: g.grade, avg: g.avg, json: toJSON() }; }
+  // Save the current roster into a new slot (id null) or over an existing one → the slot, or null if storage failed.
+  function saveSlot(id, name) {
+    var list = getSlots(), rec = slotRecord(id || newSlotId(), name), i = -1;
+    list.forEach(function (x, k) { if (x.id === rec.id) i = k; });
+    if (i >= 0) list[i] = rec; else list.push(rec);
+    if (!putSlots(list)) return null;
+    markCommitted();
+    return rec;
+  }
+  function loadSlot(id) {
+    var sl = slotById(id); if (!sl) return false;
+    try { loadJSON(sl.json); } catch (e) { showAlert(loadErrorText(e, "Saved roster \"" + sl.name + "\"")); return false; }
+    markCommitted();
+    setUpdate("Loaded saved roster \"" + sl.name + "\" (" + fmtWhen(sl.savedAt) + ").");
+    render();
+    return true;
+  }
+
+  var slotsPanel = document.getElementById("slotsPanel");
+  var slotsBackdrop = document.getElementById("slotsBackdrop");
+  var slotsBody = document.getElementById("slotsPanelBody");
+  var SLOT_BTN = "btn-white text-xs px-2 py-0.5";
+  function buildSlotsPanel() {
+    if (!slotsBody) return;
+    var rec = storeGet("autosave"), list = getSlots().slice().sort(function (a, b) { return b.savedAt - a.savedAt; });
+    var auto = _storeOk
+      ? "Autosave on" + (rec ? " — last saved " + fmtWhen(rec.savedAt) : "") + (isDirty() ? " · unsaved changes since the last slot save" : "")
+      : "Autosave is unavailable in this browser (storage blocked or full).";
+    slotsBody.innerHTML =
+      '<div class="text-xs text-textSecondary">' + escH(auto) + '</div>' +
+      '<div class="flex gap-2">' +
+        '<input id="slotNewName" data-k="slot-new" placeholder="Slot name (e.g. main, event week)" maxlength="40" class="' + FIELD + ' flex-1 min-w-0">' +
+        '<button data-action="slot-save" class="btn-primary text-xs px-3">Save</button>' +
+      '</div>' +
+      (list.length ? list.map(function (sl) {
+        var col = (sl.grade === "S" || sl.grade === "A") ? COL.emerald : (sl.grade === "B" ? COL.amber : COL.rose);
+        return '<div class="bg-surface border-2 border-borderc rounded-lg px-3 py-2 space-y-1.5">' +
+          '<div class="flex items-center gap-2">' +
+            '<input data-action="slot-rename" data-id="' + escA(sl.id) + '" value="' + escA(sl.name) + '" maxlength="40" title="Rename" class="flex-1 min-w-0 bg-transparent border-none outline-none font-bold text-sm text-textPrimary">' +
+            '<span class="font-bold font-mono text-sm" style="color:' + col + '" title="composite grade = mean est. win over all parties">' + escH(sl.grade) + ' · ' + sl.avg + '%</span>' +
+          '</div>' +
+          '<div class="flex items-center gap-1.5 flex-wrap">' +
+            '<span class="text-[11px] text-textSecondary flex-1">' + escH(fmtWhen(sl.savedAt)) + '</span>' +
+            '<button data-action="slot-load" data-id="' + escA(sl.id) + '" class="' + SLOT_BTN + '">Load</button>' +
+            '<button data-action="slot-overwrite" data-id="' + escA(sl.id) + '" class="' + SLOT_BTN + '" title="Save the current roster into this slot">Save here</button>' +
+            '<button data-action="slot-dup" data-id="' + escA(sl.id) + '" class="' + SLOT_BTN + '">Duplicate</button>' +
+            '<button data-action="slot-del" data-id="' + escA(sl.id) + '" class="btn-red text-xs px-2 py-0.5">Delete</button>' +
+          '</div>' +
+        '</div>';
+      }).join("") : '<div class="text-xs text-textSecondary italic">No saved rosters yet.</div>');
+  }
+  if (slotsBody) {
+    slotsBody.addEventListener("click", function (e) {
+      var el = e.target.closest("[data-action]"); if (!el) return;
+      var a = el.dataset.action, sl = slotById(el.dataset.id);
+      if (a === "slot-save") {
+        var nameEl = document.getElementById("slotNewName");
+        var name = (nameEl && nameEl.value.trim()) || "Roster " + (getSlots().length + 1);
+        var rec = saveSlot(null, name.slice(0, 40));
+        if (!rec) { showAlert("Couldn't save — browser storage is blocked or full."); return; }
+        setUpdate("Saved the roster as \"" + rec.name + "\" (" + rec.grade + " · " + rec.avg + "%).");
+        renderApp(); buildSlotsPanel();
+      } else if (a === "slot-load" && sl) {
+        if (!isDirty()) { loadSlot(sl.id); buildSlotsPanel(); return; }
+        showConfirm({
+          title: "Load saved roster",
+          bodyHTML: "Load <b>" + escH(sl.name) + "</b>? Your current roster has <b>unsaved changes</b> that will be replaced.",
+          confirmLabel: "Load",
+          onConfirm: function () { loadSlot(sl.id); buildSlotsPanel(); }
+        });
+      } else if (a === "slot-overwrite" && sl) {
+        showConfirm({
+          title: "Overwrite saved roster",
+          bodyHTML: "Replace <b>" + escH(sl.name) + "</b> (" + escH(fmtWhen(sl.savedAt)) + ") with the current roster?",
+          confirmLabel: "Save here",
+          onConfirm: function () {
+            var rec = saveSlot(sl.id, sl.name);
+            if (!rec) { showAlert("Couldn't save — browser storage is blocked or full."); return; }
+            setUpdate("Saved the roster over \"" + rec.name + "\" (" + rec.grade + " · " + rec.avg + "%).");
+            renderApp(); buildSlotsPanel();
+          }
+        });
+      } else if (a === "slot-dup" && sl) {
+        var list = getSlots(), copy = JSON.parse(JSON.stringify(sl));
+        copy.id = newSlotId(); copy.name = (sl.name + " (copy)").slice(0, 40); copy.savedAt = Date.now();
+        list.push(copy);
+        if (!putSlots(list)) { showAlert("Couldn't duplicate — browser storage is full."); return; }
+        buildSlotsPanel();
+      } else if (a === "slot-del" && sl) {
+        showConfirm({
+          title: "Delete saved roster",
+          bodyHTML: "Delete <b>" + escH(sl.name) + "</b>? This can't be undone.",
+          confirmLabel: "Delete",
+          confirmClass: "btn-red",
+          onConfirm: function () { putSlots(getSlots().filter(function (x) { return x.id !== sl.id; })); buildSlotsPanel(); }
+        });
+      }
+    });
+    slotsBody.addEventListener("change", function (e) {
+      var el = e.target.closest('[data-action="slot-rename"]'); if (!el) return;
+      var list = getSlots(), name = el.value.trim().slice(0, 40);
+      if (!name) { buildSlotsPanel(); return; }
+      list.forEach(function (x) { if (x.id === el.dataset.id) x.name = name; });
+      putSlots(list);
+      buildSlotsPanel();
+    });
+  }
+  var openSlotsBtn = document.getElementById("openSlotsBtn");
+  if (openSlotsBtn) openSlotsBtn.addEventListener("click", function () { autosaveNow(); buildSlotsPanel(); openPanel(slotsPanel, slotsBackdrop); });
+  var slotsCloseBtn = document.getElementById("slotsClose");
+  if (slotsCloseBtn) slotsCloseBtn.addEventListener("click", function () { closePanel(slotsPanel, slotsBackdrop); });
+  if (slotsBackdrop) slotsBackdrop.addEventListener("click", function () { closePanel(slotsPanel, slotsBackdrop); });
+  // Poll rather than hook every mutation: panels (Filters, Default Stats, Class Priority) edit state
+  // without a full render, and a cheap string compare every few seconds catches all of them.
+  setInterval(autosaveNow, AUTOSAVE_MS);
+  window.addEventListener("pagehide", autosaveNow);
+
+  /* ---------------- Undo / redo history ---------------- */
+  // Snapshot stack of `toJSON()` strings. Every labelled action records itself through setUpdate (its
+  // "what changed" text is the history label); edits that don't call setUpdate — typed hero fields and
+  // the Filters / Class Priority / Hero Stats / Default Stats panels — are checkpointed once the page
+  // has been idle for HIST_IDLE_MS after them, labelled by where it happened (so typing serializes the
+  // roster once per pause, not per keystroke). Undo/redo just loadJSON a snapshot.
+  var HIST_MAX = 60, HIST_MERGE_MS = 2000, HIST_IDLE_MS = 400;
+  var _hist = [], _histAt = -1, _histHint = null, _histTimer = null;
+  function histReset(label) { _hist = [{ label: label, json: toJSON(), at: Date.now() }]; _histAt = 0; }
+  // mergeKey: consecutive steps with the same key inside HIST_MERGE_MS fold into one (typing into a field).
+  function histRecord(label, mergeKey) {
+    clearTimeout(_histTimer); _histTimer = null; // this snapshot covers whatever the idle checkpoint was waiting on
+    if (_histAt < 0) return; // startup (restore / page default) isn't an undoable step
+    var json = toJSON(), top = _hist[_histAt], now = Date.now();
+    if (json === top.json) return;
+    if (mergeKey && _histAt > 0 && _histAt === _hist.length - 1 && top.key === mergeKey && now - top.at < HIST_MERGE_MS) {
+      top.json = json; top.label = label; top.at = now; return;
+    }
+    _hist = _hist.slice(0, _histAt + 1);
+    _hist.push({ label: label, json: json, at: now, key: mergeKey || null });
+    if (_hist.length > HIST_MAX) _hist.shift();
+    _histAt = _hist.length - 1;
+  }
+  function histCheckpoint() {
+    var h = _histHint || { key: "roster", label: function () { return "Edited the roster."; } };
+    histRecord(h.label(), h.key);
+  }
+  // Merge key + label for an unlabelled edit, from the element the player touched. The label is built
+  // at checkpoint time so a rename reads with the new name.
+  function histHintFor(t) {
+    if (!t || !t.closest) return null;
+    var k = t.dataset && t.dataset.k, h = t.closest('[data-target="hero"][data-id]');
+    if (h) {
+      var hid = Number(h.dataset.id), hf = h.dataset.field;
+      return { key: k || "hero-" + hid, label: function () { return "Edited " + heroLabel(hid) + (hf ? " — " + hf : "") + "."; } };
+    }
+    var p = t.closest('[data-target="party"][data-id]');
+    if (p) { var pid = Number(p.dataset.id); return { key: k || "party-" + pid, label: function () { return "Edited " + partyLabel(pid) + "."; } }; }
+    if (t.closest('[data-action="max-roster"]')) return { key: "max-roster", label: function () { return "Set Max Roster to " + state.maxRoster + "."; } };
+    var areas = [["filtersPanel", "Edited Filters."], ["priorityPanel", "Reordered Class Priority."], ["statsPanel", "Edited Hero Stats."], ["defaultsPanel", "Edited Default Stats."], ["gearPanel", "Edited hero gear."], ["catalogPanel", "Edited the catalog."]];
+    for (var i = 0; i < areas.length; i++) if (t.closest("#" + areas[i][0])) return { key: areas[i][0], label: (function (l) { return function () { return l; }; })(areas[i][1]) };
+    return null;
+  }
+  function histGo(i) {
+    histCheckpoint();
+    if (i < 0 || i >= _hist.length || i === _histAt) return;
+    var from = _histAt;
+    try { loadJSON(_hist[i].json); }
+    catch (e) { showAlert(loadErrorText(e, "That " + (i < from ? "undo" : "redo") + " step")); return; }
+    _histAt = i;
+    // Bypass setUpdate: moving through history must not record itself.
+    lastUpdate = i < from ? "Undid: " + _hist[from].label : "Redid: " + _hist[i].label;
+    render();
+    if (filtersPanel && !filtersPanel.classList.contains("translate-x-full")) buildFiltersPanel();
+    if (priorityPanel && !priorityPanel.classList.contains("translate-x-full")) buildPriorityPanel();
+  }
+  function histUndo() { histGo(_histAt - 1); }
+  function histRedo() { histGo(_histAt + 1); }
+  // Capture phase, so the hint is set before this event's handlers run. A checkpoint still pending
+  // from a different field belongs to that field: flush it under the old hint before switching.
+  ["input", "change", "click", "drop"].forEach(function (type) {
+    document.addEventListener(type, function (e) {
+      var hint = histHintFor(e.target);
+      if (_histTimer && (hint && hint.key) !== (_histHint && _histHint.key)) histCheckpoint();
+      _histHint = hint;
+      clearTimeout(_histTimer);
+      _histTimer = setTimeout(histCheckpoint, HIST_IDLE_MS);
+    }, true);
+  });
+  document.addEventListener("keydown", function (e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    var k = String(e.key).toLowerCase();
+    if (k !== "z" && k !== "y") return;
+    // Text fields keep the browser's own undo; a modal or a running Recommended owns the page.
+    var t = e.target;
+    if (t && (t.tagName === "TEXTAREA" || (t.tagName === "INPUT" && t.type !== "checkbox") || t.isContentEditable)) return;
+    if (_recoJob || (confirmModal && !confirmModal.classList.contains("pointer-events-none"))) return;
+    e.preventDefault();
+    if (k === "y" || e.shiftKey) histRedo(); else histUndo();
+  });
+
+  /* ---------------- Compare rosters (A = current, B = a second plan) ---------------- */
+  // B is evaluated by the same rosterSnapshot that reads A, so the two can never be graded differently —
+  // but as a pool job ("snapshot"): in a worker when there is one, else on a throwaway state (withRoster),
+  // so A stays live throughout. B is always read in A's zone + active barriers: it's a comparison of
+  // plans, not of zone settings.
+  var comparePanel = document.getElementById("comparePanel");
+  var compareBackdrop = document.getElementById("compareBackdrop");
+  var cmpResult = document.getElementById("cmpResult");
+  var cmpStatus = document.getElementById("cmpStatus");
+  var _cmpB = null, _cmpMd = "", _cmpJob = null, _cmpEval = null; // _cmpB = { label, json }; _cmpEval = B's snapshot job
+  function gradeCol(g) { return (g === "S" || g === "A") ? COL.emerald : (g === "B" ? COL.amber : COL.rose); }
+  // Everything the diff needs from the roster currently in `state`.
+  function rosterSnapshot() {
+    var seen = {};
+    var heroes = state.heroes.slice().sort(function (a, b) { return a.id - b.id; }).map(function (h) {
+      // Match heroes across rosters by name (ids are per-roster); unnamed heroes by class + order.
+      var key = h.name ? "n:" + h.name.toLowerCase() : "c:" + h.className;
+      seen[key] = (seen[key] || 0) + 1;
+      return { key: key + "#" + seen[key], label: h.name || h.className, className: h.className, party: h.partyId ? partyLabel(h.partyId) : "Bench" };
+    });
+    var classes = {};
+    state.heroes.forEach(function (h) { classes[h.className] = (classes[h.className] || 0) + 1; });
+    return {
+      grade: compositeGrade(),
+      parties: state.parties.map(function (p) {
+        var ev = evalParty(p);
+        return { id: p.id, name: p.name || "party", out: partyOutcome(p, true),
+          broken: ev.bar.filter(function (b) { return b.power >= MZE.barrier; }).map(function (b) { return b.el; }),
+          missing: ev.bar.filter(function (b) { return !b.ok; }).map(function (b) { return b.el; }) };
+      }),
+      heroes: heroes, classes: classes
+    };
+  }
+  // done(err, diff) once B's snapshot lands → the job handle.
+  function compareWith(json, done) {
+    var a = rosterSnapshot();
+    return poolRun({ type: "snapshot", json: json, barriers: state.barriers.slice() }, function (m) {
+      if (m.error) done(new Error(m.error)); else done(null, diffRosters(a, m.snap));
+    });
+  }
+  function diffRosters(a, b) {
+    var pb = {};
+    b.parties.forEach(function (p) { pb[p.id] = p; });
+    var parties = a.parties.map(function (p) { var q = pb[p.id] || null; delete pb[p.id]; return { a: p, b: q }; });
+    Object.keys(pb).forEach(function (id) { parties.push({ a: null, b: pb[id] }); });
+    var hb = {};
+    b.heroes.forEach(function (h) { hb[h.key] = h; });
+    var moves = [], removed = [];
+    a.heroes.forEach(function (h) {
+      var o = hb[h.key];
+      if (!o) { removed.push(h); return; }
+      if (o.party !== h.party) moves.push({ label: h.label, className: h.className, from: h.party, to: o.party });
+      delete hb[h.key];
+    });
+    var added = Object.keys(hb).map(function (k) { return hb[k]; });
+    var classes = CATALOG.map(function (c) { return { name: c.name, a: a.classes[c.name] || 0, b: b.classes[c.name] || 0 }; })
+      .filter(function (c) { return c.a !== c.b; });
+    return { a: a, b: b, parties: parties, moves: moves, added: added, removed: removed, classes: classes };
+  }
+  function outTxt(o) { return o.pending ? "…" : o.grade + " " + o.winPct + "%"; }
+  function signed(n) { return (n > 0 ? "+" : n < 0 ? "−" : "±") + Math.abs(n); }
+  function barrierTxt(p) { return p.broken.length ? p.broken.join("/") : (state.barriers.length ? "none" : "—"); }
+  function compareMarkdown(d, label) {
+    var L = [];
+    L.push("**Roster compare** — A: current roster vs B: " + label + " · " + zoneLabel(activeZone()));
+    L.push("Overall: **" + d.a.grade.grade + " " + d.a.grade.avg + "%** → **" + d.b.grade.grade + " " + d.b.grade.avg + "%** (" + signed(d.b.grade.avg - d.a.grade.avg) + ")");
+    L.push("", "**Parties**");
+    d.parties.forEach(function (r) {
+      var name = (r.a || r.b).name;
+      if (!r.a) { L.push("- " + name + ": only in B — " + outTxt(r.b.out)); return; }
+      if (!r.b) { L.push("- " + name + ": only in A — " + outTxt(r.a.out)); return; }
+      var bar = barrierTxt(r.a) === barrierTxt(r.b) ? "" : " · barrier " + barrierTxt(r.a) + " → " + barrierTxt(r.b);
+      L.push("- " + name + ": " + outTxt(r.a.out) + " → " + outTxt(r.b.out) + " (" + signed(r.b.out.winPct - r.a.out.winPct) + ")" + bar);
+    });
+    if (d.moves.length) { L.push("", "**Hero moves**"); d.moves.forEach(function (m) { L.push("- " + m.label + " (" + m.className + "): " + m.from + " → " + m.to); }); }
+    if (d.added.length) L.push("", "**Only in B:** " + d.added.map(function (h) { return h.label + " (" + h.party + ")"; }).join(", "));
+    if (d.removed.length) L.push("", "**Only in A:** " + d.removed.map(function (h) { return h.label + " (" + h.party + ")"; }).join(", "));
+    if (d.classes.length) { L.push("", "**Class counts**"); L.push(d.classes.map(function (c) { return c.name + " " + c.a + "→" + c.b; }).join(" · ")); }
+    return L.join("\n");
+  }
+  function buildCompareResult() {
+    if (!cmpResult) return;
+    _cmpMd = "";
+    if (_cmpEval) { _cmpEval.cancel(); _cmpEval = null; }
+    if (!_cmpB) { cmpResult.innerHTML = '<div class="text-xs text-textSecondary italic">Pick a roster to compare against.</div>'; return; }
+    var b = _cmpB, done = false;
+    var job = compareWith(b.json, function (e, d) {
+      done = true; _cmpEval = null;
+      if (b !== _cmpB) return;
+      if (e) cmpResult.innerHTML = '<div class="text-xs" style="color:' + COL.rose + '">Couldn\'t read roster B: ' + escH(e.message) + '</div>';
+      else showCompareResult(d);
+    });
+    if (!done) _cmpEval = job;
+  }
+  function showCompareResult(d) {
+    _cmpMd = compareMarkdown(d, _cmpB.label);
+    var dCol = function (n) { return n > 0 ? COL.emerald : n < 0 ? COL.rose : COL.muted; };
+    var face = function (o) { return o ? '<span class="font-bold font-mono" style="color:' + (o.pending ? COL.muted : gradeCol(o.grade)) + '">' + escH(outTxt(o)) + '</span>' : '<span class="text-textSecondary">—</span>'; };
+    var TH = '<th class="text-left font-semibold text-textSecondary uppercase tracking-wider text-[10px] px-2 py-1">';
+    var rows = d.parties.map(function (r) {
+      var name = (r.a || r.b).name, delta = r.a && r.b ? r.b.out.winPct - r.a.out.winPct : null;
+      var barA = r.a ? barrierTxt(r.a) : "—", barB = r.b ? barrierTxt(r.b) : "—";
+      return '<tr class="border-t border-borderc">' +
+        '<td class="px-2 py-1 font-semibold">' + escH(name) + '</td>' +
+        '<td class="px-2 py-1">' + face(r.a && r.a.out) + '</td><td class="px-2 py-1">' + face(r.b && r.b.out) + '</td>' +
+        '<td class="px-2 py-1 font-mono font-bold" style="color:' + dCol(delta || 0) + '">' + (delta === null ? "" : signed(delta)) + '</td>' +
+        '<td class="px-2 py-1 text-xs capitalize' + (barA !== barB ? " font-bold" : " text-textSecondary") + '">' + escH(barA === barB ? barA : barA + " → " + barB) + '</td></tr>';
+    }).join("");
+    var dAvg = d.b.grade.avg - d.a.grade.avg;
+    var list = function (title, items) {
+      return items.length ? POWER_HEADER + title + '</div><div class="text-sm space-y-0.5">' + items.join("") + '</div>' : "";
+    };
+    cmpResult.innerHTML =
+      '<div class="flex items-center gap-3 bg-surface border-2 border-borderc rounded-lg px-3 py-2 text-sm">' +
+        '<span class="text-textSecondary">Overall</span>' +
+        '<span class="font-bold font-mono" style="color:' + gradeCol(d.a.grade.grade) + '">A ' + d.a.grade.grade + ' ' + d.a.grade.avg + '%</span>→' +
+        '<span class="font-bold font-mono" style="color:' + gradeCol(d.b.grade.grade) + '">B ' + d.b.grade.grade + ' ' + d.b.grade.avg + '%</span>' +
+        '<span class="font-mono font-bold" style="color:' + dCol(dAvg) + '">' + signed(dAvg) + '</span>' +
+        '<span class="flex-1 text-right text-xs text-textSecondary truncate">B = ' + escH(_cmpB.label) + '</span></div>' +
+      '<table class="w-full text-sm"><thead><tr>' + TH + 'Party</th>' + TH + 'A</th>' + TH + 'B</th>' + TH + 'Δ win</th>' + TH + 'Barrier broken</th></tr></thead><tbody>' + rows + '</tbody></table>' +
+      list("Hero moves (" + d.moves.length + ")", d.moves.map(function (m) {
+        return '<div>' + classIcon(m.className) + ' <b>' + escH(m.label) + '</b> <span class="text-textSecondary">' + escH(m.from) + ' → </span>' + escH(m.to) + '</div>';
+      })) +
+      list("Only in B (" + d.added.length + ")", d.added.map(function (h) { return '<div style="color:' + COL.emerald + '">+ ' + escH(h.label) + ' <span class="text-textSecondary">(' + escH(h.className) + ', ' + escH(h.party) + ')</span></div>'; })) +
+      list("Only in A (" + d.removed.length + ")", d.removed.map(function (h) { return '<div style="color:' + COL.rose + '">− ' + escH(h.label) + ' <span class="text-textSecondary">(' + escH(h.className) + ', ' + escH(h.party) + ')</span></div>'; })) +
+      list("Class counts", d.classes.length ? ['<div class="flex flex-wrap gap-x-4 gap-y-1">' + d.classes.map(function (c) {
+        return '<span>' + escH(c.name) + ' <span class="font-mono">' + c.a + '→' + c.b + '</span> <span class="font-mono font-bold" style="color:' + dCol(c.b - c.a) + '">' + signed(c.b - c.a) + '</span></span>';
+      }).join("") + '</div>'] : ['<div class="text-xs text-textSecondary italic">Same classes in both.</div>']);
+  }
+  function setCompareB(label, json) {
+    _cmpB = { label: label, json: json };
+    if (cmpStatus) cmpStatus.textContent = "";
+    if (cmpResult) cmpResult.innerHTML = '<div class="text-xs text-textSecondary">Simulating both rosters…</div>';
+    setTimeout(buildCompareResult, 30); // let the status paint first (without workers B's sims block)
+  }
+  function fillCompareSlots() {
+    var sel = document.getElementById("cmpSlot"); if (!sel) return;
+    var list = getSlots().slice().sort(function (a, b) { return b.savedAt - a.savedAt; });
+    sel.innerHTML = list.length
+      ? list.map(function (sl) { return '<option value="' + escA(sl.id) + '">' + escH(sl.name) + ' (' + escH(sl.grade) + ' · ' + sl.avg + '%)</option>'; }).join("")
+      : '<option value="">No saved rosters</option>';
+  }
+  // Pasted text → roster JSON: a share link (anything with r=… / r2=…) or raw JSON. → Promise<string>
+  function compareSourceJSON(text) {
+    if (SHARE_LINK_RE.test(text)) return decodeShareLink(text).then(function (data) { return JSON.stringify(data); });
+    return Promise.resolve(text);
+  }
+  function compareFromText(text, label) {
+    if (!String(text).trim()) { if (cmpStatus) cmpStatus.textContent = "Paste a share link or roster JSON first."; return; }
+    compareSourceJSON(String(text).trim()).then(function (json) { setCompareB(label, json); })
+      .catch(function (e) { if (cmpStatus) cmpStatus.textContent = "Couldn't read that: " + (e && e.message ? e.message : "invalid link"); });
+  }
+  var cmpSlotBtn = document.getElementById("cmpSlotBtn");
+  if (cmpSlotBtn) cmpSlotBtn.addEventListener("click", function () {
+    var sel = document.getElementById("cmpSlot"), sl = sel ? slotById(sel.value) : null;
+    if (sl) setCompareB("saved roster \"" + sl.name + "\"", sl.json);
+  });
+  var cmpTextBtn = document.getElementById("cmpTextBtn");
+  if (cmpTextBtn) cmpTextBtn.addEventListener("click", function () {
+    var t = document.getElementById("cmpText");
+    compareFromText(t ? t.value : "", SHARE_LINK_RE.test(t ? t.value : "") ? "shared link" : "pasted JSON");
+  });
+  var cmpFile = document.getElementById("cmpFile");
+  if (cmpFile) cmpFile.addEventListener("change", function () {
+    var f = cmpFile.files && cmpFile.files[0]; if (!f) return;
+    var rd = new FileReader();
+    rd.onload = function () { compareFromText(String(rd.result || ""), f.name); cmpFile.value = ""; };
+    rd.readAsText(f);
+  });
+  // Recommended as B: the same pool job as the Recommended button, but the result only feeds the compare.
+  // Without workers the job builds on the live state, so A is loaded back afterwards.
+  var cmpRecoBtn = document.getElementById("cmpRecoBtn");
+  function cmpRecoDone() { _cmpJob = null; if (cmpRecoBtn) cmpRecoBtn.textContent = "Recommended Build"; }
+  if (cmpRecoBtn) cmpRecoBtn.addEventListener("click", function () {
+    if (_cmpJob) { _cmpJob.cancel(); cmpRecoDone(); if (cmpStatus) cmpStatus.textContent = "Cancelled."; return; }
+    var base = toJSON();
+    cmpRecoBtn.textContent = "Cancel";
+    if (cmpStatus) cmpStatus.textContent = "Starting…";
+    var t = setTimeout(function () {
+      var done = false;
+      var job = poolRun({ type: "recommend", json: base }, function (m) {
+        if (m.type === "progress") { if (cmpStatus) cmpStatus.textContent = (m.label || "Working") + "… " + Math.round(m.frac * 100) + "%"; return; }
+        done = true; cmpRecoDone();
+        var o = JSON.parse(base); o.heroes = JSON.parse(JSON.stringify(m.heroes));
+        if (toJSON() !== base) loadJSON(base);
+        setCompareB("Recommended build", JSON.stringify(o));
+      });
+      if (!done) _cmpJob = job;
+    }, 30);
+    _cmpJob = { cancel: function () { clearTimeout(t); } };
+  });
+  wireCopyButton(document.getElementById("cmpCopyBtn"), function () { return _cmpMd; });
+  var cmpMdBtn = document.getElementById("cmpMdBtn");
+  if (cmpMdBtn) cmpMdBtn.addEventListener("click", function () {
+    if (!_cmpMd) { if (cmpStatus) cmpStatus.textContent = "Nothing to export yet."; return; }
+    if (cmpStatus) cmpStatus.textContent = downloadFile("roster-compare.md", _cmpMd, "text/markdown") ? "Downloaded roster-compare.md" : "Download failed.";
+  });
+  var openCompareBtn = document.getElementById("openCompareBtn");
+  if (openCompareBtn) openCompareBtn.addEventListener("click", function () { fillCompareSlots(); buildCompareResult(); openPanel(comparePanel, compareBackdrop); });
+  var compareCloseBtn = document.getElementById("compareClose");
+  if (compareCloseBtn) compareCloseBtn.addEventListener("click", function () { closePanel(comparePanel, compareBackdrop); });
+  if (compareBackdrop) compareBackdrop.addEventListener("click", function () { closePanel(comparePanel, compareBackdrop); });
+
+  /* ---------------- Schedule (busy windows per party / hero) ---------------- */
+  // Windows live on the parties and heroes themselves (`busy`, see busyAt), so they travel with the roster
+  // JSON, links and saved slots. Times are absolute: a roster reopened tomorrow shows what's actually left.
+  var schedPanel = document.getElementById("schedPanel");
+  var schedBackdrop = document.getElementById("schedBackdrop");
+  var schedBody = document.getElementById("schedPanelBody");
+  var SCHED_DURS = [[30, "30 min"], [60, "1 h"], [120, "2 h"], [240, "4 h"], [480, "8 h"], [720, "12 h"], [1440, "1 day"], [2880, "2 days"]];
+  var SCHED_SPAN_MIN = 24 * 3600000, SCHED_SPAN_MAX = 7 * 24 * 3600000; // timeline: at least a day, at most a week
+  var _schedWho = ""; // "p<id>" / "h<id>" preselected in the add form (🕒 on a party card)
+  function schedTarget(key) {
+    var id = Number(String(key).slice(1)), hit = null;
+    if (key.charAt(0) === "p") return partyOf(id);
+    state.heroes.forEach(function (h) { if (h.id === id) hit = h; });
+    return hit;
+  }
+  function schedName(o) { return o.className ? heroLabel(o.id) : (o.name || "party"); }
+  // One block per window over [now, now + span), clipped to the view.
+  function schedBar(o, now, span) {
+    var blocks = (o.busy || []).filter(function (w) { return w.until > now && w.from < now + span; }).map(function (w) {
+      var a = Math.max(0, (w.from - now) / span) * 100, b = Math.min(1, (w.until - now) / span) * 100;
+      return '<div class="absolute top-0 bottom-0 rounded-sm" style="left:' + a.toFixed(2) + '%;width:' + Math.max(0.5, b - a).toFixed(2) + '%;background:' + COL.amber + '" title="' +
+        escA(fmtWhen(w.from) + " → " + fmtWhen(w.until) + (w.note ? " · " + w.note : "")) + '"></div>';
+    }).join("");
+    return '<div class="relative h-2.5 rounded-sm bg-hoverBg overflow-hidden">' + blocks + '</div>';
+  }
+  function schedWindows(o, key, now) {
+    return (o.busy || []).map(function (w, i) {
+      var done = w.until <= now;
+      return '<span class="inline-flex items-center gap-1 text-[10px] border border-borderc rounded px-1.5 py-0.5 ' + (done ? "text-textSecondary line-through" : "text-textPrimary") + '">' +
+        escH(fmtWhen(w.from) + " → " + fmtWhen(w.until)) + (w.note ? ' · ' + escH(w.note) : '') +
+        '<button class="' + GHOST_X + '" data-sched="del" data-key="' + key + '" data-i="' + i + '" title="Remove this window">×</button></span>';
+    }).join(" ");
+  }
+  function schedRow(o, key, now, span, sub) {
+    var w = busyAt(o, now);
+    return '<div class="space-y-1 ' + (sub ? "pl-5" : "") + '">' +
+      '<div class="flex items-center gap-2 text-xs">' +
+        (o.className ? classIcon(o.className, "w-4 h-4") : "") +
+        '<span class="' + (sub ? "" : "font-bold ") + 'truncate">' + escH(schedName(o)) + '</span>' +
+        (w ? '<span class="font-semibold shrink-0" style="color:' + COL.amber + '">busy — free ' + untilSpan(freeFrom(o, now), now) + '</span>' +
+          '<button class="btn-white text-[10px] px-1.5 py-0 shrink-0" data-sched="back" data-key="' + key + '" title="End the current window now">Back now</button>' : "") +
+        '<span class="flex-1"></span>' +
+        '<button class="bg-transparent border-none cursor-pointer p-0 leading-none shrink-0 text-xs opacity-60 hover:opacity-100" data-sched="pick" data-key="' + key + '" title="Add a window for ' + escA(schedName(o)) + '">＋ window</button>' +
+      '</div>' +
+      schedBar(o, now, span) +
+      ((o.busy && o.busy.length) ? '<div class="flex flex-wrap gap-1">' + schedWindows(o, key, now) + '</div>' : '') +
+    '</div>';
+  }
+  function buildSchedPanel() {
+    if (!schedBody) return;
+    var now = Date.now(), last = now;
+    state.parties.concat(state.heroes).forEach(function (o) { (o.busy || []).forEach(function (w) { if (w.until > last) last = w.until; }); });
+    var span = Math.min(SCHED_SPAN_MAX, Math.max(SCHED_SPAN_MIN, last - now));
+    var ready = state.parties.filter(function (p) { return partyReadyAt(p, now); });
+    var short = state.parties.filter(function (p) { return !partyFull(p); });
+    var next = nextFullRoster(now);
+    var nextTxt = !state.parties.length ? "no parties yet"
+      : next === null ? "not until every party is full — empty seats in " + escH(short.map(function (p) { return p.name || "party"; }).join(", "))
+      : next <= now ? '<span style="color:' + COL.emerald + '">now</span>'
+      : untilSpan(next, now) + ' <span class="text-textSecondary">(' + escH(fmtWhen(next)) + ')</span>';
+    var who = '<optgroup label="Parties">' + state.parties.map(function (p) {
+      return '<option value="p' + p.id + '"' + (_schedWho === "p" + p.id ? " selected" : "") + '>' + escH(p.name || "party") + '</option>';
+    }).join("") + '</optgroup><optgroup label="Heroes">' + state.heroes.map(function (h) {
+      return '<option value="h' + h.id + '"' + (_schedWho === "h" + h.id ? " selected" : "") + '>' + escH(heroLabel(h.id) + (h.partyId ? " · " + partyLabel(h.partyId) : " · bench")) + '</option>';
+    }).join("") + '</optgroup>';
+    var rows = state.parties.map(function (p) {
+      var members = state.heroes.filter(function (h) { return h.partyId === p.id && h.busy && h.busy.length; });
+      return '<div class="bg-surface border-2 border-borderc rounded-lg px-3 py-2 space-y-1.5">' + schedRow(p, "p" + p.id, now, span, false) +
+        members.map(function (h) { return schedRow(h, "h" + h.id, now, span, true); }).join("") + '</div>';
+    }).join("");
+    var bench = state.heroes.filter(function (h) { return !h.partyId && h.busy && h.busy.length; });
+    var done = state.parties.concat(state.heroes).some(function (o) { return (o.busy || []).some(function (w) { return w.until <= now; }); });
+    schedBody.innerHTML =
+      '<div class="bg-hoverBg rounded-lg p-3 text-xs space-y-1">' +
+        '<div><b>Can be sent now:</b> ' + ready.length + '/' + state.parties.length +
+          (ready.length ? ' — ' + escH(ready.map(function (p) { return p.name || "party"; }).join(", ")) : '') + '</div>' +
+        '<div><b>Next full roster ready:</b> ' + nextTxt + '</div>' +
+        '<div class="text-textSecondary">Auto Sort only seats heroes who are free now; parties that are away keep their heroes.</div>' +
+      '</div>' +
+      '<div class="bg-surface border-2 border-borderc rounded-lg p-3 space-y-2">' +
+        '<div class="text-xs font-semibold uppercase tracking-wider text-textSecondary">Add a busy window</div>' +
+        '<select id="schedWho" class="' + FIELD + ' w-full text-xs">' + who + '</select>' +
+        '<div class="grid grid-cols-2 gap-2 text-xs">' +
+          '<label class="space-y-0.5"><span class="text-textSecondary">Starts (blank = now)</span><input id="schedFrom" type="datetime-local" class="' + FIELD + ' w-full text-xs"></label>' +
+          '<label class="space-y-0.5"><span class="text-textSecondary">For</span><select id="schedDur" class="' + FIELD + ' w-full text-xs">' +
+            SCHED_DURS.map(function (d) { return '<option value="' + d[0] + '"' + (d[0] === 240 ? " selected" : "") + '>' + d[1] + '</option>'; }).join("") +
+            '<option value="until">Until…</option></select></label>' +
+          '<label class="space-y-0.5"><span class="text-textSecondary">Until (with "Until…")</span><input id="schedUntil" type="datetime-local" class="' + FIELD + ' w-full text-xs"></label>' +
+          '<label class="space-y-0.5"><span class="text-textSecondary">Note</span><input id="schedNote" maxlength="60" placeholder="quest, injured…" class="' + FIELD + ' w-full text-xs"></label>' +
+        '</div>' +
+        '<div class="flex items-center gap-2"><button data-sched="add" class="btn-primary text-xs px-3">Add window</button><span id="schedStatus" class="text-xs text-textSecondary"></span></div>' +
+      '</div>' +
+      '<div class="flex items-center justify-between text-[10px] text-textSecondary"><span>now</span><span>' + escH(fmtWhen(now + span)) + '</span></div>' +
+      (rows || '<div class="text-xs text-textSecondary italic">No parties yet.</div>') +
+      (bench.length ? '<div class="text-xs font-semibold uppercase tracking-wider text-textSecondary pt-1">Bench</div>' +
+        '<div class="bg-surface border-2 border-borderc rounded-lg px-3 py-2 space-y-1.5">' + bench.map(function (h) { return schedRow(h, "h" + h.id, now, span, false); }).join("") + '</div>' : '') +
+      (done ? '<button data-sched="clear-done" class="btn-white text-xs px-3">Clear finished windows</button>' : '');
+  }
+  function openSched(key) {
+    if (key) _schedWho = key;
+    buildSchedPanel();
+    openPanel(schedPanel, schedBackdrop);
+  }
+  if (schedBody) {
+    schedBody.addEventListener("click", function (e) {
+      var el = e.target.closest("[data-sched]"); if (!el) return;
+      var a = el.dataset.sched, now = Date.now(), o = el.dataset.key ? schedTarget(el.dataset.key) : null;
+      if (a === "pick") {
+        _schedWho = el.dataset.key;
+        var sel = document.getElementById("schedWho"); if (sel) { sel.value = _schedWho; sel.focus(); }
+      }
+      else if (a === "add") {
+        var key = document.getElementById("schedWho").value, t = schedTarget(key), st = document.getElementById("schedStatus");
+        if (!t) return;
+        var fromV = document.getElementById("schedFrom").value, durV = document.getElementById("schedDur").value;
+        var from = fromV ? new Date(fromV).getTime() : now;
+        var until = durV === "until" ? new Date(document.getElementById("schedUntil").value).getTime() : from + Number(durV) * 60000;
+        if (!isFinite(from) || !isFinite(until) || until <= from) { flashStatus(st, "Pick an end time after the start.", 3000); return; }
+        if (until <= now) { flashStatus(st, "That window is already over.", 3000); return; }
+        var note = document.getElementById("schedNote").value.trim().slice(0, 60);
+        _schedWho = key;
+        // Adding also drops the target's finished windows, so a long-lived roster doesn't pile them up.
+        t.busy = (t.busy || []).filter(function (w) { return w.until > now; }).concat([{ from: from, until: until, note: note }])
+          .sort(function (x, y) { return x.from - y.from; });
+        setUpdate(schedName(t) + " busy " + (from > now ? "from " + fmtWhen(from) + " " : "") + "until " + fmtWhen(until) + (note ? " (" + note + ")" : "") + ".");
+        render();
+      }
+      else if (a === "del" && o && o.busy) {
+        o.busy.splice(Number(el.dataset.i), 1);
+        if (!o.busy.length) delete o.busy;
+        setUpdate("Removed a busy window from " + schedName(o) + ".");
+        render();
+      }
+      else if (a === "back" && o && o.busy) {
+        o.busy = o.busy.filter(function (w) { return !(w.from <= now && now < w.until); });
+        if (!o.busy.length) delete o.busy;
+        setUpdate(schedName(o) + " is back.");
+        render();
+      }
+      else if (a === "clear-done") {
+        state.parties.concat(state.heroes).forEach(function (x) {
+          if (!x.busy) return;
+          x.busy = x.busy.filter(function (w) { return w.until > now; });
+          if (!x.busy.length) delete x.busy;
+        });
+        setUpdate("Cleared finished busy windows.");
+        render();
+      }
+    });
+    schedBody.addEventListener("change", function (e) { if (e.target.id === "schedWho") _schedWho = e.target.value; });
+  }
+  var openSchedBtn = document.getElementById("openSchedBtn");
+  if (openSchedBtn) openSchedBtn.addEventListener("click", function () { openSched(); });
+  var schedCloseBtn = document.getElementById("schedClose");
+  if (schedCloseBtn) schedCloseBtn.addEventListener("click", function () { closePanel(schedPanel, schedBackdrop); });
+  if (schedBackdrop) schedBackdrop.addEventListener("click", function () { closePanel(schedPanel, schedBackdrop); });
+  // Countdowns tick in place; when a window starts or ends the cards re-render, so the ready / away lines
+  // (and what Auto Sort will use) stay true without anyone touching the page.
+  var _schedSeen = null;
+  function schedState(now) {
+    return state.parties.filter(function (p) { return busyAt(p, now); }).map(function (p) { return "p" + p.id; })
+      .concat(state.heroes.filter(function (h) { return busyAt(h, now); }).map(function (h) { return "h" + h.id; })).join(",");
+  }
+  setInterval(function () {
+    if (!hasSchedule()) return;
+    var now = Date.now(), sig = schedState(now);
+    if (_schedSeen === null) _schedSeen = sig;
+    if (sig !== _schedSeen) {
+      _schedSeen = sig;
+      renderApp();
+      if (!schedPanel.classList.contains("translate-x-full") && !schedPanel.contains(document.activeElement)) buildSchedPanel();
+      return;
+    }
+    Array.prototype.forEach.call(document.querySelectorAll("[data-until]"), function (el) {
+      var t = Number(el.dataset.until);
+      el.textContent = t > now ? "in " + fmtIn(t - now) : "now";
+    });
+  }, 30000);
+
+  /* ---------------- Calibrate (fit the unconfirmed knobs to real outcomes) ---------------- */
+  // The player logs real quest results per party. Each entry snapshots what the engine needs to replay
+  // that party (sim units, saves, champion, barrier power split by barrierParts), so later roster edits
+  // don't rewrite history. The log is the player's own record — kept in localStorage next to the slots,
+  // not in the roster JSON, so loading a link or a slot never wipes it. A zone's results = the ones logged
+  // in it or in the zone it was copied from (`from`). Fitting runs RosterEngine.calibrate on the pool.
+  var calibPanel = document.getElementById("calibPanel");
+  var calibBackdrop = document.getElementById("calibBackdrop");
+  var calibBody = document.getElementById("calibPanelBody");
+  var CALIB_MAX = 200; // logged results kept (oldest dropped)
+  var CALIB_MIN = 3;   // results needed before Fit
+  var _calib = normCalibLog(storeGet("calib"));
+  var _calibFit = { job: null, frac: 0, label: "", res: null, sig: "", ats: [] };
+  var _calibPid = null; // party preselected in the log form
+  function normCalibLog(list) {
+    if (!Array.isArray(list)) return [];
+    var num = function (v) { return Number(v) || 0; };
+    return list.filter(function (r) { return r && Array.isArray(r.units) && r.units.length && typeof r.win === "boolean"; }).slice(-CALIB_MAX).map(function (r) {
+      return {
+        at: num(r.at), zone: String(r.zone || DEFAULT_ZONE), party: String(r.party || "party").slice(0, 40), win: r.win,
+        rounds: r.rounds > 0 ? Math.round(r.rounds) : null, saves: Math.max(0, Math.round(num(r.saves))), champName: r.champName ? String(r.champName) : null,
+        need: num(r.need), bar: Array.isArray(r.bar) && r.bar.length ? r.bar.map(function (b) { return [num(b && b[0]), num(b && b[1])]; }) : null,
+        units: r.units.map(function (u) {
+          return simUnitFromStats(u.cn || null, u.isChamp, u.champName, num(u.maxHp), num(u.def), num(u.evaBase), num(u.threat), num(u.evaCap), u.baseAtk, u.critChance, num(u.critMult));
+        })
+      };
+    });
+  }
+  function putCalib() { return storeSet("calib", _calib); }
+  function calibResults() {
+    var z = activeZone();
+    return _calib.filter(function (r) { return r.zone === z.id || (z.from && r.zone === z.from); });
+  }
+  function calibSig() { return zoneSig() + "|" + skillSig() + "|" + calibResults().map(function (r) { return r.at; }).join(","); }
+  function calibComp(r) {
+    return r.units.map(function (u) { return u.isChamp ? "" : classIcon(u.cn, "w-4 h-4"); }).join("") + (r.champName ? '<span class="text-textSecondary"> + ' + escH(r.champName) + '</span>' : "");
+  }
+  function calibKnobVal(k, v) { return k.pct ? Math.round(v * 10000) / 100 + "%" : String(Math.round(v * 1000) / 1000); }
+  // Snapshot one full party with the outcome the player saw in-game.
+  function logCalib(pid, win, rounds) {
+    var p = partyOf(pid);
+    if (!p) return "Pick a party.";
+    var hs = state.heroes.filter(function (h) { return h.partyId === p.id; });
+    if (hs.length !== partyCap(p)) return "That party isn't full — log results for the party as it went out.";
+    var champ = getChampion(p.champName);
+    var buff = partyBuff(champ, hs.map(function (h) { return h.className; }));
+    _calib.push({
+      at: Date.now(), zone: state.zone, party: p.name || "party", win: win, rounds: rounds > 0 ? Math.round(rounds) : null,
+      saves: hs.reduce(function (a, h) { return a + classSaves(h.className); }, 0), champName: champ ? champ.name : null,
+      need: MZE.barrier, bar: state.barriers.length ? state.barriers.map(function (el) { return barrierParts(p, hs, el).map(function (v) { return v * buff.barrierMult; }); }) : null,
+      units: simUnits(hs, champ, buff)
+    });
+    if (_calib.length > CALIB_MAX) _calib.shift();
+    putCalib();
+    return "";
+  }
+  function runCalib() {
+    var list = calibResults();
+    if (_calibFit.job || list.length < CALIB_MIN) return;
+    var sig = calibSig(), done = false;
+    _calibFit.frac = 0; _calibFit.label = "Starting";
+    var job = poolRun({ type: "calibrate", results: list }, function (m) {
+      if (m.type === "progress") { _calibFit.frac = m.frac; _calibFit.label = m.label; }
+      else { done = true; _calibFit.job = null; _calibFit.res = m.fit; _calibFit.sig = sig; _calibFit.ats = list.map(function (r) { return r.at; }); }
+      if (!calibPanel.classList.contains("translate-x-full")) buildCalibPanel();
+    });
+    if (!done) _calibFit.job = job;
+    buildCalibPanel();
+  }
+  // Write the fitted values into the active zone. Built-in zones are read-only, so they get a calibrated
+  // custom copy (which keeps their logged results through `from`).
+  function acceptCalib() {
+    var fit = _calibFit.res, z = activeZone();
+    if (!fit || _calibFit.sig !== calibSig()) return;
+    var moved = fit.knobs.filter(function (k) { return k.to !== k.from; });
+    if (!moved.length) return;
+    var next = JSON.parse(JSON.stringify(z)), id = z.id, label;
+    moved.forEach(function (k) { next[k.key] = k.to; });
+    if (isPresetZone(z.id)) {
+      var n = 1;
+      while (zoneById("custom-" + n)) n++;
+      id = "custom-" + n;
+      next.name = (z.name + " (calibrated)").slice(0, 40); next.from = z.id;
+      state.zones.push(sanitizeZone(next, id));
+    } else {
+      state.zones.forEach(function (o, i) { if (o.id === z.id) state.zones[i] = sanitizeZone(next, z.id); });
+    }
+    useZone(id);
+    label = moved.map(function (k) { return k.label.toLowerCase() + " " + calibKnobVal(k, k.from) + " → " + calibKnobVal(k, k.to); }).join(", ");
+    _calibFit.res = null;
+    setUpdate("Calibrated " + zoneLabel(activeZone()) + " — " + label + ".");
+    render();
+  }
+  function calibFitHTML(list) {
+    if (_calibFit.job) {
+      var pct = Math.round(_calibFit.frac * 100);
+      return '<div class="flex justify-between text-xs text-textSecondary mb-1"><span>' + escH(_calibFit.label || "Fitting") + '…</span><span class="font-mono">' + pct + '%</span></div>' +
+        '<div class="w-full h-2 bg-hoverBg rounded-full overflow-hidden"><div class="h-full bg-accent transition-all" style="width:' + pct + '%"></div></div>';
+    }
+    var f = _calibFit.res;
+    if (!f) return '<div class="text-xs text-textSecondary italic">' + (list.length < CALIB_MIN ? "Log at least " + CALIB_MIN + " results in this zone to fit." :
+      "Searches the knobs below for the values whose simulated win chances best match your logged outcomes.") + '</div>';
+    if (_calibFit.sig !== calibSig()) return '<div class="text-xs italic" style="color:' + COL.amber + '">The log, zone or skills changed since this fit — Fit again.</div>';
+    var moved = f.knobs.some(function (k) { return k.to !== k.from; });
+    var err = function (x) { return x.brier.toFixed(3) + (x.rounds === null ? "" : ' · rounds off by ' + x.rounds.toFixed(1)); };
+    return '<table class="w-full text-xs"><thead><tr class="text-textSecondary text-left"><th class="font-normal">Knob</th><th class="font-normal text-right">Now</th><th class="font-normal text-right">Fitted</th><th></th></tr></thead><tbody>' +
+        f.knobs.map(function (k) {
+          return '<tr><td>' + escH(k.label) + '</td><td class="text-right font-mono">' + calibKnobVal(k, k.from) + '</td>' +
+            '<td class="text-right font-mono font-bold"' + (k.to !== k.from ? ' style="color:' + COL.emerald + '"' : "") + '>' + calibKnobVal(k, k.to) + '</td>' +
+            '<td class="text-right text-[10px] text-textSecondary">' + (k.flat ? "no signal in your log" : "") + '</td></tr>';
+        }).join("") + '</tbody></table>' +
+      '<div class="text-xs mt-2"><b>Error</b> (Brier, 0 = perfect · 0.25 = coin flip): ' + err(f.before) + ' → <b style="color:' + COL.emerald + '">' + err(f.after) + '</b></div>' +
+      '<div class="text-[10px] text-textSecondary">' + f.n + ' result' + (f.n === 1 ? "" : "s") + ' · ' + f.trials + ' simulated fights per party per candidate. Few results = a rough fit; keep logging.</div>' +
+      '<div class="flex gap-2 mt-2">' +
+        '<button data-calib="accept" class="btn-primary text-xs px-3"' + (moved ? "" : " disabled") + '>' + (isPresetZone(state.zone) ? "Accept into a calibrated copy" : "Accept into this zone") + '</button>' +
+        '<button data-calib="discard" class="btn-white text-xs px-3">Discard</button>' +
+      '</div>';
+  }
+  function buildCalibPanel() {
+    if (!calibBody) return;
+    var list = calibResults(), other = _calib.length - list.length;
+    var wins = list.filter(function (r) { return r.win; }).length;
+    var fit = _calibFit.res && _calibFit.sig === calibSig() ? _calibFit.res : null;
+    var opts = state.parties.map(function (p) {
+      var full = state.heroes.filter(function (h) { return h.partyId === p.id; }).length === partyCap(p);
+      return '<option value="' + p.id + '"' + (full ? "" : " disabled") + (_calibPid === p.id ? " selected" : "") + '>' + escH((p.name || "party") + (full ? "" : " (not full)")) + '</option>';
+    }).join("");
+    var rows = list.slice().reverse().map(function (r) {
+      var i = fit ? _calibFit.ats.indexOf(r.at) : -1;
+      return '<tr class="border-t border-borderc">' +
+        '<td class="py-1 text-textSecondary whitespace-nowrap">' + escH(fmtWhen(r.at)) + '</td>' +
+        '<td class="py-1"><div class="truncate max-w-[120px]">' + escH(r.party) + '</div><div class="flex items-center gap-0.5">' + calibComp(r) + '</div></td>' +
+        '<td class="py-1 font-bold" style="color:' + (r.win ? COL.emerald : COL.rose) + '">' + (r.win ? "Win" : "Loss") + (r.rounds ? '<span class="font-normal text-textSecondary"> · ' + r.rounds + ' rds</span>' : "") + '</td>' +
+        '<td class="py-1 text-right font-mono">' + (i >= 0 ? Math.round(fit.rows[i].before * 100) + "% → " + Math.round(fit.rows[i].after * 100) + "%" : "") + '</td>' +
+        '<td class="py-1 text-right"><button class="' + GHOST_X + '" data-calib="del" data-at="' + r.at + '" title="Remove this result">×</button></td></tr>';
+    }).join("");
+    calibBody.innerHTML =
+      '<div class="bg-hoverBg rounded-lg p-3 text-xs space-y-1">' +
+        '<div><b>' + escH(zoneLabel(activeZone())) + ':</b> ' + list.length + ' logged result' + (list.length === 1 ? "" : "s") + (list.length ? ' (' + wins + ' win' + (wins === 1 ? "" : "s") + ', ' + (list.length - wins) + ' loss' + (list.length - wins === 1 ? "" : "es") + ')' : "") + '</div>' +
+        (other ? '<div class="text-textSecondary">' + other + ' more in other zones — switch zones to fit those.</div>' : "") +
+      '</div>' +
+      '<div class="bg-surface border-2 border-borderc rounded-lg p-3 space-y-2">' +
+        '<div class="text-xs font-semibold uppercase tracking-wider text-textSecondary">Log a real result</div>' +
+        '<div class="grid grid-cols-3 gap-2 text-xs">' +
+          '<label class="col-span-3 space-y-0.5"><span class="text-textSecondary">Party (as it went out)</span><select id="calibParty" class="' + FIELD + ' w-full text-xs">' + (opts || '<option value="">No parties</option>') + '</select></label>' +
+          '<label class="space-y-0.5"><span class="text-textSecondary">Outcome</span><select id="calibWin" class="' + FIELD + ' w-full text-xs"><option value="1">Win</option><option value="0">Loss</option></select></label>' +
+          '<label class="space-y-0.5"><span class="text-textSecondary">Rounds (optional)</span><input id="calibRounds" type="number" min="1" inputmode="numeric" class="' + FIELD + ' w-full text-xs"></label>' +
+          '<div class="flex items-end"><button data-calib="log" class="btn-primary text-xs px-3 w-full">Log result</button></div>' +
+        '</div>' +
+        '<div id="calibStatus" class="text-xs text-textSecondary"></div>' +
+      '</div>' +
+      '<div class="bg-surface border-2 border-borderc rounded-lg p-3 space-y-2">' +
+        '<div class="flex items-center justify-between gap-2">' +
+          '<div class="text-xs font-semibold uppercase tracking-wider text-textSecondary">Fit the unconfirmed knobs</div>' +
+          '<button data-calib="fit" class="btn-white text-xs px-3 py-1"' + (_calibFit.job || list.length < CALIB_MIN ? " disabled" : "") + '>Fit</button>' +
+        '</div>' +
+        calibFitHTML(list) +
+      '</div>' +
+      (rows ? '<table class="w-full text-xs"><thead><tr class="text-textSecondary text-left"><th class="font-normal">When</th><th class="font-normal">Party</th><th class="font-normal">Outcome</th><th class="font-normal text-right">' + (fit ? "Sim now → fitted" : "") + '</th><th></th></tr></thead><tbody>' + rows + '</tbody></table>' +
+        '<button data-calib="clear" class="btn-white text-xs px-3">Clear this zone\'s log</button>'
+        : '<div class="text-xs text-textSecondary italic">No results logged in this zone yet.</div>');
+  }
+  function openCalib(pid) {
+    if (pid) _calibPid = pid;
+    buildCalibPanel();
+    openPanel(calibPanel, calibBackdrop);
+  }
+  if (calibBody) {
+    calibBody.addEventListener("click", function (e) {
+      var el = e.target.closest("[data-calib]"); if (!el || el.disabled) return;
+      var a = el.dataset.calib;
+      if (a === "log") {
+        var pid = Number(document.getElementById("calibParty").value), win = document.getElementById("calibWin").value === "1";
+        var rounds = parseInt(document.getElementById("calibRounds").value, 10) || 0;
+        var err = logCalib(pid, win, rounds);
+        if (err) { flashStatus(document.getElementById("calibStatus"), err, 3000); return; }
+        _calibPid = pid;
+        buildCalibPanel();
+        flashStatus(document.getElementById("calibStatus"), "Logged a " + (win ? "win" : "loss") + " for " + partyLabel(pid) + ".", 2500);
+      }
+      else if (a === "del") {
+        var at = Number(el.dataset.at);
+        _calib = _calib.filter(function (r) { return r.at !== at; });
+        putCalib(); buildCalibPanel();
+      }
+      else if (a === "clear") {
+        var keep = calibResults();
+        showConfirm({
+          title: "Clear calibration log",
+          bodyHTML: "Delete all <b>" + keep.length + "</b> results logged in " + escH(zoneLabel(activeZone())) + "? This can't be undone.",
+          confirmLabel: "Clear", confirmClass: "btn-red",
+          onConfirm: function () { _calib = _calib.filter(function (r) { return keep.indexOf(r) < 0; }); putCalib(); buildCalibPanel(); }
+        });
+      }
+      else if (a === "fit") runCalib();
+      else if (a === "accept") acceptCalib();
+      else if (a === "discard") { _calibFit.res = null; buildCalibPanel(); }
+    });
+    calibBody.addEventListener("change", function (e) { if (e.target.id === "calibParty") _calibPid = Number(e.target.value); });
+  }
+  var openCalibBtn = document.getElementById("openCalibBtn");
+  if (openCalibBtn) openCalibBtn.addEventListener("click", function () { openCalib(); });
+  var calibCloseBtn = document.getElementById("calibClose");
+  if (calibCloseBtn) calibCloseBtn.addEventListener("click", function () { closePanel(calibPanel, calibBackdrop); });
+  if (calibBackdrop) calibBackdrop.addEventListener("click", function () { closePanel(calibPanel, calibBackdrop); });
+
+  /* ---------------- Guild planner (several players' rosters) ---------------- */
+  // A guild is a list of players, each a full `toJSON()` roster (own heroes, champions, gear tier, catalog…),
+  // kept in localStorage next to the saved slots. The player being edited is the live `state`; Open saves it
+  // back into its entry and `loadJSON`s the next one (history restarts — undo never crosses players). The
+  // overview reads every player the way Compare reads roster B — a "guild" pool job per player, on a
+  // throwaway state (withRoster) — all under the editor's zone + barriers so every player is judged
+  // against the same event.
+  var guildPanel = document.getElementById("guildPanel");
+  var guildBackdrop = document.getElementById("guildBackdrop");
+  var guildBody = document.getElementById("guildPanelBody");
+  var guildOverview = document.getElementById("guildOverview");
+  var _guild = normGuild(storeGet("guild"));
+  var _guildSnaps = {}; // hashStr(json + zone + barriers) → snapshot, or { error }
+  var _guildEval = [];  // the overview's in-flight guild jobs
+  function normGuild(g) {
+    var out = { members: [], active: null };
+    if (!g || !Array.isArray(g.members)) return out;
+    g.members.forEach(function (m) {
+      if (m && typeof m.json === "string" && m.id) out.members.push({ id: String(m.id), player: String(m.player || "Player").slice(0, 40), json: m.json });
+    });
+    if (guildMember(g.active, out)) out.active = g.active;
+    return out;
+  }
+  function guildMember(id, g) {
+    var list = (g || _guild).members;
+    for (var i = 0; i < list.length; i++) if (list[i].id === id) return list[i];
+    return null;
+  }
+  function putGuild() { return storeSet("guild", _guild); }
+  // The edited player's entry follows the live roster (called from autosave, export and Open).
+  function guildSyncActive(json) {
+    var m = _guild && guildMember(_guild.active);
+    if (!m) return;
+    json = json || toJSON();
+    if (m.json !== json) { m.json = json; putGuild(); }
+  }
+  function guildBadge() {
+    var m = _guild && guildMember(_guild.active);
+    return m ? '<span class="shrink-0 text-[10px] font-semibold uppercase tracking-wider px-2 py-0.5 rounded-full bg-hoverBg" title="Guild planner — this is ' + escA(m.player) + '\'s roster">Guild · ' + escH(m.player) + '</span>' : "";
+  }
+  // "Barrier sets": the editor's zone barriers (any one of them breaks), then each element on its own.
+  function guildBarrierSets() {
+    var sets = [{ key: "zone", label: state.barriers.length ? state.barriers.join(" / ") : "no barrier", els: state.barriers.slice() }];
+    COVERAGE_ELS.forEach(function (el) { sets.push({ key: el, label: el, els: [el] }); });
+    return sets;
+  }
+  // Everything the overview needs from the roster in `state`. Barrier checks don't enter partySig, so
+  // re-gating a party per set reuses its cached sim.
+  function guildSnapshot(sets) {
+    var d = depth(), tanks = 0, groups = { Fighter: 0, Rogue: 0, Spellcaster: 0 }, clear = {}, barriers = state.barriers;
+    state.heroes.forEach(function (h) {
+      if (heroRole(h) === "tank") tanks++;
+      var c = CLASS[h.className]; if (c && groups[c.group] !== undefined) groups[c.group]++;
+    });
+    sets.forEach(function (s) {
+      state.barriers = s.els;
+      clear[s.key] = state.parties.filter(function (p) { return GUILD_CLEAR.indexOf(partyOutcome(p, true).grade) >= 0; }).length;
+    });
+    state.barriers = barriers;
+    return { heroes: state.heroes.length, parties: state.parties.length, quality: state.quality, grade: compositeGrade(),
+      depth: d.h, flex: d.hflex, tanks: tanks, groups: groups, clear: clear };
+  }
+  function newGuildId() { return "g" + Date.now().toString(36) + Math.floor(Math.random() * 1296).toString(36); }
+  function addGuildMember(player, json, open) {
+    var m = { id: newGuildId(), player: String(player || "").trim().slice(0, 40) || "Player " + (_guild.members.length + 1), json: json };
+    _guild.members.push(m);
+    if (open) _guild.active = m.id;
+    putGuild();
+    return m;
+  }
+  function openGuildMember(id) {
+    var m = guildMember(id); if (!m) return;
+    guildSyncActive();
+    try { loadJSON(m.json); } catch (e) { showAlert(loadErrorText(e, m.player + "'s roster")); return; }
+    _guild.active = m.id;
+    putGuild();
+    markCommitted();
+    lastUpdate = "Opened " + m.player + "'s roster (guild planner).";
+    histReset(lastUpdate);
+    render();
+  }
+  // Roster JSON text → error string, or "" when it has the parties + heroes loadJSON needs.
+  function guildRosterError(json) {
+    var d, problems;
+    try { d = migrateRoster(JSON.parse(json)); } catch (e) { return e.problems ? e.message : "invalid JSON — " + e.message; }
+    problems = validateRoster(d);
+    return problems.length ? rosterError(problems).message : "";
+  }
+  // Bundle = { guildBundle: 1, active, members: [{ player, roster: <toJSON object> }] } — each roster is the
+  // unchanged Download → All Stats JSON, so one player's entry can be cut out and uploaded on its own.
+  function guildBundleStr() {
+    guildSyncActive();
+    var at = -1;
+    _guild.members.forEach(function (m, i) { if (m.id === _guild.active) at = i; });
+    return JSON.stringify({ guildBundle: 1, exportedAt: new Date().toISOString(), active: at,
+      members: _guild.members.map(function (m) { return { player: m.player, roster: JSON.parse(m.json) }; }) }, null, 2);
+  }
+  // Replaces the guild; the live roster stays as it is (unbound) until a player is opened. → { added, skipped }
+  function importGuildBundle(data) {
+    var members = [], skipped = 0;
+    (Array.isArray(data && data.members) ? data.members : []).forEach(function (x) {
+      var json = x && x.roster ? JSON.stringify(x.roster) : "";
+      if (!json || guildRosterError(json)) { skipped++; return; }
+      members.push({ id: newGuildId() + members.length, player: String(x.player || "").trim().slice(0, 40) || "Player " + (members.length + 1), json: json });
+    });
+    if (!members.length) return { added: 0, skipped: skipped };
+    _guild = { members: members, active: null };
+    _guildSnaps = {};
+    putGuild();
+    return { added: members.length, skipped: skipped };
+  }
+  function buildGuildPanel() {
+    if (!guildBody) return;
+    var rows = _guild.members.map(function (m) {
+      var on = m.id === _guild.active;
+      return '<div class="flex items-center gap-2 bg-surface border-2 rounded-lg px-3 py-1.5 ' + (on ? "border-accent" : "border-borderc") + '">' +
+        '<input data-action="guild-rename" data-id="' + escA(m.id) + '" value="' + escA(m.player) + '" maxlength="40" title="Rename" class="flex-1 min-w-0 bg-transparent border-none outline-none font-bold text-sm text-textPrimary">' +
+        (on ? '<span class="text-[10px] uppercase font-semibold shrink-0" style="color:' + COL.emerald + '">editing</span>'
+          : '<button data-action="guild-open" data-id="' + escA(m.id) + '" class="' + SLOT_BTN + '" title="Edit this player\'s roster in the builder">Open</button>') +
+        '<button data-action="guild-del" data-id="' + escA(m.id) + '" class="btn-red text-xs px-2 py-0.5">Remove</button></div>';
+    }).join("");
+    var inp = FIELD + " flex-1 min-w-0";
+    guildBody.innerHTML =
+      POWER_HEADER + 'Players</div>' +
+      (rows || '<div class="text-xs text-textSecondary italic">No players yet — add the roster you have open, or import one per player.</div>') +
+      '<div class="flex gap-2"><input id="guildNewName" placeholder="Player name" maxlength="40" class="' + inp + '">' +
+        '<button data-action="guild-add-current" class="btn-primary text-xs px-3" title="Add the roster open in the builder as this player">Add current roster</button>' +
+        '<button data-action="guild-add-blank" class="btn-white text-xs px-3" title="Same parties and champions as the open roster, no heroes">Add empty</button></div>' +
+      '<div class="flex gap-2"><input id="guildNewText" placeholder="…or paste a share link / roster JSON" class="' + inp + '">' +
+        '<button data-action="guild-add-text" class="btn-white text-xs px-3">Add player</button></div>' +
+      '<div class="flex flex-wrap items-center gap-2 pt-1">' +
+        '<button data-action="guild-export" class="btn-white text-xs px-3"' + (_guild.members.length ? "" : " disabled") + '>Download bundle</button>' +
+        '<label class="btn-white text-xs px-3 cursor-pointer">Import bundle<input id="guildImportFile" type="file" accept=".json,application/json" class="hidden"></label>' +
+        '<span id="guildStatus" class="text-xs text-textSecondary"></span></div>';
+  }
+  function buildGuildOverview() {
+    if (!guildOverview) return;
+    _guildEval.forEach(function (job) { job.cancel(); });
+    _guildEval = [];
+    if (!_guild.members.length) { guildOverview.innerHTML = ""; return; }
+    // One guild job per player not yet cached (the edited one as the live roster); render once all landed.
+    var sets = guildBarrierSets(), barriers = state.barriers.slice(), sig = "|" + zoneSig() + "|" + barriers.join(",");
+    var snaps = _guild.members.map(function (m) {
+      var json = m.id === _guild.active ? toJSON() : m.json;
+      return { m: m, json: json, key: hashStr(json + sig) };
+    });
+    var todo = snaps.filter(function (x) { return !_guildSnaps[x.key]; }), left = todo.length;
+    if (left) {
+      guildOverview.innerHTML = '<div class="text-xs text-textSecondary">Simulating every player\'s parties…</div>';
+      todo.forEach(function (x) {
+        var done = false;
+        var job = poolRun({ type: "guild", json: x.json, barriers: barriers, sets: sets }, function (m) {
+          done = true;
+          _guildSnaps[x.key] = m.error ? { error: m.error } : m.snap;
+          if (!--left) { _guildEval = []; buildGuildOverview(); }
+        });
+        if (!done) _guildEval.push(job);
+      });
+      return;
+    }
+    snaps.forEach(function (x) { x.s = _guildSnaps[x.key]; });
+    var bad = snaps.filter(function (x) { return x.s.error; })[0];
+    if (bad) { guildOverview.innerHTML = '<div class="text-xs" style="color:' + COL.rose + '">Couldn\'t read ' + escH(bad.m.player) + '\'s roster: ' + escH(bad.s.error) + '</div>'; return; }
+    var TH = '<th class="text-left font-semibold text-textSecondary uppercase tracking-wider text-[10px] px-2 py-1">';
+    var TD = '<td class="px-2 py-1 font-mono">';
+    var total = {}, partiesTotal = 0;
+    sets.forEach(function (s) { total[s.key] = 0; });
+    var clearRows = snaps.map(function (x) {
+      partiesTotal += x.s.parties;
+      return '<tr class="border-t border-borderc"><td class="px-2 py-1 font-semibold">' + escH(x.m.player) +
+        ' <span class="text-[10px] text-textSecondary">' + escH(x.s.quality) + '</span></td>' +
+        '<td class="px-2 py-1 font-mono font-bold" style="color:' + gradeCol(x.s.grade.grade) + '">' + x.s.grade.grade + ' ' + x.s.grade.avg + '%</td>' +
+        sets.map(function (s) { total[s.key] += x.s.clear[s.key]; return TD + x.s.clear[s.key] + '<span class="text-textSecondary">/' + x.s.parties + '</span></td>'; }).join("") + '</tr>';
+    }).join("");
+    var clearTable = '<table class="w-full text-sm"><thead><tr>' + TH + 'Player</th>' + TH + 'Grade</th>' +
+        sets.map(function (s, i) { return TH + '<span class="inline-flex items-center gap-1 capitalize">' + (i ? barrierIcon(s.key, "w-3.5 h-3.5") : "") + escH(i ? s.label : "Zone") + '</span></th>'; }).join("") + '</tr></thead><tbody>' + clearRows +
+      '<tr class="border-t-2 border-borderc font-bold"><td class="px-2 py-1">Guild</td><td></td>' +
+        sets.map(function (s) { return TD + total[s.key] + '<span class="text-textSecondary">/' + partiesTotal + '</span></td>'; }).join("") + '</tr></tbody></table>';
+    // Short = fewer than 3 heroes of an element, counting All-element (flex) heroes toward each.
+    var short = [];
+    var depthRows = snaps.map(function (x) {
+      var miss = [];
+      var cells = COVERAGE_ELS.map(function (el) {
+        var n = x.s.depth[el] + x.s.flex, low = n < 3;
+        if (low) miss.push(el + " (" + n + ")");
+        return '<td class="px-2 py-1 font-mono font-bold" style="color:' + (low ? COL.rose : COL.emerald) + '">' + n + '</td>';
+      }).join("");
+      if (miss.length) short.push('<div><b>' + escH(x.m.player) + '</b> <span class="text-textSecondary">is short on</span> <span class="capitalize">' + escH(miss.join(", ")) + '</span></div>');
+      return '<tr class="border-t border-borderc"><td class="px-2 py-1 font-semibold">' + escH(x.m.player) + '</td>' + cells + '</tr>';
+    }).join("");
+    var depthTable = '<table class="w-full text-sm"><thead><tr>' + TH + 'Player</th>' +
+      COVERAGE_ELS.map(function (el) { return TH + '<span class="inline-flex items-center gap-1 capitalize">' + barrierIcon(el, "w-3.5 h-3.5") + el + (state.barriers.indexOf(el) >= 0 ? "*" : "") + '</span></th>'; }).join("") +
+      '</tr></thead><tbody>' + depthRows + '</tbody></table>';
+    // Aggregated Roster Health: the guild as one big roster (targets scale with the player count).
+    var agg = { heroes: 0, tanks: 0, flex: 0, groups: { Fighter: 0, Rogue: 0, Spellcaster: 0 }, depth: {} };
+    COVERAGE_ELS.forEach(function (el) { agg.depth[el] = 0; });
+    snaps.forEach(function (x) {
+      agg.heroes += x.s.heroes; agg.tanks += x.s.tanks; agg.flex += x.s.flex;
+      Object.keys(agg.groups).forEach(function (g) { agg.groups[g] += x.s.groups[g]; });
+      COVERAGE_ELS.forEach(function (el) { agg.depth[el] += x.s.depth[el]; });
+    });
+    var need = 3 * snaps.length;
+    var healthRows = COVERAGE_ELS.map(function (el) {
+      var n = agg.depth[el];
+      return '<div class="flex items-center gap-2 bg-surface border-2 border-borderc rounded-lg px-3 py-1.5">' + barrierIcon(el) +
+        '<span class="flex-1 capitalize text-sm">' + el + (state.barriers.indexOf(el) >= 0 ? ' <span class="text-textSecondary text-xs">· barrier</span>' : '') + '</span>' +
+        '<span class="font-mono text-sm font-bold" style="color:' + (n < need ? COL.rose : COL.emerald) + '">' + n + '</span>' +
+        '<span class="text-xs text-textSecondary font-mono">/' + need + '</span></div>';
+    }).join("") +
+      (agg.flex ? '<div class="text-xs text-textSecondary px-1">+ ' + agg.flex + ' flex (All-element) hero' + (agg.flex > 1 ? 'es' : '') + ' across the guild.</div>' : '') +
+      '<div class="flex items-center gap-2 bg-surface border-2 border-borderc rounded-lg px-3 py-1.5">' +
+        '<span class="flex-1 text-sm">Fighters / tanks <span class="text-textSecondary text-xs">· need 1 per party</span></span>' +
+        '<span class="font-mono text-sm font-bold" style="color:' + (agg.tanks >= partiesTotal ? COL.emerald : COL.rose) + '">' + agg.tanks + '</span>' +
+        '<span class="text-xs text-textSecondary font-mono">/' + partiesTotal + '</span></div>' +
+      '<div class="flex flex-wrap gap-2 text-xs"><span class="bg-surface border-2 border-borderc rounded-lg px-2 py-1">' + agg.heroes + ' heroes</span>' +
+        Object.keys(agg.groups).map(function (g) { return '<span class="bg-surface border-2 border-borderc rounded-lg px-2 py-1">' + g + 's <b style="color:' + GROUP_COLOR[g] + '">' + agg.groups[g] + '</b></span>'; }).join("") + '</div>';
+    guildOverview.innerHTML =
+      POWER_HEADER + 'Clearable parties per barrier set</div>' +
+      '<p class="text-xs text-textSecondary leading-relaxed">Parties at grade B or better that also break the barrier, judged in ' + escH(zoneLabel(activeZone())) + '. <b>Zone</b> = any one of the current barriers.</p>' +
+      '<div class="overflow-x-auto">' + clearTable + '</div>' +
+      '<div class="mt-4">' + POWER_HEADER + 'Element depth (target 3+ per player)</div></div>' +
+      '<div class="overflow-x-auto">' + depthTable + '</div>' +
+      '<div class="text-xs space-y-0.5">' + (short.join("") || '<span class="text-textSecondary">Every player has 3+ heroes of every element.</span>') + '</div>' +
+      '<div class="mt-4">' + POWER_HEADER + 'Guild Roster Health</div></div>' +
+      '<div class="space-y-2">' + healthRows + '</div>';
+  }
+  function refreshGuild() {
+    buildGuildPanel();
+    if (guildOverview) guildOverview.innerHTML = _guild.members.length ? '<div class="text-xs text-textSecondary">Simulating every player\'s parties…</div>' : "";
+    setTimeout(buildGuildOverview, 30); // let the list paint first (without workers the sims run right here)
+  }
+  if (guildBody) {
+    guildBody.addEventListener("click", function (e) {
+      var el = e.target.closest("[data-action]"); if (!el) return;
+      var a = el.dataset.action, m = guildMember(el.dataset.id), st = document.getElementById("guildStatus");
+      var nameEl = document.getElementById("guildNewName"), name = nameEl ? nameEl.value : "";
+      if (a === "guild-add-current") {
+        if (_guild.active) { flashStatus(st, "That roster is already " + guildMember(_guild.active).player + "'s — open a fresh one or Add empty.", 3500); return; }
+        m = addGuildMember(name, toJSON(), true);
+        setUpdate("Added the open roster to the guild as " + m.player + ".");
+        render(); refreshGuild();
+      } else if (a === "guild-add-blank") {
+        var o = JSON.parse(toJSON()); o.heroes = [];
+        m = addGuildMember(name, JSON.stringify(o), false);
+        refreshGuild();
+      } else if (a === "guild-add-text") {
+        var t = document.getElementById("guildNewText"), text = t ? t.value.trim() : "";
+        if (!text) { flashStatus(st, "Paste a share link or roster JSON first.", 2500); return; }
+        compareSourceJSON(text).then(function (json) {
+          var err = guildRosterError(json);
+          if (err) { flashStatus(st, "Couldn't add: " + err, 3500); return; }
+          addGuildMember(name, json, false);
+          refreshGuild();
+        }).catch(function (err) { flashStatus(st, "Couldn't read that: " + (err && err.message ? err.message : "invalid link"), 3500); });
+      } else if (a === "guild-open" && m) {
+        if (_guild.active || !isDirty()) { openGuildMember(m.id); refreshGuild(); return; }
+        showConfirm({
+          title: "Open " + m.player + "'s roster",
+          bodyHTML: "The roster open now isn't a guild player and has <b>unsaved changes</b> that will be replaced. Add it first with <b>Add current roster</b> to keep it.",
+          confirmLabel: "Open",
+          onConfirm: function () { openGuildMember(m.id); refreshGuild(); }
+        });
+      } else if (a === "guild-del" && m) {
+        showConfirm({
+          title: "Remove player",
+          bodyHTML: "Remove <b>" + escH(m.player) + "</b> from the guild?" + (m.id === _guild.active ? " Their roster stays open in the builder." : ""),
+          confirmLabel: "Remove", confirmClass: "btn-red",
+          onConfirm: function () {
+            _guild.members = _guild.members.filter(function (x) { return x.id !== m.id; });
+            if (_guild.active === m.id) _guild.active = null;
+            putGuild(); renderApp(); refreshGuild();
+          }
+        });
+      } else if (a === "guild-export") {
+        flashStatus(st, downloadFile("guild-bundle.json", guildBundleStr(), "application/json") ? "Downloaded guild-bundle.json" : "Download failed.", 3000);
+      }
+    });
+    guildBody.addEventListener("change", function (e) {
+      var t = e.target;
+      if (t.dataset.action === "guild-rename") {
+        var m = guildMember(t.dataset.id); if (!m) return;
+        m.player = t.value.trim().slice(0, 40) || m.player;
+        putGuild(); renderApp(); refreshGuild();
+      } else if (t.id === "guildImportFile") {
+        var f = t.files && t.files[0]; if (!f) return;
+        var rd = new FileReader();
+        rd.onload = function () { applyGuildBundleText(String(rd.result || "")); };
+        rd.readAsText(f);
+      }
+    });
+  }
+  // Shared by the panel's Import bundle and Upload Data (which routes a `guildBundle` JSON here).
+  function applyGuildBundleText(text, statusEl) {
+    var st = statusEl || document.getElementById("guildStatus"), data;
+    try { data = JSON.parse(text); } catch (e) { flashStatus(st, "Invalid JSON — " + e.message, 3500); return; }
+    var go = function () {
+      var r = importGuildBundle(data);
+      if (!r.added) { flashStatus(st, "No rosters in that bundle.", 3000); return; }
+      closePanel(uploadPanel, uploadBackdrop);
+      renderApp(); refreshGuild(); openPanel(guildPanel, guildBackdrop);
+      flashStatus(document.getElementById("guildStatus"), r.added + " player" + (r.added === 1 ? "" : "s") + " imported" + (r.skipped ? " (" + r.skipped + " skipped)" : "") + " ✓", 3500);
+    };
+    if (!_guild.members.length) { go(); return; }
+    showConfirm({
+      title: "Import guild bundle",
+      bodyHTML: "Replace the guild's <b>" + _guild.members.length + "</b> player" + (_guild.members.length === 1 ? "" : "s") + " with the bundle? The roster open in the builder isn't touched.",
+      confirmLabel: "Import",
+      onConfirm: go
+    });
+  }
+  var openGuildBtn = document.getElementById("openGuildBtn");
+  if (openGuildBtn) openGuildBtn.addEventListener("click", function () { refreshGuild(); openPanel(guildPanel, guildBackdrop); });
+  var guildCloseBtn = document.getElementById("guildClose");
+  if (guildCloseBtn) guildCloseBtn.addEventListener("click", function () { closePanel(guildPanel, guildBackdrop); });
+  if (guildBackdrop) guildBackdrop.addEventListener("click", function () { closePanel(guildPanel, guildBackdrop); });
+
+  /* ---------------- Pareto explorer (Filters → Roster objective) ----------------
+   * Instead of guessing the objective knobs, build Recommended across a spread of them and keep the
+   * rosters no other build beats on all three of: average party win, weakest party win, and element
+   * breadth (Σ per element of min(heroes, 3) — the Roster Health target, 0–18). Each variant is its
+   * own `pareto` pool job, so they spread across the workers; every build is scored with the displayed
+   * grade's sim (`partyOutcome`). Clicking a point (or its row) loads that build's heroes. */
+  var PARETO_KNOBS = [
+    { breadth: false, floor: 0, softCap: 12 },
+    { breadth: true, floor: 1, softCap: 9 },
+    { breadth: true, floor: 2, softCap: 6 },
+    { breadth: true, floor: 3, softCap: 6 },
+    { breadth: true, floor: 3, softCap: 4 },
+    { breadth: true, floor: 4, softCap: 4 },
+    { breadth: true, floor: 4, softCap: 3 },
+    { breadth: true, floor: 5, softCap: 3 }
+  ];
+  var _pareto = { jobs: [], left: 0, builds: [], sig: "", cur: null };
+  function knobLabel(k) {
+    var preset = null;
+    Object.keys(OBJECTIVES).forEach(function (id) { var o = OBJECTIVES[id]; if (o.breadth === k.breadth && o.floor === k.floor && o.softCap === k.softCap) preset = o.label; });
+    return (k.breadth ? "Floor " + k.floor + " · cap " + k.softCap : "No breadth · cap " + k.softCap) + (preset ? " (" + preset + ")" : "");
+  }
+  // The weakest party skips undermanned ones: when the roster cap can't seat every party, Recommended
+  // parks the shortage on one party on purpose, and that 0% would flatten the whole axis.
+  function rosterMetrics() {
+    var outs = state.parties.map(function (p) { return partyOutcome(p, true); });
+    var full = outs.filter(function (o) { return o.reason !== "undermanned"; }).map(function (o) { return o.winPct; });
+    var d = depth(), breadth = 0;
+    COVERAGE_ELS.forEach(function (el) { breadth += Math.min(d.h[el], 3); });
+    return { avg: outs.length ? outs.reduce(function (a, o) { return a + o.winPct; }, 0) / outs.length : 0, min: full.length ? Math.min.apply(null, full) : 0, breadth: breadth };
+  }
+  function avgTxt(v) { return (Math.round(v * 10) / 10).toFixed(1) + "%"; } // one decimal: close builds can differ below a point
+  function dominates(a, b) {
+    return a.avg >= b.avg && a.min >= b.min && a.breadth >= b.breadth && (a.avg > b.avg || a.min > b.min || a.breadth > b.breadth);
+  }
+  function paretoFront(builds) {
+    return builds.filter(function (b, i) {
+      return !builds.some(function (o, j) { return dominates(o, b) || (j < i && o.avg === b.avg && o.min === b.min && o.breadth === b.breadth); });
+    });
+  }
+  // What the builds depend on: everything but the free heroes (locked ones are kept by Recommended).
+  function paretoSig() {
+    var o = JSON.parse(toJSON()), keep = {};
+    state.heroes.forEach(function (h) { if (heroFixed(h)) keep[h.id] = true; });
+    o.heroes = o.heroes.filter(function (h) { return keep[h.id]; });
+    return String(hashStr(JSON.stringify(o)));
+  }
+  function runPareto() {
+    if (_pareto.left) return;
+    var json = toJSON();
+    _pareto = { jobs: [], left: PARETO_KNOBS.length, builds: [], sig: paretoSig(), cur: rosterMetrics() };
+    PARETO_KNOBS.forEach(function (k) {
+      var job = poolRun({ type: "pareto", json: json, knobs: k }, function (m) {
+        if (m.type !== "done") return;
+        _pareto.builds.push({ knobs: k, label: knobLabel(k), heroes: m.heroes, avg: m.avg, min: m.min, breadth: m.breadth });
+        _pareto.left--;
+        if (filtersPanel && !filtersPanel.classList.contains("translate-x-full")) buildFiltersPanel();
+      });
+      _pareto.jobs.push(job);
+    });
+    buildFiltersPanel();
+  }
+  function cancelPareto() {
+    _pareto.jobs.forEach(function (j) { j.cancel(); });
+    _pareto = { jobs: [], left: 0, builds: [], sig: "", cur: null };
+    buildFiltersPanel();
+  }
+  function loadParetoBuild(b) {
+    state.heroes = JSON.parse(JSON.stringify(b.heroes));
+    setUpdate("Loaded the " + b.label + " build — avg win " + avgTxt(b.avg) + ", weakest full party " + b.min + "%, breadth " + b.breadth + "/18.");
+    render();
+    buildFiltersPanel();
+  }
+  // Scatter: x = average win, y = weakest party win, dot colour = breadth. The current roster is the
+  // hollow grey ring, for reference.
+  function paretoPlot(front, cur) {
+    var W = 440, H = 250, L = 40, R = 12, T = 10, B = 34;
+    var pts = front.concat(cur ? [cur] : []);
+    var x0 = Math.max(0, Math.floor((Math.min.apply(null, pts.map(function (p) { return p.avg; })) - 5) / 10) * 10);
+    var y0 = Math.max(0, Math.floor((Math.min.apply(null, pts.map(function (p) { return p.min; })) - 5) / 10) * 10);
+    function sx(v) { return L + (v - x0) / (100 - x0 || 1) * (W - L - R); }
+    function sy(v) { return H - B - (v - y0) / (100 - y0 || 1) * (H - T - B); }
+    function bcol(b) { return b >= 15 ? COL.emerald : b >= 12 ? COL.amber : COL.rose; }
+    var g = [];
+    for (var t = 0; t <= 4; t++) {
+      var xv = x0 + (100 - x0) * t / 4, yv = y0 + (100 - y0) * t / 4;
+      g.push('<line x1="' + sx(xv).toFixed(1) + '" y1="' + T + '" x2="' + sx(xv).toFixed(1) + '" y2="' + (H - B) + '" stroke="' + COL.border + '" stroke-opacity="0.5"/>' +
+        '<text x="' + sx(xv).toFixed(1) + '" y="' + (H - B + 12) + '" text-anchor="middle" font-size="9" fill="' + COL.muted + '">' + Math.round(xv) + '%</text>' +
+        '<line x1="' + L + '" y1="' + sy(yv).toFixed(1) + '" x2="' + (W - R) + '" y2="' + sy(yv).toFixed(1) + '" stroke="' + COL.border + '" stroke-opacity="0.5"/>' +
+        '<text x="' + (L - 4) + '" y="' + (sy(yv) + 3).toFixed(1) + '" text-anchor="end" font-size="9" fill="' + COL.muted + '">' + Math.round(yv) + '%</text>');
+    }
+    g.push('<text x="' + ((L + W - R) / 2) + '" y="' + (H - 4) + '" text-anchor="middle" font-size="10" fill="' + COL.muted + '">Average party win →</text>' +
+      '<text x="10" y="' + ((T + H - B) / 2) + '" text-anchor="middle" font-size="10" fill="' + COL.muted + '" transform="rotate(-90 10 ' + ((T + H - B) / 2) + ')">Weakest full party win →</text>');
+    if (cur) g.push('<circle cx="' + sx(cur.avg).toFixed(1) + '" cy="' + sy(cur.min).toFixed(1) + '" r="7" fill="none" stroke="' + COL.muted + '" stroke-width="2"><title>Your current roster — avg ' + avgTxt(cur.avg) + ', weakest ' + cur.min + '%, breadth ' + cur.breadth + '/18</title></circle>');
+    front.forEach(function (b) {
+      g.push('<circle data-pareto-load="' + _pareto.builds.indexOf(b) + '" cx="' + sx(b.avg).toFixed(1) + '" cy="' + sy(b.min).toFixed(1) + '" r="6" fill="' + bcol(b.breadth) + '" fill-opacity="0.9" stroke="' + COL.text + '" stroke-width="1" class="cursor-pointer">' +
+        '<title>' + escH(b.label) + ' — avg ' + avgTxt(b.avg) + ', weakest ' + b.min + '%, breadth ' + b.breadth + '/18 (click to load)</title></circle>');
+    });
+    return '<svg viewBox="0 0 ' + W + ' ' + H + '" class="w-full h-auto bg-hoverBg rounded-lg">' + g.join("") + '</svg>';
+  }
+  function paretoHTML() {
+    var n = PARETO_KNOBS.length;
+    if (_pareto.left) {
+      var pct = Math.round((n - _pareto.left) / n * 100);
+      return '<div class="flex justify-between items-center text-xs text-textSecondary mb-1"><span>Building ' + (n - _pareto.left) + ' / ' + n + ' rosters…</span>' +
+        '<button type="button" data-pareto-cancel class="btn-white text-xs px-2 py-0.5">Cancel</button></div>' +
+        '<div class="w-full h-2 bg-hoverBg rounded-full overflow-hidden mb-4"><div class="h-full bg-accent transition-all" style="width:' + pct + '%"></div></div>';
+    }
+    if (!_pareto.builds.length) return "";
+    var front = paretoFront(_pareto.builds).sort(function (a, b) { return b.avg - a.avg; });
+    var stale = _pareto.sig !== paretoSig() ? '<p class="text-xs italic mb-1" style="color:' + COL.amber + '">Settings changed since these builds — Explore again to refresh them.</p>' : "";
+    return stale + paretoPlot(front, _pareto.cur) +
+      '<p class="text-[10px] text-textSecondary mt-1 mb-1">' + front.length + ' of ' + _pareto.builds.length + ' builds are non-dominated. Dot colour = element breadth (<span style="color:' + COL.emerald + '">15+</span> / <span style="color:' + COL.amber + '">12+</span> / <span style="color:' + COL.rose + '">less</span> of 18); grey ring = your current roster.</p>' +
+      '<div class="space-y-1 mb-4">' + front.map(function (b) {
+        return '<div class="flex items-center gap-2 bg-surface border-2 border-borderc rounded-lg px-2 py-1 text-xs">' +
+          '<span class="flex-1 min-w-0 truncate">' + escH(b.label) + '</span>' +
+          '<span class="font-mono shrink-0" title="average / weakest full party win">' + avgTxt(b.avg) + ' / ' + b.min + '%</span>' +
+          '<span class="font-mono shrink-0 w-12 text-right" title="element breadth">' + b.breadth + '/18</span>' +
+          '<button type="button" data-pareto-load="' + _pareto.builds.indexOf(b) + '" class="btn-white text-xs px-2 py-0.5 shrink-0">Load</button></div>';
+      }).join("") + '</div>';
+  }
+
   /* ---------------- Filters panel ---------------- */
   var filtersPanel = document.getElementById("filtersPanel");
   var filtersBackdrop = document.getElementById("filtersBackdrop");
@@ -2761,8 +6343,8 @@
     var rows = CATALOG.map(function (c) {
       var cn = c.name, ex = fExclude(cn), minV = state.filters.min[cn], maxV = state.filters.max[cn];
       return '<div class="flex items-center gap-2 bg-surface border-2 border-borderc rounded-lg px-3 py-1.5">' +
-        classIcon(cn) + '<span class="flex-1 min-w-0 truncate text-sm' + (ex ? " text-textSecondary line-through" : "") + '">' + escH(cn) + '</span>' +
-        '<span class="w-16 flex justify-center shrink-0"><input type="checkbox" data-filter="exclude" data-cls="' + escA(cn) + '"' + (ex ? " checked" : "") + ' class="w-4 h-4 accent-accent cursor-pointer"></span>' +
+        classIcon(cn) + '<span class="flex-1 min-w-0 truncate text-sm' + (ex ? " text-textSecondary line-through" : "") + '">' + escH(cn) + (c.retired ? ' <span class="no-underline text-[10px] uppercase">retired</span>' : "") + '</span>' +
+        '<span class="w-16 flex justify-center shrink-0"><input type="checkbox" data-filter="exclude" data-cls="' + escA(cn) + '"' + (ex ? " checked" : "") + (c.retired ? ' disabled title="Retired in the Catalog panel"' : "") + ' class="w-4 h-4 accent-accent cursor-pointer"></span>' +
         '<input type="text" inputmode="numeric" value="' + (minV != null ? minV : "") + '" placeholder="–" data-filter="min" data-cls="' + escA(cn) + '" class="' + STATFIELD + ' w-14">' +
         '<input type="text" inputmode="numeric" value="' + (maxV != null ? maxV : "") + '" placeholder="–" data-filter="max" data-cls="' + escA(cn) + '" class="' + STATFIELD + ' w-14">' +
       '</div>';
@@ -2776,7 +6358,7 @@
         barrierIcon(el, "w-4 h-4") + el + '</label>';
     }).join("");
     var barrierSection = POWER_HEADER + 'Prioritize elements (barriers)</div>' +
-      '<p class="text-xs text-textSecondary leading-relaxed mb-1">Check the elemental barriers this zone uses. Each party must break <b>one</b> of them (≥ ' + BARRIER_POWER_TARGET + ' power). Default: dark / light / earth (T16 MZE). Unchecking all removes the barrier requirement.</p>' +
+      '<p class="text-xs text-textSecondary leading-relaxed mb-1">Check the elemental barriers this zone uses. Each party must break <b>one</b> of them (≥ ' + MZE.barrier + ' power). Default: dark / light / earth (T16 Meteor Zone). Unchecking all removes the barrier requirement.</p>' +
       '<div class="flex flex-wrap gap-2 mb-4">' + barrierChips + '</div>';
     // Roster Objective: how Recommended optimizes (balanced ↔ resilient spread).
     if (!OBJECTIVES[state.objective]) state.objective = DEFAULT_OBJECTIVE; // normalize retired values (e.g. old "maxwin" saves)
@@ -2789,7 +6371,10 @@
     var objSection = POWER_HEADER + 'Roster objective</div>' +
       '<p class="text-xs text-textSecondary leading-relaxed mb-1">How <b>Recommended</b> optimizes — from meta min-max to a resilient, well-rounded roster. Applies on the next Recommended build.</p>' +
       '<div class="flex gap-2 mb-1">' + objBtns + '</div>' +
-      '<p class="text-xs text-textSecondary mb-4">' + escH(objDesc) + '</p>';
+      '<p class="text-xs text-textSecondary mb-2">' + escH(objDesc) + '</p>' +
+      '<div class="flex items-center gap-2 mb-2"><button type="button" data-pareto-run class="btn-white text-xs px-3 py-1 shrink-0"' + (_pareto.left ? " disabled" : "") + '>Explore trade-offs</button>' +
+        '<span class="text-[10px] text-textSecondary leading-snug">Builds Recommended ' + PARETO_KNOBS.length + ' ways and plots the ones nothing beats on average win, weakest party and element breadth — pick one to load it.</span></div>' +
+      paretoHTML();
     filtersBody.innerHTML = objSection + barrierSection + POWER_HEADER + 'Build filters</div>' +
       '<p class="text-xs text-textSecondary leading-relaxed mb-1"><b>Exclude</b> = never use. <b>Min</b> = require this many in the roster. <b>Max</b> = cap. Whole-roster; Min applies when generating (Top-up / Recommended), Auto Sort honors Exclude + Max.</p>' +
       header + rows;
@@ -2819,6 +6404,10 @@
       if (v === "") delete state.filters[kind][cn]; else state.filters[kind][cn] = Math.max(0, parseInt(v, 10) || 0);
     });
     filtersBody.addEventListener("click", function (e) {
+      if (e.target.closest("[data-pareto-run]")) { runPareto(); return; }
+      if (e.target.closest("[data-pareto-cancel]")) { cancelPareto(); return; }
+      var pl = e.target.closest("[data-pareto-load]");
+      if (pl) { var pb = _pareto.builds[Number(pl.getAttribute("data-pareto-load"))]; if (pb) loadParetoBuild(pb); return; }
       // Roster Objective: change how Recommended optimizes (applies on the next Recommended build).
       var ob = e.target.closest("[data-objective]"); if (!ob) return;
       if (OBJECTIVES[ob.dataset.objective]) { state.objective = ob.dataset.objective; buildFiltersPanel(); }
@@ -2857,14 +6446,6 @@
   //   1) most teams that are FULL and clear a barrier (>=320 dark/light/earth)
   //   2) most full teams (concentrates the unavoidable empty slots on losers)
   //   3) larger barrier margins (more robust passes)
-  function mulberry32(a) {
-    return function () {
-      a |= 0; a = a + 0x6D2B79F5 | 0;
-      var t = Math.imul(a ^ a >>> 15, 1 | a);
-      t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
-      return ((t ^ t >>> 14) >>> 0) / 4294967296;
-    };
-  }
   function shuffleRng(arr, rng) {
     for (var i = arr.length - 1; i > 0; i--) {
       var j = Math.floor(rng() * (i + 1));
@@ -2876,27 +6457,40 @@
   function heroContrib(h, el) { var e = elOf(h.className); if (e === el) return heroStat(h, "power"); if (e === "all") return heroStat(h, "power") * MZE.allBarrierFactor; return 0; }
   function champContrib(p, el) { var ce = partyChampEl(p); if (ce === el) return partyChampPower(p); if (ce === "all") return partyChampPower(p) * MZE.allBarrierFactor; return 0; }
   function barrierSum(p, hs, el) { var s = champContrib(p, el); for (var i = 0; i < hs.length; i++) s += heroContrib(hs[i], el); return s; }
+  // The same sum split for calibration: [power of the barrier's own element, "all"-element power before
+  // allBarrierFactor] — so a logged result can be re-gated under a different factor.
+  function barrierParts(p, hs, el) {
+    var d = 0, a = 0, ce = partyChampEl(p);
+    if (ce === el) d += partyChampPower(p); else if (ce === "all") a += partyChampPower(p);
+    hs.forEach(function (h) { var e = elOf(h.className); if (e === el) d += heroStat(h, "power"); else if (e === "all") a += heroStat(h, "power"); });
+    return [d, a];
+  }
   function partyBestBarrier(p, hs) { var b = 0; for (var i = 0; i < state.barriers.length; i++) { var s = barrierSum(p, hs, state.barriers[i]); if (s > b) b = s; } return b; }
 
-  function autoBuild(rng) {
-    var parties = state.parties;
+  function autoBuild(rng, now) {
+    // Locked parties and parties away on a quest sit out entirely; a pinned hero starts in its party's
+    // assignment. Heroes busy right now (injured, away) aren't assignable.
+    var parties = state.parties.filter(function (p) { return !p.locked && !busyAt(p, now); });
     // Filters: drop excluded-class heroes from the assignable pool, and cap each class to its
     // max (excess stays benched). Min can't apply here — Auto Sort arranges existing heroes.
+    // Fixed (locked) heroes use up their class's cap first.
     var seen = {};
+    state.heroes.forEach(function (h) { if (sortFixed(h, now)) seen[h.className] = (seen[h.className] || 0) + 1; });
     var assignable = state.heroes.filter(function (h) {
-      if (fExclude(h.className)) return false;
+      if (sortFixed(h, now) || busyAt(h, now) || fExclude(h.className)) return false;
       seen[h.className] = (seen[h.className] || 0) + 1;
       return seen[h.className] <= fMax(h.className);
     });
     var tanks = assignable.filter(function (h) { return heroRole(h) === "tank"; });
     var others = assignable.filter(function (h) { return heroRole(h) !== "tank"; });
-    if (tanks.length < parties.length) return null; // hard tank rule infeasible (or filters too strict)
+    var assign = {};
+    parties.forEach(function (p) { assign[p.id] = state.heroes.filter(function (h) { return h.locked && h.partyId === p.id; }); });
+    var needTank = parties.filter(function (p) { return !assign[p.id].some(function (h) { return heroRole(h) === "tank"; }); });
+    if (tanks.length < needTank.length) return null; // hard tank rule infeasible (or filters too strict)
     shuffleRng(tanks, rng); shuffleRng(others, rng);
 
-    var assign = {};
-    parties.forEach(function (p) { assign[p.id] = []; });
-    parties.forEach(function (p, i) { assign[p.id].push(tanks[i]); }); // exactly 1 tank each
-    var pool = others.concat(tanks.slice(parties.length));
+    needTank.forEach(function (p, i) { assign[p.id].push(tanks[i]); }); // exactly 1 tank each
+    var pool = others.concat(tanks.slice(needTank.length));
     shuffleRng(pool, rng);
 
     // Phase 1: iteratively secure the cheapest available pass.
@@ -2912,8 +6506,8 @@
         for (var bi = 0; bi < state.barriers.length; bi++) {
           var el = state.barriers[bi];
           var base = barrierSum(p, cur, el);
-          if (base >= BARRIER_POWER_TARGET) { if (!best || best.cost > 0) best = { pid: p.id, heroes: [], cost: 0 }; continue; }
-          var deficit = BARRIER_POWER_TARGET - base;
+          if (base >= MZE.barrier) { if (!best || best.cost > 0) best = { pid: p.id, heroes: [], cost: 0 }; continue; }
+          var deficit = MZE.barrier - base;
           var cands = pool.filter(function (h) { return heroContrib(h, el) > 0; });
           cands.sort(function (a, b) { return heroContrib(b, el) - heroContrib(a, el); });
           var take = [], sum = 0;
@@ -2939,7 +6533,7 @@
     if (hs.length !== partyCap(p)) return 0;
     var champ = getChampion(p.champName);
     var buff = partyBuff(champ, hs.map(function (h) { return h.className; }));
-    if (state.barriers.length && partyBestBarrier(p, hs) * buff.barrierMult < BARRIER_POWER_TARGET) return 0;
+    if (state.barriers.length && partyBestBarrier(p, hs) * buff.barrierMult < MZE.barrier) return 0;
     var atk = hs.reduce(function (a, h) { return a + buffedEffAtk(heroStat(h, "atk"), heroStat(h, "crit"), heroCritMult(h), buff); }, 0) +
       (champ ? buffedEffAtk(Number(champ.atk) || 0, Number(champ.crit) || 0, MZE.critDmgMod, buff) : 0);
     var rounds = atk > 0 ? Math.ceil(MZE.bossHP / atk) : Infinity;
@@ -2954,10 +6548,11 @@
     var passers = 0, fullTeams = 0, margin = 0;
     for (var i = 0; i < state.parties.length; i++) {
       var p = state.parties[i], hs = res.assign[p.id], cap = partyCap(p);
+      if (!hs) continue; // locked party — not part of the search
       if (hs.length === cap) fullTeams++;
       var b = partyBestBarrier(p, hs);
-      var barrierOK = !state.barriers.length || b >= BARRIER_POWER_TARGET; // empty barriers = no requirement
-      if (hs.length === cap && barrierOK) { passers++; if (state.barriers.length) margin += (b - BARRIER_POWER_TARGET); }
+      var barrierOK = !state.barriers.length || b >= MZE.barrier; // empty barriers = no requirement
+      if (hs.length === cap && barrierOK) { passers++; if (state.barriers.length) margin += (b - MZE.barrier); }
     }
     return passers * 1e9 + fullTeams * 1e5 + Math.min(margin, 90000);
   }
@@ -2967,9 +6562,9 @@
   // teams, not just barrier-passers. Tanks aren't swapped (keeps the 1-tank-per-party rule intact).
   function winSwapPass(assign, bench) {
     var pid2p = {}; state.parties.forEach(function (p) { pid2p[p.id] = p; });
-    var pids = state.parties.filter(function (p) { return assign[p.id].length === partyCap(p); }).map(function (p) { return p.id; });
-    function barrierOK(p, hs) { return !state.barriers.length || partyBestBarrier(p, hs) >= BARRIER_POWER_TARGET; }
-    function notTank(h) { return heroRole(h) !== "tank"; }
+    var pids = state.parties.filter(function (p) { return assign[p.id] && assign[p.id].length === partyCap(p); }).map(function (p) { return p.id; });
+    function barrierOK(p, hs) { return !state.barriers.length || partyBestBarrier(p, hs) >= MZE.barrier; }
+    function notTank(h) { return heroRole(h) !== "tank" && !h.locked; } // pinned heroes never move either
     var improved = true, guard = 0;
     while (improved && guard++ < 12) {
       improved = false;
@@ -2997,22 +6592,23 @@
     }
   }
 
-  function autoSort() {
+  // ignoreSchedule: arrange as if nobody were busy (Best use plans the roster, not today's sends).
+  function autoSort(ignoreSchedule) {
     var rng = mulberry32(0x7117b0); // fixed seed -> deterministic result
-    var best = null, bestScore = -1;
+    var best = null, bestScore = -1, now = ignoreSchedule ? null : Date.now();
     for (var i = 0; i < 3000; i++) {
-      var res = autoBuild(rng);
+      var res = autoBuild(rng, now);
       if (!res) return null;
       var sc = autoScore(res);
       if (sc > bestScore) { bestScore = sc; best = res; }
     }
     winSwapPass(best.assign, best.bench); // local win optimization on the chosen arrangement
-    state.heroes.forEach(function (h) { h.partyId = null; });
-    state.parties.forEach(function (p) { best.assign[p.id].forEach(function (h) { h.partyId = p.id; }); });
+    state.heroes.forEach(function (h) { if (!sortFixed(h, now)) h.partyId = null; });
+    state.parties.forEach(function (p) { (best.assign[p.id] || []).forEach(function (h) { h.partyId = p.id; }); });
     var passers = 0;
     state.parties.forEach(function (p) {
       var hs = state.heroes.filter(function (h) { return h.partyId === p.id; });
-      if (hs.length === partyCap(p) && partyBestBarrier(p, hs) >= BARRIER_POWER_TARGET) passers++;
+      if (hs.length === partyCap(p) && partyBestBarrier(p, hs) >= MZE.barrier) passers++;
     });
     return passers;
   }
@@ -3025,11 +6621,13 @@
     var gap = state.maxRoster - state.heroes.length;
     if (gap <= 0) return 0;
     var elemCount = {}; COVERAGE_ELS.forEach(function (e) { elemCount[e] = 0; });
+    // Tanks are wanted for the unlocked parties only — a locked party already has the heroes it keeps.
     var counts = {}; var tankCount = 0;
+    var tankSlots = state.parties.filter(function (p) { return !p.locked; }).length;
     state.heroes.forEach(function (h) {
       counts[h.className] = (counts[h.className] || 0) + 1;
       var e = elOf(h.className); if (elemCount[e] !== undefined) elemCount[e]++;
-      if (heroRole(h) === "tank") tankCount++;
+      if (heroRole(h) === "tank" && !(h.partyId && partyOf(h.partyId) && partyOf(h.partyId).locked)) tankCount++;
     });
     function room(cn) { return !fExclude(cn) && (counts[cn] || 0) < fMax(cn); } // filter: not excluded, under cap
     // Allowed classes matching `filter`, sorted by ATK desc, priority asc.
@@ -3044,7 +6642,7 @@
       var pick;
       var underMin = byAtk(function (cn) { return (counts[cn] || 0) < fMin(cn); });
       if (underMin.length) pick = underMin[0];                         // 1) satisfy required minimums first
-      else if (tankCount < state.parties.length) { pick = byAtk(isTank)[0]; if (pick) tankCount++; } // 2) tanks
+      else if (tankCount < tankSlots) { pick = byAtk(isTank)[0]; if (pick) tankCount++; } // 2) tanks
       else {
         var needEl = null, lowest = 3;
         COVERAGE_ELS.forEach(function (e) { if (elemCount[e] < lowest) { lowest = elemCount[e]; needEl = e; } });
@@ -3061,25 +6659,375 @@
     return added;
   }
 
+  // "Best use of my roster" — Recommended's other mode. Keeps the heroes you own (real overrides, not
+  // class averages): Auto Sort lays them out, then a sim-driven refine swaps heroes between parties and
+  // the bench while the composite (sum of party wins) rises, and finally a greedy pass lists the fewest
+  // recruits that lift it most. Runs on a copy of the heroes (it's a pool job, like the ideal build) and
+  // returns { heroes, recruits[], before, after } — composite values are mean win 0..1. Its tuning
+  // (OWN_WIN_EPS …) sits with the sim engine constants, above the worker guard.
+  // scoreOf's sim on real heroes: the same gates (undermanned / barrier / round cap → 0), then the
+  // optimizer-sized Monte Carlo, memoized on the full stat signature.
+  function ownedScore(p, hs) {
+    if (hs.length !== partyCap(p)) return 0;
+    var champ = getChampion(p.champName);
+    var buff = partyBuff(champ, hs.map(function (h) { return h.className; }));
+    if (state.barriers.length && partyBestBarrier(p, hs) * buff.barrierMult < MZE.barrier) return 0;
+    var atk = hs.reduce(function (a, h) { return a + buffedEffAtk(heroStat(h, "atk"), heroStat(h, "crit"), heroCritMult(h), buff); }, 0) +
+      (champ ? buffedEffAtk(Number(champ.atk) || 0, Number(champ.crit) || 0, MZE.critDmgMod, buff) : 0);
+    if (atk <= 0 || Math.ceil(MZE.bossHP / atk) >= MZE.roundCap) return 0;
+    var saves = hs.reduce(function (a, h) { return a + classSaves(h.className); }, 0);
+    var key = "own|" + partySig(hs, champ, saves);
+    var win = _simScoreCache[key];
+    if (win === undefined) {
+      win = simWinChance(simUnits(hs, champ, buff), SIM.optimizerTrials, hashStr(key), { saves: saves, champName: champ ? champ.name : null }).win;
+      _simScoreCache[key] = win;
+    }
+    return win;
+  }
+  // A hero of class `cn` on class averages (a recruit being priced — never added to state).
+  function blankHero(cn) { return { id: 0, name: "", className: cn, partyId: null, roleOverride: null, power: null, hp: null, atk: null, def: null, eva: null, crit: null, threat: null, critDmg: null }; }
+  // Recruits that fill every empty seat of party p (members hs): per barrier, a tank if it lacks one,
+  // the strongest classes of that element until the barrier breaks, then the strongest left; then two
+  // passes of per-seat class swaps on the sim. allowed(cn, taken) = Filters say one more cn may join
+  // on top of the classes in `taken`. Returns { cns, win } for the best barrier, or null.
+  function partyCompletion(p, hs, classes, allowed) {
+    var hasTank = hs.some(function (h) { return heroRole(h) === "tank"; }), k = partyCap(p) - hs.length;
+    var byEff = classes.slice().sort(function (x, y) { return effClassAtk(y) - effClassAtk(x); });
+    var out = null;
+    (state.barriers.length ? state.barriers : [null]).forEach(function (el) {
+      var cns = [];
+      function pow() { return barrierSum(p, hs.concat(cns.map(blankHero)), el); }
+      function next(f) { for (var i = 0; i < byEff.length; i++) if (f(byEff[i]) && allowed(byEff[i], cns)) return byEff[i]; return null; }
+      if (!hasTank) { var t = next(isTank); if (!t) return; cns.push(t); }
+      while (cns.length < k && el && pow() < MZE.barrier) { var m = next(function (cn) { return !isTank(cn) && (elOf(cn) === el || elOf(cn) === "all"); }); if (!m) break; cns.push(m); }
+      while (cns.length < k) { var d = next(function (cn) { return !isTank(cn); }); if (!d) return; cns.push(d); }
+      function win() { return ownedScore(p, hs.concat(cns.map(blankHero))); }
+      var w = win();
+      for (var pass = 0; pass < 2; pass++) {
+        for (var i = 0; i < cns.length; i++) {
+          var keep = cns[i];
+          classes.forEach(function (cn) {
+            if (cn === cns[i] || isTank(cn) !== isTank(keep)) return;
+            var was = cns[i]; cns[i] = cn;
+            var ok = allowed(cn, cns.filter(function (x, j) { return j !== i; }));
+            var w2 = ok ? win() : 0;
+            if (w2 > w) w = w2; else cns[i] = was;
+          });
+        }
+      }
+      if (!out || w > out.win) out = { cns: cns, win: w };
+    });
+    return out;
+  }
+  function bestUseOfRoster(onProgress) {
+    var prog = onProgress || function () {};
+    var orig = state.heroes;
+    state.heroes = orig.map(function (h) { var c = {}; for (var k in h) c[k] = h[k]; return c; });
+    try {
+      var open = state.parties.filter(function (p) { return !p.locked; });
+      var n = state.parties.length || 1;
+      function membersOf(p) { return state.heroes.filter(function (h) { return h.partyId === p.id; }); }
+      function composite() { return state.parties.reduce(function (s, p) { return s + ownedScore(p, membersOf(p)); }, 0) / n; }
+      prog(0, "Scoring your roster");
+      var before = composite();
+      prog(0.05, "Sorting your heroes");
+      autoSort(true); // null = too few tanks for every party; the seat fill below still uses what there is
+      var seated = {};
+      state.heroes.forEach(function (h) { if (h.partyId) seated[h.className] = (seated[h.className] || 0) + 1; });
+      // Seat whatever the bench still holds, parties closest to full first (an undermanned party scores
+      // nothing): its tank first if it has none, else the strongest non-tank Filters allow.
+      var pool = state.heroes.filter(function (h) { return !h.partyId && !fExclude(h.className); });
+      pool.sort(function (x, y) { return heroStat(y, "atk") - heroStat(x, "atk"); });
+      open.slice().sort(function (x, y) { return (partyCap(x) - membersOf(x).length) - (partyCap(y) - membersOf(y).length); }).forEach(function (p) {
+        var hs = membersOf(p);
+        while (hs.length < partyCap(p)) {
+          var wantTank = !hs.some(function (h) { return heroRole(h) === "tank"; }), pick = null;
+          pool.forEach(function (h) { if (!pick && (heroRole(h) === "tank") === wantTank && (seated[h.className] || 0) < fMax(h.className)) pick = h; });
+          if (!pick) break;
+          pick.partyId = p.id; hs.push(pick); pool.splice(pool.indexOf(pick), 1);
+          seated[pick.className] = (seated[pick.className] || 0) + 1;
+        }
+      });
+
+      // Sim refine: first-improvement swaps of same-role heroes (tank for tank keeps the 1-tank rule)
+      // between two parties, or between a party and the bench. Pinned heroes never move; a bench hero
+      // only comes in if Filters allow another of its class in the parties.
+      var groups = open.map(function (p) { return { p: p, hs: membersOf(p) }; });
+      var sc = groups.map(function (g) { return ownedScore(g.p, g.hs); });
+      var bench = pool;
+      function movable(h) { return !h.locked; }
+      function sameRole(a, b) { return (heroRole(a) === "tank") === (heroRole(b) === "tank"); }
+      for (var sweep = 0; sweep < OWN_MAX_SWEEPS; sweep++) {
+        prog(0.1 + 0.5 * sweep / OWN_MAX_SWEEPS, "Refining with your heroes");
+        var improved = false;
+        for (var a = 0; a < groups.length; a++) {
+          for (var b = a + 1; b < groups.length; b++) {
+            var A = groups[a].hs, B = groups[b].hs;
+            for (var ia = 0; ia < A.length; ia++) {
+              if (!movable(A[ia])) continue;
+              for (var ib = 0; ib < B.length; ib++) {
+                if (!movable(B[ib]) || !sameRole(A[ia], B[ib]) || A[ia].className === B[ib].className) continue;
+                var ha = A[ia], hb = B[ib]; A[ia] = hb; B[ib] = ha;
+                var na = ownedScore(groups[a].p, A), nb = ownedScore(groups[b].p, B);
+                if (na + nb > sc[a] + sc[b] + OWN_WIN_EPS) { sc[a] = na; sc[b] = nb; improved = true; }
+                else { A[ia] = ha; B[ib] = hb; }
+              }
+            }
+          }
+          var G = groups[a].hs;
+          for (var si = 0; si < G.length; si++) {
+            if (!movable(G[si])) continue;
+            for (var bj = 0; bj < bench.length; bj++) {
+              var hin = bench[bj], hout = G[si];
+              if (!sameRole(hin, hout) || (hin.className !== hout.className && (seated[hin.className] || 0) >= fMax(hin.className))) continue;
+              G[si] = hin;
+              var ng = ownedScore(groups[a].p, G);
+              if (ng > sc[a] + OWN_WIN_EPS) {
+                sc[a] = ng; bench[bj] = hout; improved = true;
+                seated[hout.className]--; seated[hin.className] = (seated[hin.className] || 0) + 1;
+              } else G[si] = hout;
+            }
+          }
+        }
+        if (!improved) break;
+      }
+      state.heroes.forEach(function (h) { if (!heroFixed(h)) h.partyId = null; });
+      groups.forEach(function (g) { g.hs.forEach(function (h) { h.partyId = g.p.id; }); });
+      var after = composite();
+
+      // Recruits, greedily: each round tries every allowed class in every open seat (same role as the
+      // hero it would bench) or empty seat, plus — for a party two or more short, which scores nothing
+      // until it's full — a whole completion of it. The move with the best gain PER RECRUIT wins; the
+      // list stops once nothing clears RECRUIT_MIN_GAIN per recruit, so it's the smallest set worth hiring.
+      var recruits = [], owned = {};
+      state.heroes.forEach(function (h) { owned[h.className] = (owned[h.className] || 0) + 1; });
+      var classes = CATALOG.map(function (c) { return c.name; }).filter(function (cn) { return !fExclude(cn); });
+      function hires(cns, cn) { var k = 0; cns.forEach(function (x) { if (x === cn) k++; }); return k; }
+      function allowed(cn, taken) { return (owned[cn] || 0) + hires(taken, cn) < fMax(cn); }
+      var budget = MAX_RECRUITS, best;
+      function offer(gi, adds, win) {
+        var gain = win - sc[gi];
+        if (adds.length <= budget && gain > RECRUIT_MIN_GAIN * adds.length && (!best || gain / adds.length > best.gain / best.adds.length)) best = { gi: gi, adds: adds, gain: gain };
+      }
+      while (budget > 0) {
+        prog(0.6 + 0.4 * (MAX_RECRUITS - budget) / MAX_RECRUITS, "Looking for recruits");
+        best = null;
+        groups.forEach(function (g, gi) {
+          var hasTank = g.hs.some(function (h) { return heroRole(h) === "tank"; }), short = partyCap(g.p) - g.hs.length;
+          classes.forEach(function (cn) {
+            if (!allowed(cn, [])) return;
+            var rec = blankHero(cn), seats = short === 1 && hasTank !== isTank(cn) ? [-1] : []; // an empty seat keeps 1 tank
+            // An earlier recruit (blankHero, id 0) keeps its seat — it's on the list, not on the roster yet.
+            if (!short) g.hs.forEach(function (h, i) { if (movable(h) && h.id !== 0 && sameRole(h, rec) && h.className !== cn) seats.push(i); });
+            seats.forEach(function (i) {
+              var trial = g.hs.slice();
+              if (i < 0) trial.push(rec); else trial[i] = rec;
+              offer(gi, [{ cn: cn, seat: i }], ownedScore(g.p, trial));
+            });
+          });
+          if (short > 1) {
+            var c = partyCompletion(g.p, g.hs, classes, allowed);
+            if (c) offer(gi, c.cns.map(function (cn) { return { cn: cn, seat: -1 }; }), c.win);
+          }
+        });
+        if (!best) break;
+        var bg = groups[best.gi], from = sc[best.gi], to = from + best.gain, together = best.adds.length > 1;
+        best.adds.forEach(function (ad) {
+          var old = ad.seat < 0 ? null : bg.hs[ad.seat], rec = blankHero(ad.cn);
+          recruits.push({ className: ad.cn, partyId: bg.p.id, replaces: old ? old.id : null, from: from, to: to, gain: best.gain / best.adds.length / n, together: together });
+          if (ad.seat < 0) bg.hs.push(rec); else bg.hs[ad.seat] = rec;
+          owned[ad.cn] = (owned[ad.cn] || 0) + 1;
+        });
+        sc[best.gi] = to;
+        budget -= best.adds.length;
+      }
+      prog(1, "Done");
+      return { heroes: state.heroes, recruits: recruits, before: before, after: after };
+    } finally {
+      state.heroes = orig;
+    }
+  }
+
+  // Upgrade planner (Roster Health → Suggestions → Upgrade path): an ordered path of up to `budget`
+  // single steps — recruit a class into a seat, move a hero into another party's seat (swapping with
+  // or benching its occupant), or retire a hero to make room under the roster cap — chosen greedily by
+  // sim gain per step on a copy of the current layout (real heroes via `ownedScore`; recruits on class
+  // averages). Filters hold throughout: excluded classes never join, fMax caps the roster (recruits) and
+  // the seated heroes (moves off the bench), a retire never drops a class below its fMin. Locks hold too.
+  // Returns { steps: [{ kind, text, gain, total }], before } — gain/total are composite mean win 0..1.
+  // Its tuning (PLAN_MIN_GAIN, PLAN_MAX_BUDGET) sits with the sim engine constants, above the worker guard.
+  function planUpgrades(budget, onProgress) {
+    var prog = onProgress || function () {};
+    var orig = state.heroes;
+    state.heroes = orig.map(function (h) { var c = {}; for (var k in h) c[k] = h[k]; return c; });
+    try {
+      var n = state.parties.length || 1;
+      var groups = state.parties.filter(function (p) { return !p.locked; }).map(function (p) {
+        return { p: p, hs: state.heroes.filter(function (h) { return h.partyId === p.id; }) };
+      });
+      var sc = groups.map(function (g) { return ownedScore(g.p, g.hs); });
+      var locked = state.parties.reduce(function (s, p) { return p.locked ? s + ownedScore(p, state.heroes.filter(function (h) { return h.partyId === p.id; })) : s; }, 0);
+      var bench = state.heroes.filter(function (h) { return !h.partyId; });
+      var roster = state.heroes.length, nextId = -1;
+      var owned = {}, seated = {};
+      state.heroes.forEach(function (h) {
+        owned[h.className] = (owned[h.className] || 0) + 1;
+        if (h.partyId) seated[h.className] = (seated[h.className] || 0) + 1;
+      });
+      var classes = CATALOG.map(function (c) { return c.name; }).filter(function (cn) { return !fExclude(cn); });
+      function total() { return (sc.reduce(function (a, b) { return a + b; }, 0) + locked) / n; }
+      function tanked(hs) { return hs.some(function (h) { return heroRole(h) === "tank"; }); }
+      function sameRole(a, b) { return (heroRole(a) === "tank") === (heroRole(b) === "tank"); }
+      function label(h) { return h.id < 0 ? "the new " + h.className : (h.name || h.className); }
+      // Who leaves the roster when a recruit needs room: the weakest benched hero Filters let go of,
+      // else (for a seat swap) the hero the recruit replaces. null = no retire possible.
+      function retiree() {
+        var pick = null;
+        bench.forEach(function (h) {
+          if ((owned[h.className] || 0) <= fMin(h.className)) return;
+          if (!pick || effAtkOf(heroStat(h, "atk"), heroStat(h, "crit"), heroCritMult(h)) < effAtkOf(heroStat(pick, "atk"), heroStat(pick, "crit"), heroCritMult(pick))) pick = h;
+        });
+        return pick;
+      }
+      var before = total(), steps = [], left = Math.max(1, Math.min(PLAN_MAX_BUDGET, budget)), best, retired;
+      // Best gain per step wins; on a tie a move of heroes you own beats hiring (recruits are offered first).
+      function offer(kind, cost, gain, apply) {
+        if (cost > left || gain <= PLAN_MIN_GAIN * cost) return;
+        var r = gain / cost, br = best ? best.gain / best.cost : -Infinity;
+        if (r > br || (r === br && kind === "move" && best.kind !== "move")) best = { kind: kind, cost: cost, gain: gain, apply: apply };
+      }
+      function retire(h) { // h is already out of any seat
+        var bi = bench.indexOf(h); if (bi >= 0) bench.splice(bi, 1);
+        roster--; owned[h.className]--; retired.push(h);
+      }
+      while (left > 0) {
+        prog(steps.length / Math.min(budget, PLAN_MAX_BUDGET), "Planning step " + (steps.length + 1));
+        best = null;
+        // 1) Recruit a class into a seat (benching a same-role hero) or an empty seat.
+        classes.forEach(function (cn) {
+          if ((owned[cn] || 0) >= fMax(cn)) return;
+          var rec = blankHero(cn);
+          groups.forEach(function (g, gi) {
+            var seats = g.hs.length < partyCap(g.p) && tanked(g.hs) !== isTank(cn) ? [-1] : [];
+            g.hs.forEach(function (h, i) { if (!h.locked && sameRole(h, rec) && h.className !== cn) seats.push(i); });
+            seats.forEach(function (i) {
+              var trial = g.hs.slice();
+              if (i < 0) trial.push(rec); else trial[i] = rec;
+              var gain = ownedScore(g.p, trial) - sc[gi], out = i < 0 ? null : g.hs[i];
+              var full = roster >= state.maxRoster, go = full ? (retiree() || (out && (owned[out.className] || 0) > fMin(out.className) ? out : null)) : null;
+              if (full && !go) return; // no room and nobody Filters let go of
+              offer("recruit", full ? 2 : 1, gain, function () {
+                var h = blankHero(cn); h.id = nextId--; h.partyId = g.p.id;
+                if (i < 0) g.hs.push(h);
+                else { g.hs[i] = h; out.partyId = null; seated[out.className]--; if (go !== out) bench.push(out); }
+                if (go) retire(go);
+                roster++; owned[cn] = (owned[cn] || 0) + 1; seated[cn] = (seated[cn] || 0) + 1;
+                return "Recruit " + cn + " into " + g.p.name + (out && go !== out ? " (benches " + label(out) + ")" : "");
+              });
+            });
+          });
+        });
+        // 2) Move a hero (bench or another party) into a seat; a party-to-party move swaps the two.
+        var movers = bench.filter(function (h) { return !fExclude(h.className); }).map(function (h) { return { h: h, gi: -1 }; });
+        groups.forEach(function (g, gi) { g.hs.forEach(function (h) { if (!h.locked && !fExclude(h.className)) movers.push({ h: h, gi: gi }); }); });
+        movers.forEach(function (m) {
+          groups.forEach(function (g, gj) {
+            if (gj === m.gi) return;
+            if (m.gi < 0 && (seated[m.h.className] || 0) >= fMax(m.h.className)) return;
+            var seats = m.gi < 0 && g.hs.length < partyCap(g.p) && tanked(g.hs) !== (heroRole(m.h) === "tank") ? [-1] : [];
+            g.hs.forEach(function (h, i) { if (!h.locked && sameRole(h, m.h) && h.className !== m.h.className && (m.gi < 0 || !fExclude(h.className))) seats.push(i); });
+            seats.forEach(function (i) {
+              var tj = g.hs.slice(), out = i < 0 ? null : g.hs[i];
+              if (i < 0) tj.push(m.h); else tj[i] = m.h;
+              var gain = ownedScore(g.p, tj) - sc[gj], si = -1;
+              if (m.gi >= 0) {
+                var src = groups[m.gi], ti = src.hs.slice(); si = src.hs.indexOf(m.h); ti[si] = out;
+                gain += ownedScore(src.p, ti) - sc[m.gi];
+              }
+              offer("move", 1, gain, function () {
+                if (i < 0) g.hs.push(m.h); else g.hs[i] = m.h;
+                m.h.partyId = g.p.id;
+                if (m.gi >= 0) { groups[m.gi].hs[si] = out; out.partyId = groups[m.gi].p.id; }
+                else {
+                  bench.splice(bench.indexOf(m.h), 1); seated[m.h.className] = (seated[m.h.className] || 0) + 1;
+                  if (out) { out.partyId = null; bench.push(out); seated[out.className]--; }
+                }
+                return "Move " + label(m.h) + " to " + g.p.name + (out ? (m.gi >= 0 ? " (swaps with " + label(out) + ")" : " (benches " + label(out) + ")") : "");
+              });
+            });
+          });
+        });
+        // 3) Complete a party two or more seats short — it scores nothing until every seat is filled.
+        groups.forEach(function (g, gi) {
+          var short = partyCap(g.p) - g.hs.length;
+          if (short < 2) return;
+          var c = partyCompletion(g.p, g.hs, classes, function (cn, taken) {
+            var k = 0; taken.forEach(function (x) { if (x === cn) k++; });
+            return (owned[cn] || 0) + k < fMax(cn);
+          });
+          if (!c || roster + c.cns.length > state.maxRoster) return;
+          offer("recruit", c.cns.length, c.win - sc[gi], function () {
+            c.cns.forEach(function (cn) {
+              var h = blankHero(cn); h.id = nextId--; h.partyId = g.p.id; g.hs.push(h);
+              roster++; owned[cn] = (owned[cn] || 0) + 1; seated[cn] = (seated[cn] || 0) + 1;
+            });
+            return "Recruit " + c.cns.join(" + ") + " to fill " + g.p.name;
+          });
+        });
+        if (!best) break;
+        var b = best, t0 = total();
+        retired = [];
+        var text = b.apply();
+        groups.forEach(function (g, gi) { sc[gi] = ownedScore(g.p, g.hs); });
+        retired.forEach(function (h) { steps.push({ kind: "retire", text: "Retire " + label(h) + " to free a roster slot", gain: 0, total: t0 }); });
+        steps.push({ kind: b.kind, text: text, gain: total() - t0, total: total() });
+        left -= b.cost;
+      }
+      prog(1, "Done");
+      return { steps: steps, before: before };
+    } finally {
+      state.heroes = orig;
+    }
+  }
+
   // Auto Sort is now a button inside the roster row; handled in the delegated app click listener.
 
+  var _restored = restoreAutosave();
+  if (_restored) setUpdate("Restored your last session (autosaved " + fmtWhen(_restored.savedAt) + ").");
+  histReset(lastUpdate || "Opened the builder.");
   render();
 
-  // If the URL carries a shared roster (#r=...), decode it (async) and load over the default.
-  // Leaving the hash in place keeps the link bookmarkable — a refresh returns to the shared roster.
+  // If the URL carries a shared roster (#r2=... or an older #r=...), decode it (async) and load over the default.
+  // Leaving the hash in place keeps the link bookmarkable. The autosave remembers which link it came
+  // from, so a refresh keeps your edits on top of that link instead of re-opening it; a DIFFERENT
+  // link over unsaved work asks first (optionally stashing the current roster in a slot).
   (function () {
     if (!SHARE_SUPPORTED) return;
-    var m = String(location.hash || "").match(/[#&]r=([^&]+)/);
+    var m = String(location.hash || "").match(SHARE_LINK_RE);
     if (!m) return;
-    inflateRaw(b64urlToBytes(m[1])).then(function (json) {
-      try {
-        var data = JSON.parse(json);
-        // Links omit the gear-tier stat tables — keep this page's own (baked-in) tables.
-        if (!data.classStatsByQuality) data.classStatsByQuality = state.classStatsByQuality;
-        loadJSON(JSON.stringify(data));
-        setUpdate("Loaded a shared roster from the link.");
+    var key = m[1] === "r" ? m[2] : m[1] + "=" + m[2]; // #r= keys stay the bare payload, as autosaves recorded them
+    if (_restored && _restored.linkHash === key) return;
+    decodeShareLink(m[0]).then(function (data) {
+      function openLink(stash) {
+        if (stash && !saveSlot(null, ("Before shared link " + fmtWhen(Date.now())).slice(0, 40))) {
+          showAlert("Couldn't save your roster to a slot (storage blocked or full) — the link was not opened.");
+          return;
+        }
+        try { loadJSON(JSON.stringify(data)); } catch (e) { showAlert(loadErrorText(e, "The shared link")); return; }
+        markCommitted();
+        var rec = storeGet("autosave"); if (rec) { rec.linkHash = key; storeSet("autosave", rec); }
+        setUpdate("Loaded a shared roster from the link." + (stash ? " Your previous roster was saved to a slot." : ""));
         render();
-      } catch (e) { /* shared data invalid — keep the current roster */ }
-    }).catch(function () { /* corrupt/garbled link — keep the current roster */ });
+      }
+      if (!_restored || !isDirty()) { openLink(false); return; }
+      showConfirm({
+        title: "Open shared roster?",
+        bodyHTML: "<p>This link carries a roster, but you have <b>unsaved work</b> (autosaved " + escH(fmtWhen(_restored.savedAt)) + "). Opening the link replaces it.</p>" +
+          "<label class=\"mt-2 flex items-center gap-2 text-sm\"><input id=\"stashBeforeLink\" type=\"checkbox\" checked> Save my current roster to a slot first</label>",
+        confirmLabel: "Open Link",
+        onConfirm: function () { var cb = document.getElementById("stashBeforeLink"); openLink(!cb || cb.checked); },
+        onCancel: function () { setUpdate("Kept your current roster — the shared link was not opened."); renderApp(); }
+      });
+    }).catch(function (e) { showAlert(e && e.problems ? loadErrorText(e, "The shared link") : CORRUPT_LINK); });
   })();
 })();
@@ -0,0 +1,781 @@
+/** @format */
+
+// _js/roster-engine.js
+//
+// Combat + grade engine for the roster builder: zone numbers, the built-in skill data, the closed-form
+// win estimate and the Monte Carlo fight sim. No DOM and no page state. The builder binds an engine to
+// its live zone table and custom skills (`RosterEngine.create`), the sim workers load this file next to
+// roster-builder.js, and Node `require`s it for the fixture suite (tests/engine.test.js).
+
+(function (root) {
+  "use strict";
+
+  /* ---------------- zones ---------------- */
+  // Zone registry. Each preset carries the per-zone combat numbers the grade, the sim and the optimizer
+  // read: boss HP, single/AoE/crit hit, AoE + enemy-crit chance, the barrier target, the evade debuff,
+  // the dodge cap, the DEF-curve breakpoints and the round cap. Built-ins are read-only; the player can
+  // add custom zones (state.zones, persisted in JSON + share links) by duplicating one and editing it.
+  // Meteor Zone Extreme (T16) numbers are confirmed against st-central Quest Data (source of truth):
+  // single hit 410, AoE 280, DEF caps 50%/70%/75% @ 26,600 / 53,200 / 159,600. Enemy crit is a flat
+  // baseHit×1.5 (615) ignoring DEF (Combat Compendium: enemy crit ~10%). evaPenalty (Extreme −20 evade
+  // debuff) + evaCapDefault (75% dodge cap, Pathfinder +3) are user-confirmed. aoeChance = per-round
+  // chance the boss uses an AoE that hits EVERY unit (~20-25% observed; 0.225 midpoint, tunable).
+  // roundCap = the quest hard-terminates (auto-fail) at round 500, so a party that can't kill the boss
+  // before then simply loses. barrier = the elemental power a party needs to break the zone's barrier.
+  // waves (optional) = the encounter as a list of waves, each a list of monsters with their own hp and
+  // hit numbers (MONSTER_KEYS); the fight clears them in order. Without it the zone is ONE boss built
+  // from its own keys. A zone with waves gets bossHP = the encounter's total HP.
+  // Presets are confirmed data only — a guessed encounter belongs in a custom zone (or, for the engine
+  // suite, tests/engine-fixtures.json), never in the player's zone picker.
+  var ZONE_KEYS = ["bossHP", "baseHit", "aoeHit", "aoeChance", "critHit", "critChance", "barrier", "evaPenalty", "evaCapDefault", "roundCap"];
+  var ZONE_PRESETS = [
+    { id: "mze", name: "Meteor Zone", difficulty: "Extreme", bossHP: 10000000, baseHit: 410, aoeHit: 280, aoeChance: 0.225, critHit: 615, critChance: 0.10,
+      barrier: 320, evaPenalty: 20, evaCapDefault: 75, roundCap: 500, defCaps: [26600, 53200, 159600] }
+  ];
+  var MONSTER_KEYS = ["hp", "baseHit", "aoeHit", "aoeChance", "critHit", "critChance"];
+
+  // House rules — zone-independent knobs every zone table starts from (see zoneState):
+  // critPerNegEva (+0.25%/neg-eva to enemy crit) is the one remaining unconfirmed house rule.
+  // critDmgMod = base HERO crit-damage multiplier (a normal crit = ATK × 2.0, user-confirmed).
+  // allBarrierFactor = fraction of elemental power an "all"-element unit (Spellknight) contributes
+  // to a barrier (st-central roster guide ≈ 50%; exact value unconfirmed — tune here when known).
+  var HOUSE_RULES = { critPerNegEva: 0.0025, critDmgMod: 2.0, allBarrierFactor: 0.5 };
+  // The unconfirmed house rules a zone may override (a custom zone's own value, e.g. from calibration);
+  // a zone without one uses HOUSE_RULES.
+  var RULE_KEYS = ["critPerNegEva", "allBarrierFactor"];
+  function hasRule(z, k) { return typeof z[k] === "number" && isFinite(z[k]); }
+  // Copy a zone's combat numbers onto `target` (a live table the engine reads): its keys, its house-rule
+  // overrides, the DEF breakpoints and the encounter `enc` — its waves, or one boss built from its keys.
+  function applyZone(target, z) {
+    ZONE_KEYS.forEach(function (k) { target[k] = z[k]; });
+    RULE_KEYS.forEach(function (k) { target[k] = hasRule(z, k) ? z[k] : HOUSE_RULES[k]; });
+    target.defCaps = z.defCaps.slice();
+    target.enc = z.waves ? z.waves : [[{ name: "Boss", hp: z.bossHP, baseHit: z.baseHit, aoeHit: z.aoeHit, aoeChance: z.aoeChance, critHit: z.critHit, critChance: z.critChance }]];
+    return target;
+  }
+  // A fresh zone table: the house rules, plus `z` applied on top when given.
+  function zoneState(z) {
+    var t = {};
+    for (var k in HOUSE_RULES) t[k] = HOUSE_RULES[k];
+    return z ? applyZone(t, z) : t;
+  }
+
+  /* ---------------- built-in skills ---------------- */
+  // Per-class skills. Foldable fields feed the grade now; `sim`-flagged effects are
+  // captured for the Phase-2 sim and don't yet move the face. `text` = display.
+  //   evaCapAdd    : raises the zone's dodge cap (MZE 75%) by this many points
+  //   protectAlly  : party negates one lethal hit (once/battle)
+  //   surviveFatal : the hero ignores one lethal hit to itself (once/battle)
+  // (Crit damage is now a per-class DATA stat — classStats.critDmg — not a skill bonus.)
+  var CLASS_SKILLS = {
+    "Lord":         { protectAlly: true,                  text: "Protect an ally from a lethal attack once per battle." },
+    "Jarl":         { sim: true,                          text: "+50% ATK & +10% EVA below 80% HP (doubled <55%, tripled <30%)." },
+    "Death Knight": { sim: true,                          text: "Instantly defeats weakened monsters; +1% per kill." },
+    "Daimyo":       { sim: true,                          text: "Guaranteed dodge & crit on round 1; +100% crit damage." },
+    "Conquistador": { sim: true,                          text: "+150% crit damage; +25% per consecutive crit (stacks 4)." },
+    "Pathfinder":   { evaCapAdd: 3,                       text: "+3% max evasion cap (78% in MZE)." },
+    "Sensei":       { sim: true,                          text: "+50% crit & +25% EVA until damaged; regained after 2 rounds." },
+    "Acrobat":      { sim: true,                          text: "Guaranteed crit after dodging; +150% crit damage." },
+    "Bishop":       { surviveFatal: true, sim: true,      text: "+10 HP regen/turn; survive one fatal blow." }
+  };
+
+  // Per-champion party auras (apply to the whole party at grade time). Foldable fields:
+  //   atkPct/defPct/hpPct : ×(1+pct/100) on that stat   · barrierPct : ×(1+pct/100) on barrier power
+  //   critAdd/evaAdd      : additive points to crit chance / evasion (user-confirmed)
+  //   critDmgAdd          : added to the crit multiplier (base 2.0)
+  //   perGroup            : composition-scaled (per spellcaster/fighter/rogue in the party)
+  // `sim`-flagged conditional/heal parts are captured but don't yet move the face.
+  var CHAMPION_SKILLS = {
+    "Argon":   { atkPct: 40, defPct: 40,                       text: "+40% ATK & DEF to the party." },
+    "Ashley":  { atkPct: 25, defPct: 25,                       text: "+25% ATK & DEF to the party." },
+    "Rudo":    { barrierPct: 50, sim: true,                    text: "+50% crit chance for 4 rounds; +50% element power vs barriers." },
+    "Malady":  { atkPct: 30, evaAdd: 15, critAdd: 10,          text: "+30% ATK, +15% EVA, +10% crit to the party." },
+    "Yami":    { critAdd: 20, evaAdd: 20,                      text: "+20% crit & +20% EVA to the party." },
+    "Sia":     { atkPct: 25,                                   text: "+25% ATK to the party." },
+    "Hemma":   { hpPct: 25, sim: true,                         text: "Drains 7% ally HP/turn (heals self, +35% ATK/drain); +25% party HP." },
+    "Polonia": { defPct: 25, evaAdd: 10,                       text: "+25% DEF & +10% EVA to the party." },
+    "Donovan": { perGroup: { spellcasterAtk: 14, fighterHp: 10, rogueCrit: 7, rogueEva: 7 }, text: "+14% ATK/spellcaster, +10% HP/fighter, +7% crit & EVA/rogue." },
+    "Lilu":    { hpPct: 25, sim: true,                         text: "+25% party HP; party heals 20 HP/turn." },
+    "Bjorn":   { atkPct: 30, hpPct: 20, critDmgAdd: 0.5,       text: "+30% ATK, +20% HP, +50% crit damage to the party." }
+  };
+  // Custom-skill triggers that fire on an event (the rest are conditions checked every round).
+  var SKILL_EVENTS = { afterDodge: 1, onCrit: 1, onKill: 1, perTurn: 1 };
+
+  function skillFold(d, stat, target) {
+    var v = 0;
+    if (d) d.effects.forEach(function (e) { if (e.effect === "stat" && e.trigger === "always" && e.stat === stat && e.target === target) v += e.value; });
+    return v;
+  }
+  function skillSaves(d, target) { return d ? d.effects.filter(function (e) { return e.effect === "save" && e.target === target; }).length : 0; }
+
+  /* ---------------- sim tuning + grade bands ---------------- */
+  // ---- Phase-2 Monte Carlo sim tuning (conditional / `sim`-flagged skills) ----
+  // The engine (simulateFight) switches on class/champion NAME and pulls magnitudes from here, so
+  // every conditional-skill number lives in ONE place (like MZE). The CLASS_SKILLS / CHAMPION_SKILLS
+  // `text` is the player-facing wording of these same effects. Tune freely.
+  //   jarl    : below 80%/55%/30% HP → +50%/100%/150% ATK & +10/20/30 EVA (1×/2×/3× the tier values).
+  //   conq    : +0.25 crit-MULT per consecutive crit, up to 4 stacks (resets on a non-crit).
+  //   sensei  : +50 crit chance & +25 EVA while undamaged; lost when hit, regained after 2 clean rounds.
+  //   acrobat : guaranteed crit the round after it dodges. daimyo: guaranteed dodge + crit on round 1.
+  //   bishop  : +10 HP/round self-heal AND survives one fatal blow — BOTH self-only (the individual
+  //             Bishop), not the party. (Lord's save is the party-wide one.) See the save logic below.
+  //   dk      : execute — when the DK's target is at ≤10% of its HP when the Death Knight attacks, that
+  //             monster is instantly defeated (its attack is spent). Otherwise the DK just deals its normal
+  //             hit, with +1% ATK for every monster already defeated in the fight (multi-monster zones).
+  //   rudo    : party-wide +50 crit chance for the first 4 rounds. lilu: party +20 HP/round.
+  //   hemma   : drains 7% of the highest-HP ally/round → self-heal + a stacking +35% ATK (cap 12).
+  var SIM = {
+    trials: 400,            // first batch per DISPLAYED party grade (seeded → the % is stable, not flickery)
+    maxTrials: 3200,        // displayed grade keeps doubling the trials while its 95% CI straddles a WIN_BANDS cutoff
+    statsTrials: 2000,      // fights per Fight Stats breakdown (deaths, saves, rounds, damage share)
+    sensTrials: 1000,       // fights per stat bump in the upgrade sensitivity table (same seed for every bump)
+    ciZ: 1.96,              // z for the Wilson score interval (95%)
+    optimizerTrials: 400,   // trials per Recommended/scoreOf eval (cached; ~±2% noise so the refine can trust ~3% gaps)
+    calibTrials: 200,       // trials per logged composition per calibration candidate (same seed for every candidate)
+    calibPasses: 2,         // coordinate-descent sweeps over the calibration knobs
+    jarl:   { t1: 0.80, t2: 0.55, t3: 0.30, atkPerTier: 0.50, evaPerTier: 10 },
+    conq:   { perStack: 0.25, maxStacks: 4 },
+    sensei: { crit: 50, eva: 25, regainRounds: 2 },
+    bishop: { regen: 10 },
+    dk:     { executeFrac: 0.10, atkPerKill: 0.01 }, // target at ≤10% HP when the DK attacks → instantly defeated
+    rudo:   { crit: 50, rounds: 4 },
+    lilu:   { heal: 20 },
+    hemma:  { drainFrac: 0.07, atkPerStack: 0.35, maxStacks: 12 }
+  };
+
+  // est. win-chance thresholds for the face (tune freely). D = "almost certainly a loss" (≤20%).
+  var WIN_BANDS = { S: 0.95, A: 0.75, B: 0.65, D: 0.20 };
+  function winTier(w) { return w >= WIN_BANDS.S ? 0 : w >= WIN_BANDS.A ? 1 : w >= WIN_BANDS.B ? 2 : w > WIN_BANDS.D ? 3 : 4; }
+  var GRADE_LETTERS = ["S", "A", "B", "C", "D"];
+
+  /* ---------------- pure helpers ---------------- */
+  // FNV-1a string hash → a stable 32-bit seed (so the same roster always shows the same sim %).
+  function hashStr(s) { var h = 2166136261; for (var i = 0; i < s.length; i++) { h ^= s.charCodeAt(i); h = Math.imul(h, 16777619); } return h >>> 0; }
+  // Seeded PRNG — the same seed replays the same fight stream.
+  function mulberry32(a) {
+    return function () {
+      a |= 0; a = a + 0x6D2B79F5 | 0;
+      var t = Math.imul(a ^ a >>> 15, 1 | a);
+      t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+      return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+  }
+
+  // Hero damage-per-round including crit. st-central: CR is the effective crit chance
+  // per swing (capped at 100% here), crit hit = ATK × crit multiplier (base 2.0 + the
+  // class's crit-damage skill bonus). Effective ATK = chance-weighted normal/crit swings.
+  function effAtkOf(atk, crit, critMult) {
+    var cc = Math.max(0, Math.min(1, (Number(crit) || 0) / 100));
+    return (Number(atk) || 0) * (1 + cc * (critMult - 1));
+  }
+
+  /* ---------------- Phase-2 Monte Carlo combat sim ----------------
+   * A per-round fight simulator that resolves a SINGLE trial of the MZE fight, then averages many
+   * seeded trials into a win %. Unlike the closed-form `winChance` (a static expectation), the sim
+   * tracks boss HP draining round-by-round from the ALIVE units, so STATE-DEPENDENT skills can move
+   * the grade: Jarl's HP-threshold rage, Conq/Acrobat/Daimyo/Sensei crit states, DK execute/stacking,
+   * Rudo's timed crit, and Lilu/Hemma/Bishop healing all read the live fight state each round.
+   *
+   * Damage model: the boss's attacks (who's targeted, dodge, crit, AoE) are the Monte Carlo dice —
+   * they decide who dies and when, which drives party DPS over time. Each unit's OWN attack rolls a
+   * discrete crit too (so "consecutive crit" / "guaranteed crit" skills are real events); a discrete
+   * crit averages to exactly `effAtkOf` (atk·(1+cc·(critMult−1))), so with conditionals OFF the sim's
+   * mean DPS matches the closed-form's folded ATK — see the bare-mode sanity check in the NOTES
+   * and the `bare` column of the fixture suite.
+   *
+   * Performance tradeoff (documented, roster-builder.js): the OPTIMIZER (`scoreOf`/Recommended) keeps the fast closed-form
+   * `winChance` for its thousands of inner-loop evals; the sim runs ONLY for the displayed party grade
+   * (`partyOutcome`), memoized per exact composition (`_simCache`) so re-renders are free.
+   */
+
+  // One sim unit: combat stats + the runtime fields the conditional skills mutate during a trial.
+  // critMult already includes the champion crit-damage aura (buff.critDmgAdd), mirroring buffedEffAtk.
+  function simUnitFromStats(cn, isChamp, champName, hp, def, eva, threat, evaCap, atk, crit, critMult) {
+    return {
+      cn: cn, isChamp: !!isChamp, champName: champName || null,
+      maxHp: hp, def: def, evaBase: eva, threat: threat, evaCap: evaCap,
+      baseAtk: Number(atk) || 0, critChance: Number(crit) || 0, critMult: critMult
+    };
+  }
+
+  /* ---------------- engine (bound to a zone table) ---------------- */
+  // `ctx.zone` = the live zone table (zoneState / applyZone) — read on every call, so switching zones
+  // needs no new engine. `ctx.customSkill(kind, name)` → a normalized custom definition or null (the
+  // built-in applies); kind = "classes" | "champions". Omitted = built-in skills only.
+  function create(ctx) {
+    var MZE = ctx.zone;
+    var customSkill = ctx.customSkill || function () { return null; };
+    var _simBare = false; // when true, conditional skills are skipped (engine-vs-closed-form sanity check)
+
+    // DEF curve with the active zone's breakpoints (MZE: 26,600 / 53,200 / 159,600).
+    function mzeDefMult(def) {
+      def = Number(def) || 0;
+      var c1 = MZE.defCaps[0], c2 = MZE.defCaps[1], c3 = MZE.defCaps[2];
+      if (def <= 0) return 1.5;
+      if (def <= c1) return 1.5 - def / c1;                             // 1.5x -> 0.5x
+      if (def <= c2) return 0.5 - 0.2 * (def - c1) / (c2 - c1);         // 0.5x -> 0.3x
+      if (def <= c3) return 0.3 - 0.05 * (def - c2) / (c3 - c2);        // 0.3x -> 0.25x
+      return 0.25;
+    }
+    function survStats(hp, def, eva, evaCap) {
+      var normal = Math.round(MZE.baseHit * mzeDefMult(def));
+      var crit = MZE.critHit;
+      var effEva = eva - MZE.evaPenalty; // EXTREME applies -20 evade debuff
+      // st-central: chance to evade = EVA%; capped at 75% (Pathfinder 78%) after the debuff.
+      var cap = (evaCap || MZE.evaCapDefault) / 100;
+      var dodge = Math.max(0, Math.min(cap, effEva / 100));
+      var critChance = MZE.critChance + Math.max(0, -effEva) * MZE.critPerNegEva;
+      var hitsToDie = normal > 0 ? Math.ceil(hp / normal) : 0;
+      var flag = hp <= 0 ? "none" : hp <= crit ? "risk" : hp <= 2 * normal ? "two" : "safe";
+      return { normal: normal, crit: crit, critChance: critChance, hitsToDie: hitsToDie, flag: flag, effEva: effEva, dodge: dodge };
+    }
+
+    // P(N >= k) for N ~ Poisson(lambda): chance of taking at least k landed hits.
+    function poissonTailGE(lambda, k) {
+      if (!isFinite(k)) return 0;
+      if (lambda <= 0) return 0;
+      if (k <= 0) return 1;
+      var term = Math.exp(-lambda), cdf = term; // P(N=0)
+      for (var i = 1; i < k; i++) { term *= lambda / i; cdf += term; }
+      return Math.max(0, Math.min(1, 1 - cdf));
+    }
+
+    // Expected unit deaths over the fight (raw float). The boss makes ~1 single-target hit per
+    // round (AoE not modeled yet), targeting a unit by THREAT share (st-central: target chance =
+    // threat / total threat); the unit may DODGE (EVA%, capped). A unit dies once its ACCUMULATED
+    // hits reach its kill count (HP ÷ avg hit) — capturing both one-shots (frail, 1 hit) and
+    // attrition (wear-down). Landed hits are Poisson, so death stays unlikely until expected hits
+    // approach the kill count. **More rounds = more exposure = more expected deaths** — this is the
+    // only channel through which kill speed matters (fights auto-skip, so raw duration is free).
+    // `saves` = lethal negations (Lord protect / Bishop survive-fatal). Per-hit average and the
+    // 1-hit/round assumption are tunable; a calibrated value is the deferred Phase-2 sim.
+    // Per-unit death probability over the fight (independent across units). Two damage streams:
+    // single-target (threat-gated → the tank soaks it) + AoE (hits EVERY unit, NOT threat-gated → the
+    // tank can't shield squishies). A unit dies once accumulated landed hits reach its kill count
+    // (HP ÷ avg hit); landed hits are Poisson (`poissonTailGE`). AoE is converted to single-hit-damage
+    // equivalents so the same killHits applies — this is what gives a low-threat glass cannon real risk.
+    function unitDeathModel(units, rounds) { // per-unit { lambda: expected single-hit-equiv landed hits, killHits: hits to die }
+      var totalThreat = units.reduce(function (s, u) { return s + (Number(u.threat) || 0); }, 0);
+      var n = units.length || 1;
+      var r = (isFinite(rounds) && rounds > 0) ? rounds : 60;
+      return units.map(function (u) {
+        if (u.hp <= 0) return { lambda: 0, killHits: Infinity };
+        var share = totalThreat > 0 ? (Number(u.threat) || 0) / totalThreat : 1 / n;
+        var s = survStats(u.hp, u.def, u.eva, u.evaCap);
+        var avgDmg = s.normal * (1 - s.critChance) + s.crit * s.critChance; // crit ignores DEF
+        var killHits = avgDmg > 0 ? Math.max(1, Math.ceil(u.hp / avgDmg)) : Infinity;
+        var aoeDmg = MZE.aoeHit * mzeDefMult(u.def);                        // DEF-reduced AoE hit
+        var aoeEquivHits = avgDmg > 0 ? r * MZE.aoeChance * (1 - s.dodge) * (aoeDmg / avgDmg) : 0;
+        var lambda = r * share * (1 - s.dodge) + aoeEquivHits;             // single-hit-equiv landed hits
+        return { lambda: lambda, killHits: killHits };
+      });
+    }
+    // Estimated win chance (0..1) = P(the party CLEARS the quest) — "not wiped", not "no losses".
+    // A casualty only matters if it costs enough DPS that the survivors can't kill the 10M boss before
+    // the 500-round cap. So losing a squishy is fine when the rest still kill in time; losing your
+    // damage core (or the whole party) is a loss. Enumerates the 2^n survivor subsets from independent
+    // per-unit death probs (n ≤ ~5). A faster kill = more DPS headroom to absorb losses; a near-cap
+    // party can't afford to lose a carry. `saves` (Lord/Bishop) shield the highest-risk allies.
+    // Calibrated probability is the deferred Phase-2 Monte Carlo; this is a closed-form estimate.
+    function winChance(units, rounds, saves) {
+      var n = units.length;
+      if (!n) return 0;
+      var m = unitDeathModel(units, rounds);
+      var p = m.map(function (d) { return poissonTailGE(d.lambda, d.killHits); });
+      // A save (Lord protect / Bishop survive-fatal) revives its ally to 1 HP on the first lethal hit,
+      // so it dies only after ONE MORE landed hit → killHits + 1 (NOT full immunity). One save per
+      // Lord/Bishop, applied to the current highest-risk unit(s).
+      var order = p.map(function (v, i) { return i; }).sort(function (a, b) { return p[b] - p[a]; });
+      for (var k = 0; k < Math.floor(Number(saves) || 0) && k < order.length; k++) {
+        var si = order[k];
+        p[si] = poissonTailGE(m[si].lambda, m[si].killHits + 1);
+      }
+      var minAtk = MZE.bossHP / MZE.roundCap; // ATK floor to kill before the round cap
+      var win = 0;
+      for (var mask = 0; mask < (1 << n); mask++) {          // bit set = unit SURVIVES
+        var prob = 1, survAtk = 0, alive = 0;
+        for (var i = 0; i < n; i++) {
+          if (mask & (1 << i)) { prob *= (1 - p[i]); survAtk += (Number(units[i].atk) || 0); alive++; }
+          else { prob *= p[i]; }
+        }
+        if (prob <= 0) continue;
+        if (alive > 0 && survAtk > minAtk) win += prob; // survivors retain enough DPS to clear in time
+      }
+      return Math.max(0, Math.min(1, win));
+    }
+    function jarlTier(frac) { return frac < SIM.jarl.t3 ? 3 : frac < SIM.jarl.t2 ? 2 : frac < SIM.jarl.t1 ? 1 : 0; }
+    // Conditional-adjusted EVA (Jarl rage, Sensei untouched buff) — used for both dodge and enemy-crit chance.
+    // `x.bn` = the built-in skill name the sim switches on (null in bare mode or when a custom definition
+    // replaces it); `x.F` = the custom-skill context (null when the fight has no custom effects).
+    function condEva(x) {
+      var eva = x.evaBase;
+      if (x.bn === "Jarl") { var t = jarlTier(x.hp / x.maxHp); if (t) eva += SIM.jarl.evaPerTier * t; }
+      else if (x.bn === "Sensei" && x.sensClean) eva += SIM.sensei.eva;
+      if (x.F) eva += fxSum(x, "eva");
+      return eva;
+    }
+    function dodgeProbOf(x, r) {
+      if (x.bn === "Daimyo" && r === 1) return 1; // guaranteed round-1 dodge
+      var effEva = condEva(x) - MZE.evaPenalty;
+      var cap = ((x.evaCap || MZE.evaCapDefault) + (x.F ? fxSum(x, "evaCap") : 0)) / 100;
+      var p = Math.max(0, Math.min(cap, effEva / 100));
+      if (x.F) { var fd = fxSum(x, "dodge") / 100; if (fd > p) p = Math.min(1, fd); }
+      return p;
+    }
+    // Custom-skill runtime (see normSkillDefs). Owners = the units carrying custom effects (`fx`, with
+    // per-effect stacks `fxSt` and last-trigger round `fxAt`); `F.r` = the current round. fxSum = the
+    // active bonus to `stat` for unit x from its own effects and every living owner's party effects.
+    function fxActive(z, e, k, r) {
+      switch (e.trigger) {
+        case "always": return 1;
+        case "round": return r >= e.from && r <= e.to ? 1 : 0;
+        case "belowHp": return z.hp < e.hp * z.maxHp ? 1 : 0;
+        case "untilDamaged": return z.fxClean ? 1 : 0;
+      }
+      var n = z.fxSt[k];
+      if (!n) return 0;
+      if (e.duration) return r - z.fxAt[k] < e.duration ? n : 0;
+      if (e.trigger === "afterDodge") return z.fxAt[k] === r ? n : 0;
+      return n;
+    }
+    function fxSum(x, stat) {
+      var F = x.F, v = 0;
+      for (var j = 0; j < F.owners.length; j++) {
+        var z = F.owners[j]; if (!z.alive) continue;
+        for (var k = 0; k < z.fx.length; k++) {
+          var e = z.fx[k];
+          if (e.effect !== "stat" || e.stat !== stat || (z !== x && e.target !== "party")) continue;
+          var m = fxActive(z, e, k, F.r); if (m) v += e.value * m;
+        }
+      }
+      return v;
+    }
+    // The runtime part of a custom definition: everything but the folded `always` stats (a champion's
+    // party aura, evaCap, HP / barrier — applied before the fight) and saves / execute (unit fields).
+    function simFx(d, isChamp) {
+      var fx = d.effects.filter(function (e) {
+        if (e.effect === "save" || e.effect === "execute") return false;
+        if (e.effect !== "stat") return true;
+        if (e.stat === "hp" || e.stat === "barrier") return false;
+        if (e.trigger !== "always") return true;
+        return !(e.stat === "evaCap" && e.target === "self" && !isChamp) && !(isChamp && e.target === "party");
+      });
+      return fx.length ? fx : null;
+    }
+    // Apply one monster attack to a unit (single-target can crit; AoE is a flat DEF-reduced hit). Mutates hp.
+    // `m` = the attacking monster's hit numbers (an MZE.enc entry; defaults to the zone's own). Returns a
+    // { dodged, dmg, crit } info object ONLY when `wantInfo` (the combat-replay log) — the hot
+    // grade/optimizer path passes wantInfo=false so it allocates nothing per hit (avoids heavy GC churn).
+    function applyBossHit(x, r, rng, isAoe, wantInfo, m) {
+      m = m || MZE;
+      if (rng() < dodgeProbOf(x, r)) { x.dodgedThisRound = true; return wantInfo ? { dodged: true, dmg: 0, crit: false } : null; }
+      var dmg, crit = false;
+      if (isAoe) {
+        dmg = m.aoeHit * mzeDefMult(x.F ? x.def * (1 + fxSum(x, "def") / 100) : x.def);
+      } else {
+        var effEva = condEva(x) - MZE.evaPenalty;
+        var bossCrit = m.critChance + Math.max(0, -effEva) * MZE.critPerNegEva; // crit ignores DEF
+        crit = rng() < bossCrit;
+        dmg = crit ? m.critHit : m.baseHit * mzeDefMult(x.F ? x.def * (1 + fxSum(x, "def") / 100) : x.def);
+      }
+      x.hp -= dmg;
+      x.damagedThisRound = true;
+      return wantInfo ? { dodged: false, dmg: dmg, crit: crit } : null;
+    }
+    // Unique display labels for a unit list (same-class heroes get "#1", "#2"; the champion "(champ)").
+    function simUnitLabels(units) {
+      var base = units.map(function (z) { return z.isChamp ? z.champName + " (champ)" : z.cn; }), seen = {}, cnt = {};
+      base.forEach(function (b) { seen[b] = (seen[b] || 0) + 1; });
+      return base.map(function (b) { if (seen[b] < 2) return b; cnt[b] = (cnt[b] || 0) + 1; return b + " #" + cnt[b]; });
+    }
+    // Aggregate accumulator for many fights of ONE unit list (opts.stats) → see fightStats.
+    function newFightStats(n) {
+      var z = function () { var a = []; for (var i = 0; i < n; i++) a.push(0); return a; };
+      return { fights: 0, wins: 0, lossWipe: 0, lossCap: 0, executes: 0, execs: 0, winRounds: [], deaths: z(), first: z(), noDeath: 0,
+        savesLord: 0, savesBishop: 0, fightsSaved: 0, dmg: z() };
+    }
+    // Resolve ONE fight → true (every monster dead before the round cap) / false (wiped or hit the cap).
+    // `rng` is a mulberry32 stream (advanced across trials); `opts` = { saves, champName, stats? }.
+    // opts.stats (a newFightStats) tallies this fight's outcome, deaths, saves and per-unit damage.
+    function simulateFight(units, rng, opts, log) {
+      opts = opts || {};
+      var ST = opts.stats || null, firstDead = -1, savedHere = false;
+      var n = units.length;
+      if (!n) return false;
+      var u = new Array(n), F = { r: 0, owners: [] };
+      for (var i = 0; i < n; i++) { var s = units[i];
+        var sk = _simBare ? null : customSkill(s.isChamp ? "champions" : "classes", s.isChamp ? s.champName : s.cn);
+        var hpx = sk ? 1 + skillFold(sk, "hp", "self") / 100 : 1;
+        u[i] = { cn: s.cn, isChamp: s.isChamp, champName: s.champName, maxHp: s.maxHp * hpx, hp: s.maxHp * hpx,
+          def: s.def, evaBase: s.evaBase, threat: s.threat, evaCap: s.evaCap, baseAtk: s.baseAtk,
+          critChance: s.critChance, critMult: s.critMult, alive: true, consec: 0,
+          hemmaStack: 0, sensClean: true, sensCnt: 0, dodgedThisRound: false,
+          damagedThisRound: false, sk: sk, F: null,
+          bn: _simBare || sk ? null : (s.isChamp ? s.champName : s.cn),
+          // Bishop survive-fatal is SELF-only (the individual Bishop). Lord's is the party-wide pool below.
+          selfSave: !_simBare && (sk ? skillSaves(sk, "self") > 0 : !!(CLASS_SKILLS[s.cn] && CLASS_SKILLS[s.cn].surviveFatal)), usedSelfSave: false,
+          fx: sk ? simFx(sk, s.isChamp) : null, fxExec: 0 };
+        if (sk) sk.effects.forEach(function (e) { if (e.effect === "execute") u[i].fxExec = Math.max(u[i].fxExec, e.value); });
+        if (u[i].fx) {
+          var ux = u[i], regain = 0;
+          ux.fxSt = ux.fx.map(function () { return 0; }); ux.fxAt = ux.fx.map(function () { return -99; });
+          ux.fx.forEach(function (e) { if (e.trigger === "untilDamaged") regain = regain || e.duration; });
+          ux.fxClean = true; ux.fxCnt = 0; ux.fxRegain = regain;
+          F.owners.push(ux);
+        }
+      }
+      if (F.owners.length) for (var i = 0; i < n; i++) u[i].F = F;
+      // Custom event triggers: stat effects gain a stack (expired ones restart), heal / drain fire now.
+      function fxEvent(z, trig, rd) {
+        for (var k = 0; k < z.fx.length; k++) { var e = z.fx[k]; if (e.trigger !== trig) continue;
+          if (e.effect === "stat") { var cur = e.duration && rd - z.fxAt[k] >= e.duration ? 0 : z.fxSt[k]; z.fxSt[k] = Math.min(e.stacks, cur + 1); z.fxAt[k] = rd; }
+          else fxFire(z, e, rd);
+        }
+      }
+      function fxFire(z, e, rd) {
+        if (e.effect === "heal") {
+          for (var j = 0; j < n; j++) if (u[j].alive && (u[j] === z || e.target === "party")) healUnit(u[j], e.value, rd, lab(z) + "'s skill");
+        } else if (e.effect === "drain") {
+          var victim = null;
+          for (var j = 0; j < n; j++) { var y = u[j]; if (y.alive && y !== z && (!victim || y.hp > victim.hp)) victim = y; }
+          if (victim) { var dr = victim.hp * e.value; victim.hp -= dr; z.hp = Math.min(z.maxHp, z.hp + dr);
+            LG(rd, "heal", lab(z) + " drains " + lab(victim) + " (" + num(dr) + " HP)", { u: z.idx, from: victim.idx, dmg: Math.round(dr) }); }
+        }
+      }
+      function fxKill(rd) { for (var j = 0; j < F.owners.length; j++) if (F.owners[j].alive) fxEvent(F.owners[j], "onKill", rd); }
+      // Combat-replay logging (only when `log` is passed — the grade/optimizer path skips all of this).
+      // Entries are { r, k, t } + structured fields for the replay chart / export: `u` = unit index,
+      // `dmg`, AoE `hits`, and a k:"state" frame per round ({ boss, hp[] } after that round).
+      var LOG = !!log;
+      function LG(rd, k, t, x) { if (LOG) { var e = { r: rd, k: k, t: t }; if (x) for (var f in x) e[f] = x[f]; log.push(e); } }
+      function SNAP(rd) { if (LOG) log.push({ r: rd, k: "state", boss: Math.max(0, bossHp), hp: u.map(function (z) { return z.alive ? Math.max(0, Math.round(z.hp)) : 0; }) }); }
+      function num(v) { return Math.round(v).toLocaleString(); }
+      if (LOG) { var labs = simUnitLabels(units); u.forEach(function (z, k) { z.idx = k; z.label = labs[k]; }); }
+      function lab(z) { return z.label || (z.isChamp ? z.champName : z.cn); }
+      // Capped heal; one that restored HP leaves a "heal" marker on that unit (src = where it came from).
+      function healUnit(z, amt, rd, src) {
+        var hp = Math.min(z.maxHp, z.hp + amt), got = hp - z.hp;
+        z.hp = hp;
+        if (got > 0) LG(rd, "heal", lab(z) + " heals " + num(got) + " HP (" + src + ")", { u: z.idx, dmg: Math.round(got) });
+      }
+      // Party-wide saves = Lord's "protect an ally" (one per Lord). Bishop's save is per-unit (selfSave), NOT here.
+      var allySaves = 0;
+      if (!_simBare) for (var i = 0; i < n; i++) { if (u[i].sk ? skillSaves(u[i].sk, "party") : CLASS_SKILLS[u[i].cn] && CLASS_SKILLS[u[i].cn].protectAlly) allySaves += u[i].sk ? skillSaves(u[i].sk, "party") : 1; }
+      var rudo = !_simBare && opts.champName === "Rudo" && !customSkill("champions", "Rudo");
+      var lilu = !_simBare && opts.champName === "Lilu" && !customSkill("champions", "Lilu");
+      // Encounter = MZE.enc: waves of monsters, fought in order (a single-boss zone is one wave of one
+      // monster). Every monster of the current wave attacks each round; the party focuses the first one
+      // still standing and moves to the next on a kill. A wave cleared mid-round ends the party's attacks
+      // for that round (no overflow into the next wave, which opens the next round). `bossHp` = the whole
+      // encounter's remaining HP (the replay chart's enemy line).
+      var enc = MZE.enc, multi = enc.length > 1 || enc[0].length > 1;
+      var wi = 0, wave = enc[0], mhp = waveHp(wave), mt = 0, kills = 0;
+      var bossHp = MZE.bossHP, cap = MZE.roundCap;
+      function tally(win, rd, why) {
+        ST.fights++;
+        if (win) { ST.wins++; ST.winRounds.push(rd); if (why === "exec") ST.executes++; }
+        else if (why === "wipe") ST.lossWipe++; else ST.lossCap++;
+        if (firstDead < 0) ST.noDeath++;
+        if (savedHere) ST.fightsSaved++;
+        return win;
+      }
+      if (LOG) { log.push({ r: 0, k: "units", bossHp: bossHp, monsters: multi ? enc.reduce(function (a, w) { return a + w.length; }, 0) : 1, units: u.map(function (z) { return { label: lab(z), maxHp: z.maxHp, champ: !!z.isChamp }; }) }); SNAP(0); }
+      for (var r = 1; r <= cap; r++) {
+        // ---- boss attacks FIRST (boss-first ordering, confirmed against the live game) ----
+        // The boss strikes before the party deals damage each round, so a unit the boss kills this round
+        // contributes NO damage that round — about-to-die units are removed before they can act. Round 1
+        // is the boss's opening volley.
+        var totT = 0, aliveCnt = 0;
+        F.r = r;
+        for (var i = 0; i < n; i++) { u[i].dodgedThisRound = false; u[i].damagedThisRound = false; if (u[i].alive) { totT += Number(u[i].threat) || 0; aliveCnt++; } }
+        if (!aliveCnt) { LG(r, "loss", "Party wiped — LOSS (round " + r + ")"); return ST ? tally(false, r, "wipe") : false; }
+        for (var mi = 0; mi < wave.length; mi++) {
+          if (mhp[mi] <= 0) continue;
+          var mo = wave[mi];
+          // single-target by threat share
+          var roll = rng() * (totT > 0 ? totT : aliveCnt), acc = 0, tgt = null;
+          for (var i = 0; i < n; i++) {
+            if (!u[i].alive) continue;
+            acc += totT > 0 ? (Number(u[i].threat) || 0) : 1;
+            if (roll <= acc) { tgt = u[i]; break; }
+          }
+          if (!tgt) { for (var i = n - 1; i >= 0; i--) if (u[i].alive) { tgt = u[i]; break; } }
+          var sres = applyBossHit(tgt, r, rng, false, LOG, mo);
+          if (LOG) LG(r, sres.dodged ? "dodge" : (sres.crit ? "bosscrit" : "hit"), mo.name + " strikes " + lab(tgt) + ": " + (sres.dodged ? "DODGED" : (sres.crit ? "CRIT " + num(sres.dmg) : num(sres.dmg))), { u: tgt.idx, dmg: Math.round(sres.dmg) });
+          // AoE: hits every alive unit (per-unit dodge), no threat gate
+          if (rng() < mo.aoeChance) {
+            var aoeParts = LOG ? [] : null, aoeHits = LOG ? [] : null;
+            for (var i = 0; i < n; i++) if (u[i].alive) { var ares = applyBossHit(u[i], r, rng, true, LOG, mo); if (LOG) { aoeParts.push(lab(u[i]) + ": " + (ares.dodged ? "dodged" : num(ares.dmg))); aoeHits.push({ u: i, dmg: Math.round(ares.dmg), dodged: ares.dodged }); } }
+            if (LOG) LG(r, "aoe", mo.name + " AoE → " + (aoeParts ? aoeParts.join(" · ") : ""), { hits: aoeHits });
+          }
+        }
+        // deaths — a Bishop spends its OWN survive-fatal first; otherwise a Lord's party-wide save covers
+        // the ally; else the unit dies. Each save revives to 1 HP, once. Resolved BEFORE party damage so a
+        // killed unit can't deal its share this round (the whole point of boss-first).
+        for (var i = 0; i < n; i++) { var x = u[i]; if (x.alive && x.hp <= 0) {
+          if (x.selfSave && !x.usedSelfSave) { x.usedSelfSave = true; x.hp = 1; LG(r, "save", lab(x) + " survives a fatal blow → 1 HP", { u: i }); if (ST) { ST.savesBishop++; savedHere = true; } }
+          else if (allySaves > 0) { allySaves--; x.hp = 1; LG(r, "save", lab(x) + " shielded by a Lord → 1 HP", { u: i }); if (ST) { ST.savesLord++; savedHere = true; } }
+          else { x.alive = false; LG(r, "death", lab(x) + " is defeated", { u: i }); if (ST) { ST.deaths[i]++; if (firstDead < 0) { firstDead = i; ST.first[i]++; } } }
+        } }
+        // Sensei loses "+crit/+eva until damaged" the instant it's hit — now BEFORE it attacks, since the
+        // boss strikes first (the opening volley can knock it out of its untouched state). The "regain after
+        // N clean rounds" half stays in end-of-round upkeep below.
+        if (!_simBare) for (var i = 0; i < n; i++) { var x = u[i]; if (x.alive && x.bn === "Sensei" && x.damagedThisRound) { x.sensClean = false; x.sensCnt = 0; } }
+        // Custom untilDamaged effects drop the same way; a dodge this round triggers afterDodge effects.
+        for (var j = 0; j < F.owners.length; j++) { var z = F.owners[j]; if (!z.alive) continue;
+          if (z.damagedThisRound) { z.fxClean = false; z.fxCnt = 0; }
+          if (z.dodgedThisRound) fxEvent(z, "afterDodge", r);
+        }
+
+        // ---- party damage (alive units, with this round's conditional state) ----
+        var dmg = 0, procs = LOG ? [] : null, critN = 0, lastBlow = "kill";
+        for (var i = 0; i < n; i++) {
+          var x = u[i]; if (!x.alive) continue;
+          if (mt < 0) break; // wave already cleared this round
+          var mo = wave[mt];
+          // Death Knight execute: if its target is at ≤10% HP when the DK attacks, that monster is instantly
+          // defeated. A custom `execute` effect works the same at its own threshold.
+          var exF = x.bn === "Death Knight" ? SIM.dk.executeFrac : x.fxExec;
+          if (exF && mhp[mt] <= mo.hp * exF) {
+            LG(r, "exec", lab(x) + " EXECUTES " + mo.name + " (≤" + Math.round(exF * 100) + "% HP)", { u: i });
+            if (ST) ST.execs++;
+            bossHp -= mhp[mt]; mhp[mt] = 0; kills++; lastBlow = "exec";
+            if (F.owners.length) fxKill(r);
+            mt = nextMonster(mhp);
+            if (multi) LG(r, "kill", mo.name + " defeated (execute)");
+            continue;
+          }
+          var cc = x.critChance, cm = x.critMult, atkMul = 1, forced = false;
+          if (x.bn) {
+            if (x.bn === "Jarl") { var t = jarlTier(x.hp / x.maxHp); if (t) { atkMul *= 1 + SIM.jarl.atkPerTier * t; if (LOG) procs.push(lab(x) + " rage×" + t); } }
+            else if (x.bn === "Sensei") { if (x.sensClean) { cc += SIM.sensei.crit; if (LOG) procs.push(lab(x) + " +crit (untouched)"); } }
+            else if (x.bn === "Daimyo") { if (r === 1) { forced = true; if (LOG) procs.push(lab(x) + " round-1 crit"); } }
+            // Acrobat: guaranteed crit after dodging. Boss-first means the dodge already happened THIS round
+            // (boss phase above), so the reward lands on this round's attack → read dodgedThisRound.
+            else if (x.bn === "Acrobat") { if (x.dodgedThisRound) { forced = true; if (LOG) procs.push(lab(x) + " crit (post-dodge)"); } }
+            else if (x.bn === "Conquistador") { if (x.consec > 0) { cm += SIM.conq.perStack * Math.min(x.consec, SIM.conq.maxStacks); if (LOG) procs.push(lab(x) + " crit-stack×" + Math.min(x.consec, SIM.conq.maxStacks)); } }
+            if (x.bn === "Hemma" && x.hemmaStack > 0) { atkMul *= 1 + SIM.hemma.atkPerStack * x.hemmaStack; if (LOG) procs.push(lab(x) + " ATK-stack×" + x.hemmaStack); }
+            if (x.bn === "Death Knight" && kills) { atkMul *= 1 + SIM.dk.atkPerKill * kills; if (LOG) procs.push(lab(x) + " +" + Math.round(SIM.dk.atkPerKill * kills * 100) + "% ATK (kills)"); }
+          }
+          if (rudo && r <= SIM.rudo.rounds) cc += SIM.rudo.crit;
+          if (x.F) {
+            cc += fxSum(x, "crit"); cm += fxSum(x, "critDmg");
+            var fa = fxSum(x, "atk"); if (fa) atkMul *= 1 + fa / 100;
+          }
+          var isCrit = forced || (rng() < Math.max(0, Math.min(1, cc / 100)));
+          if (isCrit) critN++;
+          var hitDmg = x.baseAtk * atkMul * (isCrit ? cm : 1);
+          dmg += hitDmg;
+          if (ST) ST.dmg[i] += hitDmg;
+          if (x.bn === "Conquistador") x.consec = isCrit ? x.consec + 1 : 0;
+          if (x.fx) { if (isCrit) fxEvent(x, "onCrit", r); else for (var k = 0; k < x.fx.length; k++) if (x.fx[k].trigger === "onCrit" && !x.fx[k].duration) x.fxSt[k] = 0; }
+          bossHp -= Math.min(hitDmg, mhp[mt]); mhp[mt] -= hitDmg;
+          if (mhp[mt] <= 0) {
+            kills++; lastBlow = "kill";
+            if (F.owners.length) fxKill(r);
+            mt = nextMonster(mhp);
+            if (multi) LG(r, "kill", mo.name + " defeated");
+          }
+        }
+        if (LOG) {
+          if (rudo && r <= SIM.rudo.rounds) procs.unshift("Rudo +crit (party)");
+          var hpTxt = multi ? "Enemies " + num(Math.max(0, bossHp)) : "Boss " + num(Math.max(0, bossHp));
+          LG(r, "dmg", "Party deals " + num(dmg) + (critN ? " (" + critN + " crit" + (critN > 1 ? "s" : "") + ")" : "") +
+            " → " + hpTxt + " (" + Math.max(0, Math.round(bossHp / MZE.bossHP * 100)) + "%)" +
+            (procs.length ? " · " + procs.join(", ") : ""), { dmg: Math.round(dmg), crits: critN });
+        }
+        if (mt < 0) {
+          if (wi === enc.length - 1) {
+            LG(r, "win", (multi ? "All monsters defeated" : "Boss defeated") + (lastBlow === "exec" ? " by execute" : "") + " — WIN (round " + r + ")");
+            if (LOG) SNAP(r);
+            return ST ? tally(true, r, lastBlow) : true;
+          }
+          wave = enc[++wi]; mhp = waveHp(wave); mt = 0;
+          LG(r, "wave", "Wave " + (wi + 1) + "/" + enc.length + ": " + wave.map(function (m) { return m.name; }).join(", "));
+        }
+        // ---- end-of-round upkeep (healing, Hemma drain, Sensei regain, custom skills) ----
+        if (!_simBare) {
+          for (var i = 0; i < n; i++) { var x = u[i]; if (!x.alive) continue;
+            if (lilu) healUnit(x, SIM.lilu.heal, r, "Lilu");
+            if (x.bn === "Bishop") healUnit(x, SIM.bishop.regen, r, "regen");
+          }
+          var hemma = null;
+          for (var i = 0; i < n; i++) if (u[i].alive && u[i].bn === "Hemma") { hemma = u[i]; break; }
+          if (hemma) {
+            var victim = null;
+            for (var i = 0; i < n; i++) { var x = u[i]; if (x.alive && x !== hemma && (!victim || x.hp > victim.hp)) victim = x; }
+            if (victim) { var drain = victim.hp * SIM.hemma.drainFrac; victim.hp -= drain;
+              hemma.hp = Math.min(hemma.maxHp, hemma.hp + drain); if (hemma.hemmaStack < SIM.hemma.maxStacks) hemma.hemmaStack++;
+              LG(r, "heal", lab(hemma) + " drains " + lab(victim) + " (" + num(drain) + " HP) → self-heal + ATK stack", { u: hemma.idx, from: victim.idx, dmg: Math.round(drain) }); }
+          }
+          // Sensei regains its untouched buff after N clean (undamaged) rounds. The "lost when damaged"
+          // half ran above, before the party attacked.
+          for (var i = 0; i < n; i++) { var x = u[i]; if (!x.alive) continue;
+            if (x.bn === "Sensei" && !x.damagedThisRound && !x.sensClean) { x.sensCnt++; if (x.sensCnt >= SIM.sensei.regainRounds) x.sensClean = true; }
+          }
+        }
+        // Custom upkeep: perTurn triggers, heal / drain effects whose condition holds, untilDamaged regain.
+        for (var j = 0; j < F.owners.length; j++) { var z = F.owners[j]; if (!z.alive) continue;
+          fxEvent(z, "perTurn", r);
+          for (var k = 0; k < z.fx.length; k++) { var e = z.fx[k];
+            if (e.effect !== "stat" && !SKILL_EVENTS[e.trigger] && fxActive(z, e, k, r)) fxFire(z, e, r);
+          }
+          if (!z.damagedThisRound && !z.fxClean && z.fxRegain) { z.fxCnt++; if (z.fxCnt >= z.fxRegain) z.fxClean = true; }
+        }
+        if (LOG) SNAP(r);
+      }
+      LG(cap, "loss", (multi ? "Encounter not cleared" : "Boss not killed") + " before the " + cap + "-round cap — LOSS");
+      if (ST) tally(false, cap, "cap");
+      return false; // round cap reached → loss
+    }
+    function waveHp(wave) { var a = new Array(wave.length); for (var i = 0; i < wave.length; i++) a[i] = wave[i].hp; return a; }
+    function nextMonster(mhp) { for (var i = 0; i < mhp.length; i++) if (mhp[i] > 0) return i; return -1; }
+    // Wilson score interval for `wins` of `n` trials → { lo, hi } (0..1). Unlike the normal approximation
+    // it stays inside [0, 1] and is honest at 0/n and n/n — which is where S-grade parties live.
+    function wilsonCI(wins, n) {
+      if (!n) return { lo: 0, hi: 1 };
+      var z = SIM.ciZ, p = wins / n, z2n = z * z / n;
+      var mid = (p + z2n / 2) / (1 + z2n), half = z * Math.sqrt(p * (1 - p) / n + z2n / (4 * n)) / (1 + z2n);
+      return { lo: Math.max(0, mid - half), hi: Math.min(1, mid + half) };
+    }
+    // Seeded trials → { win, lo, hi, trials } (win 0..1 + its 95% CI). Deterministic given the seed.
+    // opts.adaptive: after the first N, keep doubling (same rng stream, up to SIM.maxTrials) while the
+    // interval still straddles a grade cutoff — so a true 95% party stops flipping S/A with the seed.
+    function simWinChance(units, N, seed, opts) {
+      N = N || SIM.trials;
+      var maxN = opts && opts.adaptive ? Math.max(N, SIM.maxTrials) : N;
+      _simBare = !!(opts && opts.bare);
+      var rng = mulberry32(seed >>> 0), wins = 0, n = 0, ci;
+      for (;;) {
+        for (; n < N; n++) if (simulateFight(units, rng, opts)) wins++;
+        ci = wilsonCI(wins, n);
+        if (N >= maxN || winTier(ci.lo) === winTier(ci.hi)) break;
+        N = Math.min(maxN, N * 2);
+      }
+      _simBare = false;
+      return { win: wins / n, lo: ci.lo, hi: ci.hi, trials: n };
+    }
+    // N seeded fights of one unit list → the newFightStats tallies (the Fight Stats panel).
+    function fightStats(units, N, seed, opts) {
+      var st = newFightStats(units.length), o = {}, rng = mulberry32(seed >>> 0);
+      for (var k in (opts || {})) o[k] = opts[k];
+      o.stats = st;
+      for (var t = 0; t < N; t++) simulateFight(units, rng, o);
+      return st;
+    }
+
+    return {
+      mzeDefMult: mzeDefMult, survStats: survStats, poissonTailGE: poissonTailGE, unitDeathModel: unitDeathModel, winChance: winChance,
+      simulateFight: simulateFight, simWinChance: simWinChance, fightStats: fightStats, wilsonCI: wilsonCI,
+      newFightStats: newFightStats, simUnitLabels: simUnitLabels
+    };
+  }
+
+  /* ---------------- calibration (fit knobs to logged real outcomes) ---------------- */
+  // The unconfirmed knobs calibration searches, and the values it tries (plus the zone's current one).
+  // `sim: false` = the knob only moves the barrier gate, so trying it costs no fights. `pct` = shown ×100.
+  var CALIB_KNOBS = [
+    { key: "evaPenalty",       label: "Evade debuff",         grid: [0, 5, 10, 15, 20, 25, 30],                  sim: true },
+    { key: "critPerNegEva",    label: "Crit per negative EVA", grid: [0, 0.001, 0.0025, 0.005, 0.0075, 0.01],   sim: true, pct: true },
+    { key: "aoeChance",        label: "AoE chance",           grid: [0.10, 0.15, 0.20, 0.225, 0.25, 0.30, 0.35], sim: true, pct: true },
+    { key: "allBarrierFactor", label: "All-element barrier",  grid: [0.25, 0.33, 0.4, 0.5, 0.6, 0.75, 1],        sim: false }
+  ];
+
+  // Fit CALIB_KNOBS to logged outcomes. `o.results` = [{ units, saves, champName, bar, need, win, rounds }]
+  // where `bar` = per active barrier [direct power, "all"-element power] (both × the champion's barrier
+  // aura; null = no barrier that day) and `need` = the barrier to break. Predicted win = 0 when the barrier
+  // gate fails, else the seeded simWinChance under the candidate knobs. Error = the Brier score (mean
+  // squared gap between predicted win and the 0/1 outcome: 0 = perfect, 0.25 = a coin flip). Coordinate
+  // descent over the knob grids, ties kept nearest the current value; a knob whose every value scores the
+  // same is `flat` (the log says nothing about it). Waves zones carry AoE per monster, so aoeChance is
+  // skipped there. Also reports the mean |observed − sim median| win rounds, before and after.
+  function calibrate(o) {
+    var res = o.results, N = o.trials || SIM.calibTrials, passes = o.passes || SIM.calibPasses;
+    var t = zoneState(o.zone), eng = create({ zone: t, customSkill: o.customSkill });
+    var knobs = CALIB_KNOBS.filter(function (k) { return !(k.key === "aoeChance" && o.zone.waves); });
+    var cur = {}, cache = {};
+    knobs.forEach(function (k) { cur[k.key] = t[k.key]; });
+    var seeds = res.map(function (r) { return hashStr(JSON.stringify(r.units) + "|" + (r.champName || "")); });
+    function withKnobs(v) {
+      var z = {}, k;
+      for (k in o.zone) z[k] = o.zone[k];
+      for (k in v) z[k] = v[k];
+      applyZone(t, z);
+    }
+    function optsOf(r) { return { saves: r.saves, champName: r.champName || null }; }
+    function barrierOk(r, f) {
+      return !r.bar || !r.bar.length || r.bar.some(function (b) { return b[0] + b[1] * f >= r.need - 1e-9; });
+    }
+    function predict(v) {
+      var key = knobs.filter(function (k) { return k.sim; }).map(function (k) { return v[k.key]; }).join(",");
+      var ps = cache[key];
+      if (!ps) {
+        var bySeed = {};
+        withKnobs(v);
+        ps = cache[key] = res.map(function (r, i) {
+          if (bySeed[seeds[i]] === undefined) bySeed[seeds[i]] = eng.simWinChance(r.units, N, seeds[i], optsOf(r)).win;
+          return bySeed[seeds[i]];
+        });
+      }
+      return res.map(function (r, i) { return barrierOk(r, v.allBarrierFactor) ? ps[i] : 0; });
+    }
+    function brier(p) { return p.reduce(function (a, x, i) { var d = x - (res[i].win ? 1 : 0); return a + d * d; }, 0) / (res.length || 1); }
+    function roundsErr(v) {
+      var n = 0, err = 0, bySeed = {};
+      withKnobs(v);
+      res.forEach(function (r, i) {
+        if (!r.win || !(r.rounds > 0)) return;
+        if (bySeed[seeds[i]] === undefined) {
+          var w = eng.fightStats(r.units, N, seeds[i], optsOf(r)).winRounds.sort(function (a, b) { return a - b; });
+          bySeed[seeds[i]] = w.length ? w[Math.floor(w.length / 2)] : null;
+        }
+        if (bySeed[seeds[i]] !== null) { err += Math.abs(r.rounds - bySeed[seeds[i]]); n++; }
+      });
+      return n ? err / n : null;
+    }
+    function gridOf(k) {
+      var g = k.grid.slice();
+      if (g.indexOf(cur[k.key]) < 0) g.push(cur[k.key]);
+      return g.sort(function (a, b) { return a - b; });
+    }
+    var best = {}, flat = {}, k0;
+    for (k0 in cur) best[k0] = cur[k0];
+    var before = predict(best), err = brier(before);
+    var steps = passes * knobs.reduce(function (a, k) { return a + gridOf(k).length; }, 0), done = 0;
+    for (var pass = 0; pass < passes; pass++) {
+      knobs.forEach(function (k) {
+        var lo = Infinity, hi = -Infinity, pick = best[k.key];
+        gridOf(k).forEach(function (g) {
+          var v = {}, kk;
+          for (kk in best) v[kk] = best[kk];
+          v[k.key] = g;
+          var e = brier(predict(v));
+          if (e < lo - 1e-12 || (Math.abs(e - lo) <= 1e-12 && Math.abs(g - cur[k.key]) < Math.abs(pick - cur[k.key]))) { lo = e; pick = g; }
+          if (e > hi) hi = e;
+          if (o.onProgress) o.onProgress(++done / steps, "Fitting " + k.label.toLowerCase() + " (pass " + (pass + 1) + "/" + passes + ")");
+        });
+        best[k.key] = pick; err = lo;
+        flat[k.key] = hi - lo <= 1e-12;
+      });
+    }
+    var after = predict(best);
+    return {
+      n: res.length, trials: N,
+      before: { brier: brier(before), rounds: roundsErr(cur) },
+      after: { brier: err, rounds: roundsErr(best) },
+      knobs: knobs.map(function (k) { return { key: k.key, label: k.label, pct: !!k.pct, from: cur[k.key], to: best[k.key], flat: !!flat[k.key] }; }),
+      rows: res.map(function (r, i) { return { before: before[i], after: after[i] }; })
+    };
+  }
+
+  var api = {
+    ZONE_KEYS: ZONE_KEYS, MONSTER_KEYS: MONSTER_KEYS, ZONE_PRESETS: ZONE_PRESETS, HOUSE_RULES: HOUSE_RULES, RULE_KEYS: RULE_KEYS,
+    applyZone: applyZone, zoneState: zoneState,
+    CLASS_SKILLS: CLASS_SKILLS, CHAMPION_SKILLS: CHAMPION_SKILLS, SKILL_EVENTS: SKILL_EVENTS, skillFold: skillFold, skillSaves: skillSaves,
+    SIM: SIM, WIN_BANDS: WIN_BANDS, GRADE_LETTERS: GRADE_LETTERS, winTier: winTier,
+    hashStr: hashStr, mulberry32: mulberry32, effAtkOf: effAtkOf, simUnitFromStats: simUnitFromStats,
+    create: create, CALIB_KNOBS: CALIB_KNOBS, calibrate: calibrate
+  };
+  if (typeof module === "object" && module.exports) module.exports = api; // Node (the fixture suite)
+  else root.RosterEngine = api;                                            // page + sim workers
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,163 @@
+/** @format */
+
+// tests/engine.test.js
+//
+// Golden fixture suite for the combat engine (_js/roster-engine.js). Runs in plain Node, no DOM and no
+// dependencies:  node iplaygames/shop-titans/tests/engine.test.js  (or `npm run test:engine`).
+// Every fixture in engine-fixtures.json is a known party + zone + seed; the suite records the seeded
+// sim win % (and its CI), the Fight Stats tallies (median win round, wipes, cap losses, executes, saves),
+// the bare-mode win % (conditional skills off), the closed-form rounds + win and how many heal markers one
+// logged replay fight leaves (every HP gain should show up in the replay); a small logged-results
+// set checks what calibration fits. All compared with engine-golden.json. A balance change (SIM, zone
+// numbers, a skill's magnitude) shows up as a diff here.
+// After a DELIBERATE change:  node .../engine.test.js --update  rewrites the goldens; review the diff.
+
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+var RE = require("../_js/roster-engine.js");
+
+var FIXTURES = path.join(__dirname, "engine-fixtures.json");
+var GOLDEN = path.join(__dirname, "engine-golden.json");
+var UPDATE = process.argv.indexOf("--update") !== -1;
+
+var fx = JSON.parse(fs.readFileSync(FIXTURES, "utf8"));
+var zone = RE.zoneState();
+var engine = RE.create({ zone: zone });
+
+// A preset, or a test-only zone from fx.zones: its `from` preset with the total HP split evenly into
+// `waves` waves of one monster each (same hit numbers).
+function zoneOf(id) {
+  var z = RE.ZONE_PRESETS.filter(function (p) { return p.id === id; })[0];
+  var t = (fx.zones || []).filter(function (p) { return p.id === id; })[0];
+  if (!z && t) {
+    var base = zoneOf(t.from), out = JSON.parse(JSON.stringify(base)), waves = [];
+    for (var i = 1; i <= t.waves; i++) {
+      waves.push([{ name: "Monster " + i, hp: base.bossHP / t.waves, baseHit: base.baseHit, aoeHit: base.aoeHit,
+        aoeChance: base.aoeChance, critHit: base.critHit, critChance: base.critChance }]);
+    }
+    out.id = t.id; out.waves = waves;
+    z = out;
+  }
+  if (!z) throw new Error("unknown zone " + id);
+  return z;
+}
+function useZone(id) { RE.applyZone(zone, zoneOf(id)); }
+function r4(v) { return Math.round(v * 10000) / 10000; }
+function median(a) {
+  if (!a.length) return null;
+  var s = a.slice().sort(function (x, y) { return x - y; });
+  return s[Math.floor(s.length / 2)];
+}
+
+// Fixture party → sim units (the page's simUnits shape, minus champion auras) + the closed-form units.
+function simUnitsOf(party) {
+  return party.map(function (m) {
+    return m.champ
+      ? RE.simUnitFromStats(null, true, m.champ, m.hp, m.def, m.eva, m.threat, zone.evaCapDefault, m.atk, m.crit, zone.critDmgMod)
+      : RE.simUnitFromStats(m.cn, false, null, m.hp, m.def, m.eva, m.threat, m.evaCap || zone.evaCapDefault, m.atk, m.crit, m.critDmg);
+  });
+}
+function closedUnitsOf(units) {
+  return units.map(function (u) {
+    return { hp: u.maxHp, def: u.def, eva: u.evaBase, threat: u.threat, evaCap: u.evaCap, atk: RE.effAtkOf(u.baseAtk, u.critChance, u.critMult) };
+  });
+}
+function savesOf(party) {
+  return party.reduce(function (a, m) {
+    var s = m.cn && RE.CLASS_SKILLS[m.cn];
+    return a + (s && (s.protectAlly || s.surviveFatal) ? 1 : 0);
+  }, 0);
+}
+
+function runCase(c) {
+  useZone(c.zone);
+  var units = simUnitsOf(c.party);
+  var champ = c.party.filter(function (m) { return m.champ; })[0];
+  var opts = { saves: savesOf(c.party), champName: champ ? champ.champ : null };
+  var sim = engine.simWinChance(units, c.trials, c.seed, opts);
+  var st = engine.fightStats(units, c.trials, c.seed, opts);
+  var bare = engine.simWinChance(units, c.trials, c.seed, { saves: opts.saves, champName: opts.champName, bare: true });
+  var log = [];
+  engine.simulateFight(units, RE.mulberry32(c.seed >>> 0), opts, log);
+  var cu = closedUnitsOf(units);
+  var atk = cu.reduce(function (a, u) { return a + u.atk; }, 0);
+  var rounds = atk > 0 ? Math.ceil(zone.bossHP / atk) : null;
+  return {
+    sim: { win: r4(sim.win), lo: r4(sim.lo), hi: r4(sim.hi), trials: sim.trials },
+    stats: {
+      wins: st.wins, lossWipe: st.lossWipe, lossCap: st.lossCap, executes: st.executes, noDeath: st.noDeath,
+      savesLord: st.savesLord, savesBishop: st.savesBishop, medianWinRound: median(st.winRounds), deaths: st.deaths
+    },
+    bare: { win: r4(bare.win) },
+    closed: { rounds: rounds, win: rounds === null ? 0 : r4(engine.winChance(cu, rounds, opts.saves)) },
+    replay: { heals: log.filter(function (e) { return e.k === "heal"; }).length }
+  };
+}
+
+function runCurves() {
+  useZone("mze");
+  return {
+    def: fx.curves.def.map(function (d) { return r4(engine.mzeDefMult(d)); }),
+    surv: fx.curves.surv.map(function (s) {
+      var v = engine.survStats(s.hp, s.def, s.eva, s.evaCap);
+      return { normal: v.normal, crit: v.crit, critChance: r4(v.critChance), hitsToDie: v.hitsToDie, flag: v.flag, dodge: r4(v.dodge) };
+    })
+  };
+}
+
+// Calibration: the logged results reference fixture parties by name; the fitted knobs + errors are golden.
+function runCalibration() {
+  var cal = fx.calibration, z = zoneOf(cal.zone);
+  useZone(cal.zone);
+  var results = cal.results.map(function (r) {
+    var c = fx.cases.filter(function (x) { return x.name === r.case; })[0];
+    var champ = c.party.filter(function (m) { return m.champ; })[0];
+    return { units: simUnitsOf(c.party), saves: savesOf(c.party), champName: champ ? champ.champ : null,
+      bar: r.bar || null, need: r.need || 0, win: r.win, rounds: r.rounds || null };
+  });
+  var f = RE.calibrate({ zone: z, results: results, trials: cal.trials, passes: cal.passes });
+  return {
+    knobs: f.knobs.map(function (k) { return { key: k.key, to: k.to, flat: k.flat }; }),
+    before: { brier: r4(f.before.brier), rounds: f.before.rounds === null ? null : r4(f.before.rounds) },
+    after: { brier: r4(f.after.brier), rounds: f.after.rounds === null ? null : r4(f.after.rounds) }
+  };
+}
+
+var got = { curves: runCurves(), calibration: runCalibration(), cases: {} };
+fx.cases.forEach(function (c) { got.cases[c.name] = runCase(c); });
+
+if (UPDATE) {
+  fs.writeFileSync(GOLDEN, JSON.stringify(got, null, 2) + "\n");
+  console.log("engine goldens updated: " + fx.cases.length + " cases → " + path.relative(process.cwd(), GOLDEN));
+  process.exit(0);
+}
+
+var want = fs.existsSync(GOLDEN) ? JSON.parse(fs.readFileSync(GOLDEN, "utf8")) : { curves: null, cases: {} };
+var fails = 0;
+// Flatten both sides to path → value so a failure names exactly which number moved.
+function flat(o, pre, out) {
+  if (o !== null && typeof o === "object") { for (var k in o) flat(o[k], pre ? pre + "." + k : k, out); }
+  else out[pre] = o;
+  return out;
+}
+function check(label, a, b) {
+  var fa = flat(a, "", {}), fb = flat(b, "", {}), diffs = [];
+  Object.keys(fa).concat(Object.keys(fb)).forEach(function (k, i, all) {
+    if (all.indexOf(k) !== i) return;
+    if (fa[k] !== fb[k]) diffs.push("    " + k + ": expected " + JSON.stringify(fb[k]) + ", got " + JSON.stringify(fa[k]));
+  });
+  if (diffs.length) { fails++; console.log("✗ " + label + "\n" + diffs.join("\n")); }
+  else console.log("✓ " + label);
+}
+
+check("DEF curve + survStats", got.curves, want.curves);
+check("calibration fit", got.calibration, want.calibration);
+fx.cases.forEach(function (c) {
+  if (!want.cases[c.name]) { fails++; console.log("✗ " + c.name + " — no golden (run with --update)"); return; }
+  check(c.name, got.cases[c.name], want.cases[c.name]);
+});
+
+console.log(fails ? "\n" + fails + " of " + (fx.cases.length + 2) + " failed" : "\nall " + (fx.cases.length + 2) + " passed");
+process.exit(fails ? 1 : 0);